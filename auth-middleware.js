@@ -0,0 +1,78 @@
+// 마이데이터 투자 제안 시스템 - 인증/권한 Express 미들웨어
+// Bearer 액세스 토큰 검증 → req.user, 본인 리소스 확인, 역할(user/premium/admin)과 구독 이용권 확인
+
+const { AuthError, ROLES } = require('./auth-service');
+
+// 인증/권한 오류 응답 (기존 화면이 error 또는 message 중 하나를 읽으므로 둘 다 포함)
+function sendAccessError(res, error) {
+    const status = error.status || 401;
+    res.status(status).json({
+        success: false,
+        error: error.message,
+        message: error.message,
+        errorCode: error.code || 'UNAUTHORIZED'
+    });
+}
+
+function createAuthMiddleware({ authService, paymentService }) {
+    // 토큰 검증 후 req.user = { id, email, role, entitlement }
+    // premium은 구독 이용권이 유효한 동안만 부여 (토큰 재발급 없이 결제/취소/만료 즉시 반영)
+    async function authenticate(req, res, next) {
+        try {
+            const match = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+            if (!match) {
+                throw new AuthError('로그인이 필요합니다.', 'LOGIN_REQUIRED', 401);
+            }
+
+            const claims = authService.verifyAccessToken(match[1]);
+            const entitlement = await paymentService.getEntitlement(claims.sub);
+
+            req.user = {
+                id: claims.sub,
+                email: claims.email,
+                role: claims.role === ROLES.ADMIN ? ROLES.ADMIN : (entitlement ? ROLES.PREMIUM : ROLES.USER),
+                entitlement
+            };
+            next();
+
+        } catch (error) {
+            if (!(error instanceof AuthError)) {
+                console.error('인증 처리 실패:', error.message);
+                error = new AuthError('인증 처리 중 오류가 발생했습니다.', 'AUTH_ERROR', 500);
+            }
+            sendAccessError(res, error);
+        }
+    }
+
+    // 지정한 역할 중 하나여야 통과 (admin은 항상 통과)
+    function requireRole(...roles) {
+        return (req, res, next) => {
+            if (req.user.role === ROLES.ADMIN || roles.includes(req.user.role)) {
+                return next();
+            }
+            sendAccessError(res, new AuthError('접근 권한이 없습니다.', 'FORBIDDEN', 403));
+        };
+    }
+
+    // 경로의 사용자 ID가 본인인지 확인 ('me'는 본인 ID로 치환, admin은 다른 사용자 조회 가능)
+    function requireOwner(param = 'userId') {
+        return (req, res, next) => {
+            if (req.params[param] === 'me') {
+                req.params[param] = req.user.id;
+            }
+            if (req.params[param] === req.user.id || req.user.role === ROLES.ADMIN) {
+                return next();
+            }
+            sendAccessError(res, new AuthError('다른 사용자의 정보에는 접근할 수 없습니다.', 'FORBIDDEN', 403));
+        };
+    }
+
+    return { authenticate, requireRole, requireOwner };
+}
+
+// 구독 전용 기능 사용 가능 여부 (premium 또는 admin)
+function hasSubscription(user) {
+    return Boolean(user) && (user.role === ROLES.PREMIUM || user.role === ROLES.ADMIN);
+}
+
+module.exports = { createAuthMiddleware, hasSubscription, sendAccessError };
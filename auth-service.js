@@ -0,0 +1,735 @@
+// 마이데이터 투자 제안 시스템 - 서버 측 사용자 인증 서비스
+// scrypt 비밀번호 해시, HS256 JWT 액세스 토큰(단기), 회전형 리프레시 토큰(재사용 감지 시 계열 전체 폐기)
+// 소셜 로그인은 state/PKCE 검증 후 로컬 계정에 연결하고 일회용 로그인 티켓으로 세션 발급
+// 비밀번호 로그인은 login-throttle.js의 계정/IP별 시도 제한을 거치며, 잠긴 계정은 이메일 인증으로 해제
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { JsonFileStore } = require('./json-file-store');
+const { MemoryBackend } = require('./portfolio-store');
+const { LoginThrottle } = require('./login-throttle');
+const { createMailer } = require('./mailer');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 14) * 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 30 * 60 * 1000;
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const LOGIN_TICKET_TTL_MS = 60 * 1000;
+const UNLOCK_TOKEN_TTL_MS = 30 * 60 * 1000;
+const EMAIL_VERIFY_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const TOKEN_ISSUER = 'mydata-investment';
+
+// scrypt 파라미터 (N=2^14, r=8, p=1 → 약 16MB 메모리)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// 사용자 역할 (premium은 저장하지 않고 구독 이용권으로 판단, auth-middleware.js 참고)
+const ROLES = { USER: 'user', PREMIUM: 'premium', ADMIN: 'admin' };
+
+const STRONG_PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+
+// 인증 처리 오류 (HTTP 상태 코드 포함)
+class AuthError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// 환경 설정에 따라 저장소 백엔드 선택
+function createAuthBackend(type = process.env.AUTH_STORE || 'file') {
+    const defaults = {
+        users: {},
+        emails: {},
+        identities: {},     // '제공자:제공자 사용자 ID' → userId
+        refreshTokens: {},
+        passwordResets: {},
+        oauthStates: {},
+        loginTickets: {},
+        emailVerifications: {} // 계정 잠금 해제 메일 토큰 (링크를 열면 이메일 소유도 확인)
+    };
+
+    switch (type) {
+        case 'file':
+            return new JsonFileStore('users.json', defaults);
+        case 'memory':
+            return new MemoryBackend(defaults);
+        default:
+            throw new Error(`지원하지 않는 인증 저장소입니다: ${type}`);
+    }
+}
+
+// JWT 서명 키 (운영 환경은 JWT_SECRET 필수, 개발 환경은 프로세스마다 임시 키)
+function resolveJwtSecret() {
+    if (process.env.JWT_SECRET) {
+        return process.env.JWT_SECRET;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('운영 환경에서는 JWT_SECRET 환경 변수가 필요합니다.');
+    }
+    console.warn('⚠️ JWT_SECRET 미설정: 임시 서명 키를 사용합니다 (서버 재시작 시 로그인이 해제됩니다).');
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// 로그인/메일 요청 제한 오류 (retryAfter는 초 단위, 응답의 Retry-After 헤더로 전달)
+function throttledError(reason, retryAfterMs) {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    let error;
+    if (reason === 'ACCOUNT_LOCKED') {
+        error = new AuthError(
+            `로그인 실패가 반복되어 계정이 잠겼습니다. 가입된 이메일로 보낸 링크로 잠금을 해제하거나 ${Math.ceil(retryAfter / 60)}분 후 다시 시도해주세요.`,
+            'ACCOUNT_LOCKED', 429);
+    } else if (reason === 'MAIL_ACCOUNT_LIMIT' || reason === 'MAIL_IP_LIMIT') {
+        error = new AuthError(`메일 요청이 너무 많습니다. ${Math.ceil(retryAfter / 60)}분 후 다시 시도해주세요.`, 'MAIL_REQUEST_THROTTLED', 429);
+    } else {
+        error = new AuthError(`로그인 시도가 너무 많습니다. ${retryAfter}초 후 다시 시도해주세요.`, 'LOGIN_THROTTLED', 429);
+    }
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+const base64url = input => Buffer.from(input).toString('base64url');
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+const normalizeEmail = email => String(email || '').trim().toLowerCase();
+
+// 비밀번호 해시: scrypt$N$r$p$salt$hash (salt/hash는 base64)
+async function hashPassword(password) {
+    const { N, r, p, keyLength } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, keyLength, { N, r, p });
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, encoded) {
+    const [scheme, N, r, p, salt, hash] = String(encoded || '').split('$');
+    if (scheme !== 'scrypt') {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: +N, r: +r, p: +p });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+class AuthService {
+    constructor(options = {}) {
+        this.store = options.store || createAuthBackend();
+        this.secret = options.secret || resolveJwtSecret();
+        this.mailer = options.mailer || createMailer();
+        this.throttle = options.throttle || new LoginThrottle();
+        this.appUrl = options.appUrl || process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+        this.dummyHash = null; // 없는 이메일도 같은 시간이 걸리도록 비교용 해시
+        this.adminEmails = new Set((options.adminEmails || process.env.ADMIN_EMAILS || '')
+            .split(',').map(normalizeEmail).filter(Boolean));
+    }
+
+    // 회원가입 (이메일 중복 불가, 비밀번호는 scrypt 해시로만 저장)
+    async register({ email, password, name, phone, agreeToTerms }) {
+        const normalizedEmail = normalizeEmail(email);
+
+        if (!EMAIL_PATTERN.test(normalizedEmail)) {
+            throw new AuthError('올바른 이메일 형식이 아닙니다.', 'INVALID_EMAIL');
+        }
+        if (!STRONG_PASSWORD_PATTERN.test(password || '')) {
+            throw new AuthError('비밀번호는 8자 이상, 영문 대소문자, 숫자, 특수문자를 포함해야 합니다.', 'WEAK_PASSWORD');
+        }
+        if (!name || !String(name).trim()) {
+            throw new AuthError('이름을 입력해주세요.', 'INVALID_REQUEST');
+        }
+        if (!agreeToTerms) {
+            throw new AuthError('이용약관에 동의해주세요.', 'TERMS_REQUIRED');
+        }
+
+        const passwordHash = await hashPassword(password);
+
+        const profile = await this.store.update((data) => {
+            if (data.emails[normalizedEmail]) {
+                throw new AuthError('이미 가입된 이메일입니다.', 'EMAIL_TAKEN', 409);
+            }
+
+            const now = new Date().toISOString();
+            const user = {
+                userId: crypto.randomUUID(),
+                email: normalizedEmail,
+                name: String(name).trim(),
+                phone: phone || null,
+                profileImage: '',
+                role: ROLES.USER,
+                passwordHash,
+                emailVerified: false,
+                createdAt: now,
+                updatedAt: now,
+                lastLoginAt: null
+            };
+
+            data.users[user.userId] = user;
+            data.emails[normalizedEmail] = user.userId;
+
+            console.log(`[Auth] 회원가입: ${user.userId}`);
+            return this.toProfile(user);
+        });
+
+        await this.requestEmailVerification(profile.id);
+        return profile;
+    }
+
+    // 로그인 (이메일 존재 여부와 관계없이 같은 오류 메시지, 시도 제한 초과 시 429 + retryAfter)
+    async login(email, password, meta = {}) {
+        const accountKey = normalizeEmail(email);
+        const ip = meta.ip || 'unknown';
+
+        const decision = await this.throttle.reserve(accountKey, ip);
+        if (!decision.allowed) {
+            throw throttledError(decision.reason, decision.retryAfterMs);
+        }
+
+        const data = await this.store.read();
+        const user = data.users[data.emails[accountKey]];
+
+        let verified;
+        if (!user || !user.passwordHash) {
+            this.dummyHash = this.dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+            await verifyPassword(String(password || ''), this.dummyHash);
+            verified = false;
+        } else {
+            verified = await verifyPassword(String(password || ''), user.passwordHash);
+        }
+
+        if (!verified) {
+            const failure = await this.throttle.recordFailure(accountKey, ip, { userAgent: meta.userAgent || null });
+            if (failure.locked) {
+                await this.sendUnlockMail(accountKey);
+                throw throttledError('ACCOUNT_LOCKED', failure.lockedUntil - Date.now());
+            }
+            throw new AuthError('이메일 또는 비밀번호가 올바르지 않습니다.', 'INVALID_CREDENTIALS', 401);
+        }
+
+        await this.throttle.recordSuccess(accountKey, ip, decision.attemptAt);
+
+        const loggedIn = await this.store.update((stored) => {
+            const current = stored.users[user.userId];
+            current.lastLoginAt = new Date().toISOString();
+            // ADMIN_EMAILS에 추가된 기존 사용자는 이메일 인증을 마친 경우 다음 로그인부터 관리자
+            current.role = this.resolveRole(current);
+            return current;
+        });
+
+        return this.issueSession(loggedIn, { familyId: null, ...meta });
+    }
+
+    // 액세스 토큰 + 새 리프레시 토큰 계열 발급
+    async issueSession(user, { familyId = null, userAgent = null, ip = null } = {}) {
+        const refreshToken = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+
+        await this.store.update((data) => {
+            data.refreshTokens[sha256(refreshToken)] = {
+                userId: user.userId,
+                familyId: familyId || crypto.randomUUID(),
+                createdAt: new Date(now).toISOString(),
+                expiresAt: new Date(now + REFRESH_TOKEN_TTL_MS).toISOString(),
+                replacedAt: null,
+                revokedAt: null,
+                userAgent,
+                ip
+            };
+            this.pruneExpired(data, now);
+        });
+
+        return {
+            accessToken: this.signAccessToken(user),
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+            user: this.toProfile(user)
+        };
+    }
+
+    // 리프레시 토큰 회전 (이미 사용/폐기된 토큰이 다시 오면 탈취로 보고 계열 전체 폐기)
+    async refresh(refreshToken, meta = {}) {
+        if (!refreshToken) {
+            throw new AuthError('리프레시 토큰이 필요합니다.', 'REFRESH_TOKEN_REQUIRED', 401);
+        }
+
+        const tokenHash = sha256(refreshToken);
+        const user = await this.store.update((data) => {
+            const record = data.refreshTokens[tokenHash];
+
+            if (!record || new Date(record.expiresAt).getTime() <= Date.now()) {
+                throw new AuthError('로그인이 만료되었습니다. 다시 로그인해주세요.', 'REFRESH_TOKEN_EXPIRED', 401);
+            }
+            if (record.revokedAt) {
+                throw new AuthError('로그아웃된 세션입니다. 다시 로그인해주세요.', 'REFRESH_TOKEN_REVOKED', 401);
+            }
+            if (record.replacedAt) {
+                this.revokeFamily(data, record.familyId);
+                console.warn(`[Auth] 리프레시 토큰 재사용 감지: ${record.userId} (계열 폐기)`);
+                throw new AuthError('보안을 위해 다시 로그인해주세요.', 'REFRESH_TOKEN_REUSED', 401);
+            }
+
+            const owner = data.users[record.userId];
+            if (!owner) {
+                throw new AuthError('사용자를 찾을 수 없습니다.', 'USER_NOT_FOUND', 401);
+            }
+
+            record.replacedAt = new Date().toISOString();
+            meta.familyId = record.familyId;
+            return owner;
+        });
+
+        return this.issueSession(user, meta);
+    }
+
+    // 로그아웃 (해당 리프레시 토큰 계열 폐기, allDevices면 사용자 전체)
+    async logout(refreshToken, { userId = null, allDevices = false } = {}) {
+        return this.store.update((data) => {
+            const record = refreshToken ? data.refreshTokens[sha256(refreshToken)] : null;
+            const ownerId = record ? record.userId : userId;
+
+            if (allDevices && ownerId) {
+                this.revokeUserTokens(data, ownerId);
+            } else if (record) {
+                this.revokeFamily(data, record.familyId);
+            }
+            return true;
+        });
+    }
+
+    async getProfile(userId) {
+        const data = await this.store.read();
+        const user = data.users[userId];
+
+        if (!user) {
+            throw new AuthError('사용자를 찾을 수 없습니다.', 'USER_NOT_FOUND', 404);
+        }
+        return this.toProfile(user);
+    }
+
+    // 프로필 수정 (이름, 연락처, 프로필 이미지만 변경 가능)
+    async updateProfile(userId, changes = {}) {
+        return this.store.update((data) => {
+            const user = data.users[userId];
+
+            if (!user) {
+                throw new AuthError('사용자를 찾을 수 없습니다.', 'USER_NOT_FOUND', 404);
+            }
+            if (changes.name !== undefined) {
+                if (!String(changes.name).trim()) {
+                    throw new AuthError('이름을 입력해주세요.', 'INVALID_REQUEST');
+                }
+                user.name = String(changes.name).trim();
+            }
+            if (changes.phone !== undefined) user.phone = changes.phone || null;
+            if (changes.profileImage !== undefined) user.profileImage = changes.profileImage || '';
+
+            user.updatedAt = new Date().toISOString();
+            return this.toProfile(user);
+        });
+    }
+
+    // 비밀번호 재설정 메일 요청 (가입 여부를 노출하지 않도록 항상 성공 응답, 이메일/IP별 요청 횟수 제한)
+    async requestPasswordReset(email, meta = {}) {
+        const normalizedEmail = normalizeEmail(email);
+        await this.reserveMailRequest('password_reset', normalizedEmail, meta);
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        const user = await this.store.update((data) => {
+            const owner = data.users[data.emails[normalizedEmail]];
+            if (!owner) return null;
+
+            data.passwordResets[sha256(token)] = {
+                userId: owner.userId,
+                expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS).toISOString(),
+                usedAt: null
+            };
+            return owner;
+        });
+
+        if (user) {
+            await this.sendMail(
+                user.email,
+                '[마이데이터] 비밀번호 재설정 안내',
+                `아래 링크에서 30분 안에 새 비밀번호를 설정해주세요.\n${this.appUrl}/login.html?resetToken=${token}`
+            );
+        }
+        return true;
+    }
+
+    // 비밀번호 재설정 (토큰 1회용, 성공 시 모든 기기 로그아웃)
+    async resetPassword(token, newPassword) {
+        if (!STRONG_PASSWORD_PATTERN.test(newPassword || '')) {
+            throw new AuthError('비밀번호는 8자 이상, 영문 대소문자, 숫자, 특수문자를 포함해야 합니다.', 'WEAK_PASSWORD');
+        }
+
+        const passwordHash = await hashPassword(newPassword);
+
+        return this.store.update((data) => {
+            const record = data.passwordResets[sha256(String(token || ''))];
+
+            if (!record || record.usedAt || new Date(record.expiresAt).getTime() <= Date.now()) {
+                throw new AuthError('재설정 링크가 만료되었거나 이미 사용되었습니다.', 'RESET_TOKEN_INVALID');
+            }
+
+            const user = data.users[record.userId];
+            user.passwordHash = passwordHash;
+            user.updatedAt = new Date().toISOString();
+            record.usedAt = user.updatedAt;
+            this.revokeUserTokens(data, user.userId);
+
+            console.log(`[Auth] 비밀번호 재설정: ${user.userId}`);
+            return true;
+        });
+    }
+
+    // 계정 잠금 해제 메일 다시 받기 (가입 여부를 노출하지 않도록 항상 성공, 이메일/IP별 요청 횟수 제한)
+    async requestAccountUnlock(email, meta = {}) {
+        const normalizedEmail = normalizeEmail(email);
+        await this.reserveMailRequest('unlock', normalizedEmail, meta);
+        return this.sendUnlockMail(normalizedEmail);
+    }
+
+    // 메일 요청 횟수 확인 (초과 시 429 + retryAfter)
+    async reserveMailRequest(purpose, accountKey, meta = {}) {
+        const decision = await this.throttle.reserveMailRequest(purpose, accountKey, meta.ip || 'unknown');
+        if (!decision.allowed) {
+            throw throttledError(decision.reason, decision.retryAfterMs);
+        }
+    }
+
+    // 계정 잠금 해제 메일 발송 (잠금 시 자동 발송)
+    async sendUnlockMail(email) {
+        const normalizedEmail = normalizeEmail(email);
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        const user = await this.store.update((data) => {
+            const owner = data.users[data.emails[normalizedEmail]];
+            if (!owner) return null;
+
+            data.emailVerifications[sha256(token)] = {
+                userId: owner.userId,
+                purpose: 'unlock',
+                expiresAt: new Date(Date.now() + UNLOCK_TOKEN_TTL_MS).toISOString()
+            };
+            return owner;
+        });
+
+        if (user) {
+            await this.sendMail(
+                user.email,
+                '[마이데이터] 로그인 잠금 해제 안내',
+                `로그인 실패가 반복되어 계정이 잠겼습니다. 본인이라면 30분 안에 아래 링크로 잠금을 해제해주세요.\n` +
+                `본인이 아니라면 비밀번호를 변경해주세요.\n${this.appUrl}/login.html?unlockToken=${token}`
+            );
+        }
+        return true;
+    }
+
+    // 메일 링크로 잠금 해제 (토큰 1회용, 이메일 인증 완료로도 처리)
+    async unlockAccount(token, meta = {}) {
+        const user = await this.consumeEmailToken(token, 'unlock',
+            new AuthError('잠금 해제 링크가 만료되었거나 이미 사용되었습니다.', 'UNLOCK_TOKEN_INVALID'));
+
+        await this.throttle.unlock(user.email, 'email_verification', { ip: meta.ip || null });
+        console.log(`[Auth] 이메일 인증으로 계정 잠금 해제: ${user.userId}`);
+        return this.toProfile(user);
+    }
+
+    // 가입 이메일 인증 메일 발송 (가입 직후 자동 발송, 이미 인증된 계정은 무시)
+    async requestEmailVerification(userId) {
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        const user = await this.store.update((data) => {
+            const owner = data.users[userId];
+            if (!owner || owner.emailVerified) return null;
+
+            data.emailVerifications[sha256(token)] = {
+                userId: owner.userId,
+                purpose: 'verify',
+                expiresAt: new Date(Date.now() + EMAIL_VERIFY_TOKEN_TTL_MS).toISOString()
+            };
+            return owner;
+        });
+
+        if (user) {
+            await this.sendMail(
+                user.email,
+                '[마이데이터] 이메일 인증 안내',
+                `아래 링크로 24시간 안에 이메일 인증을 완료해주세요.\n${this.appUrl}/login.html?verifyToken=${token}`
+            );
+        }
+        return Boolean(user);
+    }
+
+    // 메일 링크로 이메일 인증 (토큰 1회용)
+    async verifyEmail(token) {
+        const user = await this.consumeEmailToken(token, 'verify',
+            new AuthError('인증 링크가 만료되었거나 이미 사용되었습니다.', 'VERIFY_TOKEN_INVALID'));
+
+        console.log(`[Auth] 이메일 인증 완료: ${user.userId}`);
+        return this.toProfile(user);
+    }
+
+    // 안내 메일 발송 (발송 실패는 기록만 하고 요청은 계속 처리, 본문의 토큰은 로그에 남기지 않음)
+    async sendMail(to, subject, body) {
+        try {
+            await this.mailer.send(to, subject, body);
+        } catch (error) {
+            console.error(`[Auth] 메일 발송 실패 (${subject}):`, error.message);
+        }
+    }
+
+    // 이메일 토큰 1회 사용 → 소유자 이메일 인증 처리 (용도가 다른 토큰은 거부)
+    async consumeEmailToken(token, purpose, invalidError) {
+        return this.store.update((data) => {
+            const tokenHash = sha256(String(token || ''));
+            const record = data.emailVerifications[tokenHash];
+            if (!record || record.purpose !== purpose) throw invalidError;
+            delete data.emailVerifications[tokenHash];
+
+            if (new Date(record.expiresAt).getTime() <= Date.now() || !data.users[record.userId]) {
+                throw invalidError;
+            }
+
+            const owner = data.users[record.userId];
+            owner.emailVerified = true;
+            owner.role = this.resolveRole(owner);
+            owner.updatedAt = new Date().toISOString();
+            return owner;
+        });
+    }
+
+    // 소셜 로그인 시작: state와 PKCE code_verifier를 서버에 보관하고 제공자 인가 URL 반환
+    // state는 브라우저 쿠키에도 저장해 콜백이 같은 브라우저에서 왔는지 확인
+    async beginOAuth(provider, { redirectUri, returnTo = null }) {
+        const state = crypto.randomBytes(32).toString('base64url');
+        const codeVerifier = crypto.randomBytes(32).toString('base64url');
+        const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+        await this.store.update((data) => {
+            data.oauthStates[sha256(state)] = {
+                provider: provider.name,
+                codeVerifier,
+                redirectUri,
+                returnTo,
+                expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MS).toISOString()
+            };
+        });
+
+        return {
+            state,
+            authorizationUrl: provider.getAuthorizationUrl({ state, codeChallenge, redirectUri })
+        };
+    }
+
+    // 소셜 로그인 콜백: state 확인(1회용) → 인가 코드 교환 → 계정 조회/연결/생성 → 일회용 로그인 티켓 발급
+    async completeOAuth(provider, { code, state, browserState }) {
+        const stateHash = sha256(String(state || ''));
+        const record = await this.store.update((data) => {
+            const stored = data.oauthStates[stateHash];
+            delete data.oauthStates[stateHash];
+            return stored;
+        });
+
+        const sameBrowser = Boolean(state) && sha256(String(browserState || '')) === stateHash;
+        if (!record || !sameBrowser || record.provider !== provider.name ||
+            new Date(record.expiresAt).getTime() <= Date.now()) {
+            throw new AuthError('로그인 요청이 만료되었거나 올바르지 않습니다. 다시 시도해주세요.', 'OAUTH_STATE_INVALID');
+        }
+        if (!code) {
+            throw new AuthError('인가 코드가 없습니다.', 'OAUTH_CODE_REQUIRED');
+        }
+
+        const accessToken = await provider.exchangeCode({
+            code,
+            state,
+            codeVerifier: record.codeVerifier,
+            redirectUri: record.redirectUri
+        });
+        const profile = await provider.getProfile(accessToken);
+        const ticket = crypto.randomBytes(32).toString('base64url');
+
+        const user = await this.store.update((data) => {
+            const linked = this.linkOAuthIdentity(data, provider.name, profile);
+            data.loginTickets[sha256(ticket)] = {
+                userId: linked.userId,
+                expiresAt: new Date(Date.now() + LOGIN_TICKET_TTL_MS).toISOString()
+            };
+            return linked;
+        });
+
+        console.log(`[Auth] ${provider.name} 로그인: ${user.userId}`);
+        return { ticket, returnTo: record.returnTo };
+    }
+
+    // 로그인 티켓 → 세션 토큰 (토큰이 주소창/기록에 남지 않도록 리디렉션 대신 POST로 교환)
+    async redeemLoginTicket(ticket, meta = {}) {
+        const user = await this.store.update((data) => {
+            const ticketHash = sha256(String(ticket || ''));
+            const record = data.loginTickets[ticketHash];
+            delete data.loginTickets[ticketHash];
+
+            if (!record || new Date(record.expiresAt).getTime() <= Date.now() || !data.users[record.userId]) {
+                throw new AuthError('로그인 요청이 만료되었습니다. 다시 시도해주세요.', 'LOGIN_TICKET_INVALID', 401);
+            }
+            return data.users[record.userId];
+        });
+
+        return this.issueSession(user, meta);
+    }
+
+    // 제공자 계정 → 로컬 사용자 (연결된 계정 → 확인된 같은 이메일 계정에 연결 → 신규 가입 순)
+    linkOAuthIdentity(data, providerName, profile) {
+        const identityKey = `${providerName}:${profile.providerUserId}`;
+        const now = new Date().toISOString();
+        let user = data.users[data.identities[identityKey]];
+
+        if (!user) {
+            const email = normalizeEmail(profile.email);
+            if (!email) {
+                throw new AuthError('이메일 제공에 동의해야 소셜 로그인을 사용할 수 있습니다.', 'OAUTH_EMAIL_REQUIRED');
+            }
+
+            user = data.users[data.emails[email]];
+            if (user && !profile.emailVerified) {
+                throw new AuthError('이미 가입된 이메일입니다. 이메일과 비밀번호로 로그인해주세요.', 'OAUTH_EMAIL_CONFLICT', 409);
+            }
+
+            if (user) {
+                // 이메일 인증 전 계정은 비밀번호 소유자를 확인할 수 없으므로 비밀번호와 세션을 폐기하고 연결
+                if (!user.emailVerified) {
+                    user.passwordHash = null;
+                    user.emailVerified = true;
+                    this.revokeUserTokens(data, user.userId);
+                }
+            } else {
+                user = {
+                    userId: crypto.randomUUID(),
+                    email,
+                    name: profile.name,
+                    phone: null,
+                    profileImage: profile.profileImage || '',
+                    role: ROLES.USER,
+                    passwordHash: null,
+                    emailVerified: Boolean(profile.emailVerified),
+                    createdAt: now,
+                    updatedAt: now,
+                    lastLoginAt: null
+                };
+                data.users[user.userId] = user;
+                data.emails[email] = user.userId;
+                console.log(`[Auth] ${providerName} 계정으로 회원가입: ${user.userId}`);
+            }
+
+            data.identities[identityKey] = user.userId;
+            user.identities = [...(user.identities || []), {
+                provider: providerName,
+                providerUserId: profile.providerUserId,
+                linkedAt: now
+            }];
+        }
+
+        user.lastLoginAt = now;
+        user.role = this.resolveRole(user);
+        return user;
+    }
+
+    // 관리자 권한은 ADMIN_EMAILS에 있고 이메일 소유가 확인된 계정에만 부여
+    // (미인증 상태로 가입한 사람이 관리자 이메일을 선점해도 권한을 얻지 못함)
+    resolveRole(user) {
+        if (this.adminEmails.has(user.email)) {
+            return user.emailVerified ? ROLES.ADMIN : ROLES.USER;
+        }
+        return user.role === ROLES.ADMIN ? ROLES.USER : (user.role || ROLES.USER);
+    }
+
+    // HS256 JWT 서명
+    signAccessToken(user) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const payload = base64url(JSON.stringify({
+            iss: TOKEN_ISSUER,
+            sub: user.userId,
+            email: user.email,
+            role: this.resolveRole(user),
+            iat: now,
+            exp: now + ACCESS_TOKEN_TTL_SECONDS,
+            jti: crypto.randomUUID()
+        }));
+        const signature = crypto.createHmac('sha256', this.secret).update(`${header}.${payload}`).digest('base64url');
+        return `${header}.${payload}.${signature}`;
+    }
+
+    // JWT 검증 → payload (서명, 발급자, 만료 확인)
+    verifyAccessToken(token) {
+        const [header, payload, signature] = String(token || '').split('.');
+        if (!header || !payload || !signature) {
+            throw new AuthError('유효하지 않은 인증 토큰입니다.', 'INVALID_TOKEN', 401);
+        }
+
+        const expected = crypto.createHmac('sha256', this.secret).update(`${header}.${payload}`).digest();
+        const actual = Buffer.from(signature, 'base64url');
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            throw new AuthError('유효하지 않은 인증 토큰입니다.', 'INVALID_TOKEN', 401);
+        }
+
+        let claims;
+        try {
+            const parsedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (parsedHeader.alg !== 'HS256') throw new Error('alg');
+        } catch (error) {
+            throw new AuthError('유효하지 않은 인증 토큰입니다.', 'INVALID_TOKEN', 401);
+        }
+
+        if (claims.iss !== TOKEN_ISSUER) {
+            throw new AuthError('유효하지 않은 인증 토큰입니다.', 'INVALID_TOKEN', 401);
+        }
+        if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+            throw new AuthError('인증 토큰이 만료되었습니다.', 'TOKEN_EXPIRED', 401);
+        }
+        return claims;
+    }
+
+    revokeFamily(data, familyId) {
+        const now = new Date().toISOString();
+        Object.values(data.refreshTokens).forEach(record => {
+            if (record.familyId === familyId && !record.revokedAt) record.revokedAt = now;
+        });
+    }
+
+    revokeUserTokens(data, userId) {
+        const now = new Date().toISOString();
+        Object.values(data.refreshTokens).forEach(record => {
+            if (record.userId === userId && !record.revokedAt) record.revokedAt = now;
+        });
+    }
+
+    // 만료된 리프레시 토큰/재설정 토큰/OAuth state/로그인 티켓/잠금 해제 토큰 정리 (재사용 감지를 위해 만료 전까지는 보관)
+    pruneExpired(data, now = Date.now()) {
+        ['refreshTokens', 'passwordResets', 'oauthStates', 'loginTickets', 'emailVerifications'].forEach(collection => {
+            Object.entries(data[collection]).forEach(([hash, record]) => {
+                if (new Date(record.expiresAt).getTime() <= now) delete data[collection][hash];
+            });
+        });
+    }
+
+    toProfile(user) {
+        return {
+            id: user.userId,
+            email: user.email,
+            name: user.name,
+            phone: user.phone,
+            profileImage: user.profileImage,
+            role: this.resolveRole(user),
+            emailVerified: user.emailVerified,
+            providers: (user.identities || []).map(identity => identity.provider),
+            hasPassword: Boolean(user.passwordHash),
+            createdAt: user.createdAt
+        };
+    }
+}
+
+module.exports = { AuthService, AuthError, ROLES, createAuthBackend, hashPassword, verifyPassword };
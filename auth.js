@@ -1,5 +1,6 @@
 // 마이데이터 투자 제안 시스템 - 사용자 인증 및 보안 시스템
-// JWT 토큰 기반 인증, OAuth 연동, 개인정보 암호화
+// JWT 토큰 기반 인증 (서버 /api/auth/*), OAuth 연동, 개인정보 암호화
+// 토큰/개인정보 암호화 키는 client-crypto.js 키 관리자 사용 (IndexedDB 보관, 새로고침 후에도 복호화 가능)
 
 class AuthenticationManager {
     constructor() {
@@ -7,18 +8,19 @@ class AuthenticationManager {
         this.accessToken = null;
         this.refreshToken = null;
         this.tokenRefreshTimer = null;
+        this.tokenExpiresAt = null;
         
         // 보안 설정
         this.config = {
-            tokenExpiry: 3600000, // 1시간 (밀리초)
+            apiBaseUrl: '/api/auth',
+            tokenExpiry: 900000, // 15분 (서버 응답의 expiresIn이 우선)
             refreshThreshold: 300000, // 5분 전 갱신
-            maxLoginAttempts: 5,
-            lockoutDuration: 300000, // 5분 잠금
             sessionTimeout: 1800000, // 30분 비활성 타임아웃
         };
         
-        // 암호화 키 (실제 서비스에서는 서버에서 관리)
-        this.encryptionKey = this.generateEncryptionKey();
+        // 암호화 키 관리자 (database.js와 같은 키 공유, 키 교체 시 저장된 토큰도 재암호화)
+        this.keyManager = getClientKeyManagerModule()();
+        this.keyManager.registerReencryptor('authTokens', reencrypt => this.reencryptStoredTokens(reencrypt));
         
         this.initializeAuth();
     }
@@ -54,12 +56,7 @@ class AuthenticationManager {
     // 사용자 로그인
     async login(email, password, rememberMe = false) {
         try {
-            // 로그인 시도 제한 확인
-            if (this.isAccountLocked(email)) {
-                throw new Error('계정이 일시적으로 잠겨있습니다. 잠시 후 다시 시도해주세요.');
-            }
-
-            // 입력값 검증
+            // 입력값 검증 (로그인 시도 제한과 계정 잠금은 서버가 판단)
             this.validateLoginInput(email, password);
 
             // 로그인 요청
@@ -70,6 +67,7 @@ class AuthenticationManager {
                 this.accessToken = response.accessToken;
                 this.refreshToken = response.refreshToken;
                 this.currentUser = response.user;
+                this.setTokenExpiry(response.expiresIn);
                 
                 // 로컬 저장소에 토큰 저장 (Remember Me 옵션)
                 if (rememberMe) {
@@ -81,9 +79,6 @@ class AuthenticationManager {
                 // 로그인 성공 처리
                 this.onLoginSuccess();
                 
-                // 로그인 시도 초기화
-                this.clearLoginAttempts(email);
-                
                 return {
                     success: true,
                     user: this.currentUser,
@@ -91,9 +86,13 @@ class AuthenticationManager {
                 };
                 
             } else {
-                // 로그인 실패 처리
-                this.handleLoginFailure(email);
-                throw new Error(response.message || '로그인에 실패했습니다.');
+                // 시도 제한(429)이면 재시도 가능 시각까지 남은 초를 함께 전달
+                return {
+                    success: false,
+                    message: response.message || '로그인에 실패했습니다.',
+                    errorCode: response.errorCode,
+                    retryAfter: response.retryAfter || null
+                };
             }
             
         } catch (error) {
@@ -105,121 +104,46 @@ class AuthenticationManager {
         }
     }
 
-    // 소셜 로그인 (Google OAuth)
-    async loginWithGoogle() {
-        try {
-            // Google OAuth 설정 확인
-            if (!window.google || !window.google.accounts) {
-                throw new Error('Google OAuth 라이브러리가 로드되지 않았습니다.');
-            }
+    // 소셜 로그인 (서버가 state/PKCE를 관리하는 인가 코드 방식, 제공자 화면으로 이동)
+    loginWithGoogle(returnTo) {
+        return this.startOAuthLogin('google', returnTo);
+    }
 
-            return new Promise((resolve, reject) => {
-                window.google.accounts.oauth2.initTokenClient({
-                    client_id: process.env.GOOGLE_CLIENT_ID || 'demo_google_client_id',
-                    scope: 'email profile openid',
-                    callback: async (response) => {
-                        try {
-                            if (response.access_token) {
-                                // Google 사용자 정보 가져오기
-                                const userInfo = await this.getGoogleUserInfo(response.access_token);
-                                
-                                // 서버에 소셜 로그인 요청
-                                const loginResult = await this.processSocialLogin('google', userInfo, response.access_token);
-                                
-                                if (loginResult.success) {
-                                    this.accessToken = loginResult.accessToken;
-                                    this.refreshToken = loginResult.refreshToken;
-                                    this.currentUser = loginResult.user;
-                                    
-                                    await this.storeTokens(true);
-                                    this.onLoginSuccess();
-                                    
-                                    resolve({
-                                        success: true,
-                                        user: this.currentUser,
-                                        message: 'Google 로그인에 성공했습니다.'
-                                    });
-                                } else {
-                                    reject(new Error(loginResult.message));
-                                }
-                            } else {
-                                reject(new Error('Google OAuth 인증에 실패했습니다.'));
-                            }
-                        } catch (error) {
-                            reject(error);
-                        }
-                    }
-                }).requestAccessToken();
-            });
-            
-        } catch (error) {
-            console.error('[Auth] Google 로그인 실패:', error);
-            return {
-                success: false,
-                message: error.message
-            };
-        }
+    loginWithNaver(returnTo) {
+        return this.startOAuthLogin('naver', returnTo);
     }
 
-    // 네이버 로그인 (Naver OAuth)
-    async loginWithNaver() {
+    startOAuthLogin(provider, returnTo = null) {
+        const params = returnTo ? `?${new URLSearchParams({ returnTo })}` : '';
+        window.location.href = `${this.config.apiBaseUrl}/oauth/${provider}/start${params}`;
+        return { success: true, redirecting: true };
+    }
+
+    // 소셜 로그인 콜백이 전달한 일회용 티켓을 세션 토큰으로 교환 (login.html?oauthTicket=...)
+    async completeOAuthLogin(ticket) {
         try {
-            // 네이버 로그인 SDK 확인
-            if (!window.naver || !window.naver.LoginWithNaverId) {
-                throw new Error('네이버 로그인 SDK가 로드되지 않았습니다.');
+            const response = await this.apiRequest('POST', '/oauth/exchange', { ticket });
+            
+            if (!response.success) {
+                throw new Error(response.message || '소셜 로그인에 실패했습니다.');
             }
-
-            return new Promise((resolve, reject) => {
-                const naverLogin = new window.naver.LoginWithNaverId({
-                    clientId: process.env.NAVER_CLIENT_ID || 'demo_naver_client_id',
-                    callbackUrl: window.location.origin + '/auth/naver/callback',
-                    isPopup: true,
-                    callbackHandle: true
-                });
-
-                naverLogin.init();
-                
-                naverLogin.getLoginStatus(async (status) => {
-                    try {
-                        if (status) {
-                            const userInfo = {
-                                id: naverLogin.user.getId(),
-                                email: naverLogin.user.getEmail(),
-                                name: naverLogin.user.getName(),
-                                profileImage: naverLogin.user.getProfileImage()
-                            };
-                            
-                            const loginResult = await this.processSocialLogin('naver', userInfo, naverLogin.accessToken);
-                            
-                            if (loginResult.success) {
-                                this.accessToken = loginResult.accessToken;
-                                this.refreshToken = loginResult.refreshToken;
-                                this.currentUser = loginResult.user;
-                                
-                                await this.storeTokens(true);
-                                this.onLoginSuccess();
-                                
-                                resolve({
-                                    success: true,
-                                    user: this.currentUser,
-                                    message: '네이버 로그인에 성공했습니다.'
-                                });
-                            } else {
-                                reject(new Error(loginResult.message));
-                            }
-                        } else {
-                            reject(new Error('네이버 로그인에 실패했습니다.'));
-                        }
-                    } catch (error) {
-                        reject(error);
-                    }
-                });
-                
-                naverLogin.login();
-            });
+            
+            this.accessToken = response.accessToken;
+            this.refreshToken = response.refreshToken;
+            this.currentUser = response.user;
+            this.setTokenExpiry(response.expiresIn);
+            
+            await this.storeTokens(true);
+            this.onLoginSuccess();
+            
+            return {
+                success: true,
+                user: this.currentUser,
+                message: '소셜 로그인에 성공했습니다.'
+            };
             
         } catch (error) {
-            console.error('[Auth] 네이버 로그인 실패:', error);
+            console.error('[Auth] 소셜 로그인 실패:', error);
             return {
                 success: false,
                 message: error.message
@@ -233,22 +157,14 @@ class AuthenticationManager {
             // 입력값 검증
             this.validateRegistrationInput(userData);
             
-            // 비밀번호 해싱
-            const hashedPassword = await this.hashPassword(userData.password);
-            
-            // 개인정보 암호화
-            const encryptedData = await this.encryptUserData({
-                ...userData,
-                password: hashedPassword
-            });
-            
-            // 서버에 등록 요청
-            const response = await this.sendRegistrationRequest(encryptedData);
+            // 서버에 등록 요청 (HTTPS로 전송, 비밀번호 해시는 서버에서 scrypt로 생성)
+            const { confirmPassword, ...registration } = userData;
+            const response = await this.sendRegistrationRequest(registration);
             
             if (response.success) {
                 return {
                     success: true,
-                    message: '회원가입이 완료되었습니다. 이메일 인증을 진행해주세요.',
+                    message: '회원가입이 완료되었습니다. 로그인해주세요.',
                     userId: response.userId
                 };
             } else {
@@ -267,9 +183,9 @@ class AuthenticationManager {
     // 로그아웃
     async logout() {
         try {
-            // 서버에 로그아웃 요청
-            if (this.accessToken) {
-                await this.sendLogoutRequest(this.accessToken);
+            // 서버에 로그아웃 요청 (리프레시 토큰 폐기)
+            if (this.refreshToken) {
+                await this.sendLogoutRequest(this.refreshToken);
             }
             
             // 로컬 데이터 정리
@@ -304,8 +220,10 @@ class AuthenticationManager {
                 if (response.refreshToken) {
                     this.refreshToken = response.refreshToken;
                 }
+                this.setTokenExpiry(response.expiresIn);
                 
-                await this.storeTokens();
+                // 기존 저장 위치(로그인 유지 여부) 유지
+                await this.storeTokens(Boolean(localStorage.getItem('mydata_auth_tokens')));
                 this.startTokenRefreshTimer();
                 
                 console.log('[Auth] 토큰 갱신 완료');
@@ -345,21 +263,6 @@ class AuthenticationManager {
         }
     }
 
-    // 비밀번호 해싱
-    async hashPassword(password) {
-        try {
-            // Web Crypto API 사용
-            const encoder = new TextEncoder();
-            const data = encoder.encode(password + 'mydata_salt_2024');
-            const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-            const hashArray = Array.from(new Uint8Array(hashBuffer));
-            return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-        } catch (error) {
-            console.error('[Auth] 비밀번호 해싱 실패:', error);
-            throw new Error('비밀번호 처리 중 오류가 발생했습니다.');
-        }
-    }
-
     // 사용자 데이터 암호화
     async encryptUserData(userData) {
         try {
@@ -381,26 +284,10 @@ class AuthenticationManager {
         }
     }
 
-    // 데이터 암호화
+    // 데이터 암호화 (enc:v1:<키 ID>:... 형식 문자열)
     async encryptData(data) {
         try {
-            const encoder = new TextEncoder();
-            const dataBytes = encoder.encode(data);
-            
-            // AES-GCM 암호화
-            const iv = crypto.getRandomValues(new Uint8Array(12));
-            const encryptedData = await crypto.subtle.encrypt(
-                { name: 'AES-GCM', iv: iv },
-                this.encryptionKey,
-                dataBytes
-            );
-            
-            // IV + 암호화된 데이터를 Base64로 인코딩
-            const combined = new Uint8Array(iv.length + encryptedData.byteLength);
-            combined.set(iv);
-            combined.set(new Uint8Array(encryptedData), iv.length);
-            
-            return btoa(String.fromCharCode(...combined));
+            return await this.keyManager.encrypt(data);
             
         } catch (error) {
             console.error('[Auth] 암호화 실패:', error);
@@ -411,18 +298,7 @@ class AuthenticationManager {
     // 데이터 복호화
     async decryptData(encryptedData) {
         try {
-            const combined = new Uint8Array(atob(encryptedData).split('').map(c => c.charCodeAt(0)));
-            const iv = combined.slice(0, 12);
-            const data = combined.slice(12);
-            
-            const decryptedData = await crypto.subtle.decrypt(
-                { name: 'AES-GCM', iv: iv },
-                this.encryptionKey,
-                data
-            );
-            
-            const decoder = new TextDecoder();
-            return decoder.decode(decryptedData);
+            return await this.keyManager.decrypt(encryptedData);
             
         } catch (error) {
             console.error('[Auth] 복호화 실패:', error);
@@ -430,14 +306,26 @@ class AuthenticationManager {
         }
     }
 
-    // 암호화 키 생성
-    generateEncryptionKey() {
-        // 실제 서비스에서는 서버에서 키를 관리
-        return crypto.subtle.generateKey(
-            { name: 'AES-GCM', length: 256 },
-            false,
-            ['encrypt', 'decrypt']
-        );
+    // 암호화 키 잠금 해제 (패스프레이즈 보호 시, 해제 후 저장된 로그인 상태 복원)
+    async unlockEncryption(passphrase) {
+        try {
+            await this.keyManager.unlock(passphrase);
+            await this.initializeAuth();
+            return { success: true, message: '암호화 키 잠금이 해제되었습니다.' };
+            
+        } catch (error) {
+            return { success: false, message: error.message, errorCode: error.code };
+        }
+    }
+
+    // 저장된 토큰을 새 키로 재암호화 (키 관리자가 키 교체 시 호출)
+    async reencryptStoredTokens(reencrypt) {
+        for (const storage of [localStorage, sessionStorage]) {
+            const encryptedTokens = storage.getItem('mydata_auth_tokens');
+            if (encryptedTokens) {
+                storage.setItem('mydata_auth_tokens', await reencrypt(encryptedTokens));
+            }
+        }
     }
 
     // 토큰 저장
@@ -464,6 +352,8 @@ class AuthenticationManager {
                                   sessionStorage.getItem('mydata_auth_tokens');
             
             if (encryptedTokens) {
+                // 패스프레이즈 보호 중 잠겨 있으면 복호화가 잠금 해제 화면을 띄우고 해제될 때까지 대기
+                // (취소하면 KEY_LOCKED로 실패, 토큰은 그대로 두고 unlockEncryption 후 다시 로드)
                 const decryptedData = await this.decryptData(encryptedTokens);
                 const tokens = JSON.parse(decryptedData);
                 
@@ -488,10 +378,10 @@ class AuthenticationManager {
         this.currentUser = null;
         this.accessToken = null;
         this.refreshToken = null;
+        this.tokenExpiresAt = null;
         
         localStorage.removeItem('mydata_auth_tokens');
         sessionStorage.removeItem('mydata_auth_tokens');
-        localStorage.removeItem('mydata_login_attempts');
     }
 
     // 타이머 정리
@@ -506,14 +396,31 @@ class AuthenticationManager {
     startTokenRefreshTimer() {
         this.clearTimers();
         
-        // 토큰 만료 5분 전에 갱신
-        const refreshTime = this.config.tokenExpiry - this.config.refreshThreshold;
+        // 액세스 토큰 만료 전에 갱신 (유효 시간이 짧으면 남은 시간의 80% 시점)
+        const remaining = (this.tokenExpiresAt || this.getTokenExpiry(this.accessToken) || Date.now()) - Date.now();
+        const refreshTime = Math.max(0, Math.min(remaining - this.config.refreshThreshold, remaining * 0.8));
         
         this.tokenRefreshTimer = setTimeout(() => {
             this.refreshAccessToken();
         }, refreshTime);
     }
 
+    // 서버 응답의 expiresIn(초)으로 만료 시각 기록
+    setTokenExpiry(expiresIn) {
+        this.tokenExpiresAt = Date.now() + (expiresIn ? expiresIn * 1000 : this.config.tokenExpiry);
+    }
+
+    // JWT payload의 exp(초) → 만료 시각(밀리초), 해석할 수 없으면 null
+    getTokenExpiry(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const { exp } = JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+            return exp ? exp * 1000 : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     // 세션 타임아웃 모니터링
     startSessionTimeout() {
         let lastActivity = Date.now();
@@ -562,6 +469,28 @@ class AuthenticationManager {
         return this.accessToken;
     }
 
+    // 보호된 API 호출 (Bearer 토큰 첨부, 만료 응답이면 한 번 갱신 후 재시도)
+    async authorizedFetch(url, options = {}) {
+        const send = () => fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                ...(this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {})
+            }
+        });
+
+        const response = await send();
+        if (response.status !== 401 || !this.refreshToken) {
+            return response;
+        }
+
+        const { errorCode } = await response.clone().json().catch(() => ({}));
+        if (errorCode === 'TOKEN_EXPIRED' && await this.refreshAccessToken()) {
+            return send();
+        }
+        return response;
+    }
+
     // 입력값 검증
     validateLoginInput(email, password) {
         if (!email || !password) {
@@ -611,119 +540,125 @@ class AuthenticationManager {
         return strongRegex.test(password);
     }
 
-    // 로그인 시도 관리
-    handleLoginFailure(email) {
-        const attempts = this.getLoginAttempts(email);
-        const newAttempts = attempts + 1;
-        
-        localStorage.setItem(`login_attempts_${email}`, JSON.stringify({
-            count: newAttempts,
-            timestamp: Date.now()
-        }));
-        
-        if (newAttempts >= this.config.maxLoginAttempts) {
-            localStorage.setItem(`account_locked_${email}`, Date.now().toString());
+    // 비밀번호 재설정 메일 요청
+    async requestPasswordReset(email) {
+        try {
+            if (!this.isValidEmail(email || '')) {
+                throw new Error('올바른 이메일 형식이 아닙니다.');
+            }
+            return await this.apiRequest('POST', '/password-reset/request', { email });
+            
+        } catch (error) {
+            console.error('[Auth] 비밀번호 재설정 요청 실패:', error);
+            return { success: false, message: error.message };
         }
     }
 
-    getLoginAttempts(email) {
+    // 메일로 받은 토큰으로 새 비밀번호 설정
+    async resetPassword(token, password) {
         try {
-            const data = localStorage.getItem(`login_attempts_${email}`);
-            if (data) {
-                const attempts = JSON.parse(data);
-                // 1시간 후 초기화
-                if (Date.now() - attempts.timestamp > 3600000) {
-                    this.clearLoginAttempts(email);
-                    return 0;
-                }
-                return attempts.count;
+            if (!this.isStrongPassword(password || '')) {
+                throw new Error('비밀번호는 8자 이상, 영문, 숫자, 특수문자를 포함해야 합니다.');
             }
+            return await this.apiRequest('POST', '/password-reset/confirm', { token, password });
+            
         } catch (error) {
-            console.error('[Auth] 로그인 시도 확인 오류:', error);
+            console.error('[Auth] 비밀번호 재설정 실패:', error);
+            return { success: false, message: error.message };
         }
-        return 0;
     }
 
-    isAccountLocked(email) {
+    // 로그인 잠금 해제 메일 재요청
+    async requestAccountUnlock(email) {
         try {
-            const lockTime = localStorage.getItem(`account_locked_${email}`);
-            if (lockTime) {
-                const timeSinceLock = Date.now() - parseInt(lockTime);
-                if (timeSinceLock < this.config.lockoutDuration) {
-                    return true;
-                } else {
-                    localStorage.removeItem(`account_locked_${email}`);
-                }
+            if (!this.isValidEmail(email || '')) {
+                throw new Error('올바른 이메일 형식이 아닙니다.');
             }
+            return await this.apiRequest('POST', '/unlock/request', { email });
+            
         } catch (error) {
-            console.error('[Auth] 계정 잠금 확인 오류:', error);
+            console.error('[Auth] 잠금 해제 요청 실패:', error);
+            return { success: false, message: error.message };
         }
-        return false;
     }
 
-    clearLoginAttempts(email) {
-        localStorage.removeItem(`login_attempts_${email}`);
-        localStorage.removeItem(`account_locked_${email}`);
+    // 메일로 받은 토큰으로 계정 잠금 해제
+    async unlockAccount(token) {
+        return this.apiRequest('POST', '/unlock', { token });
     }
 
-    // API 요청 메서드들 (실제 구현에서는 서버 엔드포인트 연결)
-    async sendLoginRequest(email, password) {
-        // 실제 구현에서는 서버 API 호출
-        await this.delay(1000); // 시뮬레이션
-        
-        // 데모용 응답
-        return {
-            success: true,
-            accessToken: 'demo_access_token_' + Date.now(),
-            refreshToken: 'demo_refresh_token_' + Date.now(),
-            user: {
-                id: 'user123',
-                email: email,
-                name: '테스트 사용자',
-                profileImage: '',
-                role: 'user'
+    // 메일로 받은 토큰으로 가입 이메일 인증
+    async verifyEmail(token) {
+        return this.apiRequest('POST', '/verify-email', { token });
+    }
+
+    // 서버 인증 API 호출 (오류 응답도 { success: false, message, errorCode, retryAfter } 형태로 반환)
+    async apiRequest(method, path, body = null, token = null) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        try {
+            const response = await fetch(`${this.config.apiBaseUrl}${path}`, {
+                method,
+                headers,
+                credentials: 'same-origin',
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                return {
+                    success: false,
+                    status: response.status,
+                    errorCode: data.errorCode,
+                    retryAfter: data.retryAfter || parseInt(response.headers.get('Retry-After')) || null,
+                    message: data.message || `요청에 실패했습니다. (${response.status})`
+                };
             }
-        };
+            return data;
+
+        } catch (error) {
+            return { success: false, message: '서버에 연결할 수 없습니다. 네트워크 상태를 확인해주세요.' };
+        }
+    }
+
+    async sendLoginRequest(email, password) {
+        return this.apiRequest('POST', '/login', { email, password });
     }
 
     async sendRegistrationRequest(userData) {
-        await this.delay(1000);
-        return {
-            success: true,
-            userId: 'user' + Date.now(),
-            message: '회원가입이 완료되었습니다.'
-        };
+        return this.apiRequest('POST', '/register', userData);
     }
 
-    async sendLogoutRequest(token) {
-        await this.delay(500);
-        return { success: true };
+    async sendLogoutRequest(refreshToken) {
+        return this.apiRequest('POST', '/logout', { refreshToken });
     }
 
     async sendTokenRefreshRequest(refreshToken) {
-        await this.delay(500);
-        return {
-            success: true,
-            accessToken: 'new_access_token_' + Date.now()
-        };
+        return this.apiRequest('POST', '/refresh', { refreshToken });
     }
 
     async sendProfileRequest(token) {
-        await this.delay(500);
-        return {
-            success: true,
-            user: this.currentUser
-        };
+        return this.apiRequest('GET', '/profile', null, token);
     }
 
+    // 액세스 토큰 만료 여부 확인 (서명 검증은 서버에서 수행)
     async validateToken(token) {
-        await this.delay(300);
-        return token && token.startsWith('demo_access_token');
+        const expiresAt = token ? this.getTokenExpiry(token) : null;
+        if (!expiresAt || expiresAt <= Date.now()) {
+            return false;
+        }
+        this.tokenExpiresAt = expiresAt;
+        return true;
     }
+}
 
-    async delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
+// 암호화 키 관리 모듈 (브라우저는 client-crypto.js 전역, Node 환경은 require)
+function getClientKeyManagerModule() {
+    if (typeof getClientKeyManager !== 'undefined') return getClientKeyManager;
+    return require('./client-crypto').getClientKeyManager;
 }
 
 // 전역 인증 관리자 인스턴스
@@ -737,10 +672,16 @@ function initializeAuth() {
     return authManager;
 }
 
+// 보호된 API 호출 (로그인하지 않았으면 토큰 없이 요청 → 서버가 401 LOGIN_REQUIRED 응답)
+function authFetch(url, options) {
+    return initializeAuth().authorizedFetch(url, options);
+}
+
 // 전역 접근을 위한 내보내기
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { AuthenticationManager, initializeAuth };
+    module.exports = { AuthenticationManager, initializeAuth, authFetch };
 } else {
     window.AuthenticationManager = AuthenticationManager;
     window.initializeAuth = initializeAuth;
+    window.authFetch = authFetch;
 }
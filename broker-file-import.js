@@ -0,0 +1,554 @@
+// 마이데이터 투자 제안 시스템 - 증권사 잔고/거래내역 파일(CSV, XLSX) 가져오기
+// 증권사별 열 구성(프로필)으로 행을 매핑하고, 종목 검색으로 종목명 → 종목코드를 확인한 뒤 포트폴리오로 변환
+
+// SheetJS 0.20.3 (npm @e965/xlsx의 dist/xlsx.full.min.js, 한글 코드페이지 포함) - 외부 CDN 없이 같은 서버에서 로드
+const XLSX_LIBRARY_URL = 'vendor/sheetjs/xlsx.full.min.js';
+const HEADER_SCAN_ROWS = 15; // 머리글 앞에 계좌 정보 등 안내 행이 있는 파일 대비
+
+// 증권사별 내보내기 파일 열 구성
+// kind: 'holdings'(잔고) | 'trades'(거래내역), columns: 필드 → 후보 열 이름, required: 프로필 판별에 필요한 필드
+// 사용자 정의 프로필은 같은 형식으로 BrokerFileImporter 생성자에 전달
+const BROKER_IMPORT_PROFILES = [
+    {
+        id: 'kiwoom-holdings',
+        broker: '키움증권',
+        kind: 'holdings',
+        required: ['name', 'shares', 'avgPrice'],
+        columns: {
+            code: ['종목번호', '종목코드'],
+            name: ['종목명'],
+            shares: ['보유수량'],
+            avgPrice: ['매입가', '평균단가'],
+            purchaseAmount: ['매입금액'],
+            currentPrice: ['현재가']
+        }
+    },
+    {
+        id: 'kiwoom-trades',
+        broker: '키움증권',
+        kind: 'trades',
+        required: ['date', 'type', 'name', 'shares', 'price'],
+        columns: {
+            date: ['주문일자', '매매일자', '체결일자'],
+            type: ['매매구분', '주문구분'],
+            code: ['종목번호', '종목코드'],
+            name: ['종목명'],
+            shares: ['체결수량'],
+            price: ['체결단가', '체결평균가'],
+            fee: ['수수료'],
+            tax: ['제세금', '세금']
+        }
+    },
+    {
+        id: 'mirae-holdings',
+        broker: '미래에셋증권',
+        kind: 'holdings',
+        required: ['name', 'shares', 'avgPrice'],
+        columns: {
+            code: ['종목코드'],
+            name: ['종목명'],
+            shares: ['잔고수량', '보유수량'],
+            avgPrice: ['매입평균가', '매입단가'],
+            purchaseAmount: ['매입금액'],
+            currentPrice: ['현재가']
+        }
+    },
+    {
+        id: 'mirae-trades',
+        broker: '미래에셋증권',
+        kind: 'trades',
+        required: ['date', 'type', 'name', 'amount'],
+        columns: {
+            date: ['거래일자', '거래일'],
+            type: ['거래종류', '적요명'],
+            code: ['종목코드'],
+            name: ['종목명'],
+            shares: ['거래수량'],
+            price: ['거래단가'],
+            amount: ['거래금액', '정산금액'],
+            fee: ['수수료'],
+            tax: ['제세금', '세금']
+        }
+    },
+    {
+        id: 'samsung-holdings',
+        broker: '삼성증권',
+        kind: 'holdings',
+        required: ['code', 'name', 'shares', 'avgPrice'],
+        columns: {
+            code: ['종목코드'],
+            name: ['종목명'],
+            shares: ['보유수량', '잔고수량'],
+            avgPrice: ['평균매입가', '매입단가'],
+            purchaseAmount: ['매입금액'],
+            currentPrice: ['현재가']
+        }
+    },
+    {
+        id: 'samsung-trades',
+        broker: '삼성증권',
+        kind: 'trades',
+        required: ['date', 'type', 'name', 'shares', 'price'],
+        columns: {
+            date: ['거래일', '거래일자'],
+            type: ['거래구분'],
+            code: ['종목코드'],
+            name: ['종목명'],
+            shares: ['수량', '거래수량'],
+            price: ['단가', '거래단가'],
+            amount: ['정산금액', '거래금액'],
+            fee: ['수수료'],
+            tax: ['세금', '제세금']
+        }
+    },
+    {
+        id: 'kis-holdings',
+        broker: '한국투자증권',
+        kind: 'holdings',
+        required: ['name', 'shares', 'avgPrice'],
+        columns: {
+            code: ['상품번호', '종목코드'],
+            name: ['상품명', '종목명'],
+            shares: ['보유수량'],
+            avgPrice: ['매입평균가격', '매입평균가'],
+            purchaseAmount: ['매입금액'],
+            currentPrice: ['현재가']
+        }
+    },
+    {
+        id: 'kis-trades',
+        broker: '한국투자증권',
+        kind: 'trades',
+        required: ['date', 'type', 'name', 'shares', 'price'],
+        columns: {
+            date: ['주문일자', '체결일자'],
+            type: ['매도매수구분명', '매매구분'],
+            code: ['상품번호', '종목코드'],
+            name: ['상품명', '종목명'],
+            shares: ['체결수량', '총체결수량'],
+            price: ['체결단가', '평균가'],
+            fee: ['수수료'],
+            tax: ['제세금']
+        }
+    }
+];
+
+// 거래 구분 문구 → 원장 거래 유형 (위에서부터 먼저 일치하는 항목 사용)
+const TRADE_TYPE_PATTERNS = [
+    [/배당/, 'dividend'],
+    [/출금|출고/, 'withdrawal'],
+    [/입금|입고/, 'deposit'],
+    [/매도/, 'sell'],
+    [/매수/, 'buy']
+];
+
+// 가져오기 오류 (HTTP 상태 코드 포함)
+class BrokerImportError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'BrokerImportError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// 열 이름 비교용 (공백, 괄호 안 단위 제거: '매입가(원)' → '매입가')
+function normalizeHeader(value) {
+    return String(value ?? '').replace(/\(.*?\)|\[.*?\]/g, '').replace(/\s/g, '');
+}
+
+// '1,234', '1,234원', '(1,234)' → 숫자 (값이 없으면 null)
+function parseNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    const number = parseFloat(text.replace(/[^\d.]/g, ''));
+    if (!Number.isFinite(number)) return null;
+    return negative ? -number : number;
+}
+
+// '2024.01.02', '2024/01/02', '20240102', 엑셀 날짜 일련번호 → 'YYYY-MM-DD'
+function parseDate(value) {
+    if (typeof value === 'number' && value > 20000 && value < 80000) {
+        return new Date(Date.UTC(1899, 11, 30) + value * 86400000).toISOString().slice(0, 10);
+    }
+    const digits = String(value ?? '').replace(/\D/g, '');
+    if (digits.length < 8) return null;
+    const date = `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+    return isNaN(new Date(date)) ? null : date;
+}
+
+// 'A005930', '5930' → '005930', '0126Z0' 그대로 (종목코드 형식이 아니면 null)
+function normalizeCode(value) {
+    const code = String(value ?? '').trim().toUpperCase().replace(/^[A-Z](?=\d)/, '');
+    if (/^\d{1,6}$/.test(code)) return code.padStart(6, '0');
+    return /^(?=[0-9A-Z]*\d)[0-9A-Z]{6}$/.test(code) ? code : null;
+}
+
+function parseTradeType(value) {
+    const text = String(value ?? '');
+    const match = TRADE_TYPE_PATTERNS.find(([pattern]) => pattern.test(text));
+    return match ? match[1] : null;
+}
+
+// 따옴표로 감싼 값("1,234")과 값 안의 줄바꿈을 지원하는 CSV 파서 (탭 구분 파일도 처리)
+function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? '\t' : ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => String(cell).trim() !== ''));
+}
+
+// 증권사 CSV는 대부분 CP949(EUC-KR). UTF-8로 읽을 수 없으면 EUC-KR로 다시 디코딩
+function decodeText(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        return new TextDecoder('euc-kr').decode(buffer);
+    }
+}
+
+// 머리글 행에서 필드별 열 위치 찾기
+function matchColumns(headerRow, profile) {
+    const headers = headerRow.map(normalizeHeader);
+    const columns = {};
+
+    Object.entries(profile.columns).forEach(([field, candidates]) => {
+        const index = candidates
+            .map(candidate => headers.indexOf(normalizeHeader(candidate)))
+            .find(position => position >= 0);
+        if (index !== undefined) columns[field] = index;
+    });
+
+    return columns;
+}
+
+// 파일 앞부분에서 프로필의 필수 열이 모두 있는 머리글 행 찾기 (일치하는 열이 많은 프로필 우선)
+function detectProfile(rows, profiles) {
+    let best = null;
+
+    rows.slice(0, HEADER_SCAN_ROWS).forEach((row, headerIndex) => {
+        profiles.forEach(profile => {
+            const columns = matchColumns(row, profile);
+            if (!profile.required.every(field => columns[field] !== undefined)) return;
+
+            const score = Object.keys(columns).length;
+            if (!best || score > best.score) {
+                best = { profile, headerIndex, columns, score };
+            }
+        });
+    });
+
+    return best;
+}
+
+// 데이터 행 → 가져오기 레코드 (status: 'ok' | 'invalid', 합계/빈 행은 제외)
+function mapRow(cells, columns, profile, rowNumber) {
+    const value = field => columns[field] !== undefined ? cells[columns[field]] : undefined;
+    const name = String(value('name') ?? '').trim();
+    const record = {
+        row: rowNumber,
+        name,
+        code: normalizeCode(value('code')),
+        status: 'ok',
+        reason: null
+    };
+
+    // 합계 행 제외 (증권사마다 합계 문구가 들어가는 열이 다름)
+    if (cells.some(cell => /^(합계|총계|소계)$/.test(String(cell).replace(/\s/g, '')))) {
+        return null;
+    }
+
+    if (profile.kind === 'holdings') {
+        Object.assign(record, {
+            shares: parseNumber(value('shares')),
+            avgPrice: parseNumber(value('avgPrice')),
+            purchaseAmount: parseNumber(value('purchaseAmount')),
+            currentPrice: parseNumber(value('currentPrice'))
+        });
+
+        if (!name) {
+            record.status = 'invalid';
+            record.reason = '종목명이 없습니다';
+        } else if (!(record.shares > 0)) {
+            record.status = 'invalid';
+            record.reason = '보유수량이 0이거나 숫자가 아닙니다';
+        }
+        return record;
+    }
+
+    const rawType = String(value('type') ?? '').trim();
+    const shares = parseNumber(value('shares'));
+    const price = parseNumber(value('price'));
+    const amount = parseNumber(value('amount'));
+
+    Object.assign(record, {
+        date: parseDate(value('date')),
+        type: parseTradeType(rawType),
+        rawType,
+        shares: shares !== null ? Math.abs(shares) : null,
+        price: price !== null ? Math.abs(price) : null,
+        amount: amount !== null ? Math.abs(amount) : null,
+        fee: Math.abs(parseNumber(value('fee')) || 0),
+        tax: Math.abs(parseNumber(value('tax')) || 0)
+    });
+
+    // 단가가 없는 거래내역(미래에셋 등)은 거래금액 / 수량으로 계산
+    if (record.price === null && record.amount !== null && record.shares > 0) {
+        record.price = Math.round(record.amount / record.shares);
+    }
+
+    if (!record.date) {
+        record.status = 'invalid';
+        record.reason = '거래일을 읽을 수 없습니다';
+    } else if (!record.type) {
+        record.status = 'invalid';
+        record.reason = `지원하지 않는 거래 구분입니다: ${rawType || '(없음)'}`;
+    } else if (['buy', 'sell'].includes(record.type) && !(record.shares > 0 && record.price > 0)) {
+        record.status = 'invalid';
+        record.reason = '체결수량/단가가 없습니다';
+    } else if (!['buy', 'sell'].includes(record.type) && !(record.amount > 0)) {
+        record.status = 'invalid';
+        record.reason = '금액이 없습니다';
+    } else if (!name && !['deposit', 'withdrawal'].includes(record.type)) {
+        record.status = 'invalid';
+        record.reason = '종목명이 없습니다';
+    }
+
+    return record;
+}
+
+class BrokerFileImporter {
+    // searchStock: 종목명 → 검색 결과 배열 [{ code, name }] (브라우저는 /api/naver-search 사용)
+    constructor({ profiles = BROKER_IMPORT_PROFILES, searchStock = null } = {}) {
+        this.profiles = profiles;
+        this.searchStock = searchStock;
+    }
+
+    // 파일(File 또는 { name, arrayBuffer() }) → 셀 배열
+    async readRows(file) {
+        const buffer = await file.arrayBuffer();
+
+        if (/\.xlsx?$/i.test(file.name)) {
+            const XLSX = await loadXlsxLibrary();
+            const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' })
+                .filter(cells => cells.some(cell => String(cell).trim() !== ''));
+        }
+
+        return parseCsv(decodeText(buffer));
+    }
+
+    // 프로필 판별(또는 지정) 후 행 매핑
+    parseRows(rows, { profileId = null } = {}) {
+        const profiles = profileId
+            ? this.profiles.filter(profile => profile.id === profileId)
+            : this.profiles;
+        const detected = detectProfile(rows, profiles);
+
+        if (!detected) {
+            throw new BrokerImportError(
+                profileId
+                    ? `선택한 형식(${profileId})의 필수 열을 찾을 수 없습니다.`
+                    : '지원하는 증권사 파일 형식을 찾을 수 없습니다. 형식을 직접 선택해주세요.',
+                'UNKNOWN_FILE_FORMAT'
+            );
+        }
+
+        const { profile, headerIndex, columns } = detected;
+        const records = rows.slice(headerIndex + 1)
+            .map((cells, index) => mapRow(cells, columns, profile, headerIndex + index + 2))
+            .filter(Boolean);
+
+        return { profile, records };
+    }
+
+    async parseFile(file, options) {
+        return this.parseRows(await this.readRows(file), options);
+    }
+
+    // 종목코드가 없는 행은 종목 검색으로 정확히 같은 이름의 종목을 찾음 (없으면 'unmatched' + 후보)
+    async resolveCodes(records) {
+        const cache = new Map();
+
+        for (const record of records) {
+            if (record.status !== 'ok' || record.code || !record.name) continue;
+
+            if (!cache.has(record.name)) {
+                let results = [];
+                try {
+                    results = this.searchStock ? await this.searchStock(record.name) : [];
+                } catch (error) {
+                    console.warn(`종목 검색 실패 (${record.name}):`, error.message);
+                }
+                cache.set(record.name, results);
+            }
+
+            const results = cache.get(record.name);
+            const exact = results.find(result => normalizeHeader(result.name) === normalizeHeader(record.name));
+
+            if (exact) {
+                record.code = exact.code;
+            } else {
+                record.status = 'unmatched';
+                record.reason = '종목코드를 찾을 수 없습니다';
+                record.suggestions = results.slice(0, 3);
+            }
+        }
+
+        return records;
+    }
+
+    // 확인된 행(status 'ok')으로 savePortfolio 입력 생성. 거래내역은 원장으로 재생해 보유 종목 계산
+    buildPortfolio(records, profile) {
+        const rows = records.filter(record => record.status === 'ok');
+        const stocks = {};
+        let ledger = null;
+        let cash = 0;
+
+        if (profile.kind === 'holdings') {
+            rows.forEach(record => {
+                const current = stocks[record.name];
+                const shares = (current ? current.shares : 0) + record.shares;
+                const purchaseAmount = (current ? current.purchaseAmount : 0) +
+                    (record.purchaseAmount ?? record.shares * (record.avgPrice || 0));
+
+                stocks[record.name] = {
+                    code: record.code,
+                    shares,
+                    avgPrice: shares > 0 ? purchaseAmount / shares : 0,
+                    purchaseAmount,
+                    currentPrice: record.currentPrice || 0,
+                    value: record.currentPrice ? shares * record.currentPrice : purchaseAmount
+                };
+            });
+        } else {
+            const Ledger = typeof PortfolioLedger !== 'undefined'
+                ? PortfolioLedger
+                : require('./portfolio-ledger').PortfolioLedger;
+            ledger = new Ledger();
+
+            [...rows]
+                .sort((a, b) => a.date.localeCompare(b.date) || a.row - b.row)
+                .forEach(record => {
+                    try {
+                        ledger.add({
+                            type: record.type,
+                            name: record.name,
+                            code: record.code,
+                            date: record.date,
+                            shares: record.shares,
+                            price: record.price,
+                            amount: record.amount,
+                            fee: record.fee,
+                            tax: record.tax,
+                            memo: record.rawType
+                        });
+                    } catch (error) {
+                        record.status = 'invalid';
+                        record.reason = error.message;
+                    }
+                });
+
+            const summary = ledger.summarize();
+            cash = summary.cash;
+            summary.holdings.forEach(holding => {
+                stocks[holding.name] = {
+                    code: holding.code,
+                    shares: holding.shares,
+                    avgPrice: holding.avgCost,
+                    purchaseDate: holding.purchaseDate,
+                    fees: holding.fees,
+                    purchaseAmount: holding.costBasis,
+                    currentPrice: 0,
+                    value: holding.costBasis
+                };
+            });
+        }
+
+        const totalAmount = Object.values(stocks).reduce((sum, stock) => sum + stock.purchaseAmount, 0);
+
+        return {
+            type: 'file_import',
+            totalAmount: Math.round(totalAmount),
+            stocks,
+            ledger: ledger ? ledger.transactions : undefined,
+            cash: Math.max(0, Math.round(cash)),
+            source: { broker: profile.broker, profile: profile.id, importedAt: new Date().toISOString() }
+        };
+    }
+}
+
+// XLSX 파일을 선택했을 때만 SheetJS 로드 (브라우저)
+function loadXlsxLibrary() {
+    if (typeof XLSX !== 'undefined') return Promise.resolve(XLSX);
+    if (typeof document === 'undefined') {
+        return Promise.reject(new BrokerImportError('XLSX 파일은 브라우저에서만 읽을 수 있습니다.', 'XLSX_UNAVAILABLE'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = XLSX_LIBRARY_URL;
+        script.onload = () => resolve(window.XLSX);
+        script.onerror = () => reject(new BrokerImportError('엑셀 라이브러리를 불러오지 못했습니다. CSV로 저장해 다시 시도해주세요.', 'XLSX_UNAVAILABLE', 503));
+        document.head.appendChild(script);
+    });
+}
+
+// 전역 접근을 위한 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BrokerFileImporter,
+        BrokerImportError,
+        BROKER_IMPORT_PROFILES,
+        parseCsv,
+        parseNumber,
+        parseDate,
+        normalizeCode,
+        detectProfile
+    };
+} else {
+    window.BrokerFileImporter = BrokerFileImporter;
+    window.BrokerImportError = BrokerImportError;
+    window.BROKER_IMPORT_PROFILES = BROKER_IMPORT_PROFILES;
+}
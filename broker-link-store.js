@@ -0,0 +1,158 @@
+// 마이데이터 투자 제안 시스템 - 사용자별 증권 계좌 연결 저장소
+// 사용자가 직접 발급받은 KIS 앱 키/시크릿과 계좌번호를 저장 (키와 계좌번호는 AES-256-GCM으로 암호화)
+
+const crypto = require('crypto');
+const { JsonFileStore } = require('./json-file-store');
+const { MemoryBackend } = require('./portfolio-store');
+
+const SUPPORTED_BROKERS = ['kis'];
+const ACCOUNT_NO_PATTERN = /^(\d{8})-?(\d{2})$/;
+const MAX_CREDENTIAL_LENGTH = 512;
+
+// 계좌 연결 처리 오류 (HTTP 상태 코드 포함)
+class BrokerLinkError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'BrokerLinkError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// 환경 설정에 따라 저장소 백엔드 선택
+function createBrokerLinkBackend(type = process.env.BROKER_LINK_STORE || 'file') {
+    const defaults = { links: {} };
+
+    switch (type) {
+        case 'file':
+            return new JsonFileStore('broker-links.json', defaults);
+        case 'memory':
+            return new MemoryBackend(defaults);
+        default:
+            throw new Error(`지원하지 않는 계좌 연결 저장소입니다: ${type}`);
+    }
+}
+
+// 연결 정보 암호화 키 (운영 환경은 BROKER_LINK_SECRET 필수, 개발 환경은 프로세스마다 임시 키)
+function resolveEncryptionKey() {
+    if (process.env.BROKER_LINK_SECRET) {
+        return crypto.createHash('sha256').update(process.env.BROKER_LINK_SECRET).digest();
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('운영 환경에서는 BROKER_LINK_SECRET 환경 변수가 필요합니다.');
+    }
+    console.warn('⚠️ BROKER_LINK_SECRET 미설정: 임시 암호화 키를 사용합니다 (서버 재시작 시 증권 계좌를 다시 연결해야 합니다).');
+    return crypto.randomBytes(32);
+}
+
+function maskAccountNo(cano, productCode) {
+    return `${cano.slice(0, 4)}****-${productCode}`;
+}
+
+class BrokerLinkStore {
+    constructor({ backend = createBrokerLinkBackend(), encryptionKey = resolveEncryptionKey() } = {}) {
+        this.backend = backend;
+        this.encryptionKey = encryptionKey;
+    }
+
+    // KIS 계좌 연결 (이미 있으면 교체) → 공개 요약
+    async linkKIS(userId, { appKey, appSecret, accountNo, virtual = false } = {}) {
+        [appKey, appSecret].forEach(value => {
+            if (typeof value !== 'string' || !value.trim() || value.length > MAX_CREDENTIAL_LENGTH) {
+                throw new BrokerLinkError('KIS 앱 키와 앱 시크릿을 입력해주세요.', 'INVALID_CREDENTIALS');
+            }
+        });
+
+        const match = String(accountNo || '').replace(/\s/g, '').match(ACCOUNT_NO_PATTERN);
+        if (!match) {
+            throw new BrokerLinkError('계좌번호 형식이 올바르지 않습니다. (예: 12345678-01)', 'INVALID_ACCOUNT_NO');
+        }
+
+        const now = new Date().toISOString();
+        return this.backend.update((data) => {
+            const previous = data.links[this.linkKey(userId, 'kis')];
+            const record = {
+                userId,
+                broker: 'kis',
+                virtual: Boolean(virtual),
+                accountNo: maskAccountNo(match[1], match[2]),
+                secret: this.encrypt({ appKey: appKey.trim(), appSecret: appSecret.trim(), accountNo: `${match[1]}-${match[2]}` }),
+                linkedAt: previous ? previous.linkedAt : now,
+                updatedAt: now
+            };
+            data.links[this.linkKey(userId, 'kis')] = record;
+
+            console.log(`[BrokerLink] KIS 계좌 연결: ${userId} (${record.accountNo})`);
+            return this.toSummary(record);
+        });
+    }
+
+    // 연결 요약 (키/전체 계좌번호 제외, 없으면 null)
+    async getLink(userId, broker) {
+        const data = await this.backend.read();
+        const record = data.links[this.linkKey(userId, broker)];
+        return record ? this.toSummary(record) : null;
+    }
+
+    async unlink(userId, broker) {
+        return this.backend.update((data) => {
+            const key = this.linkKey(userId, broker);
+            if (!data.links[key]) {
+                throw new BrokerLinkError('연결된 증권 계좌가 없습니다.', 'BROKER_NOT_LINKED', 404);
+            }
+            delete data.links[key];
+            return true;
+        });
+    }
+
+    // 잔고 조회용 자격 증명 (서버 내부 전용) → { appKey, appSecret, accountNo, virtual, updatedAt }
+    async getCredentials(userId, broker) {
+        const data = await this.backend.read();
+        const record = data.links[this.linkKey(userId, broker)];
+        if (!record) {
+            throw new BrokerLinkError('먼저 증권 계좌를 연결해주세요.', 'BROKER_NOT_LINKED', 404);
+        }
+
+        let secret;
+        try {
+            secret = this.decrypt(record.secret);
+        } catch (error) {
+            throw new BrokerLinkError('저장된 계좌 연결 정보를 읽을 수 없습니다. 증권 계좌를 다시 연결해주세요.', 'BROKER_LINK_UNREADABLE', 409);
+        }
+        return { ...secret, virtual: record.virtual, updatedAt: record.updatedAt };
+    }
+
+    linkKey(userId, broker) {
+        if (!SUPPORTED_BROKERS.includes(broker)) {
+            throw new BrokerLinkError(`지원하지 않는 증권사입니다: ${broker}`, 'UNSUPPORTED_BROKER', 404);
+        }
+        return `${userId}:${broker}`;
+    }
+
+    // JSON → 'iv.tag.ciphertext' (base64url)
+    encrypt(value) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+    }
+
+    decrypt(sealed) {
+        const [iv, tag, ciphertext] = String(sealed).split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+        decipher.setAuthTag(tag);
+        return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+    }
+
+    toSummary(record) {
+        return {
+            broker: record.broker,
+            accountNo: record.accountNo,
+            virtual: record.virtual,
+            linkedAt: record.linkedAt,
+            updatedAt: record.updatedAt
+        };
+    }
+}
+
+module.exports = { BrokerLinkStore, BrokerLinkError, createBrokerLinkBackend };
@@ -0,0 +1,61 @@
+// 마이데이터 투자 제안 시스템 - 시세 응답 픽스처 기록 스크립트
+// 사용법: npm run capture:quotes (네이버 실시간 API, polling API, 종목 페이지 응답을 test/fixtures/quotes에 그대로 저장)
+// 시세 응답에는 개인 정보가 없으므로 가공하지 않고 저장 (기록 후 test/quote-normalizer.test.js 기대값을 새 응답에 맞게 갱신)
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { quoteNormalizer } = require('./quote-normalizer');
+
+const FIXTURE_DIR = path.join(__dirname, 'test', 'fixtures', 'quotes');
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// 픽스처 파일 → 응답 형식별 요청 (server.js 조회 전략과 같은 주소)
+const FIXTURES = [
+    {
+        file: 'naver-realtime-005930.json',
+        url: 'https://polling.finance.naver.com/api/realtime/domestic/stock/005930',
+        accept: 'application/json, text/plain, */*'
+    },
+    {
+        file: 'naver-polling-000660.json',
+        url: 'https://polling.finance.naver.com/api/realtime?query=SERVICE_ITEM:000660',
+        accept: 'application/json, text/plain, */*'
+    },
+    {
+        file: 'naver-item-main-035720.html',
+        url: 'https://finance.naver.com/item/main.naver?code=035720',
+        accept: 'text/html,application/xhtml+xml'
+    }
+];
+
+async function capture({ file, url, accept }) {
+    // 종목 페이지는 EUC-KR이므로 원본 바이트를 받아 charset에 맞게 디코딩
+    const response = await axios.get(url, {
+        headers: { 'User-Agent': USER_AGENT, 'Accept': accept, 'Accept-Language': 'ko-KR,ko;q=0.9' },
+        responseType: 'arraybuffer',
+        timeout: 15000
+    });
+    const charset = (String(response.headers['content-type']).match(/charset=([\w-]+)/i) || [])[1] || 'utf-8';
+    const text = new TextDecoder(charset.toLowerCase()).decode(response.data);
+    const payload = file.endsWith('.json') ? JSON.parse(text) : text;
+
+    // 어댑터가 읽을 수 없는 응답(점검 페이지, 빈 datas 등)은 기록하지 않음
+    const quote = quoteNormalizer.normalize(payload);
+    const content = file.endsWith('.json') ? JSON.stringify(payload, null, 2) + '\n' : text;
+    fs.writeFileSync(path.join(FIXTURE_DIR, file), content, 'utf8');
+
+    console.log(`✅ ${file}: ${quote.name || quote.code} ${quote.price}원 (${quote.source})`);
+}
+
+async function main() {
+    for (const fixture of FIXTURES) {
+        await capture(fixture);
+    }
+    console.log('📝 픽스처가 바뀌었으면 test/quote-normalizer.test.js 기대값을 새 응답에 맞게 갱신하세요.');
+}
+
+main().catch(error => {
+    console.error('❌ 시세 픽스처 기록 실패:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,211 @@
+// 마이데이터 투자 제안 시스템 - 챗봇 대화 세션 저장소
+// 세션 ID 기반 다중 턴 대화 보관, 토큰 예산 초과 시 오래된 턴을 요약으로 대체
+
+const crypto = require('crypto');
+const { JsonFileStore } = require('./json-file-store');
+const { MemoryBackend } = require('./portfolio-store');
+
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CHAT_TOKEN_BUDGET) || 4000; // 모델에 보낼 이전 대화 토큰 예산
+const MAX_STORED_TURNS = 200;      // 세션당 보관할 최대 턴 수 (대화 재개 화면용)
+const MAX_SUMMARY_LENGTH = 1500;   // 누적 요약 최대 길이 (문자)
+const MAX_SESSIONS_PER_USER = 50;  // 사용자당 보관할 세션 수 (초과 시 오래된 세션부터 삭제)
+
+// 대화 세션 처리 오류 (HTTP 상태 코드 포함)
+class ChatSessionError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'ChatSessionError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// 토큰 수 추정 (한국어는 대략 1~2자당 1토큰이므로 보수적으로 2자당 1토큰)
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 2);
+}
+
+function clip(text, length) {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return value.length > length ? value.slice(0, length) + '…' : value;
+}
+
+// 환경 설정에 따라 저장소 백엔드 선택
+function createChatBackend(type = process.env.CHAT_STORE || 'file') {
+    const defaults = { sessions: {} };
+
+    switch (type) {
+        case 'file':
+            return new JsonFileStore('chat-sessions.json', defaults);
+        case 'memory':
+            return new MemoryBackend(defaults);
+        default:
+            throw new Error(`지원하지 않는 대화 저장소입니다: ${type}`);
+    }
+}
+
+class ChatSessionStore {
+    constructor(backend = createChatBackend()) {
+        this.backend = backend;
+    }
+
+    // 사용자 대화 목록 (최근 대화순, 턴 내용 제외)
+    async listSessions(userId) {
+        const data = await this.backend.read();
+
+        return Object.values(data.sessions)
+            .filter(session => session.userId === userId)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .map(session => this.toSummary(session));
+    }
+
+    async getSession(userId, sessionId) {
+        const data = await this.backend.read();
+        return this.toDetail(this.findSession(data, userId, sessionId));
+    }
+
+    async createSession(userId, { title } = {}) {
+        if (!userId) {
+            throw new ChatSessionError('사용자 ID가 필요합니다.', 'INVALID_REQUEST');
+        }
+
+        return this.backend.update((data) => {
+            const now = new Date().toISOString();
+            const session = {
+                sessionId: crypto.randomUUID(),
+                userId,
+                title: title ? clip(title, 40) : null,
+                summary: '',
+                contextStart: 0, // 이 인덱스 이전의 턴은 요약으로 대체됨
+                turns: [],
+                createdAt: now,
+                updatedAt: now
+            };
+
+            data.sessions[session.sessionId] = session;
+            this.pruneSessions(data, userId);
+            return this.toDetail(session);
+        });
+    }
+
+    // 세션 ID가 있으면 해당 세션, 없으면 새 세션
+    async resolveSession(userId, sessionId) {
+        return sessionId
+            ? this.getSession(userId, sessionId)
+            : this.createSession(userId);
+    }
+
+    async deleteSession(userId, sessionId) {
+        return this.backend.update((data) => {
+            this.findSession(data, userId, sessionId);
+            delete data.sessions[sessionId];
+            return true;
+        });
+    }
+
+    // 질문/응답 한 쌍 추가 후 토큰 예산에 맞게 오래된 턴을 요약으로 이동
+    async appendExchange(userId, sessionId, { userMessage, reply }) {
+        return this.backend.update((data) => {
+            const session = this.findSession(data, userId, sessionId);
+            const now = new Date().toISOString();
+
+            session.turns.push(
+                { role: 'user', text: userMessage, timestamp: now },
+                { role: 'model', text: reply, timestamp: now }
+            );
+            session.title = session.title || clip(userMessage, 40);
+            session.updatedAt = now;
+
+            this.compactContext(session);
+
+            if (session.turns.length > MAX_STORED_TURNS) {
+                const overflow = session.turns.length - MAX_STORED_TURNS;
+                session.turns.splice(0, overflow);
+                session.contextStart = Math.max(0, session.contextStart - overflow);
+            }
+
+            return this.toDetail(session);
+        });
+    }
+
+    // 모델에 보낼 다중 턴 메시지 구성 (요약 → 최근 턴 → 이번 질문)
+    buildMessages(session, prompt) {
+        const messages = [];
+
+        if (session.summary) {
+            messages.push(
+                { role: 'user', text: `지금까지의 대화 요약입니다. 이후 답변에 참고해주세요.\n${session.summary}` },
+                { role: 'model', text: '네, 이전 대화 내용을 참고해서 답변드리겠습니다.' }
+            );
+        }
+
+        session.turns.slice(session.contextStart).forEach(turn => {
+            messages.push({ role: turn.role, text: turn.text });
+        });
+
+        messages.push({ role: 'user', text: prompt });
+        return messages;
+    }
+
+    // 예산을 넘는 동안 가장 오래된 질문/응답 쌍을 요약 문장으로 압축
+    compactContext(session) {
+        const contextTokens = () => session.turns
+            .slice(session.contextStart)
+            .reduce((sum, turn) => sum + estimateTokens(turn.text), 0);
+
+        const summaryLines = session.summary ? session.summary.split('\n') : [];
+
+        while (session.turns.length - session.contextStart > 2 && contextTokens() > CONTEXT_TOKEN_BUDGET) {
+            const [question, answer] = session.turns.slice(session.contextStart, session.contextStart + 2);
+            summaryLines.push(`- 질문: ${clip(question.text, 80)} / 답변 요지: ${clip(answer && answer.text, 120)}`);
+            session.contextStart += 2;
+        }
+
+        // 요약도 길이 제한을 넘으면 가장 오래된 줄부터 제외
+        while (summaryLines.join('\n').length > MAX_SUMMARY_LENGTH && summaryLines.length > 1) {
+            summaryLines.shift();
+        }
+
+        session.summary = summaryLines.join('\n');
+    }
+
+    // 사용자당 세션 수 제한
+    pruneSessions(data, userId) {
+        Object.values(data.sessions)
+            .filter(session => session.userId === userId)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .slice(MAX_SESSIONS_PER_USER)
+            .forEach(session => delete data.sessions[session.sessionId]);
+    }
+
+    findSession(data, userId, sessionId) {
+        const session = data.sessions[sessionId];
+
+        if (!session || session.userId !== userId) {
+            throw new ChatSessionError('대화를 찾을 수 없습니다.', 'SESSION_NOT_FOUND', 404);
+        }
+
+        return session;
+    }
+
+    toSummary(session) {
+        return {
+            sessionId: session.sessionId,
+            title: session.title || '새 대화',
+            turnCount: session.turns.length,
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt
+        };
+    }
+
+    toDetail(session) {
+        return {
+            ...this.toSummary(session),
+            summary: session.summary,
+            contextStart: session.contextStart,
+            turns: session.turns.slice()
+        };
+    }
+}
+
+module.exports = { ChatSessionStore, ChatSessionError, createChatBackend, estimateTokens };
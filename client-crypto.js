@@ -0,0 +1,467 @@
+// 마이데이터 투자 제안 시스템 - 브라우저 암호화 키 관리 (auth.js 토큰 저장, database.js 민감 필드 암호화 공용)
+// 키 계층: 데이터 키(AES-GCM 256, 키 ID로 버전 관리)를 기기 IndexedDB에 추출 불가 CryptoKey로 보관
+//          패스프레이즈 보호 시 데이터 키를 PBKDF2(SHA-256)로 만든 키로 AES-KW 래핑해 보관 (잠금 해제 전에는 복호화 불가)
+// 암호문 형식: enc:v1:<키 ID>:<base64(IV 12바이트 + 암호문)> → 키 교체 후에도 이전 키로 복호화하고 재암호화 대상을 판별
+// 잠긴 상태에서 암호화/복호화가 요청되면 잠금 해제 화면을 띄우고, 해제될 때까지 요청을 대기시킴 (취소 시 KEY_LOCKED)
+
+const CIPHER_PREFIX = 'enc:v1:';
+const KEY_DB_NAME = 'MyDataKeyStore';
+const KEY_STORE_NAME = 'keys';
+const META_ID = 'meta';
+const PBKDF2_ITERATIONS = 600000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function cryptoError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// 기본 잠금 해제 화면 (브라우저 <dialog>, 입력한 패스프레이즈 또는 취소 시 null)
+function showUnlockDialog({ error = null } = {}) {
+    return new Promise(resolve => {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'crypto-unlock-dialog';
+        dialog.innerHTML = `
+            <form method="dialog">
+                <h3>🔐 암호화 키 잠금 해제</h3>
+                <p>저장된 로그인 정보와 민감한 포트폴리오 정보는 패스프레이즈로 보호되어 있습니다.</p>
+                <input type="password" name="passphrase" autocomplete="current-password" placeholder="패스프레이즈" required>
+                <p class="crypto-unlock-error" role="alert" style="color: #dc3545;"></p>
+                <button value="cancel" formnovalidate>나중에</button>
+                <button value="unlock">잠금 해제</button>
+            </form>
+        `;
+        dialog.querySelector('.crypto-unlock-error').textContent = error || '';
+        dialog.addEventListener('close', () => {
+            const passphrase = dialog.returnValue === 'unlock' ? dialog.querySelector('input').value : null;
+            dialog.remove();
+            resolve(passphrase);
+        });
+
+        document.body.appendChild(dialog);
+        dialog.showModal();
+    });
+}
+
+const toBase64 = bytes => btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+const fromBase64 = text => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+// 암호화 키 저장소 (IndexedDB는 CryptoKey를 추출 불가 상태 그대로 저장)
+class IndexedDBKeyStore {
+    constructor(dbName = KEY_DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(KEY_STORE_NAME, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.db = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.db;
+    }
+
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([KEY_STORE_NAME], mode);
+            const request = operation(transaction.objectStore(KEY_STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    getAll() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    put(record) {
+        return this.request('readwrite', store => store.put(record));
+    }
+
+    delete(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+}
+
+// IndexedDB를 쓸 수 없는 환경(Node, 일부 사생활 보호 모드)용: 페이지를 닫으면 키와 함께 암호문도 복호화 불가
+class MemoryKeyStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(id) {
+        return this.records.get(id);
+    }
+
+    async getAll() {
+        return Array.from(this.records.values());
+    }
+
+    async put(record) {
+        this.records.set(record.id, record);
+    }
+
+    async delete(id) {
+        this.records.delete(id);
+    }
+}
+
+class ClientKeyManager {
+    constructor(options = {}) {
+        this.keyStore = options.keyStore ||
+            (typeof indexedDB !== 'undefined' ? new IndexedDBKeyStore() : new MemoryKeyStore());
+        this.iterations = options.iterations || PBKDF2_ITERATIONS;
+        this.meta = null;
+        this.keys = new Map();      // 키 ID → 사용 가능한 데이터 키 (패스프레이즈 보호 시 잠금 해제 후에만 채워짐)
+        this.wrappingKey = null;    // 잠금 해제된 패스프레이즈 파생 키 (키 교체 시 새 데이터 키 래핑용)
+        this.reencryptors = new Map();
+        // 잠금 해제 입력 ({ error } → 패스프레이즈 또는 취소 시 null), 브라우저 기본값은 showUnlockDialog
+        this.unlockPrompt = options.unlockPrompt || (typeof document !== 'undefined' ? showUnlockDialog : null);
+        this.pendingUnlock = null; // 진행 중인 잠금 해제 (동시에 들어온 요청이 함께 대기)
+        this.loading = null;
+        this.queue = Promise.resolve();
+    }
+
+    // 키 저장소 로드 (처음이면 기기 데이터 키 생성, 여러 번 호출해도 한 번만 실행)
+    async ready() {
+        if (!this.loading) {
+            this.loading = this.load().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    async load() {
+        this.meta = await this.keyStore.get(META_ID);
+
+        if (!this.meta) {
+            const { record, key } = await this.createDataKey('k1', null);
+            await this.keyStore.put(record);
+            this.meta = { id: META_ID, activeKeyId: 'k1', keyCounter: 1, protection: 'device', salt: null, iterations: null };
+            await this.keyStore.put(this.meta);
+            this.keys.set('k1', key);
+            console.log('[Crypto] 기기 암호화 키 생성');
+            return;
+        }
+
+        if (this.meta.protection === 'device') {
+            (await this.keyRecords()).forEach(record => {
+                if (record.key) this.keys.set(record.id, record.key);
+            });
+        }
+    }
+
+    isLocked() {
+        return Boolean(this.meta) && this.meta.protection === 'passphrase' && !this.wrappingKey;
+    }
+
+    hasPassphrase() {
+        return Boolean(this.meta) && this.meta.protection === 'passphrase';
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(CIPHER_PREFIX);
+    }
+
+    keyIdOf(ciphertext) {
+        return this.isEncrypted(ciphertext) ? ciphertext.slice(CIPHER_PREFIX.length).split(':')[0] : null;
+    }
+
+    // 문자열 암호화 (항상 현재 활성 키 사용)
+    async encrypt(plaintext) {
+        await this.waitForUnlock();
+        const keyId = this.meta.activeKeyId;
+        const key = this.requireKey(keyId);
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+
+        const combined = new Uint8Array(iv.length + encrypted.byteLength);
+        combined.set(iv);
+        combined.set(new Uint8Array(encrypted), iv.length);
+        return `${CIPHER_PREFIX}${keyId}:${toBase64(combined)}`;
+    }
+
+    // 문자열 복호화 (암호문에 기록된 키 ID의 키 사용)
+    async decrypt(ciphertext) {
+        if (!this.isEncrypted(ciphertext)) {
+            throw cryptoError('지원하지 않는 암호문 형식입니다.', 'INVALID_CIPHERTEXT');
+        }
+        await this.waitForUnlock();
+
+        const [keyId, payload] = ciphertext.slice(CIPHER_PREFIX.length).split(':');
+        const key = this.requireKey(keyId);
+        const combined = fromBase64(payload || '');
+
+        try {
+            const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: combined.slice(0, 12) }, key, combined.slice(12));
+            return new TextDecoder().decode(decrypted);
+        } catch (error) {
+            throw cryptoError('암호문이 손상되었거나 다른 키로 암호화되었습니다.', 'DECRYPT_FAILED');
+        }
+    }
+
+    async encryptJSON(value) {
+        return this.encrypt(JSON.stringify(value));
+    }
+
+    async decryptJSON(ciphertext) {
+        return JSON.parse(await this.decrypt(ciphertext));
+    }
+
+    // 패스프레이즈로 데이터 키 잠금 해제 (틀리면 AES-KW 무결성 검사에서 실패)
+    async unlock(passphrase) {
+        await this.ready();
+        if (!this.hasPassphrase()) return true;
+
+        const wrappingKey = await this.deriveWrappingKey(passphrase, this.meta.salt, this.meta.iterations);
+        const keys = new Map();
+        try {
+            for (const record of await this.keyRecords()) {
+                // 패스프레이즈 변경 중 재암호화가 실패해 남은 이전 패스프레이즈의 키는 건너뜀
+                if (record.wrappedKey && record.salt !== this.meta.salt) continue;
+                keys.set(record.id, record.key || await this.unwrapDataKey(record.wrappedKey, wrappingKey));
+            }
+        } catch (error) {
+            throw cryptoError('패스프레이즈가 올바르지 않습니다.', 'INVALID_PASSPHRASE');
+        }
+
+        this.keys = keys;
+        this.wrappingKey = wrappingKey;
+        console.log('[Crypto] 암호화 키 잠금 해제');
+        return true;
+    }
+
+    // 잠겨 있으면 잠금 해제 입력을 받아 해제될 때까지 대기 (틀리면 다시 입력, 취소하면 KEY_LOCKED)
+    async waitForUnlock() {
+        await this.ready();
+        if (!this.isLocked()) return;
+
+        if (!this.pendingUnlock) {
+            this.pendingUnlock = this.promptUnlock().finally(() => {
+                this.pendingUnlock = null;
+            });
+        }
+        return this.pendingUnlock;
+    }
+
+    async promptUnlock() {
+        let error = null;
+        while (this.isLocked()) {
+            const passphrase = this.unlockPrompt ? await this.unlockPrompt({ error }) : null;
+            if (!this.isLocked()) return; // 입력을 기다리는 동안 다른 경로(unlockEncryption)로 해제됨
+            if (passphrase === null || passphrase === undefined) {
+                throw cryptoError('암호화 키가 잠겨 있습니다. 패스프레이즈로 잠금을 해제해주세요.', 'KEY_LOCKED');
+            }
+
+            try {
+                await this.unlock(passphrase);
+            } catch (unlockError) {
+                if (unlockError.code !== 'INVALID_PASSPHRASE') throw unlockError;
+                error = unlockError.message;
+            }
+        }
+    }
+
+    // 메모리의 데이터 키 삭제 (패스프레이즈 보호 시에만 의미 있음, 다시 쓰려면 unlock 필요)
+    lock() {
+        if (!this.hasPassphrase()) return;
+        this.keys.clear();
+        this.wrappingKey = null;
+    }
+
+    // 키 교체 시 저장된 암호문을 새 키로 바꾸는 처리 등록 (handler는 reencrypt(암호문) → 새 암호문을 받아 직접 저장)
+    registerReencryptor(name, handler) {
+        this.reencryptors.set(name, handler);
+    }
+
+    // 새 데이터 키로 교체 후 등록된 저장 데이터 재암호화, 모두 끝나면 이전 키 삭제
+    async rotateKey() {
+        return this.serialize(async () => {
+            await this.ready();
+            this.assertUnlocked();
+            return this.rotate({ protection: this.meta.protection, wrappingKey: this.wrappingKey, salt: this.meta.salt });
+        });
+    }
+
+    // 패스프레이즈 보호 설정/변경 (기존 데이터 키는 추출할 수 없으므로 새 키를 래핑해 만들고 재암호화)
+    async setPassphrase(passphrase, currentPassphrase = null) {
+        return this.serialize(async () => {
+            await this.ready();
+            if (this.hasPassphrase() && this.isLocked()) {
+                await this.unlock(currentPassphrase);
+            }
+            if (String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+                throw cryptoError(`패스프레이즈는 ${MIN_PASSPHRASE_LENGTH}자 이상이어야 합니다.`, 'WEAK_PASSPHRASE');
+            }
+
+            const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+            const wrappingKey = await this.deriveWrappingKey(passphrase, salt, this.iterations);
+            return this.rotate({ protection: 'passphrase', wrappingKey, salt });
+        });
+    }
+
+    // 패스프레이즈 보호 해제 (기기 보관 키로 교체)
+    async removePassphrase(currentPassphrase) {
+        return this.serialize(async () => {
+            await this.ready();
+            if (!this.hasPassphrase()) return { keyId: this.meta.activeKeyId, completed: true, failed: [] };
+            if (this.isLocked()) {
+                await this.unlock(currentPassphrase);
+            }
+            return this.rotate({ protection: 'device', wrappingKey: null, salt: null });
+        });
+    }
+
+    // 이전 키로 남은 암호문 재암호화 재시도 (이전 교체 때 일부 실패한 경우)
+    async reencryptAll() {
+        return this.serialize(async () => {
+            await this.ready();
+            this.assertUnlocked();
+            return this.runReencryptors(this.meta.activeKeyId);
+        });
+    }
+
+    async rotate({ protection, wrappingKey, salt }) {
+        const keyCounter = this.meta.keyCounter + 1;
+        const keyId = `k${keyCounter}`;
+        const { record, key } = await this.createDataKey(keyId, wrappingKey);
+
+        await this.keyStore.put(salt ? { ...record, salt } : record);
+        this.keys.set(keyId, key);
+        this.meta = {
+            ...this.meta,
+            activeKeyId: keyId,
+            keyCounter,
+            protection,
+            salt,
+            iterations: protection === 'passphrase' ? this.iterations : null
+        };
+        await this.keyStore.put(this.meta);
+        this.wrappingKey = wrappingKey;
+
+        console.log(`[Crypto] 암호화 키 교체: ${keyId} (${protection === 'passphrase' ? '패스프레이즈 보호' : '기기 보관'})`);
+        return this.runReencryptors(keyId);
+    }
+
+    // 등록된 저장 데이터 재암호화, 하나라도 실패하면 이전 키를 남겨 기존 암호문을 계속 읽을 수 있게 함
+    async runReencryptors(keyId) {
+        const reencrypt = async (ciphertext) => {
+            if (!this.isEncrypted(ciphertext) || this.keyIdOf(ciphertext) === keyId) return ciphertext;
+            return this.encrypt(await this.decrypt(ciphertext));
+        };
+
+        const failed = [];
+        for (const [name, handler] of this.reencryptors) {
+            try {
+                await handler(reencrypt);
+            } catch (error) {
+                console.error(`[Crypto] 재암호화 실패 (${name}):`, error);
+                failed.push(name);
+            }
+        }
+
+        if (failed.length === 0) {
+            for (const record of await this.keyRecords()) {
+                if (record.id !== keyId) {
+                    await this.keyStore.delete(record.id);
+                    this.keys.delete(record.id);
+                }
+            }
+        }
+        return { keyId, completed: failed.length === 0, failed };
+    }
+
+    // 데이터 키 생성 (기기 보관은 처음부터 추출 불가, 패스프레이즈 보호는 래핑 직후 추출 불가 키로 다시 가져옴)
+    async createDataKey(id, wrappingKey) {
+        const createdAt = new Date().toISOString();
+
+        if (!wrappingKey) {
+            const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+            return { record: { id, key, createdAt }, key };
+        }
+
+        const exportable = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const wrappedKey = new Uint8Array(await crypto.subtle.wrapKey('raw', exportable, wrappingKey, 'AES-KW'));
+        const key = await this.unwrapDataKey(wrappedKey, wrappingKey);
+        return { record: { id, wrappedKey, createdAt }, key };
+    }
+
+    unwrapDataKey(wrappedKey, wrappingKey) {
+        return crypto.subtle.unwrapKey('raw', wrappedKey, wrappingKey, 'AES-KW', { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    }
+
+    async deriveWrappingKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(String(passphrase || '')), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-KW', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    async keyRecords() {
+        return (await this.keyStore.getAll()).filter(record => record.id !== META_ID);
+    }
+
+    requireKey(keyId) {
+        if (this.isLocked()) {
+            throw cryptoError('암호화 키가 잠겨 있습니다. 패스프레이즈로 잠금을 해제해주세요.', 'KEY_LOCKED');
+        }
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw cryptoError(`암호화 키(${keyId})를 찾을 수 없습니다.`, 'KEY_NOT_FOUND');
+        }
+        return key;
+    }
+
+    assertUnlocked() {
+        if (this.isLocked()) {
+            throw cryptoError('암호화 키가 잠겨 있습니다. 패스프레이즈로 잠금을 해제해주세요.', 'KEY_LOCKED');
+        }
+    }
+
+    // 키 교체/패스프레이즈 변경은 한 번에 하나씩
+    serialize(task) {
+        const run = this.queue.then(task, task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
+
+// 페이지 전체가 공유하는 키 관리자 (auth.js와 database.js가 같은 키 사용)
+let clientKeyManager = null;
+
+function getClientKeyManager() {
+    if (!clientKeyManager) {
+        clientKeyManager = new ClientKeyManager();
+    }
+    return clientKeyManager;
+}
+
+// 전역 접근을 위한 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClientKeyManager, IndexedDBKeyStore, MemoryKeyStore, getClientKeyManager };
+} else {
+    window.ClientKeyManager = ClientKeyManager;
+    window.getClientKeyManager = getClientKeyManager;
+}
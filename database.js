@@ -1,11 +1,153 @@
 // 마이데이터 투자 제안 시스템 - IndexedDB 데이터베이스 관리
-// 로컬 데이터 저장 및 히스토리 관리
+// 로컬 데이터 저장 및 히스토리 관리 (민감 필드는 client-crypto.js 키로 암호화해 저장)
+
+// 스키마 마이그레이션 (onupgradeneeded 트랜잭션 안에서 이전 버전 다음 단계부터 순서대로 실행)
+// stores: 새로 만들 스토어, indexes: 기존 스토어에 추가할 인덱스, upgrade: 스토어 간 데이터 이동 (transforms보다 먼저 실행)
+// transforms: 기존 레코드 변환 (null 반환 시 유지)
+// 스토어/인덱스 정의는 MyDataDatabase.stores 사용. 기존 스토어는 삭제하지 않음
+const DB_MIGRATIONS = [
+    {
+        version: 1,
+        description: '기본 스토어',
+        stores: ['portfolios', 'marketData', 'investmentAdvice', 'userPreferences', 'performanceHistory']
+    },
+    {
+        version: 2,
+        description: '챗봇 대화 기록',
+        stores: ['chatSessions']
+    },
+    {
+        version: 3,
+        description: '거래 원장',
+        stores: ['transactions']
+    },
+    {
+        version: 4,
+        description: '포트폴리오 유형/예수금/출처 필드 및 성과 스냅샷 실현손익 보완',
+        indexes: { portfolios: ['type'] },
+        transforms: {
+            portfolios: record => (record.type && record.cash !== undefined && record.source !== undefined) ? null : {
+                ...record,
+                type: record.type || 'user_input',
+                cash: record.cash || 0,
+                source: record.source || null
+            },
+            performanceHistory: record => record.realizedPnL !== undefined ? null : { ...record, realizedPnL: 0 }
+        }
+    },
+    {
+        version: 5,
+        description: '포트폴리오에 내장된 거래 원장을 사용자별 거래 기록(transactions)으로 통합',
+        upgrade: transaction => moveEmbeddedLedgers(transaction),
+        transforms: {
+            portfolios: ({ ledger, ...record }) => ledger === undefined ? null : record
+        }
+    },
+    {
+        version: 6,
+        description: '포트폴리오 원장 거래를 portfolioId로 구분 (계좌 거래 기록과 포트폴리오별 원장 분리)',
+        indexes: { transactions: ['portfolioId'] }
+    }
+];
+
+const MIGRATION_BACKUP_PREFIX = 'MyDataInvestmentDB_backup_v';
+
+// 저장 시 암호화하는 필드 (JSON으로 직렬화 후 암호화, 읽을 때 복호화 / 인덱스 필드는 제외)
+const ENCRYPTED_FIELDS = {
+    portfolios: ['source'],           // 증권사 계좌번호
+    userPreferences: ['apiKeys'],
+    chatSessions: ['messages']        // AI 상담 내용 (보유 종목/금액 포함)
+};
+
+// 내보내기 파일 형식 (1.0.0: portfolios/transactions/preferences 최상위 필드, 2.0.0: stores 아래 전체 스토어)
+const EXPORT_FORMAT = 'mydata-investment-export';
+const EXPORT_VERSION = '2.0.0';
+const SUPPORTED_EXPORT_VERSIONS = ['1.0.0', '2.0.0'];
+
+// 스토어별 레코드 필수 필드와 타입 (가져오기 검증용)
+const EXPORT_RECORD_SCHEMA = {
+    portfolios: { timestamp: 'string', stocks: 'object' },
+    marketData: { symbol: 'string', timestamp: 'string' },
+    investmentAdvice: { timestamp: 'string' },
+    userPreferences: { userId: 'string' },
+    performanceHistory: { portfolioId: 'number', date: 'string' },
+    chatSessions: { sessionId: 'string' },
+    // userId가 없으면 어떤 사용자의 거래 조회에도 나오지 않고, createdAt이 없으면 같은 날 거래 정렬이 실패하므로 필수
+    transactions: { id: 'string', userId: 'string', type: 'string', date: 'string', createdAt: 'string' }
+};
+
+// 포트폴리오를 참조하는 스토어 (가져오기 시 portfolioId를 새 ID로 변경)
+const PORTFOLIO_REFERENCE_STORES = ['investmentAdvice', 'performanceHistory'];
+
+// 키 순서와 무관한 JSON 문자열 (내용 해시용)
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// 자동 증가 ID를 제외한 레코드 내용 해시 (FNV-1a 32비트)
+function contentHash(record) {
+    const { id, ...content } = record;
+    const text = stableStringify(content);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0') + text.length.toString(16);
+}
+
+// 사용자별 가장 최근 포트폴리오에 내장된 원장을 그 포트폴리오의 원장 거래(portfolioId)로 사용
+// (v4까지는 포트폴리오마다 원장을 따로 저장했고, 같은 사용자의 이전 스냅샷 원장은 같은 거래 ID를 가진 최근 원장의 이전 상태)
+// 이미 원장 거래가 있는 포트폴리오는 건너뜀
+function collectEmbeddedLedgers(portfolios, transactions) {
+    const portfoliosWithTransactions = new Set(transactions.map(record => record.portfolioId));
+    const latestByUser = new Map();
+
+    portfolios
+        .filter(portfolio => portfolio && Array.isArray(portfolio.ledger) && portfolio.ledger.length > 0)
+        .forEach(portfolio => {
+            const userId = portfolio.userId || 'default';
+            const latest = latestByUser.get(userId);
+            if (!latest || portfolio.timestamp > latest.timestamp) {
+                latestByUser.set(userId, portfolio);
+            }
+        });
+
+    return [...latestByUser.entries()]
+        .filter(([, portfolio]) => !portfoliosWithTransactions.has(portfolio.id))
+        .flatMap(([userId, portfolio]) => portfolio.ledger.map(record => ({
+            ...record,
+            userId: userId,
+            portfolioId: portfolio.id,
+            createdAt: record.createdAt || portfolio.timestamp
+        })));
+}
+
+// v5 업그레이드: 포트폴리오 변환(ledger 제거)보다 먼저 요청하므로 변환 전 원장을 읽음
+function moveEmbeddedLedgers(transaction) {
+    const portfoliosRequest = transaction.objectStore('portfolios').getAll();
+    const transactionStore = transaction.objectStore('transactions');
+    const transactionsRequest = transactionStore.getAll();
+
+    transactionsRequest.onsuccess = () => {
+        collectEmbeddedLedgers(portfoliosRequest.result, transactionsRequest.result)
+            .forEach(record => transactionStore.put(record));
+    };
+}
 
 class MyDataDatabase {
     constructor() {
         this.dbName = 'MyDataInvestmentDB';
-        this.dbVersion = 1;
+        this.dbVersion = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
         this.db = null;
+        this.ready = null; // 진행 중이거나 완료된 초기화 Promise
+        this.keyManager = getFieldKeyManager(); // 없으면 암호화 없이 저장
         
         // 데이터베이스 스키마 정의
         this.stores = {
@@ -50,79 +192,228 @@ class MyDataDatabase {
                     { name: 'date', keyPath: 'date', unique: false },
                     { name: 'returnRate', keyPath: 'returnRate', unique: false }
                 ]
+            },
+            // v2: 챗봇 대화 기록 (서버 세션 ID를 키로 사용)
+            chatSessions: {
+                keyPath: 'sessionId',
+                indexes: [
+                    { name: 'userId', keyPath: 'userId', unique: false },
+                    { name: 'updatedAt', keyPath: 'updatedAt', unique: false }
+                ]
+            },
+            // v3: 거래 원장 (매수/매도/분할/배당/입출금, 키는 원장 거래 ID)
+            // v6: portfolioId가 있으면 그 포트폴리오의 원장 거래, 없으면 계좌 거래 기록
+            transactions: {
+                keyPath: 'id',
+                indexes: [
+                    { name: 'userId', keyPath: 'userId', unique: false },
+                    { name: 'portfolioId', keyPath: 'portfolioId', unique: false },
+                    { name: 'date', keyPath: 'date', unique: false },
+                    { name: 'type', keyPath: 'type', unique: false },
+                    { name: 'name', keyPath: 'name', unique: false }
+                ]
             }
         };
         
+        if (this.keyManager) {
+            this.keyManager.registerReencryptor('database', reencrypt => this.reencryptFields(reencrypt));
+        }
+        
         this.initDatabase();
     }
 
-    // 데이터베이스 초기화
+    // 데이터베이스 초기화 (여러 번 호출해도 한 번만 연결)
     async initDatabase() {
-        return new Promise((resolve, reject) => {
-            if (!window.indexedDB) {
-                reject(new Error('IndexedDB를 지원하지 않는 브라우저입니다.'));
-                return;
+        if (!this.ready) {
+            this.ready = this.openWithMigrations().catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    // 업그레이드가 필요하면 현재 데이터를 백업한 뒤 새 버전으로 연결
+    async openWithMigrations() {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB를 지원하지 않는 브라우저입니다.');
+        }
+
+        const existing = await this.openExistingDatabase();
+        if (existing) {
+            if (existing.version < this.dbVersion) {
+                await this.backupBeforeMigration(existing);
             }
+            existing.close();
+        }
+
+        return this.openDatabase();
+    }
+
+    // 버전 지정 없이 기존 데이터베이스 열기 (없으면 생성하지 않고 null)
+    openExistingDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName);
 
+            request.onupgradeneeded = (event) => {
+                // 새로 생성되는 경우: 빈 v1 데이터베이스가 남지 않도록 취소
+                event.target.transaction.abort();
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => {
+                if (request.error && request.error.name === 'AbortError') {
+                    event.preventDefault();
+                    resolve(null);
+                    return;
+                }
+                reject(new Error('데이터베이스 열기 실패: ' + request.error));
+            };
+        });
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
             const request = indexedDB.open(this.dbName, this.dbVersion);
 
             request.onerror = () => {
                 reject(new Error('데이터베이스 열기 실패: ' + request.error));
             };
 
+            request.onblocked = () => {
+                console.warn('[DB] 다른 탭에서 이전 버전 데이터베이스를 사용 중입니다. 해당 탭을 닫으면 업그레이드가 진행됩니다.');
+            };
+
             request.onsuccess = () => {
                 this.db = request.result;
+                // 다른 탭에서 업그레이드를 요청하면 연결을 닫아 차단하지 않음
+                this.db.onversionchange = () => this.close();
                 console.log('[DB] 데이터베이스 연결 성공');
                 resolve(this.db);
             };
 
             request.onupgradeneeded = (event) => {
                 this.db = event.target.result;
-                console.log('[DB] 데이터베이스 업그레이드 중...');
-                
-                // 기존 스토어 삭제 (개발 단계)
-                for (const storeName of this.db.objectStoreNames) {
-                    this.db.deleteObjectStore(storeName);
-                }
+                console.log(`[DB] 데이터베이스 업그레이드 중... (v${event.oldVersion} → v${event.newVersion})`);
 
-                // 새로운 스토어 생성
-                this.createStores();
+                this.runMigrations(event.target.transaction, event.oldVersion, event.newVersion);
             };
         });
     }
 
-    // 오브젝트 스토어 생성
-    createStores() {
-        Object.entries(this.stores).forEach(([storeName, config]) => {
+    // 이전 버전 다음 단계부터 순서대로 적용. 변환 중 오류가 나면 업그레이드 트랜잭션 전체가 취소되어 기존 데이터 유지
+    runMigrations(transaction, oldVersion, newVersion) {
+        DB_MIGRATIONS
+            .filter(migration => migration.version > oldVersion && migration.version <= newVersion)
+            .forEach(migration => {
+                console.log(`[DB] 마이그레이션 v${migration.version}: ${migration.description}`);
+
+                this.createStores(migration.stores || []);
+
+                Object.entries(migration.indexes || {}).forEach(([storeName, indexNames]) => {
+                    this.createIndexes(transaction.objectStore(storeName), storeName, indexNames);
+                });
+
+                if (migration.upgrade) {
+                    migration.upgrade(transaction);
+                }
+
+                Object.entries(migration.transforms || {}).forEach(([storeName, transform]) => {
+                    this.transformRecords(transaction.objectStore(storeName), transform);
+                });
+            });
+    }
+
+    // 오브젝트 스토어 생성 (이미 있는 스토어는 건너뜀)
+    createStores(storeNames = Object.keys(this.stores)) {
+        storeNames.forEach(storeName => {
+            const config = this.stores[storeName];
+            if (this.db.objectStoreNames.contains(storeName)) {
+                return;
+            }
+
             const store = this.db.createObjectStore(storeName, {
                 keyPath: config.keyPath,
                 autoIncrement: config.autoIncrement || false
             });
 
             // 인덱스 생성
-            if (config.indexes) {
-                config.indexes.forEach(index => {
-                    store.createIndex(index.name, index.keyPath, {
-                        unique: index.unique || false
-                    });
-                });
-            }
+            this.createIndexes(store, storeName, (config.indexes || []).map(index => index.name));
 
             console.log(`[DB] 스토어 생성: ${storeName}`);
         });
     }
 
+    // 스토어 정의에 있는 인덱스 중 없는 것만 생성
+    createIndexes(store, storeName, indexNames) {
+        indexNames.forEach(indexName => {
+            const index = this.stores[storeName].indexes.find(candidate => candidate.name === indexName);
+            if (!index || store.indexNames.contains(indexName)) {
+                return;
+            }
+
+            store.createIndex(index.name, index.keyPath, {
+                unique: index.unique || false
+            });
+        });
+    }
+
+    // 커서로 기존 레코드를 순회하며 제자리 변환
+    transformRecords(store, transform) {
+        const request = store.openCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+
+            const updated = transform(cursor.value);
+            if (updated) {
+                cursor.update(updated);
+            }
+            cursor.continue();
+        };
+    }
+
+    // 마이그레이션 전 백업 (exportData 형식, localStorage에 버전별 저장)
+    async backupBeforeMigration(existingDb) {
+        const previousDb = this.db;
+        this.db = existingDb;
+
+        try {
+            // 이 기기의 모든 사용자 데이터를 백업하고, 암호화 필드는 암호문 그대로 (localStorage에 평문이 남지 않도록)
+            const backup = {
+                ...(await this.exportData(null, { raw: true })),
+                schemaVersion: existingDb.version
+            };
+            localStorage.setItem(`${MIGRATION_BACKUP_PREFIX}${existingDb.version}`, JSON.stringify(backup));
+            console.log(`[DB] 마이그레이션 전 백업 완료 (v${existingDb.version})`);
+        } catch (error) {
+            // 백업 실패(저장 공간 부족 등)해도 마이그레이션은 기존 데이터를 삭제하지 않으므로 계속 진행
+            console.warn('[DB] 마이그레이션 전 백업 실패:', error);
+        } finally {
+            this.db = previousDb;
+        }
+    }
+
+    // 마이그레이션 전 백업 조회 (importData의 replace 방식으로 복원 가능)
+    getMigrationBackup(version) {
+        const backup = localStorage.getItem(`${MIGRATION_BACKUP_PREFIX}${version}`);
+        return backup ? JSON.parse(backup) : null;
+    }
+
     // 포트폴리오 저장
     async savePortfolio(portfolioData, userId = 'default') {
         try {
+            const ledger = await this.getPortfolioLedger(portfolioData, userId);
             const portfolio = {
                 userId: userId,
                 timestamp: new Date().toISOString(),
-                type: 'user_input',
+                type: portfolioData.type || 'user_input', // 'user_input' | 'broker_import'
                 totalAmount: portfolioData.totalAmount,
                 stocks: portfolioData.stocks,
+                cash: portfolioData.cash || 0,
+                source: portfolioData.source || null,     // 증권사 가져오기 출처 (broker, accountNo, importedAt)
                 marketData: portfolioData.marketData || {},
-                performance: this.calculatePortfolioPerformance(portfolioData),
+                performance: this.calculatePortfolioPerformance({ ...portfolioData, ledger }),
                 version: '1.0.0'
             };
 
@@ -153,7 +444,7 @@ class MyDataDatabase {
                     const portfolios = request.result
                         .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
                         .slice(0, limit);
-                    resolve(portfolios);
+                    resolve(this.openRecords('portfolios', portfolios));
                 };
                 request.onerror = () => reject(request.error);
             });
@@ -163,6 +454,148 @@ class MyDataDatabase {
         }
     }
 
+    // 포트폴리오 원장에 거래 추가 (매수/매도/배당) 후 이 포트폴리오의 보유 종목과 성과 재계산
+    // 원장 거래는 portfolioId로 구분해 저장 (원장이 비어 있으면 이 포트폴리오 보유 종목의 최초 매수 거래도 함께 저장)
+    // 원장 검증, 거래/포트폴리오/성과 스냅샷 쓰기를 한 readwrite 트랜잭션에서 처리 (하나라도 실패하면 모두 취소)
+    async addLedgerTransaction(portfolioId, transaction) {
+        const Ledger = getPortfolioLedger();
+
+        const stores = ['portfolios', 'transactions', 'performanceHistory'];
+        const record = await this.runInTransaction(stores, async (tx) => {
+            // 암호화 필드(source)는 그대로 다시 저장하도록 복호화하지 않은 레코드 사용
+            const portfolio = await requestResult(tx.objectStore('portfolios').get(portfolioId));
+            if (!Ledger || !portfolio) {
+                throw new Error('포트폴리오를 찾을 수 없습니다.');
+            }
+
+            const transactionStore = tx.objectStore('transactions');
+            const existing = sortTransactions(await requestResult(transactionStore.index('portfolioId').getAll(portfolioId)));
+            const openings = existing.length > 0 ? [] : Ledger.fromHoldings(portfolio.stocks || {}).transactions;
+            const ledger = new Ledger([...existing, ...openings]);
+            const added = ledger.add(transaction);
+
+            const userId = portfolio.userId || 'default';
+            const createdAt = new Date().toISOString();
+            [...openings, added].forEach(entry => transactionStore.add({ ...entry, userId, portfolioId, createdAt }));
+
+            const { positions } = Ledger.replay(ledger.transactions);
+            positions.forEach(position => {
+                if (position.shares > 0) {
+                    portfolio.stocks[position.name] = {
+                        ...portfolio.stocks[position.name],
+                        code: position.code || portfolio.stocks[position.name]?.code,
+                        shares: position.shares,
+                        avgPrice: position.avgCost,
+                        purchaseDate: position.purchaseDate,
+                        fees: position.fees
+                    };
+                } else {
+                    delete portfolio.stocks[position.name];
+                }
+            });
+
+            portfolio.performance = this.calculatePortfolioPerformance({ ...portfolio, ledger: ledger.transactions });
+            tx.objectStore('portfolios').put(portfolio);
+            tx.objectStore('performanceHistory').add(this.performanceSnapshot(portfolioId, portfolio.performance));
+            return added;
+        });
+
+        console.log('[DB] 거래 원장 추가 완료:', record.id);
+        return record;
+    }
+
+    // 계좌 거래 기록 (매수/매도/분할/배당/입출금). 거래일 순으로 재계산해 보유 수량 초과 매도는 거부
+    async addTransaction(transaction, userId = 'default') {
+        const Ledger = getPortfolioLedger();
+        const ledger = new Ledger(await this.getTransactions(userId));
+        const record = ledger.add(transaction);
+
+        await this.addRecord('transactions', {
+            ...record,
+            userId: userId,
+            createdAt: new Date().toISOString()
+        });
+
+        console.log('[DB] 거래 기록 저장 완료:', record.id);
+        return record;
+    }
+
+    // 거래 기록 조회 (from/to: 'YYYY-MM-DD', 거래일 순)
+    // portfolioId가 없으면 계좌 거래 기록, 있으면 그 포트폴리오의 원장 거래만
+    async getTransactions(userId = 'default', { from = null, to = null, portfolioId = null } = {}) {
+        try {
+            const transaction = this.db.transaction(['transactions'], 'readonly');
+            const store = transaction.objectStore('transactions');
+            const request = portfolioId === null
+                ? store.index('userId').getAll(userId)
+                : store.index('portfolioId').getAll(portfolioId);
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => {
+                    try {
+                        const records = request.result
+                            .filter(record => record.userId === userId && (record.portfolioId ?? null) === portfolioId)
+                            .filter(record => (!from || record.date >= from) && (!to || record.date <= to));
+                        resolve(sortTransactions(records));
+                    } catch (error) {
+                        reject(error);
+                    }
+                };
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('[DB] 거래 기록 조회 실패:', error);
+            throw error;
+        }
+    }
+
+    // 계좌 거래 삭제 (본인 계좌 거래 기록만, 삭제 후 이후 매도 수량이 보유 수량을 넘으면 거부)
+    // 소유자 확인, 원장 검증, 삭제를 한 readwrite 트랜잭션에서 처리해 그 사이 다른 거래가 끼어들지 못하게 함
+    async deleteTransaction(transactionId, userId = 'default') {
+        const Ledger = getPortfolioLedger();
+
+        return this.runInTransaction(['transactions'], async (transaction) => {
+            const store = transaction.objectStore('transactions');
+            const record = await requestResult(store.get(transactionId));
+            if (!record || record.userId !== userId || record.portfolioId != null) {
+                throw new Error('거래 기록을 찾을 수 없습니다.');
+            }
+
+            const records = (await requestResult(store.index('userId').getAll(userId)))
+                .filter(entry => entry.portfolioId == null);
+            new Ledger(sortTransactions(records)).remove(transactionId);
+
+            await requestResult(store.delete(transactionId));
+            return true;
+        });
+    }
+
+    // 특정 일자 기준 보유 종목과 예수금 재구성
+    async reconstructHoldings(asOf, userId = 'default') {
+        const Ledger = getPortfolioLedger();
+        return new Ledger(await this.getTransactions(userId)).reconstruct(asOf);
+    }
+
+    // 거래 기록 기반 시간가중수익률 (closesByName: 종목명 → { 'YYYY-MM-DD': 종가 })
+    async getTimeWeightedReturn(closesByName, dates, userId = 'default') {
+        const Ledger = getPortfolioLedger();
+        return new Ledger(await this.getTransactions(userId)).timeWeightedReturn(closesByName, dates);
+    }
+
+    // 포트폴리오 거래 원장 (transactions 스토어의 portfolioId 거래가 유일한 원본, 포트폴리오에는 원장을 저장하지 않음)
+    // 원장 거래가 없거나 아직 저장하지 않은 포트폴리오는 평균 단가가 있는 보유 종목으로 최초 매수 거래 생성 (저장하지 않음)
+    async getPortfolioLedger(portfolioData, userId = portfolioData.userId || 'default') {
+        const transactions = portfolioData.id === undefined || portfolioData.id === null
+            ? []
+            : await this.getTransactions(userId, { portfolioId: portfolioData.id });
+        if (transactions.length > 0) {
+            return transactions;
+        }
+
+        const Ledger = getPortfolioLedger();
+        return Ledger ? Ledger.fromHoldings(portfolioData.stocks || {}).transactions : [];
+    }
+
     // 최신 포트폴리오 조회
     async getLatestPortfolio(userId = 'default') {
         try {
@@ -234,20 +667,7 @@ class MyDataDatabase {
     // 성과 스냅샷 저장
     async savePerformanceSnapshot(portfolioId, performance) {
         try {
-            const record = {
-                portfolioId: portfolioId,
-                date: new Date().toISOString().split('T')[0], // YYYY-MM-DD 형식
-                timestamp: new Date().toISOString(),
-                totalValue: performance.totalValue,
-                totalInvestment: performance.totalInvestment,
-                returnRate: performance.returnRate,
-                profitLoss: performance.profitLoss,
-                benchmarkReturn: performance.benchmarkReturn || 0,
-                volatility: performance.volatility || 0,
-                sharpeRatio: performance.sharpeRatio || 0
-            };
-
-            const id = await this.addRecord('performanceHistory', record);
+            const id = await this.addRecord('performanceHistory', this.performanceSnapshot(portfolioId, performance));
             console.log('[DB] 성과 스냅샷 저장 완료:', id);
             return id;
         } catch (error) {
@@ -256,6 +676,23 @@ class MyDataDatabase {
         }
     }
 
+    // 성과 스냅샷 레코드 (addLedgerTransaction은 같은 트랜잭션 안에서 직접 추가)
+    performanceSnapshot(portfolioId, performance) {
+        return {
+            portfolioId: portfolioId,
+            date: new Date().toISOString().split('T')[0], // YYYY-MM-DD 형식
+            timestamp: new Date().toISOString(),
+            totalValue: performance.totalValue,
+            totalInvestment: performance.totalInvestment,
+            returnRate: performance.returnRate,
+            profitLoss: performance.profitLoss,
+            realizedPnL: performance.realizedPnL || 0,
+            benchmarkReturn: performance.benchmarkReturn || 0,
+            volatility: performance.volatility || 0,
+            sharpeRatio: performance.sharpeRatio || 0
+        };
+    }
+
     // 성과 히스토리 조회
     async getPerformanceHistory(portfolioId, days = 30) {
         try {
@@ -294,7 +731,7 @@ class MyDataDatabase {
                 investmentGoals: preferences.investmentGoals || [],
                 notificationSettings: preferences.notificationSettings || {},
                 displaySettings: preferences.displaySettings || {},
-                apiKeys: preferences.apiKeys || {} // 암호화된 상태로 저장
+                apiKeys: preferences.apiKeys || {} // 저장 시 암호화 (ENCRYPTED_FIELDS)
             };
 
             await this.updateRecord('userPreferences', record);
@@ -324,8 +761,84 @@ class MyDataDatabase {
         }
     }
 
+    // 챗봇 대화 저장 (세션 단위로 덮어쓰기)
+    async saveChatSession(session, userId = 'default') {
+        try {
+            const record = {
+                sessionId: session.sessionId,
+                userId: userId,
+                title: session.title || '새 대화',
+                messages: session.messages || [],
+                createdAt: session.createdAt || new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            await this.updateRecord('chatSessions', record);
+            console.log('[DB] 대화 저장 완료:', record.sessionId);
+            return record;
+        } catch (error) {
+            console.error('[DB] 대화 저장 실패:', error);
+            throw error;
+        }
+    }
+
+    // 챗봇 대화 목록 조회 (최근 대화순)
+    async getChatSessions(userId = 'default', limit = 20) {
+        try {
+            const transaction = this.db.transaction(['chatSessions'], 'readonly');
+            const store = transaction.objectStore('chatSessions');
+            const index = store.index('userId');
+
+            const request = index.getAll(userId);
+
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => {
+                    const sessions = request.result
+                        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+                        .slice(0, limit);
+                    resolve(this.openRecords('chatSessions', sessions));
+                };
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.error('[DB] 대화 목록 조회 실패:', error);
+            throw error;
+        }
+    }
+
+    async getChatSession(sessionId) {
+        return this.getRecord('chatSessions', sessionId);
+    }
+
+    async deleteChatSession(sessionId) {
+        return this.deleteRecord('chatSessions', sessionId);
+    }
+
     // 포트폴리오 성과 계산
     calculatePortfolioPerformance(portfolioData) {
+        const Ledger = getPortfolioLedger();
+
+        // 거래 원장이 있으면 평균 단가(매입 원가) 기준으로 평가 손익 계산
+        if (Ledger && portfolioData.ledger && portfolioData.ledger.length > 0) {
+            const prices = {};
+            Object.entries(portfolioData.stocks || {}).forEach(([stockName, stockInfo]) => {
+                prices[stockName] = portfolioData.marketData?.[stockName]?.price || stockInfo.currentPrice;
+            });
+
+            const { holdings, totals } = new Ledger(portfolioData.ledger).summarize(prices);
+            return {
+                totalValue: totals.marketValue,
+                totalInvestment: totals.costBasis,
+                profitLoss: totals.unrealizedPnL,
+                returnRate: totals.unrealizedReturn,
+                realizedPnL: totals.realizedPnL,
+                dividends: totals.dividends,
+                fees: totals.fees,
+                totalPnL: totals.totalPnL,
+                holdings: holdings
+            };
+        }
+
         let totalValue = 0;
         let totalInvestment = portfolioData.totalAmount || 0;
 
@@ -384,20 +897,28 @@ class MyDataDatabase {
         }
     }
 
-    // 데이터 내보내기
-    async exportData(userId = 'default') {
+    // 데이터 내보내기 (현재 데이터베이스에 있는 모든 스토어, userId가 있는 레코드는 해당 사용자만, null이면 모든 사용자)
+    // 암호화 필드는 다른 기기에서도 가져올 수 있도록 복호화해 내보냄 (raw: 암호문 그대로)
+    async exportData(userId = 'default', { raw = false } = {}) {
+        const allUsers = userId === null;
         try {
-            const portfolios = await this.getPortfolios(userId, 1000);
-            const preferences = await this.getUserPreferences(userId);
-            const statistics = await this.getStatistics(userId);
+            const stores = {};
+            // 마이그레이션 전 백업은 이전 버전 데이터베이스에서 실행되므로 실제로 있는 스토어만 조회
+            for (const storeName of Object.keys(this.stores)) {
+                if (!this.db.objectStoreNames.contains(storeName)) continue;
+
+                const records = await this.getAllRecords(storeName, { raw });
+                stores[storeName] = records.filter(record => allUsers || record.userId === undefined || record.userId === userId);
+            }
 
             const exportData = {
-                version: '1.0.0',
+                format: EXPORT_FORMAT,
+                version: EXPORT_VERSION,
+                schemaVersion: this.db.version,
                 exportDate: new Date().toISOString(),
                 userId: userId,
-                portfolios: portfolios,
-                preferences: preferences,
-                statistics: statistics
+                stores: stores,
+                statistics: allUsers ? null : await this.getStatistics(userId)
             };
 
             return exportData;
@@ -408,35 +929,340 @@ class MyDataDatabase {
     }
 
     // 데이터 가져오기
-    async importData(importData) {
+    // mode 'merge': 기존 데이터 유지, 같은 내용(해시) 또는 같은 ID 레코드는 건너뜀
+    // mode 'replace': 파일에 포함된 스토어를 비우고 파일 내용으로 교체
+    // 반환: { mode, added: {스토어: 건수}, skipped: {스토어: 건수}, rejected: [{ store, index, reason }] }
+    async importData(importData, { mode = 'merge' } = {}) {
         try {
-            if (!importData.version || !importData.portfolios) {
-                throw new Error('유효하지 않은 가져오기 데이터 형식입니다.');
+            if (!['merge', 'replace'].includes(mode)) {
+                throw new Error(`지원하지 않는 가져오기 방식입니다: ${mode}`);
+            }
+
+            const data = this.migrateExportData(importData);
+            if (data.schemaVersion < 5) {
+                this.adoptEmbeddedLedgers(data);
             }
+            const report = { mode, version: importData.version, added: {}, skipped: {}, rejected: [] };
+            const validStores = {};
+
+            // 1. 스키마 검증 (필수 필드가 없거나 타입이 다른 레코드는 거부)
+            Object.entries(data.stores).forEach(([storeName, records]) => {
+                if (!this.stores[storeName] || !Array.isArray(records)) {
+                    report.rejected.push({ store: storeName, index: null, reason: '알 수 없는 스토어' });
+                    return;
+                }
 
-            let importedCount = 0;
+                validStores[storeName] = [];
+                records.forEach((record, index) => {
+                    const reason = this.validateRecord(storeName, record);
+                    if (reason) {
+                        report.rejected.push({ store: storeName, index, reason });
+                    } else {
+                        validStores[storeName].push({ index, record: this.migrateRecord(storeName, record, data.schemaVersion) });
+                    }
+                });
+            });
 
-            // 포트폴리오 가져오기
-            for (const portfolio of importData.portfolios) {
-                await this.addRecord('portfolios', portfolio);
-                importedCount++;
+            // 거래는 거래일 순으로 검증해야 매도 시점의 보유 수량을 확인할 수 있음
+            if (validStores.transactions) {
+                validStores.transactions.sort((a, b) => a.record.date.localeCompare(b.record.date));
             }
 
-            // 사용자 설정 가져오기
-            if (importData.preferences) {
-                await this.updateRecord('userPreferences', importData.preferences);
+            // 2. 쓰기 준비: 중복 확인, 거래 원장 검증, 암호화는 트랜잭션 밖에서 미리 처리
+            // (IndexedDB 트랜잭션은 IndexedDB 외의 비동기 작업을 기다리면 자동 커밋되므로)
+            const portfolioIds = new Map(); // 파일의 포트폴리오 ID → 기존 ID 또는 새로 저장할 항목
+            const plan = [];
+            const orderedStores = Object.keys(validStores)
+                .sort((a, b) => (b === 'portfolios') - (a === 'portfolios'));
+
+            for (const storeName of orderedStores) {
+                report.added[storeName] = 0;
+                report.skipped[storeName] = 0;
+
+                const config = this.stores[storeName];
+                const existing = mode === 'merge' ? await this.getAllRecords(storeName) : [];
+                const existingHashes = new Map(existing.map(record => [contentHash(record), record]));
+                const existingKeys = new Set(existing.map(record => record[config.keyPath]));
+                const ledgers = new Map(); // 사용자 ID + 원장(계좌 또는 포트폴리오) → 거래 검증용 원장
+                const referencesPortfolio = PORTFOLIO_REFERENCE_STORES.includes(storeName);
+                const entries = [];
+
+                for (const { index, record: original } of validStores[storeName]) {
+                    const record = { ...original };
+                    if (config.autoIncrement && mode === 'merge') {
+                        delete record.id;
+                    }
+
+                    // 포트폴리오 참조 스토어는 새 portfolioId가 정해진 뒤 트랜잭션 안에서 중복 확인
+                    if (!referencesPortfolio) {
+                        // 자동 증가 스토어는 내용 해시, 그 외는 원래 키로 중복 확인
+                        const hash = contentHash(original);
+                        const duplicate = config.autoIncrement
+                            ? existingHashes.get(hash)
+                            : (existingKeys.has(record[config.keyPath]) ? record : null);
+
+                        if (duplicate) {
+                            if (storeName === 'portfolios') portfolioIds.set(original.id, duplicate);
+                            report.skipped[storeName]++;
+                            continue;
+                        }
+
+                        if (storeName === 'transactions') {
+                            // 파일의 포트폴리오가 기존 포트폴리오와 같은 내용이면 그 포트폴리오의 기존 원장과 함께 검증
+                            // (새로 저장할 포트폴리오의 원장은 기존 거래 없음)
+                            const target = record.portfolioId == null ? undefined : portfolioIds.get(record.portfolioId);
+                            const isNewPortfolio = Boolean(target && target.sealed);
+                            const portfolioId = target === undefined ? (record.portfolioId ?? null) : target.id;
+                            const ledgerKey = `${record.userId}:${isNewPortfolio ? `file:${record.portfolioId}` : portfolioId}`;
+                            if (!ledgers.has(ledgerKey)) {
+                                ledgers.set(ledgerKey, this.createImportLedger(isNewPortfolio ? [] : existing, record.userId, portfolioId));
+                            }
+                            try {
+                                ledgers.get(ledgerKey)?.add(record);
+                            } catch (error) {
+                                report.rejected.push({ store: storeName, index, reason: error.message });
+                                continue;
+                            }
+                        }
+
+                        const entry = { original, record, sealed: await this.sealRecord(storeName, record), id: undefined };
+                        if (storeName === 'portfolios') portfolioIds.set(original.id, entry);
+                        existingHashes.set(hash, entry);
+                        existingKeys.add(record[config.keyPath]);
+                        entries.push(entry);
+                    } else {
+                        entries.push({ original, record, sealed: await this.sealRecord(storeName, record), id: undefined });
+                    }
+                }
+
+                plan.push({ storeName, config, referencesPortfolio, existingHashes, entries });
             }
 
-            console.log('[DB] 데이터 가져오기 완료:', importedCount, '건');
-            return importedCount;
+            // 3. 교체 방식의 비우기와 모든 쓰기를 하나의 readwrite 트랜잭션에서 실행
+            // 중간에 하나라도 실패하면 트랜잭션 전체가 취소되어 기존 데이터가 그대로 남음
+            await this.writeImportPlan(plan, mode, portfolioIds, report);
+
+            report.totals = {
+                added: Object.values(report.added).reduce((a, b) => a + b, 0),
+                skipped: Object.values(report.skipped).reduce((a, b) => a + b, 0),
+                rejected: report.rejected.length
+            };
+
+            console.log('[DB] 데이터 가져오기 완료:', report.totals);
+            return report;
         } catch (error) {
             console.error('[DB] 데이터 가져오기 실패:', error);
             throw error;
         }
     }
 
-    // 헬퍼 메서드들
-    async addRecord(storeName, data) {
+    // 가져오기 계획을 단일 트랜잭션으로 기록 (포트폴리오를 먼저 저장해 새 ID를 받은 뒤 참조 스토어 기록)
+    writeImportPlan(plan, mode, portfolioIds, report) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(plan.map(step => step.storeName), 'readwrite');
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('데이터 가져오기가 취소되었습니다.'));
+
+            const resolvePortfolioId = (portfolioId) => {
+                const target = portfolioIds.get(portfolioId);
+                return target === undefined ? portfolioId : target.id;
+            };
+
+            const writeStep = (stepIndex) => {
+                try {
+                    writeEntries(stepIndex);
+                } catch (error) {
+                    // put이 동기 예외(DataCloneError 등)를 던지면 이미 요청한 비우기까지 취소
+                    transaction.abort();
+                    reject(error);
+                }
+            };
+
+            const writeEntries = (stepIndex) => {
+                const step = plan[stepIndex];
+                if (!step) return;
+
+                const store = transaction.objectStore(step.storeName);
+                if (mode === 'replace') {
+                    store.clear();
+                }
+
+                let pending = 0;
+                step.entries.forEach((entry) => {
+                    let value = entry.sealed;
+
+                    if (step.storeName === 'transactions' && entry.record.portfolioId != null) {
+                        value = { ...entry.sealed, portfolioId: resolvePortfolioId(entry.record.portfolioId) };
+                    } else if (step.referencesPortfolio) {
+                        const record = { ...entry.record, portfolioId: resolvePortfolioId(entry.record.portfolioId) };
+                        const hash = contentHash(record);
+                        if (step.existingHashes.has(hash)) {
+                            report.skipped[step.storeName]++;
+                            return;
+                        }
+                        step.existingHashes.set(hash, record);
+                        value = { ...entry.sealed, portfolioId: record.portfolioId };
+                    }
+
+                    pending++;
+                    const request = store.put(value);
+                    request.onsuccess = () => {
+                        entry.id = request.result;
+                        report.added[step.storeName]++;
+                        if (--pending === 0) writeStep(stepIndex + 1);
+                    };
+                });
+
+                if (pending === 0) writeStep(stepIndex + 1);
+            };
+
+            writeStep(0);
+        });
+    }
+
+    // 이전 내보내기 형식을 현재 형식(stores)으로 변환
+    migrateExportData(importData) {
+        if (!importData || typeof importData !== 'object' || !importData.version) {
+            throw new Error('유효하지 않은 가져오기 데이터 형식입니다.');
+        }
+        if (importData.format && importData.format !== EXPORT_FORMAT) {
+            throw new Error(`지원하지 않는 파일 형식입니다: ${importData.format}`);
+        }
+        if (!SUPPORTED_EXPORT_VERSIONS.includes(importData.version)) {
+            throw new Error(`지원하지 않는 내보내기 버전입니다: ${importData.version} (지원: ${SUPPORTED_EXPORT_VERSIONS.join(', ')})`);
+        }
+
+        if (importData.version === '1.0.0') {
+            if (!Array.isArray(importData.portfolios)) {
+                throw new Error('유효하지 않은 가져오기 데이터 형식입니다.');
+            }
+
+            return {
+                schemaVersion: importData.transactions ? 3 : 2,
+                stores: {
+                    portfolios: importData.portfolios,
+                    transactions: importData.transactions || [],
+                    userPreferences: importData.preferences ? [importData.preferences] : []
+                }
+            };
+        }
+
+        if (!importData.stores || typeof importData.stores !== 'object') {
+            throw new Error('유효하지 않은 가져오기 데이터 형식입니다.');
+        }
+        return { schemaVersion: importData.schemaVersion || 1, stores: importData.stores };
+    }
+
+    // 필수 필드 검증 (문제가 없으면 null, 있으면 거부 사유)
+    validateRecord(storeName, record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return '레코드가 객체가 아닙니다';
+        }
+
+        const missing = Object.entries(EXPORT_RECORD_SCHEMA[storeName] || {})
+            .find(([field, type]) => typeof record[field] !== type || record[field] === null);
+        return missing ? `필수 필드 ${missing[0]}(${missing[1]}) 누락 또는 형식 오류` : null;
+    }
+
+    // 파일의 스키마 버전 이후 마이그레이션의 레코드 변환 적용
+    migrateRecord(storeName, record, schemaVersion) {
+        return DB_MIGRATIONS
+            .filter(migration => migration.version > schemaVersion && migration.transforms && migration.transforms[storeName])
+            .reduce((current, migration) => migration.transforms[storeName](current) || current, record);
+    }
+
+    // v5 이전 파일: 포트폴리오에 내장된 원장을 그 포트폴리오의 원장 거래로 옮김 (포트폴리오 변환에서 ledger가 제거되기 전에 실행)
+    // portfolioId는 파일의 포트폴리오 ID이고 쓰기 단계에서 새 ID로 바뀜
+    adoptEmbeddedLedgers(data) {
+        const portfolios = Array.isArray(data.stores.portfolios) ? data.stores.portfolios : [];
+        const transactions = Array.isArray(data.stores.transactions) ? data.stores.transactions : [];
+
+        const adopted = collectEmbeddedLedgers(portfolios, transactions);
+        if (adopted.length > 0) {
+            data.stores = { ...data.stores, transactions: [...transactions, ...adopted] };
+        }
+    }
+
+    // 가져온 거래가 같은 원장(사용자의 계좌 거래 또는 포트폴리오 원장)의 기존 거래와 합쳐져도 유효한지(보유 수량 초과 매도 등) 확인하기 위한 원장
+    // portfolioId: null이면 계좌 거래, 아니면 그 포트폴리오의 원장
+    createImportLedger(existingTransactions, userId, portfolioId = null) {
+        const Ledger = getPortfolioLedger();
+        if (!Ledger) return null;
+
+        return new Ledger(sortTransactions(existingTransactions
+            .filter(record => record.userId === userId && (record.portfolioId ?? null) === portfolioId)));
+    }
+
+    // 민감 필드 암호화 (원본은 그대로 두고 사본 반환, 이미 암호문인 값은 유지)
+    async sealRecord(storeName, record) {
+        const fields = ENCRYPTED_FIELDS[storeName];
+        if (!this.keyManager || !fields || !record) return record;
+
+        const sealed = { ...record };
+        for (const field of fields) {
+            if (sealed[field] !== undefined && sealed[field] !== null && !this.keyManager.isEncrypted(sealed[field])) {
+                sealed[field] = await this.keyManager.encryptJSON(sealed[field]);
+            }
+        }
+        return sealed;
+    }
+
+    // 민감 필드 복호화 (키가 잠겨 있거나 없으면 암호문을 그대로 두어 다시 저장해도 원래 값 유지)
+    async openRecord(storeName, record) {
+        const fields = ENCRYPTED_FIELDS[storeName];
+        if (!this.keyManager || !fields || !record) return record;
+
+        const opened = { ...record };
+        for (const field of fields) {
+            if (!this.keyManager.isEncrypted(opened[field])) continue;
+            try {
+                opened[field] = await this.keyManager.decryptJSON(opened[field]);
+            } catch (error) {
+                console.warn(`[DB] ${storeName}.${field} 복호화 실패:`, error.message);
+            }
+        }
+        return opened;
+    }
+
+    async openRecords(storeName, records) {
+        return Promise.all(records.map(record => this.openRecord(storeName, record)));
+    }
+
+    // 키 교체 시 이전 키로 암호화된 필드를 새 키로 다시 저장
+    async reencryptFields(reencrypt) {
+        await this.initDatabase();
+
+        for (const [storeName, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+            if (!this.db.objectStoreNames.contains(storeName)) continue;
+
+            for (const record of await this.getAllRecords(storeName, { raw: true })) {
+                const updated = { ...record };
+                for (const field of fields) {
+                    updated[field] = await reencrypt(record[field]);
+                }
+                if (fields.some(field => updated[field] !== record[field])) {
+                    await this.updateRecord(storeName, updated);
+                }
+            }
+        }
+    }
+
+    // 헬퍼 메서드들 (raw: 암호화 필드를 복호화하지 않고 그대로 반환)
+    async getAllRecords(storeName, { raw = false } = {}) {
+        const records = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return raw ? records : this.openRecords(storeName, records);
+    }
+
+    async addRecord(storeName, record) {
+        const data = await this.sealRecord(storeName, record);
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([storeName], 'readwrite');
             const store = transaction.objectStore(storeName);
@@ -447,8 +1273,21 @@ class MyDataDatabase {
         });
     }
 
-    async getRecord(storeName, key) {
+    // 여러 레코드를 한 트랜잭션으로 추가 (하나라도 실패하면 모두 취소)
+    async addRecords(storeName, records) {
+        const sealed = await Promise.all(records.map(record => this.sealRecord(storeName, record)));
         return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            sealed.forEach(data => store.add(data));
+
+            transaction.oncomplete = () => resolve(sealed.length);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getRecord(storeName, key) {
+        const record = await new Promise((resolve, reject) => {
             const transaction = this.db.transaction([storeName], 'readonly');
             const store = transaction.objectStore(storeName);
             const request = store.get(key);
@@ -456,9 +1295,11 @@ class MyDataDatabase {
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        return this.openRecord(storeName, record);
     }
 
-    async updateRecord(storeName, data) {
+    async updateRecord(storeName, record) {
+        const data = await this.sealRecord(storeName, record);
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([storeName], 'readwrite');
             const store = transaction.objectStore(storeName);
@@ -469,6 +1310,32 @@ class MyDataDatabase {
         });
     }
 
+    // readwrite 트랜잭션 하나에서 work(transaction) 실행, 완료(커밋)되면 work의 결과로 resolve
+    // work 안에서는 IndexedDB 요청만 기다려야 함 (다른 비동기 작업을 기다리면 트랜잭션이 자동 커밋됨)
+    // work가 실패하면 트랜잭션을 취소해 그때까지의 쓰기도 모두 되돌림
+    runInTransaction(storeNames, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            let result;
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onabort = () => reject(transaction.error || new Error('트랜잭션이 취소되었습니다.'));
+
+            Promise.resolve()
+                .then(() => work(transaction))
+                .then((value) => {
+                    result = value;
+                }, (error) => {
+                    reject(error);
+                    try {
+                        transaction.abort();
+                    } catch (abortError) {
+                        // 이미 끝난 트랜잭션
+                    }
+                });
+        });
+    }
+
     async deleteRecord(storeName, key) {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([storeName], 'readwrite');
@@ -502,6 +1369,33 @@ class MyDataDatabase {
     }
 }
 
+// IndexedDB 요청 결과 Promise (runInTransaction 안에서 사용)
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 거래일 순 정렬 (같은 날은 기록 순)
+function sortTransactions(records) {
+    return records.sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+}
+
+// 거래 원장 모듈 (브라우저는 portfolio-ledger.js 전역, Node 환경은 require)
+function getPortfolioLedger() {
+    if (typeof PortfolioLedger !== 'undefined') return PortfolioLedger;
+    if (typeof require !== 'undefined') return require('./portfolio-ledger').PortfolioLedger;
+    return null;
+}
+
+// 민감 필드 암호화 키 관리자 (브라우저는 client-crypto.js 전역, Node 환경은 require)
+function getFieldKeyManager() {
+    if (typeof getClientKeyManager !== 'undefined') return getClientKeyManager();
+    if (typeof require !== 'undefined') return require('./client-crypto').getClientKeyManager();
+    return null;
+}
+
 // 전역 데이터베이스 인스턴스
 let myDataDB = null;
 
@@ -0,0 +1,206 @@
+// 마이데이터 투자 제안 시스템 - 과거 시세(OHLCV) 조회 서비스
+// KIS 기간별/분봉 시세 TR 우선, 실패 시 네이버 차트 데이터로 대체, 조회 결과는 서버 메모리에 캐시
+
+const axios = require('axios');
+
+const HISTORY_CACHE_TTL = parseInt(process.env.HISTORY_CACHE_TTL_MS) || 10 * 60 * 1000; // 일/주/월봉 캐시 유지 시간
+const MINUTE_CACHE_TTL = 30 * 1000;  // 분봉 캐시 유지 시간
+const MAX_CACHE_ENTRIES = 200;
+const NAVER_CHART_URL = 'https://api.finance.naver.com/siseJson.naver';
+
+// 조회 기간 → 일수
+const PERIOD_DAYS = { '1D': 1, '1W': 7, '1M': 30, '3M': 90, '6M': 180, '1Y': 365, '2Y': 730, '5Y': 1825 };
+// 봉 단위 → KIS 기간 구분 코드 / 네이버 timeframe
+const INTERVALS = {
+    minute: { kis: null, naver: null },
+    day: { kis: 'D', naver: 'day' },
+    week: { kis: 'W', naver: 'week' },
+    month: { kis: 'M', naver: 'month' }
+};
+
+// 과거 시세 조회 오류 (HTTP 상태 코드 포함)
+class HistoryError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'HistoryError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// 한국 시간 기준 'YYYYMMDD'
+function toKSTDate(date) {
+    return new Date(date.getTime() + 9 * 60 * 60 * 1000).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// 'YYYYMMDD' (+ 'HHMMSS') → ISO 8601 (한국 시간)
+function toCandleTime(date, time) {
+    const day = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+    return time
+        ? `${day}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}+09:00`
+        : `${day}T00:00:00+09:00`;
+}
+
+// 시간순 정렬, 중복 제거, 가격이 없는 봉 제외
+function normalizeCandles(rows) {
+    const byTime = new Map();
+
+    rows.forEach(row => {
+        if (!row.date || !(row.close > 0)) return;
+        const time = toCandleTime(row.date, row.time);
+        byTime.set(time, {
+            time,
+            open: row.open || row.close,
+            high: row.high || row.close,
+            low: row.low || row.close,
+            close: row.close,
+            volume: row.volume || 0
+        });
+    });
+
+    return [...byTime.values()].sort((a, b) => a.time.localeCompare(b.time));
+}
+
+// 네이버 차트 응답 (작은따옴표 배열 텍스트: [['날짜','시가','고가','저가','종가','거래량',...], ["20240102", 78200, ...]])
+function parseNaverChart(text) {
+    const rows = JSON.parse(String(text).trim().replace(/'/g, '"'));
+    return rows.slice(1).map(([date, open, high, low, close, volume]) => ({
+        date: String(date).trim(),
+        time: null,
+        open: Number(open),
+        high: Number(high),
+        low: Number(low),
+        close: Number(close),
+        volume: Number(volume)
+    }));
+}
+
+async function fetchNaverCandles(code, { startDate, endDate, timeframe }) {
+    const response = await axios.get(NAVER_CHART_URL, {
+        params: { symbol: code, requestType: 1, startTime: startDate, endTime: endDate, timeframe },
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            'Referer': `https://finance.naver.com/item/fchart.naver?code=${code}`
+        },
+        responseType: 'text',
+        timeout: 10000
+    });
+
+    return parseNaverChart(response.data);
+}
+
+class HistoryService {
+    constructor({ kisClient, fetchFallback = fetchNaverCandles }) {
+        this.kisClient = kisClient;
+        this.fetchFallback = fetchFallback;
+        this.cache = new Map();    // 캐시 키 → { result, fetchedAt, ttl }
+        this.inflight = new Map(); // 캐시 키 → 진행 중인 조회 Promise
+    }
+
+    // 기간/봉 단위 검증 (분봉은 당일(1D)만 지원)
+    resolveOptions({ period = '3M', interval = 'day' } = {}) {
+        const periodKey = String(period).toUpperCase();
+        const intervalKey = String(interval).toLowerCase();
+
+        if (!PERIOD_DAYS[periodKey]) {
+            throw new HistoryError(`지원하지 않는 기간입니다: ${period} (${Object.keys(PERIOD_DAYS).join(', ')})`, 'INVALID_PERIOD');
+        }
+        if (!INTERVALS[intervalKey]) {
+            throw new HistoryError(`지원하지 않는 봉 단위입니다: ${interval} (${Object.keys(INTERVALS).join(', ')})`, 'INVALID_INTERVAL');
+        }
+        if (intervalKey === 'minute' && periodKey !== '1D') {
+            throw new HistoryError('분봉은 당일(period=1D)만 조회할 수 있습니다.', 'INVALID_INTERVAL');
+        }
+
+        return { period: periodKey, interval: intervalKey };
+    }
+
+    async getHistory(code, options) {
+        const { period, interval } = this.resolveOptions(options);
+        const key = `${code}:${period}:${interval}`;
+
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < cached.ttl) {
+            return { ...cached.result, cached: true };
+        }
+
+        if (!this.inflight.has(key)) {
+            const request = this.fetchHistory(code, period, interval)
+                .then(result => {
+                    this.cache.set(key, {
+                        result,
+                        fetchedAt: Date.now(),
+                        ttl: interval === 'minute' ? MINUTE_CACHE_TTL : HISTORY_CACHE_TTL
+                    });
+                    this.pruneCache();
+                    return result;
+                })
+                .finally(() => this.inflight.delete(key));
+
+            this.inflight.set(key, request);
+        }
+
+        return { ...(await this.inflight.get(key)), cached: false };
+    }
+
+    // KIS 우선 조회, 실패하거나 결과가 없으면 네이버 대체
+    async fetchHistory(code, period, interval) {
+        const now = new Date();
+        const endDate = toKSTDate(now);
+        const startDate = toKSTDate(new Date(now.getTime() - PERIOD_DAYS[period] * 24 * 60 * 60 * 1000));
+
+        let kisError = null;
+        if (this.kisClient && this.kisClient.isConfigured()) {
+            try {
+                const rows = interval === 'minute'
+                    ? await this.kisClient.getMinuteCandles(code)
+                    : await this.kisClient.getPeriodCandles(code, { startDate, endDate, periodCode: INTERVALS[interval].kis });
+                const candles = normalizeCandles(rows).filter(candle => candle.time >= toCandleTime(startDate));
+
+                if (candles.length > 0) {
+                    return { code, period, interval, candles, source: 'kis' };
+                }
+                kisError = new Error('KIS 기간별 시세가 비어 있습니다.');
+            } catch (error) {
+                kisError = error;
+            }
+            console.warn(`⚠️ ${code} KIS 과거 시세 조회 실패, 네이버로 대체:`, kisError.message);
+        }
+
+        if (!INTERVALS[interval].naver) {
+            throw new HistoryError(
+                `분봉 시세를 조회할 수 없습니다${kisError ? `: ${kisError.message}` : ' (KIS API 키 필요)'}`,
+                'HISTORY_UNAVAILABLE',
+                503
+            );
+        }
+
+        try {
+            const rows = await this.fetchFallback(code, { startDate, endDate, timeframe: INTERVALS[interval].naver });
+            const candles = normalizeCandles(rows);
+
+            if (candles.length === 0) {
+                throw new Error('차트 데이터가 비어 있습니다.');
+            }
+            return { code, period, interval, candles, source: 'naver' };
+        } catch (error) {
+            throw new HistoryError(`${code} 과거 시세를 조회할 수 없습니다: ${error.message}`, 'HISTORY_UNAVAILABLE', 503);
+        }
+    }
+
+    // 만료된 캐시 정리 (항목 수 제한 초과 시 오래된 항목부터 삭제)
+    pruneCache() {
+        const now = Date.now();
+        for (const [key, entry] of this.cache) {
+            if (now - entry.fetchedAt >= entry.ttl) {
+                this.cache.delete(key);
+            }
+        }
+
+        while (this.cache.size > MAX_CACHE_ENTRIES) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+}
+
+module.exports = { HistoryService, HistoryError, normalizeCandles, parseNaverChart, PERIOD_DAYS, INTERVALS };
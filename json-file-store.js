@@ -0,0 +1,72 @@
+// 마이데이터 투자 제안 시스템 - JSON 파일 저장소
+// 서버 측 영속 데이터(결제 내역 등)를 파일 단위로 저장하고 쓰기를 직렬화
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 데이터 디렉터리 결정 (Vercel은 /tmp 외에는 쓰기 불가)
+// 기본값은 정적 파일로 제공되는 저장소 폴더 밖의 홈 디렉터리 (사용자/결제/토큰 파일이 URL로 노출되지 않도록)
+function resolveDataDir() {
+    if (process.env.DATA_DIR) {
+        return path.resolve(process.env.DATA_DIR);
+    }
+    if (process.env.VERCEL === '1') {
+        return path.join('/tmp', 'mydata');
+    }
+    return path.join(os.homedir(), '.mydata-investment');
+}
+
+class JsonFileStore {
+    constructor(fileName, defaults = {}) {
+        this.filePath = path.join(resolveDataDir(), fileName);
+        this.defaults = defaults;
+        this.data = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    // 파일에서 데이터 로드 (최초 1회, 이후 메모리 캐시 사용)
+    async read() {
+        if (this.data) {
+            return this.data;
+        }
+
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            this.data = { ...JSON.parse(JSON.stringify(this.defaults)), ...JSON.parse(raw) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[Store] ${path.basename(this.filePath)} 로드 실패:`, error.message);
+            }
+            this.data = JSON.parse(JSON.stringify(this.defaults));
+        }
+
+        return this.data;
+    }
+
+    // 변경 작업을 순서대로 실행한 뒤 파일에 기록
+    async update(mutator) {
+        const task = this.writeQueue.then(async () => {
+            const data = await this.read();
+            const result = await mutator(data);
+            await this.flush();
+            return result;
+        });
+
+        // 실패한 작업이 이후 작업을 막지 않도록 큐는 항상 이어지게 유지
+        this.writeQueue = task.catch(() => {});
+        return task;
+    }
+
+    // 임시 파일에 쓴 뒤 rename하여 부분 기록 방지
+    async flush() {
+        const dir = path.dirname(this.filePath);
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+}
+
+module.exports = { JsonFileStore, resolveDataDir };
@@ -0,0 +1,553 @@
+// 마이데이터 투자 제안 시스템 - 한국투자증권(KIS) Open API 클라이언트
+// 접근 토큰 캐시(만료 전 갱신, 재시작 시 재사용), 초당 TR 호출 제한 큐, 시세 응답 정규화
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { JsonFileStore } = require('./json-file-store');
+const { MemoryBackend } = require('./portfolio-store');
+
+const KIS_BASE_URL = process.env.KIS_BASE_URL || 'https://openapi.koreainvestment.com:9443';
+const KIS_VIRTUAL_BASE_URL = process.env.KIS_VIRTUAL_BASE_URL || 'https://openapivts.koreainvestment.com:29443';
+const KIS_TR_PER_SECOND = parseInt(process.env.KIS_TR_PER_SECOND) || 15; // 실전 계좌 20건/초, 모의투자는 2건/초
+const TOKEN_REFRESH_MARGIN = 10 * 60 * 1000; // 만료 10분 전부터 새 토큰 발급
+const REQUEST_TIMEOUT = 10000;
+const MAX_BATCH_CODES = 30;
+const MAX_HISTORY_PAGES = 10; // 기간별 시세 반복 조회 최대 횟수 (일봉 100건 × 10)
+const ACCOUNT_CLIENT_IDLE_TTL = 10 * 60 * 1000; // 사용자 계좌 클라이언트 유휴 보관 시간
+const ACCOUNT_CLIENT_MAX = 100;                 // 동시에 보관하는 사용자 계좌 클라이언트 수
+
+// KIS 응답 코드 중 토큰 재발급이 필요한 경우 (기간 만료, 유효하지 않은 토큰)
+const TOKEN_EXPIRED_CODES = ['EGW00121', 'EGW00123'];
+// 토큰 발급 빈도 제한 (1분당 1회)
+const TOKEN_RATE_LIMIT_CODE = 'EGW00133';
+
+// KIS 연동 오류 (HTTP 상태 코드 포함)
+class KISError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'KISError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// 환경 설정에 따라 토큰 저장소 선택 (파일 저장 시 서버 재시작 후에도 토큰 재사용)
+function createTokenBackend(type = process.env.KIS_TOKEN_STORE || 'file') {
+    const defaults = { token: null };
+
+    switch (type) {
+        case 'file':
+            return new JsonFileStore('kis-token.json', defaults);
+        case 'memory':
+            return new MemoryBackend(defaults);
+        default:
+            throw new Error(`지원하지 않는 KIS 토큰 저장소입니다: ${type}`);
+    }
+}
+
+// 1초 구간에 시작되는 작업 수를 제한하는 대기열
+class RateLimitQueue {
+    constructor(limitPerSecond) {
+        this.limit = limitPerSecond;
+        this.startedAt = []; // 최근 1초 이내 작업 시작 시각
+        this.waiting = [];
+        this.timer = null;
+    }
+
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.waiting.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    drain() {
+        const now = Date.now();
+        this.startedAt = this.startedAt.filter(time => now - time < 1000);
+
+        while (this.waiting.length > 0 && this.startedAt.length < this.limit) {
+            const { task, resolve, reject } = this.waiting.shift();
+            this.startedAt.push(now);
+            Promise.resolve().then(task).then(resolve, reject);
+        }
+
+        if (this.waiting.length > 0 && !this.timer) {
+            const wait = Math.max(1, 1000 - (now - this.startedAt[0]));
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, wait);
+        }
+    }
+}
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// 'YYYYMMDD' 날짜를 일 단위로 이동
+function shiftDate(yyyymmdd, days) {
+    const date = new Date(Date.UTC(+yyyymmdd.slice(0, 4), +yyyymmdd.slice(4, 6) - 1, +yyyymmdd.slice(6, 8) + days));
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// 'HHMMSS' 시각을 초 단위로 이동
+function shiftTime(hhmmss, seconds) {
+    const total = Math.max(0, +hhmmss.slice(0, 2) * 3600 + +hhmmss.slice(2, 4) * 60 + +hhmmss.slice(4, 6) + seconds);
+    return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60]
+        .map(value => String(value).padStart(2, '0'))
+        .join('');
+}
+
+class KISClient {
+    constructor({
+        appKey = process.env.KIS_API_KEY,
+        appSecret = process.env.KIS_API_SECRET,
+        accountNo = null,
+        baseUrl = KIS_BASE_URL,
+        trPerSecond = KIS_TR_PER_SECOND,
+        tokenStore = createTokenBackend()
+    } = {}) {
+        this.appKey = appKey;
+        this.appSecret = appSecret;
+        this.accountNo = accountNo;
+        this.baseUrl = baseUrl;
+        this.isVirtual = baseUrl.includes('openapivts'); // 모의투자 서버는 TR ID가 V로 시작
+        this.tokenStore = tokenStore;
+        this.queue = new RateLimitQueue(trPerSecond);
+        this.token = null;          // { accessToken, expiresAt, keyId }
+        this.tokenRequest = null;   // 진행 중인 토큰 발급 (동시 요청 병합)
+    }
+
+    isConfigured() {
+        return !!(this.appKey && this.appSecret);
+    }
+
+    // 저장된 토큰이 어떤 앱 키로 발급되었는지 구분 (키 자체는 저장하지 않음)
+    get keyId() {
+        return crypto.createHash('sha256').update(String(this.appKey)).digest('hex').slice(0, 16);
+    }
+
+    assertConfigured() {
+        if (!this.isConfigured()) {
+            throw new KISError('KIS API 키가 서버에 설정되지 않았습니다.', 'KIS_NOT_CONFIGURED', 503);
+        }
+    }
+
+    // 접근 토큰 (유효하면 캐시, 만료가 가까우면 새로 발급)
+    async getAccessToken() {
+        this.assertConfigured();
+
+        if (!this.token) {
+            const data = await this.tokenStore.read();
+            if (data.token && data.token.keyId === this.keyId) {
+                this.token = data.token;
+            }
+        }
+
+        if (this.token && this.token.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN) {
+            return this.token.accessToken;
+        }
+
+        if (!this.tokenRequest) {
+            this.tokenRequest = this.issueToken().finally(() => {
+                this.tokenRequest = null;
+            });
+        }
+
+        return this.tokenRequest;
+    }
+
+    async issueToken() {
+        try {
+            const response = await axios.post(`${this.baseUrl}/oauth2/tokenP`, {
+                grant_type: 'client_credentials',
+                appkey: this.appKey,
+                appsecret: this.appSecret
+            }, { timeout: REQUEST_TIMEOUT });
+
+            const { access_token: accessToken, expires_in: expiresIn } = response.data;
+            if (!accessToken) {
+                throw new KISError('KIS 토큰 응답에 access_token이 없습니다.', 'KIS_AUTH_FAILED', 502);
+            }
+
+            this.token = {
+                accessToken,
+                expiresAt: Date.now() + (parseInt(expiresIn) || 86400) * 1000,
+                keyId: this.keyId
+            };
+            await this.tokenStore.update((data) => {
+                data.token = this.token;
+            });
+
+            console.log(`🔑 KIS 접근 토큰 발급 (만료: ${new Date(this.token.expiresAt).toISOString()})`);
+            return accessToken;
+
+        } catch (error) {
+            if (error instanceof KISError) throw error;
+
+            const body = error.response && error.response.data;
+            if (body && body.error_code === TOKEN_RATE_LIMIT_CODE) {
+                // 발급 제한 중에는 남아 있는 토큰이 있으면 만료 전까지 계속 사용
+                if (this.token && this.token.expiresAt > Date.now()) {
+                    return this.token.accessToken;
+                }
+                throw new KISError('KIS 토큰 발급 횟수 제한에 걸렸습니다. 1분 후 다시 시도해주세요.', 'KIS_TOKEN_RATE_LIMITED', 429);
+            }
+
+            console.error('KIS 토큰 발급 오류:', (body && body.error_description) || error.message);
+            throw new KISError('KIS API 인증 실패', 'KIS_AUTH_FAILED', 502);
+        }
+    }
+
+    // 토큰 상태 (토큰 값은 노출하지 않음)
+    async getTokenStatus() {
+        await this.getAccessToken();
+        return { issued: true, expiresAt: new Date(this.token.expiresAt).toISOString() };
+    }
+
+    invalidateToken() {
+        this.token = null;
+        return this.tokenStore.update((data) => {
+            data.token = null;
+        });
+    }
+
+    // TR 호출 (초당 호출 수 제한 큐 경유, 만료 토큰은 1회 재발급 후 재시도)
+    // trCont: 연속 조회 여부 ('N'), 응답의 trCont가 'F'/'M'이면 다음 페이지 있음
+    async request({ path, trId, params, trCont = '' }, retried = false) {
+        const accessToken = await this.getAccessToken();
+
+        try {
+            const response = await this.queue.schedule(() => axios.get(`${this.baseUrl}${path}`, {
+                headers: {
+                    'content-type': 'application/json; charset=utf-8',
+                    'authorization': `Bearer ${accessToken}`,
+                    'appkey': this.appKey,
+                    'appsecret': this.appSecret,
+                    'tr_id': trId,
+                    'tr_cont': trCont,
+                    'custtype': 'P'
+                },
+                params,
+                timeout: REQUEST_TIMEOUT
+            }));
+
+            if (response.data.rt_cd !== '0') {
+                throw new KISError(response.data.msg1 || 'KIS API 오류', response.data.msg_cd || 'KIS_API_ERROR', 502);
+            }
+
+            return { ...response.data, trCont: response.headers['tr_cont'] || '' };
+
+        } catch (error) {
+            const body = error.response && error.response.data;
+            const messageCode = error instanceof KISError ? error.code : body && body.msg_cd;
+
+            if (!retried && (TOKEN_EXPIRED_CODES.includes(messageCode) || (error.response && error.response.status === 401))) {
+                await this.invalidateToken();
+                return this.request({ path, trId, params, trCont }, true);
+            }
+            if (error instanceof KISError) throw error;
+            if (body && body.msg_cd === 'EGW00201') {
+                throw new KISError('KIS 초당 거래건수를 초과했습니다.', 'KIS_RATE_LIMITED', 429);
+            }
+
+            throw new KISError(`KIS API 호출 실패: ${(body && body.msg1) || error.message}`, 'KIS_API_ERROR', 502);
+        }
+    }
+
+    // 계좌번호 ('12345678-01' 또는 '1234567801') → 종합계좌번호 8자리 + 상품코드 2자리
+    parseAccountNo(accountNo = this.accountNo) {
+        const match = String(accountNo || '').replace(/\s/g, '').match(/^(\d{8})-?(\d{2})$/);
+        if (!match) {
+            throw new KISError('KIS 계좌번호 형식이 올바르지 않습니다. (예: 12345678-01)', 'KIS_ACCOUNT_NOT_CONFIGURED', 400);
+        }
+        return { cano: match[1], productCode: match[2] };
+    }
+
+    // 국내주식 잔고 조회 (실전 TTTC8434R / 모의 VTTC8434R, 보유 종목은 연속 조회로 전부 수집)
+    async getBalance() {
+        const { cano, productCode } = this.parseAccountNo();
+        const holdings = [];
+        let summary = {};
+        let context = { fk: '', nk: '' };
+        let trCont = '';
+
+        for (let page = 0; page < MAX_HISTORY_PAGES; page++) {
+            const data = await this.request({
+                path: '/uapi/domestic-stock/v1/trading/inquire-balance',
+                trId: this.isVirtual ? 'VTTC8434R' : 'TTTC8434R',
+                trCont,
+                params: {
+                    CANO: cano,
+                    ACNT_PRDT_CD: productCode,
+                    AFHR_FLPR_YN: 'N',
+                    OFL_YN: '',
+                    INQR_DVSN: '02',
+                    UNPR_DVSN: '01',
+                    FUND_STTL_ICLD_YN: 'N',
+                    FNCG_AMT_AUTO_RDPT_YN: 'N',
+                    PRCS_DVSN: '00',
+                    CTX_AREA_FK100: context.fk,
+                    CTX_AREA_NK100: context.nk
+                }
+            });
+
+            holdings.push(...(data.output1 || []));
+            summary = (data.output2 || [])[0] || summary;
+
+            if (!['F', 'M'].includes(data.trCont)) break;
+            context = { fk: data.ctx_area_fk100 || '', nk: data.ctx_area_nk100 || '' };
+            trCont = 'N';
+        }
+
+        return this.normalizeBalance(holdings, summary, `${cano.slice(0, 4)}****-${productCode}`);
+    }
+
+    // 잔고 응답 → 보유 종목/예수금/평가 요약 (수량 0인 종목 제외, 금액은 원 단위)
+    normalizeBalance(rows, summary, maskedAccountNo) {
+        const holdings = rows
+            .filter(row => toNumber(row.hldg_qty) > 0)
+            .map(row => ({
+                code: row.pdno,
+                name: row.prdt_name,
+                shares: toNumber(row.hldg_qty),
+                avgPrice: toNumber(row.pchs_avg_pric),
+                purchaseAmount: toNumber(row.pchs_amt),
+                currentPrice: toNumber(row.prpr),
+                evaluationAmount: toNumber(row.evlu_amt),
+                profitLoss: toNumber(row.evlu_pfls_amt),
+                profitLossRate: toNumber(row.evlu_pfls_rt)
+            }));
+
+        return {
+            broker: 'kis',
+            accountNo: maskedAccountNo,
+            holdings,
+            cash: {
+                deposit: toNumber(summary.dnca_tot_amt) || 0,            // 예수금 총액
+                settlementDeposit: toNumber(summary.prvs_rcdl_excc_amt) || 0 // D+2 가수도 정산 예수금
+            },
+            summary: {
+                purchaseAmount: toNumber(summary.pchs_amt_smtl_amt) || 0,
+                evaluationAmount: toNumber(summary.evlu_amt_smtl_amt) || 0,
+                profitLoss: toNumber(summary.evlu_pfls_smtl_amt) || 0,
+                totalEvaluation: toNumber(summary.tot_evlu_amt) || 0,
+                netAsset: toNumber(summary.nass_amt) || 0
+            },
+            importedAt: new Date().toISOString()
+        };
+    }
+
+    // 주식 현재가 시세 (FHKST01010100)
+    async getStockQuote(code) {
+        if (!/^[0-9A-Z]{6}$/.test(String(code))) {
+            throw new KISError('종목 코드는 6자리 숫자 또는 영문 대문자여야 합니다.', 'INVALID_STOCK_CODE');
+        }
+
+        const data = await this.request({
+            path: '/uapi/domestic-stock/v1/quotations/inquire-price',
+            trId: 'FHKST01010100',
+            params: { fid_cond_mrkt_div_code: 'J', fid_input_iscd: code }
+        });
+
+        return this.normalizeQuote(code, data.output || {});
+    }
+
+    // 여러 종목 시세 (호출 간격은 큐가 조절, 종목별 성공/실패 상태 포함)
+    async getStockQuotes(codes) {
+        if (codes.length === 0) {
+            throw new KISError('조회할 종목(symbols)이 필요합니다.', 'SYMBOLS_REQUIRED');
+        }
+        if (codes.length > MAX_BATCH_CODES) {
+            throw new KISError(`한 번에 최대 ${MAX_BATCH_CODES}개 종목까지 조회할 수 있습니다.`, 'TOO_MANY_SYMBOLS');
+        }
+
+        this.assertConfigured();
+
+        return Promise.all(codes.map(async (code) => {
+            try {
+                return { symbol: code, status: 'ok', quote: await this.getStockQuote(code) };
+            } catch (error) {
+                return { symbol: code, status: 'error', error: error.message, errorCode: error.code || 'KIS_API_ERROR' };
+            }
+        }));
+    }
+
+    // 기간별 시세 (FHKST03010100, 일/주/월봉, 수정주가 기준)
+    // 한 번에 최대 100건이므로 종료일을 앞당기며 시작일까지 반복 조회
+    async getPeriodCandles(code, { startDate, endDate, periodCode = 'D' }) {
+        const candles = [];
+        let cursor = endDate;
+
+        for (let page = 0; page < MAX_HISTORY_PAGES && cursor >= startDate; page++) {
+            const data = await this.request({
+                path: '/uapi/domestic-stock/v1/quotations/inquire-daily-itemchartprice',
+                trId: 'FHKST03010100',
+                params: {
+                    FID_COND_MRKT_DIV_CODE: 'J',
+                    FID_INPUT_ISCD: code,
+                    FID_INPUT_DATE_1: startDate,
+                    FID_INPUT_DATE_2: cursor,
+                    FID_PERIOD_DIV_CODE: periodCode,
+                    FID_ORG_ADJ_PRC: '0'
+                }
+            });
+
+            const rows = (data.output2 || []).filter(row => row.stck_bsop_date);
+            if (rows.length === 0) break;
+
+            rows.forEach(row => candles.push({
+                date: row.stck_bsop_date,
+                time: null,
+                open: toNumber(row.stck_oprc),
+                high: toNumber(row.stck_hgpr),
+                low: toNumber(row.stck_lwpr),
+                close: toNumber(row.stck_clpr),
+                volume: toNumber(row.acml_vol)
+            }));
+
+            // 응답은 최신순이므로 가장 오래된 날짜의 전날부터 다음 페이지 조회
+            const oldest = rows[rows.length - 1].stck_bsop_date;
+            cursor = shiftDate(oldest, -1);
+            if (rows.length < 100) break;
+        }
+
+        return candles;
+    }
+
+    // 당일 분봉 (FHKST03010200, 1분 단위 최대 30건씩, 기준 시각을 앞당기며 반복 조회)
+    async getMinuteCandles(code, { fromTime = '090000' } = {}) {
+        const candles = [];
+        let cursor = '153000';
+
+        for (let page = 0; page < MAX_HISTORY_PAGES * 2 && cursor >= fromTime; page++) {
+            const data = await this.request({
+                path: '/uapi/domestic-stock/v1/quotations/inquire-time-itemchartprice',
+                trId: 'FHKST03010200',
+                params: {
+                    FID_ETC_CLS_CODE: '',
+                    FID_COND_MRKT_DIV_CODE: 'J',
+                    FID_INPUT_ISCD: code,
+                    FID_INPUT_HOUR_1: cursor,
+                    FID_PW_DATA_INCU_YN: 'N'
+                }
+            });
+
+            const rows = (data.output2 || []).filter(row => row.stck_cntg_hour);
+            if (rows.length === 0) break;
+
+            rows.forEach(row => candles.push({
+                date: row.stck_bsop_date,
+                time: row.stck_cntg_hour,
+                open: toNumber(row.stck_oprc),
+                high: toNumber(row.stck_hgpr),
+                low: toNumber(row.stck_lwpr),
+                close: toNumber(row.stck_prpr),
+                volume: toNumber(row.cntg_vol)
+            }));
+
+            const oldest = rows[rows.length - 1].stck_cntg_hour;
+            cursor = shiftTime(oldest, -60);
+            if (rows.length < 30) break;
+        }
+
+        return candles;
+    }
+
+    // KIS 현재가 응답 → 시세 응답 형식 (prdy_vrss/prdy_ctrt는 부호 포함, hts_avls는 억 원 단위)
+    normalizeQuote(code, output) {
+        const price = toNumber(output.stck_prpr);
+        const change = toNumber(output.prdy_vrss);
+        const marketCap = toNumber(output.hts_avls);
+
+        return {
+            success: true,
+            symbol: code,
+            price,
+            change,
+            changePercent: toNumber(output.prdy_ctrt),
+            previousClose: price !== null && change !== null ? price - change : null,
+            open: toNumber(output.stck_oprc),
+            dayHigh: toNumber(output.stck_hgpr),
+            dayLow: toNumber(output.stck_lwpr),
+            volume: toNumber(output.acml_vol),
+            tradingValue: toNumber(output.acml_tr_pbmn),
+            marketCap: marketCap !== null ? marketCap * 100000000 : null,
+            fiftyTwoWeekHigh: toNumber(output.w52_hgpr),
+            fiftyTwoWeekLow: toNumber(output.w52_lwpr),
+            pe: toNumber(output.per),
+            pbr: toNumber(output.pbr),
+            currency: 'KRW',
+            exchangeName: 'KRX',
+            timestamp: new Date().toISOString(),
+            source: 'kis-api',
+            isRealTime: true,
+            dataQuality: 'realtime'
+        };
+    }
+}
+
+// 서버 전역에서 공유하는 기본 인스턴스 (토큰과 호출 제한을 한 곳에서 관리)
+const kisClient = new KISClient();
+
+// 사용자가 연결한 계좌용 클라이언트 (사용자 앱 키로 토큰 발급, 토큰은 인스턴스 메모리에만 보관)
+// 서버 주소는 실전/모의 중에서만 선택해 사용자 입력으로 임의 주소를 호출하지 않음
+function createAccountClient({ appKey, appSecret, accountNo, virtual = false }) {
+    return new KISClient({
+        appKey,
+        appSecret,
+        accountNo,
+        baseUrl: virtual ? KIS_VIRTUAL_BASE_URL : KIS_BASE_URL,
+        trPerSecond: virtual ? 2 : KIS_TR_PER_SECOND,
+        tokenStore: new MemoryBackend({ token: null })
+    });
+}
+
+// 사용자별 계좌 클라이언트 캐시 (연결 정보가 바뀌면 새로 생성해 토큰과 호출 제한을 사용자 키 단위로 관리)
+// 클라이언트는 복호화된 앱 키/시크릿과 접근 토큰을 들고 있으므로 유휴 시간이 지나거나 최대 개수를 넘으면 오래 쓰지 않은 것부터 제거
+class AccountClientCache {
+    constructor({ idleTtl = ACCOUNT_CLIENT_IDLE_TTL, maxSize = ACCOUNT_CLIENT_MAX, createClient = createAccountClient } = {}) {
+        this.idleTtl = idleTtl;
+        this.maxSize = maxSize;
+        this.createClient = createClient;
+        this.entries = new Map(); // userId → { client, updatedAt, lastUsedAt } (Map 순서 = 최근 사용 순)
+    }
+
+    get(userId, credentials, now = Date.now()) {
+        this.prune(now);
+
+        const cached = this.entries.get(userId);
+        const client = cached && cached.updatedAt === credentials.updatedAt
+            ? cached.client
+            : this.createClient(credentials);
+
+        this.entries.delete(userId);
+        this.entries.set(userId, { client, updatedAt: credentials.updatedAt, lastUsedAt: now });
+
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return client;
+    }
+
+    delete(userId) {
+        this.entries.delete(userId);
+    }
+
+    // 유휴 시간이 지난 클라이언트 정리
+    prune(now = Date.now()) {
+        for (const [userId, entry] of this.entries) {
+            if (now - entry.lastUsedAt >= this.idleTtl) {
+                this.entries.delete(userId);
+            }
+        }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = { KISClient, KISError, RateLimitQueue, AccountClientCache, kisClient, createAccountClient, createTokenBackend };
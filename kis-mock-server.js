@@ -0,0 +1,212 @@
+// 마이데이터 투자 제안 시스템 - KIS Open API 로컬 모의 서버
+// 사용법: npm run mock:kis 실행 후 서버를 KIS_BASE_URL=http://localhost:4980 으로 시작
+// (KIS_API_KEY/KIS_API_SECRET과 계좌 연결 앱 키는 아무 값, 계좌번호는 50000000-01)
+// 토큰 발급, 현재가, 기간별/분봉 시세, 국내주식 잔고(연속 조회 2페이지) 응답을 고정 데이터로 제공
+
+const express = require('express');
+
+const PORT = parseInt(process.env.KIS_MOCK_PORT) || 4980;
+const MOCK_TOKEN = 'mock-access-token';
+const MOCK_ACCOUNT = '50000000';
+const HOLDINGS_PAGE_SIZE = 2; // 연속 조회 확인용으로 작게 설정
+
+const STOCKS = {
+    '005930': { name: '삼성전자', price: 71900, change: -800, rate: -1.1, volume: 12456789, marketCap: 4292000 },
+    '035720': { name: '카카오', price: 54200, change: 600, rate: 1.12, volume: 8765432, marketCap: 240000 },
+    '035420': { name: 'NAVER', price: 195000, change: -2000, rate: -1.02, volume: 3456789, marketCap: 320000 },
+    '000660': { name: 'SK하이닉스', price: 128500, change: -1500, rate: -1.15, volume: 9876543, marketCap: 935000 },
+    '051910': { name: 'LG화학', price: 378000, change: 5000, rate: 1.34, volume: 234567, marketCap: 267000 }
+};
+
+// 모의 계좌 보유 종목 (수량 0 종목은 당일 전량 매도 케이스)
+const BALANCE_ROWS = [
+    { pdno: '005930', qty: 120, avg: 68450 },
+    { pdno: '035720', qty: 40, avg: 61200 },
+    { pdno: '035420', qty: 8, avg: 187500 },
+    { pdno: '000660', qty: 15, avg: 112300 },
+    { pdno: '051910', qty: 0, avg: 0 }
+];
+const DEPOSIT = 3250000;
+
+const app = express();
+app.use(express.json());
+
+function kisError(res, status, msgCode, message) {
+    res.status(status).json({ rt_cd: '1', msg_cd: msgCode, msg1: message });
+}
+
+// 토큰/앱 키 확인 (실제 KIS와 같이 만료 토큰은 EGW00123)
+function requireToken(req, res, next) {
+    if (!req.headers.appkey || !req.headers.appsecret) {
+        return kisError(res, 401, 'EGW00103', '유효하지 않은 AppKey입니다.');
+    }
+    if (req.headers.authorization !== `Bearer ${MOCK_TOKEN}`) {
+        return kisError(res, 401, 'EGW00123', '기간이 만료된 token 입니다.');
+    }
+    next();
+}
+
+function stockOrError(res, code) {
+    const stock = STOCKS[code];
+    if (!stock) {
+        kisError(res, 200, 'MCA00124', '종목코드가 존재하지 않습니다.');
+    }
+    return stock;
+}
+
+// 종목별로 고정된 가격 흐름 (같은 날짜는 항상 같은 값)
+function mockClose(code, dayIndex) {
+    const base = STOCKS[code].price;
+    return Math.round(base * (1 + 0.08 * Math.sin(dayIndex / 9 + Number(code.slice(-2)))) / 100) * 100;
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+app.post('/oauth2/tokenP', (req, res) => {
+    if (!req.body.appkey || !req.body.appsecret) {
+        return res.status(403).json({ error_code: 'EGW00103', error_description: '유효하지 않은 AppKey입니다.' });
+    }
+    res.json({ access_token: MOCK_TOKEN, token_type: 'Bearer', expires_in: 86400 });
+});
+
+app.get('/uapi/domestic-stock/v1/quotations/inquire-price', requireToken, (req, res) => {
+    const stock = stockOrError(res, req.query.fid_input_iscd);
+    if (!stock) return;
+
+    res.json({
+        rt_cd: '0',
+        msg_cd: 'MCA00000',
+        msg1: '정상처리 되었습니다.',
+        output: {
+            stck_prpr: String(stock.price),
+            prdy_vrss: String(stock.change),
+            prdy_ctrt: stock.rate.toFixed(2),
+            stck_oprc: String(stock.price - stock.change),
+            stck_hgpr: String(stock.price + Math.abs(stock.change)),
+            stck_lwpr: String(stock.price - Math.abs(stock.change)),
+            acml_vol: String(stock.volume),
+            acml_tr_pbmn: String(stock.volume * stock.price),
+            hts_avls: String(stock.marketCap),
+            w52_hgpr: String(Math.round(stock.price * 1.2)),
+            w52_lwpr: String(Math.round(stock.price * 0.8)),
+            per: '14.52',
+            pbr: '1.31'
+        }
+    });
+});
+
+// 기간별 시세 (최신순, 한 번에 최대 100건, 주말 제외)
+app.get('/uapi/domestic-stock/v1/quotations/inquire-daily-itemchartprice', requireToken, (req, res) => {
+    const code = req.query.FID_INPUT_ISCD;
+    if (!stockOrError(res, code)) return;
+
+    const start = req.query.FID_INPUT_DATE_1;
+    const end = req.query.FID_INPUT_DATE_2;
+    const cursor = new Date(Date.UTC(+end.slice(0, 4), +end.slice(4, 6) - 1, +end.slice(6, 8)));
+    const rows = [];
+
+    while (rows.length < 100 && formatDate(cursor) >= start) {
+        if (cursor.getUTCDay() % 6 !== 0) {
+            const dayIndex = Math.floor(cursor.getTime() / 86400000);
+            const close = mockClose(code, dayIndex);
+            const open = mockClose(code, dayIndex - 1);
+            rows.push({
+                stck_bsop_date: formatDate(cursor),
+                stck_oprc: String(open),
+                stck_hgpr: String(Math.max(open, close) + 300),
+                stck_lwpr: String(Math.min(open, close) - 300),
+                stck_clpr: String(close),
+                acml_vol: String(1000000 + (dayIndex % 7) * 150000)
+            });
+        }
+        cursor.setUTCDate(cursor.getUTCDate() - 1);
+    }
+
+    res.json({ rt_cd: '0', msg_cd: 'MCA00000', msg1: '정상처리 되었습니다.', output1: {}, output2: rows });
+});
+
+// 당일 분봉 (기준 시각부터 과거 30건)
+app.get('/uapi/domestic-stock/v1/quotations/inquire-time-itemchartprice', requireToken, (req, res) => {
+    const code = req.query.FID_INPUT_ISCD;
+    if (!stockOrError(res, code)) return;
+
+    const hour = req.query.FID_INPUT_HOUR_1 || '153000';
+    let minutes = Math.min(+hour.slice(0, 2) * 60 + +hour.slice(2, 4), 15 * 60 + 30);
+    const today = formatDate(new Date());
+    const rows = [];
+
+    while (rows.length < 30 && minutes >= 9 * 60) {
+        const price = mockClose(code, minutes / 30);
+        rows.push({
+            stck_bsop_date: today,
+            stck_cntg_hour: `${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}00`,
+            stck_prpr: String(price),
+            stck_oprc: String(price),
+            stck_hgpr: String(price + 100),
+            stck_lwpr: String(price - 100),
+            cntg_vol: String(5000 + (minutes % 13) * 300)
+        });
+        minutes--;
+    }
+
+    res.json({ rt_cd: '0', msg_cd: 'MCA00000', msg1: '정상처리 되었습니다.', output1: {}, output2: rows });
+});
+
+// 국내주식 잔고 (CTX_AREA_NK100에 다음 시작 위치를 담아 연속 조회)
+app.get('/uapi/domestic-stock/v1/trading/inquire-balance', requireToken, (req, res) => {
+    if (!['TTTC8434R', 'VTTC8434R'].includes(req.headers.tr_id)) {
+        return kisError(res, 200, 'EGW00205', '유효하지 않은 tr_id입니다.');
+    }
+    if (req.query.CANO !== MOCK_ACCOUNT) {
+        return kisError(res, 200, 'OPSQ2000', '계좌번호를 확인해주세요.');
+    }
+
+    const offset = parseInt(req.query.CTX_AREA_NK100) || 0;
+    const page = BALANCE_ROWS.slice(offset, offset + HOLDINGS_PAGE_SIZE);
+    const hasNext = offset + HOLDINGS_PAGE_SIZE < BALANCE_ROWS.length;
+
+    const output1 = page.map(row => {
+        const stock = STOCKS[row.pdno];
+        const purchase = row.qty * row.avg;
+        const evaluation = row.qty * stock.price;
+        return {
+            pdno: row.pdno,
+            prdt_name: stock.name,
+            hldg_qty: String(row.qty),
+            pchs_avg_pric: row.avg.toFixed(4),
+            pchs_amt: String(purchase),
+            prpr: String(stock.price),
+            evlu_amt: String(evaluation),
+            evlu_pfls_amt: String(evaluation - purchase),
+            evlu_pfls_rt: purchase ? ((evaluation / purchase - 1) * 100).toFixed(2) : '0.00'
+        };
+    });
+
+    const purchaseTotal = BALANCE_ROWS.reduce((sum, row) => sum + row.qty * row.avg, 0);
+    const evaluationTotal = BALANCE_ROWS.reduce((sum, row) => sum + row.qty * STOCKS[row.pdno].price, 0);
+
+    res.set('tr_cont', hasNext ? 'M' : 'D');
+    res.json({
+        rt_cd: '0',
+        msg_cd: 'KIOK0510',
+        msg1: '조회가 완료되었습니다',
+        ctx_area_fk100: '',
+        ctx_area_nk100: hasNext ? String(offset + HOLDINGS_PAGE_SIZE) : '',
+        output1,
+        output2: [{
+            dnca_tot_amt: String(DEPOSIT),
+            prvs_rcdl_excc_amt: String(DEPOSIT),
+            pchs_amt_smtl_amt: String(purchaseTotal),
+            evlu_amt_smtl_amt: String(evaluationTotal),
+            evlu_pfls_smtl_amt: String(evaluationTotal - purchaseTotal),
+            tot_evlu_amt: String(evaluationTotal + DEPOSIT),
+            nass_amt: String(evaluationTotal + DEPOSIT)
+        }]
+    });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 KIS 모의 서버 실행: http://localhost:${PORT}`);
+});
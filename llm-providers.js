@@ -0,0 +1,381 @@
+// 마이데이터 투자 제안 시스템 - LLM 제공자 계층
+// 벤더별 구현(Gemini, OpenAI, Anthropic)과 키/네트워크 없이 동작하는 로컬 에코(fixture) 제공자
+//
+// 모든 제공자는 동일한 인터페이스를 따른다.
+//   generate({ messages, responseSchema, maxOutputTokens, signal, context }) → { text }
+//   stream({ ... })  → 텍스트 조각을 내보내는 async iterable
+// messages는 [{ role: 'user' | 'model', text }] 형식의 대화 턴 목록이다.
+
+const { StringDecoder } = require('string_decoder');
+
+const GENERATION_DEFAULTS = {
+    temperature: 0.5,      // 더 일관된 응답을 위해 낮춤
+    maxOutputTokens: 1024, // 응답 길이 제한으로 속도 향상
+    timeout: 30000
+};
+
+// SSE 스트림을 { event, data } 단위로 분리
+async function* readServerSentEvents(stream) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += decoder.write(chunk).replace(/\r/g, '');
+
+        // SSE 이벤트는 빈 줄로 구분
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            const dataLines = [];
+            rawEvent.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+            });
+
+            if (dataLines.length > 0) {
+                yield { event, data: dataLines.join('\n') };
+            }
+        }
+    }
+}
+
+class GeminiProvider {
+    constructor({ apiKey, model }) {
+        this.name = 'gemini';
+        this.apiKey = apiKey;
+        this.model = model;
+    }
+
+    createRequestData({ messages, responseSchema, maxOutputTokens }) {
+        return {
+            contents: messages.map(message => ({
+                role: message.role === 'model' ? 'model' : 'user',
+                parts: [{ text: message.text }]
+            })),
+            generationConfig: {
+                temperature: GENERATION_DEFAULTS.temperature,
+                topP: 0.9,         // 더 빠른 응답을 위해 높임
+                topK: 20,          // 더 빠른 응답을 위해 낮춤
+                maxOutputTokens: maxOutputTokens || GENERATION_DEFAULTS.maxOutputTokens,
+                candidateCount: 1,
+                ...(responseSchema && {
+                    responseMimeType: 'application/json',
+                    responseSchema: responseSchema
+                })
+            },
+            safetySettings: [
+                'HARM_CATEGORY_HARASSMENT',
+                'HARM_CATEGORY_HATE_SPEECH',
+                'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+                'HARM_CATEGORY_DANGEROUS_CONTENT'
+            ].map(category => ({ category, threshold: 'BLOCK_MEDIUM_AND_ABOVE' }))
+        };
+    }
+
+    extractText(data) {
+        return data?.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+    }
+
+    async generate(options) {
+        const axios = require('axios');
+        const response = await axios.post(
+            `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`,
+            this.createRequestData(options),
+            {
+                headers: { 'Content-Type': 'application/json' },
+                signal: options.signal,
+                timeout: GENERATION_DEFAULTS.timeout
+            }
+        );
+
+        return { text: this.extractText(response.data) };
+    }
+
+    async *stream(options) {
+        const axios = require('axios');
+        const response = await axios.post(
+            `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:streamGenerateContent?alt=sse&key=${this.apiKey}`,
+            this.createRequestData(options),
+            {
+                headers: { 'Content-Type': 'application/json' },
+                responseType: 'stream',
+                signal: options.signal,
+                timeout: GENERATION_DEFAULTS.timeout
+            }
+        );
+
+        for await (const { data } of readServerSentEvents(response.data)) {
+            const text = this.extractText(JSON.parse(data));
+            if (text) yield text;
+        }
+    }
+}
+
+class OpenAIProvider {
+    constructor({ apiKey, model }) {
+        this.name = 'openai';
+        this.apiKey = apiKey;
+        this.model = model;
+    }
+
+    createRequestData({ messages, responseSchema, maxOutputTokens }, stream = false) {
+        return {
+            model: this.model,
+            messages: messages.map(message => ({
+                role: message.role === 'model' ? 'assistant' : 'user',
+                content: message.text
+            })),
+            temperature: GENERATION_DEFAULTS.temperature,
+            max_tokens: maxOutputTokens || GENERATION_DEFAULTS.maxOutputTokens,
+            stream: stream,
+            ...(responseSchema && { response_format: { type: 'json_object' } })
+        };
+    }
+
+    async generate(options) {
+        const axios = require('axios');
+        const response = await axios.post('https://api.openai.com/v1/chat/completions', this.createRequestData(options), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            signal: options.signal,
+            timeout: GENERATION_DEFAULTS.timeout
+        });
+
+        return { text: response.data?.choices?.[0]?.message?.content || '' };
+    }
+
+    async *stream(options) {
+        const axios = require('axios');
+        const response = await axios.post('https://api.openai.com/v1/chat/completions', this.createRequestData(options, true), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            responseType: 'stream',
+            signal: options.signal,
+            timeout: GENERATION_DEFAULTS.timeout
+        });
+
+        for await (const { data } of readServerSentEvents(response.data)) {
+            if (data === '[DONE]') break;
+            const text = JSON.parse(data)?.choices?.[0]?.delta?.content;
+            if (text) yield text;
+        }
+    }
+}
+
+class AnthropicProvider {
+    constructor({ apiKey, model }) {
+        this.name = 'anthropic';
+        this.apiKey = apiKey;
+        this.model = model;
+    }
+
+    createRequestData({ messages, responseSchema, maxOutputTokens }, stream = false) {
+        return {
+            model: this.model,
+            max_tokens: maxOutputTokens || GENERATION_DEFAULTS.maxOutputTokens,
+            temperature: GENERATION_DEFAULTS.temperature,
+            // JSON 모드가 없으므로 시스템 지시로 스키마 준수 요청
+            ...(responseSchema && {
+                system: `반드시 다음 JSON 스키마를 따르는 JSON 객체만 출력하세요:\n${JSON.stringify(responseSchema)}`
+            }),
+            messages: messages.map(message => ({
+                role: message.role === 'model' ? 'assistant' : 'user',
+                content: message.text
+            })),
+            stream: stream
+        };
+    }
+
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01'
+        };
+    }
+
+    async generate(options) {
+        const axios = require('axios');
+        const response = await axios.post('https://api.anthropic.com/v1/messages', this.createRequestData(options), {
+            headers: this.getHeaders(),
+            signal: options.signal,
+            timeout: GENERATION_DEFAULTS.timeout
+        });
+
+        const text = (response.data?.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        return { text };
+    }
+
+    async *stream(options) {
+        const axios = require('axios');
+        const response = await axios.post('https://api.anthropic.com/v1/messages', this.createRequestData(options, true), {
+            headers: this.getHeaders(),
+            responseType: 'stream',
+            signal: options.signal,
+            timeout: GENERATION_DEFAULTS.timeout
+        });
+
+        for await (const { event, data } of readServerSentEvents(response.data)) {
+            if (event === 'content_block_delta') {
+                const text = JSON.parse(data)?.delta?.text;
+                if (text) yield text;
+            } else if (event === 'message_stop') {
+                break;
+            }
+        }
+    }
+}
+
+// 로컬 에코(fixture) 제공자 - 키와 네트워크 없이 결정적인 응답 생성
+class EchoProvider {
+    constructor({ model }) {
+        this.name = 'echo';
+        this.model = model;
+    }
+
+    async generate({ messages, responseSchema, context = {} }) {
+        if (responseSchema) {
+            return { text: JSON.stringify(this.createRebalancingFixture(context.portfolioContext || {})) };
+        }
+
+        const lastMessage = messages[messages.length - 1]?.text || '';
+        const preview = lastMessage.trim().split('\n').slice(0, 3).join(' ').slice(0, 120);
+
+        return {
+            text: `## 🧪 에코 응답 (${this.model})\n\n` +
+                `- 대화 턴 수: ${messages.length}\n` +
+                `- 프롬프트 길이: ${lastMessage.length}자\n` +
+                `- 요청 요약: ${preview}\n\n` +
+                `이 응답은 로컬 개발용 고정 응답입니다. 투자에는 원금 손실의 위험이 있습니다.`
+        };
+    }
+
+    async *stream(options) {
+        const { text } = await this.generate(options);
+
+        // 실제 스트리밍처럼 줄 단위로 나누어 전송
+        for (const piece of text.split(/(?<=\n)/)) {
+            if (options.signal?.aborted) break;
+            await new Promise(resolve => setTimeout(resolve, 20));
+            yield piece;
+        }
+    }
+
+    // 보유 종목을 모두 유지(hold)하는 스키마 준수 리밸런싱 응답
+    createRebalancingFixture(portfolioContext) {
+        const allocations = {
+            conservative: { stocks: 40, bonds: 50, cash: 10 },
+            moderate: { stocks: 60, bonds: 30, cash: 10 },
+            aggressive: { stocks: 80, bonds: 15, cash: 5 }
+        };
+
+        return {
+            summary: '에코 제공자의 고정 리밸런싱 제안입니다.',
+            targetAllocation: {
+                ...(allocations[portfolioContext.riskTolerance] || allocations.moderate),
+                description: '위험 성향별 기본 자산 배분'
+            },
+            actions: (portfolioContext.holdings || []).map(holding => ({
+                stock: holding.name,
+                action: 'hold',
+                shares: 0,
+                reason: '에코 제공자는 현재 보유 수량 유지를 제안합니다.'
+            })),
+            rationale: '로컬 개발 및 테스트를 위한 결정적 응답으로, 실제 시장 분석 결과가 아닙니다.',
+            risks: ['고정 응답이므로 실제 투자 판단에 사용하지 마세요.']
+        };
+    }
+}
+
+// 제공자 목록 (허용 모델, 기본 모델, API 키 환경변수)
+const LLM_PROVIDERS = {
+    gemini: {
+        Provider: GeminiProvider,
+        apiKeyEnv: 'GEMINI_API_KEY',
+        defaultModel: 'gemini-2.0-flash',
+        models: ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-1.5-flash', 'gemini-1.5-pro']
+    },
+    openai: {
+        Provider: OpenAIProvider,
+        apiKeyEnv: 'OPENAI_API_KEY',
+        defaultModel: 'gpt-4o-mini',
+        models: ['gpt-4o-mini', 'gpt-4o']
+    },
+    anthropic: {
+        Provider: AnthropicProvider,
+        apiKeyEnv: 'ANTHROPIC_API_KEY',
+        defaultModel: 'claude-3-5-haiku-latest',
+        models: ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest']
+    },
+    echo: {
+        Provider: EchoProvider,
+        apiKeyEnv: null,
+        defaultModel: 'echo-fixture',
+        models: ['echo-fixture']
+    }
+};
+
+// 기본 제공자 (설정이 없으면 개발 환경에서는 Gemini 키 유무에 따라 에코로 대체)
+function getDefaultProviderName() {
+    if (process.env.LLM_PROVIDER) {
+        return process.env.LLM_PROVIDER;
+    }
+    if (process.env.NODE_ENV !== 'production' && !process.env.GEMINI_API_KEY) {
+        return 'echo';
+    }
+    return 'gemini';
+}
+
+// 제공자 생성 (요청 값 → 환경변수 → 기본값 순서로 결정)
+function createLLMProvider({ provider, model, apiKey } = {}) {
+    const providerName = provider || getDefaultProviderName();
+    const definition = LLM_PROVIDERS[providerName];
+
+    if (!definition) {
+        const error = new Error(`지원하지 않는 AI 제공자입니다: ${providerName}`);
+        error.code = 'UNSUPPORTED_PROVIDER';
+        error.status = 400;
+        throw error;
+    }
+
+    // 요청으로 지정한 모델은 허용 목록 내에서만 사용 (환경변수 설정은 운영자 책임)
+    const configuredModel = providerName === getDefaultProviderName() ? process.env.LLM_MODEL : null;
+    const modelName = model || configuredModel || definition.defaultModel;
+    if (model && !definition.models.includes(model)) {
+        const error = new Error(`${providerName} 제공자에서 지원하지 않는 모델입니다: ${model}`);
+        error.code = 'UNSUPPORTED_MODEL';
+        error.status = 400;
+        throw error;
+    }
+
+    const resolvedKey = definition.apiKeyEnv ? (apiKey || process.env[definition.apiKeyEnv]) : null;
+    if (definition.apiKeyEnv && (!resolvedKey || resolvedKey === 'demo_key')) {
+        const error = new Error(`${providerName} API 키가 필요합니다.`);
+        error.code = 'API_KEY_MISSING';
+        error.status = 401;
+        throw error;
+    }
+
+    return new definition.Provider({ apiKey: resolvedKey, model: modelName });
+}
+
+module.exports = {
+    GeminiProvider,
+    OpenAIProvider,
+    AnthropicProvider,
+    EchoProvider,
+    LLM_PROVIDERS,
+    getDefaultProviderName,
+    createLLMProvider,
+    readServerSentEvents
+};
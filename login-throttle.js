@@ -0,0 +1,218 @@
+// 마이데이터 투자 제안 시스템 - 로그인 시도 제한 (서버 측 무차별 대입 방어)
+// 계정별/IP별 슬라이딩 윈도 실패 카운터, 임계치 초과 시 지수 백오프, 계정 잠금과 감사 이벤트 기록
+// 비밀번호 재설정/잠금 해제 메일 요청도 이메일별/IP별 시간당 횟수로 제한 (메일 폭탄과 토큰 레코드 누적 방지)
+
+const { JsonFileStore } = require('./json-file-store');
+const { MemoryBackend } = require('./portfolio-store');
+
+const THROTTLE_POLICY = {
+    windowMs: 15 * 60 * 1000,       // 실패 집계 구간
+    accountFreeAttempts: 3,         // 이 횟수까지는 대기 없이 재시도
+    accountLockThreshold: 10,       // 구간 내 실패가 이 횟수에 이르면 계정 잠금
+    lockDurationMs: 30 * 60 * 1000, // 잠금 유지 시간 (이메일 인증으로 즉시 해제 가능)
+    ipFreeAttempts: 20,             // IP 하나에서 여러 계정으로 시도하는 경우
+    baseDelayMs: 1000,
+    maxDelayMs: 15 * 60 * 1000,
+    mailWindowMs: 60 * 60 * 1000,   // 메일 요청 집계 구간
+    mailAccountLimit: 3,            // 이메일 하나에 용도별로 구간 내 보낼 수 있는 메일 수
+    mailIpLimit: 10                 // IP 하나에서 구간 내 요청할 수 있는 메일 수 (용도 합산)
+};
+
+const MAX_AUDIT_EVENTS = 1000;
+
+// 환경 설정에 따라 저장소 백엔드 선택 (사용자 저장소와 같은 AUTH_STORE 사용)
+function createThrottleBackend(type = process.env.AUTH_STORE || 'file') {
+    const defaults = { accounts: {}, ips: {}, mailRequests: {}, auditEvents: [] };
+
+    switch (type) {
+        case 'file':
+            return new JsonFileStore('login-throttle.json', defaults);
+        case 'memory':
+            return new MemoryBackend(defaults);
+        default:
+            throw new Error(`지원하지 않는 로그인 제한 저장소입니다: ${type}`);
+    }
+}
+
+// 실패 n회째의 대기 시간 (무료 시도 이후 1초, 2초, 4초 ... 최대 15분)
+function backoffDelay(failureCount, freeAttempts, policy) {
+    if (failureCount < freeAttempts) return 0;
+    return Math.min(policy.baseDelayMs * 2 ** (failureCount - freeAttempts), policy.maxDelayMs);
+}
+
+class LoginThrottle {
+    constructor(options = {}) {
+        this.store = options.store || createThrottleBackend();
+        this.policy = { ...THROTTLE_POLICY, ...(options.policy || {}) };
+    }
+
+    // 로그인 시도 예약 → { allowed, retryAfterMs, reason: 'ACCOUNT_LOCKED' | 'ACCOUNT_BACKOFF' | 'IP_BACKOFF', attemptAt }
+    // 판정과 시도 기록을 한 번의 update에서 처리해, 동시에 들어온 요청이 모두 같은 카운터를 보고 통과하지 못하게 함
+    // 허용된 시도는 일단 실패로 집계하고 비밀번호가 맞으면 recordSuccess로 되돌림
+    async reserve(accountKey, ip, now = Date.now()) {
+        return this.store.update((data) => {
+            this.pruneStale(data, now);
+            const account = this.windowed(data.accounts[accountKey], now);
+            const client = this.windowed(data.ips[ip], now);
+
+            const decision = this.evaluate(account, client, now);
+            if (!decision.allowed) return decision;
+
+            account.failures.push(now);
+            client.failures.push(now);
+            data.accounts[accountKey] = account;
+            data.ips[ip] = client;
+            return { ...decision, attemptAt: now };
+        });
+    }
+
+    // 예약된 시도를 실패로 확정 → { locked, lockedUntil, failureCount } (이번 실패로 잠기면 locked=true)
+    async recordFailure(accountKey, ip, meta = {}, now = Date.now()) {
+        return this.store.update((data) => {
+            const account = this.windowed(data.accounts[accountKey], now);
+            const client = this.windowed(data.ips[ip], now);
+            data.accounts[accountKey] = account;
+            data.ips[ip] = client;
+
+            if (client.failures.length === this.policy.ipFreeAttempts) {
+                this.audit(data, 'ip_throttled', { ip, failureCount: client.failures.length, ...meta }, now);
+            }
+
+            let locked = false;
+            if (account.failures.length >= this.policy.accountLockThreshold && !(account.lockedUntil > now)) {
+                account.lockedUntil = now + this.policy.lockDurationMs;
+                locked = true;
+                this.audit(data, 'account_locked', {
+                    account: accountKey,
+                    ip,
+                    failureCount: account.failures.length,
+                    lockedUntil: new Date(account.lockedUntil).toISOString(),
+                    ...meta
+                }, now);
+                console.warn(`[Auth] 로그인 실패 누적으로 계정 잠금: ${accountKey} (IP ${ip})`);
+            }
+
+            return { locked, lockedUntil: account.lockedUntil || null, failureCount: account.failures.length };
+        });
+    }
+
+    // 로그인 성공 시 계정 카운터 초기화, IP 카운터에서는 이번 예약만 되돌림
+    // (IP 카운터는 유지해 한 계정으로 다른 계정 시도를 숨기지 못하게)
+    async recordSuccess(accountKey, ip, attemptAt) {
+        return this.store.update((data) => {
+            delete data.accounts[accountKey];
+
+            const client = data.ips[ip];
+            const index = client ? client.failures.lastIndexOf(attemptAt) : -1;
+            if (index !== -1) client.failures.splice(index, 1);
+        });
+    }
+
+    // 메일 요청 예약 (purpose: 'password_reset' | 'unlock') → { allowed, retryAfterMs, reason: 'MAIL_ACCOUNT_LIMIT' | 'MAIL_IP_LIMIT' }
+    // 가입 여부와 관계없이 요청한 이메일 문자열 기준으로 집계해 응답으로 가입 여부가 드러나지 않게 함
+    async reserveMailRequest(purpose, accountKey, ip, now = Date.now()) {
+        return this.store.update((data) => {
+            Object.entries(data.mailRequests).forEach(([key, times]) => {
+                const recent = times.filter(time => now - time < this.policy.mailWindowMs);
+                if (recent.length === 0) delete data.mailRequests[key];
+                else data.mailRequests[key] = recent;
+            });
+
+            const accountBucket = `${purpose}:${accountKey}`;
+            const ipBucket = `ip:${ip}`;
+            const limits = [
+                [ipBucket, this.policy.mailIpLimit, 'MAIL_IP_LIMIT'],
+                [accountBucket, this.policy.mailAccountLimit, 'MAIL_ACCOUNT_LIMIT']
+            ];
+
+            for (const [bucket, limit, reason] of limits) {
+                const times = data.mailRequests[bucket] || [];
+                if (times.length >= limit) {
+                    return { allowed: false, retryAfterMs: times[times.length - limit] + this.policy.mailWindowMs - now, reason };
+                }
+            }
+
+            limits.forEach(([bucket]) => {
+                data.mailRequests[bucket] = [...(data.mailRequests[bucket] || []), now];
+            });
+            return { allowed: true, retryAfterMs: 0, reason: null };
+        });
+    }
+
+    // 잠금 해제 (이메일 인증 등) 후 감사 기록
+    async unlock(accountKey, method, meta = {}, now = Date.now()) {
+        return this.store.update((data) => {
+            const wasLocked = Boolean(data.accounts[accountKey] && data.accounts[accountKey].lockedUntil > now);
+            delete data.accounts[accountKey];
+            this.audit(data, 'account_unlocked', { account: accountKey, method, wasLocked, ...meta }, now);
+            return wasLocked;
+        });
+    }
+
+    async isLocked(accountKey, now = Date.now()) {
+        const data = await this.store.read();
+        const account = data.accounts[accountKey];
+        return Boolean(account && account.lockedUntil > now);
+    }
+
+    // 감사 이벤트 조회 (최신순)
+    async getAuditEvents({ account, type, limit = 100 } = {}) {
+        const data = await this.store.read();
+        return data.auditEvents
+            .filter(event => (!account || event.account === account) && (!type || event.type === type))
+            .slice(-Math.min(Math.max(1, parseInt(limit) || 100), MAX_AUDIT_EVENTS))
+            .reverse();
+    }
+
+    // 구간 밖의 실패 기록 제거 (잠금이 끝난 계정은 카운터도 초기화)
+    windowed(record, now) {
+        const failures = (record ? record.failures : []).filter(time => now - time < this.policy.windowMs);
+        const expiredLock = record && record.lockedUntil && record.lockedUntil <= now;
+        return {
+            failures: expiredLock ? [] : failures,
+            lockedUntil: expiredLock ? null : (record ? record.lockedUntil || null : null)
+        };
+    }
+
+    // 구간이 지나고 잠금도 없는 카운터 삭제
+    pruneStale(data, now) {
+        ['accounts', 'ips'].forEach(collection => {
+            Object.entries(data[collection]).forEach(([key, record]) => {
+                const current = this.windowed(record, now);
+                if (current.failures.length === 0 && !current.lockedUntil) delete data[collection][key];
+            });
+        });
+    }
+
+    // 현재 카운터로 시도 허용 여부 판정
+    evaluate(account, client, now) {
+        if (account.lockedUntil && account.lockedUntil > now) {
+            return { allowed: false, retryAfterMs: account.lockedUntil - now, reason: 'ACCOUNT_LOCKED' };
+        }
+
+        const accountWait = this.nextAllowedAt(account.failures, this.policy.accountFreeAttempts) - now;
+        const ipWait = this.nextAllowedAt(client.failures, this.policy.ipFreeAttempts) - now;
+
+        if (ipWait > 0 && ipWait >= accountWait) {
+            return { allowed: false, retryAfterMs: ipWait, reason: 'IP_BACKOFF' };
+        }
+        if (accountWait > 0) {
+            return { allowed: false, retryAfterMs: accountWait, reason: 'ACCOUNT_BACKOFF' };
+        }
+        return { allowed: true, retryAfterMs: 0, reason: null };
+    }
+
+    nextAllowedAt(failures, freeAttempts) {
+        if (failures.length === 0) return 0;
+        return failures[failures.length - 1] + backoffDelay(failures.length, freeAttempts, this.policy);
+    }
+
+    audit(data, type, detail, now) {
+        data.auditEvents.push({ type, at: new Date(now).toISOString(), ...detail });
+        if (data.auditEvents.length > MAX_AUDIT_EVENTS) {
+            data.auditEvents.splice(0, data.auditEvents.length - MAX_AUDIT_EVENTS);
+        }
+    }
+}
+
+module.exports = { LoginThrottle, THROTTLE_POLICY, createThrottleBackend };
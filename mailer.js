@@ -0,0 +1,84 @@
+// 마이데이터 투자 제안 시스템 - 메일 발송 어댑터
+// SMTP 발송(nodemailer)과 개발용 콘솔 출력을 동일한 인터페이스(send(to, subject, body))로 제공
+// 메일 본문에는 비밀번호 재설정/잠금 해제/이메일 인증 토큰이 들어가므로 어떤 경우에도 로그에 남기지 않음
+
+// SMTP 메일 어댑터
+class SmtpMailer {
+    constructor(config = {}) {
+        this.name = 'smtp';
+        this.config = {
+            host: config.host || process.env.SMTP_HOST,
+            port: parseInt(config.port || process.env.SMTP_PORT) || 587,
+            user: config.user || process.env.SMTP_USER,
+            pass: config.pass || process.env.SMTP_PASS,
+            from: config.from || process.env.MAIL_FROM || process.env.SMTP_USER
+        };
+        this.transport = null;
+    }
+
+    isConfigured() {
+        const { host, from } = this.config;
+        return Boolean(host && from);
+    }
+
+    async send(to, subject, body) {
+        if (!this.isConfigured()) {
+            throw new Error('SMTP 설정이 누락되었습니다. (SMTP_HOST, MAIL_FROM 또는 SMTP_USER)');
+        }
+
+        if (!this.transport) {
+            const nodemailer = require('nodemailer');
+            const { host, port, user, pass } = this.config;
+            this.transport = nodemailer.createTransport({
+                host,
+                port,
+                secure: port === 465,
+                auth: user ? { user, pass } : undefined
+            });
+        }
+
+        await this.transport.sendMail({ from: this.config.from, to, subject, text: body });
+        console.log(`📧 [메일] 발송 완료: ${subject}`);
+    }
+}
+
+// 개발용 콘솔 메일 (실제로 보내지 않고 링크의 토큰을 가린 본문만 출력)
+class ConsoleMailer {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async send(to, subject, body) {
+        console.log(`📧 [메일] ${to} - ${subject} (콘솔 메일, 실제 발송하지 않음)\n${redactTokens(body)}`);
+    }
+}
+
+// 링크 쿼리의 토큰 값 가리기 (?resetToken=... → ?resetToken=[가림])
+function redactTokens(text) {
+    return String(text).replace(/([?&][A-Za-z]*[Tt]oken=)[^&\s]+/g, '$1[가림]');
+}
+
+// 환경 설정에 따라 메일 어댑터 선택 (SMTP_HOST가 있으면 SMTP, 없으면 콘솔)
+// 운영 환경은 SMTP 설정이 있어야만 시작 (콘솔 메일은 사용자에게 메일이 가지 않으므로 사용 불가)
+function createMailer(type = process.env.MAIL_TRANSPORT) {
+    const mailerType = type || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+    if (process.env.NODE_ENV === 'production') {
+        const mailer = new SmtpMailer();
+        if (mailerType !== 'smtp' || !mailer.isConfigured()) {
+            throw new Error('운영 환경에서는 SMTP_HOST와 MAIL_FROM(또는 SMTP_USER) 설정이 필요합니다 (콘솔 메일 사용 불가).');
+        }
+        return mailer;
+    }
+
+    switch (mailerType) {
+        case 'smtp':
+            return new SmtpMailer();
+        case 'console':
+            return new ConsoleMailer();
+        default:
+            throw new Error(`지원하지 않는 메일 발송 방식입니다: ${mailerType}`);
+    }
+}
+
+module.exports = { SmtpMailer, ConsoleMailer, createMailer, redactTokens };
@@ -8,12 +8,12 @@ class MarketDataIntegrator {
         this.chart = null;
         this.db = null; // 데이터베이스 인스턴스
         this.currentPortfolioId = null; // 현재 포트폴리오 ID
+        this.stockNameCache = new Map(); // 종목 코드 → 종목명 (서버 종목 마스터 조회 결과)
         
         // API 설정 (브라우저 환경에서는 환경변수 접근 불가, 실제 서비스에서는 서버 API 사용)
         this.config = {
             geminiApiKey: 'demo_key', // 실제 서비스에서는 서버 API 통해 접근
-            kisApiKey: 'demo_key',
-            kisApiSecret: 'demo_secret',
+            // KIS API 키와 토큰은 서버(/api/kis-quotes)에서만 사용
             corsProxy: 'https://api.allorigins.win/raw?url=', // CORS 우회용
         };
         
@@ -61,12 +61,23 @@ class MarketDataIntegrator {
         try {
             // 포트폴리오 파싱
             this.portfolio = this.parsePortfolio(portfolioText, investmentAmount);
+            if (Object.keys(this.portfolio.stocks).length === 0) {
+                this.showError('인식된 보유 종목이 없습니다. "삼성전자 10주" 형식으로 입력해주세요.');
+                return;
+            }
+            if (this.portfolio.errorCount > 0) {
+                const failed = this.portfolio.diagnostics.filter(item => item.status === 'error');
+                this.showError(`해석하지 못한 항목 ${failed.length}개: ${failed.map(item => `${item.line}행 "${item.text}"`).join(', ')}`);
+            }
             
             // UI 업데이트
             this.displayPortfolioAnalysis();
             
-            // 자동으로 시장 데이터 가져오기
-            await this.fetchMarketData('sample');
+            // 자동으로 시장 데이터 가져오기 (보유 종목 일괄 조회, 실패 시 샘플 데이터)
+            await this.fetchMarketData('naver');
+            
+            // 현재가 반영 후 종목별 평가 손익 다시 표시
+            this.displayPortfolioAnalysis();
             
             // 데이터베이스에 저장
             await this.savePortfolioToDatabase();
@@ -117,7 +128,11 @@ class MarketDataIntegrator {
             if (lastPortfolio) {
                 // 폼에 이전 데이터 자동 입력
                 const portfolioText = Object.entries(lastPortfolio.stocks)
-                    .map(([name, info]) => `${name} ${info.shares}주`)
+                    .map(([name, info]) => [
+                        `${name} ${info.shares}주`,
+                        info.avgPrice ? `@${Math.round(info.avgPrice)}` : '',
+                        info.purchaseDate || ''
+                    ].filter(Boolean).join(' '))
                     .join(', ');
                 
                 document.getElementById('current-portfolio').value = portfolioText;
@@ -146,24 +161,32 @@ class MarketDataIntegrator {
         }
     }
 
+    // 공통 파서(portfolio-parser.js)로 보유 종목 해석
+    // 수량 대신 비중(%)/금액으로 입력한 종목은 현재가를 받은 뒤 updatePortfolioValues에서 수량 계산
     parsePortfolio(portfolioText, totalAmount) {
+        const { holdings, diagnostics, errorCount } = parsePortfolioText(portfolioText);
         const stocks = {};
-        const lines = portfolioText.split(/[,\n]/);
-        
-        lines.forEach(line => {
-            const match = line.trim().match(/(.+?)\s*(\d+)\s*주/);
-            if (match) {
-                const [, name, shares] = match;
-                stocks[name.trim()] = {
-                    shares: parseInt(shares),
-                    currentPrice: 0,
-                    value: 0
-                };
-            }
+
+        holdings.forEach(holding => {
+            stocks[holding.name || holding.code] = {
+                code: holding.code,
+                shares: holding.shares,
+                weight: holding.weight,
+                amount: holding.amount,
+                avgPrice: holding.avgPrice,
+                purchaseDate: holding.purchaseDate,
+                fees: holding.fees,
+                currentPrice: 0,
+                value: 0
+            };
         });
-        
+
         return {
             stocks,
+            diagnostics,
+            errorCount,
+            // 평균 단가를 입력한 종목은 최초 매수 거래로 원장에 기록
+            ledger: typeof PortfolioLedger !== 'undefined' ? PortfolioLedger.fromHoldings(stocks) : null,
             totalAmount: parseInt(totalAmount),
             lastUpdated: new Date()
         };
@@ -179,6 +202,7 @@ class MarketDataIntegrator {
                 <p><strong>보유 종목 수:</strong> ${Object.keys(this.portfolio.stocks).length}개</p>
                 <p><strong>마지막 업데이트:</strong> ${this.portfolio.lastUpdated.toLocaleString()}</p>
             </div>
+            ${this.renderHoldingsPnL()}
         `;
         
         const portfolioSection = document.getElementById('portfolio-section');
@@ -189,6 +213,60 @@ class MarketDataIntegrator {
         portfolioSection.appendChild(analysis);
     }
 
+    // 종목별 평균 단가, 평가 손익, 수익률 표 (현재가는 시장 데이터 기준)
+    renderHoldingsPnL() {
+        const ledger = this.portfolio.ledger;
+        if (!ledger || ledger.transactions.length === 0) {
+            return '<p class="pnl-hint">💡 "삼성전자 10주 @68500 2024-01-15"처럼 평균 단가를 입력하면 손익을 계산합니다.</p>';
+        }
+
+        const prices = {};
+        Object.entries(this.marketData).forEach(([name, data]) => {
+            prices[name] = data.price;
+        });
+
+        const { holdings, totals } = ledger.summarize(prices);
+        const formatWon = value => value === null ? '-' : `${Math.round(value).toLocaleString()}원`;
+        const formatPnL = value => value === null
+            ? '<span>-</span>'
+            : `<span class="${value >= 0 ? 'positive' : 'negative'}">${value >= 0 ? '+' : ''}${Math.round(value).toLocaleString()}원</span>`;
+        const formatRate = value => value === null
+            ? '-'
+            : `<span class="${value >= 0 ? 'positive' : 'negative'}">${value >= 0 ? '+' : ''}${value.toFixed(2)}%</span>`;
+
+        const rows = holdings.map(holding => `
+            <tr>
+                <td>${holding.name}</td>
+                <td>${holding.shares.toLocaleString()}주</td>
+                <td>${formatWon(holding.avgCost)}</td>
+                <td>${formatWon(holding.currentPrice)}</td>
+                <td>${formatWon(holding.costBasis)}</td>
+                <td>${formatWon(holding.marketValue)}</td>
+                <td>${formatPnL(holding.unrealizedPnL)}</td>
+                <td>${formatRate(holding.unrealizedReturn)}</td>
+                <td>${holding.purchaseDate || '-'}</td>
+                <td>${formatWon(holding.fees)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="holdings-pnl">
+                <thead>
+                    <tr>
+                        <th>종목</th><th>수량</th><th>평균 단가</th><th>현재가</th><th>매입금액</th>
+                        <th>평가금액</th><th>평가손익</th><th>수익률</th><th>매입일</th><th>수수료</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="portfolio-summary">
+                <p><strong>평가손익:</strong> ${formatPnL(totals.unrealizedPnL)} (${formatRate(totals.unrealizedReturn)})</p>
+                <p><strong>실현손익:</strong> ${formatPnL(totals.realizedPnL)}</p>
+                <p><strong>배당금:</strong> ${formatWon(totals.dividends)}</p>
+            </div>
+        `;
+    }
+
     // 2단계: 시장 데이터 연동
     async fetchMarketData(source = 'sample') {
         const loading = document.getElementById('loading');
@@ -200,6 +278,9 @@ class MarketDataIntegrator {
         try {
             let data;
             switch (source) {
+                case 'naver':
+                    data = await this.fetchServerQuotes();
+                    break;
                 case 'yahoo':
                     data = await this.fetchYahooFinanceData();
                     break;
@@ -227,6 +308,65 @@ class MarketDataIntegrator {
         }
     }
 
+    // 서버 시세 품질 표시 (이전 시세는 경과 시간 포함)
+    getDataQualityLabel(data) {
+        const labels = {
+            realtime: '🟢 실시간',
+            delayed: '🟡 지연',
+            demo: '🔵 데모 데이터'
+        };
+
+        if (data.dataQuality === 'stale') {
+            const minutes = Math.floor((data.ageSeconds || 0) / 60);
+            return `🟠 ${minutes < 60 ? `${minutes}분` : `${Math.floor(minutes / 60)}시간`} 전 시세`;
+        }
+        return labels[data.dataQuality] || '';
+    }
+
+    async fetchServerQuotes() {
+        // 서버 일괄 시세 API (보유 종목을 한 번에 조회, 실패한 종목만 제외)
+        const names = Object.keys(this.portfolio.stocks || {});
+        const symbols = names.length > 0 ? names : ['005930', '035720', '035420', '000660', '051910'];
+
+        const response = await fetch('/api/quotes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ symbols })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+
+        const data = {};
+        result.quotes.forEach(item => {
+            if (item.status !== 'ok') {
+                console.warn(`${item.symbol} 시세 조회 실패:`, item.error);
+                return;
+            }
+
+            const quote = item.quote;
+            const name = names.includes(item.symbol) ? item.symbol : (quote.koreanName || item.symbol);
+            data[name] = {
+                symbol: quote.symbol,
+                price: quote.price,
+                change: quote.change,
+                changePercent: quote.changePercent,
+                volume: quote.volume,
+                marketCap: quote.marketCap,
+                dataQuality: quote.dataQuality,
+                ageSeconds: quote.ageSeconds
+            };
+        });
+
+        if (Object.keys(data).length === 0) {
+            throw new Error('조회된 시세가 없습니다.');
+        }
+
+        return data;
+    }
+
     async fetchYahooFinanceData() {
         // 야후 파이낸스 API 연동 (CORS 제한으로 프록시 사용)
         const symbols = ['005930.KS', '035720.KS', '035420.KS', '000660.KS', '051910.KS']; // 삼성전자, 카카오, 네이버, SK하이닉스, LG화학
@@ -246,7 +386,7 @@ class MarketDataIntegrator {
                 const meta = result.meta;
                 const quote = result.indicators.quote[0];
                 
-                const name = this.getKoreanStockName(symbol);
+                const name = await this.getKoreanStockName(symbol);
                 data[name] = {
                     symbol: symbol,
                     price: meta.regularMarketPrice,
@@ -268,63 +408,45 @@ class MarketDataIntegrator {
     }
 
     async fetchKISData() {
-        // 한국투자증권 KIS API 연동
-        if (!this.config.kisApiKey || !this.config.kisApiSecret) {
-            throw new Error('KIS API 키가 설정되지 않았습니다.');
+        // 한국투자증권 KIS API 연동 (토큰 발급과 호출 제한은 서버에서 처리)
+        const names = Object.keys(this.portfolio.stocks || {});
+        const symbols = names.length > 0 ? names : ['005930', '035720', '035420', '000660', '051910'];
+
+        const response = await fetch('/api/kis-quotes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ symbols })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'KIS API 연동에 실패했습니다.');
         }
-        
-        try {
-            // 1. 접근 토큰 발급
-            const tokenResponse = await axios.post('https://openapi.koreainvestment.com:9443/oauth2/tokenP', {
-                grant_type: 'client_credentials',
-                appkey: this.config.kisApiKey,
-                appsecret: this.config.kisApiSecret
-            });
-            
-            const accessToken = tokenResponse.data.access_token;
-            
-            // 2. 주식 시세 조회
-            const stocks = ['005930', '035720', '035420', '000660', '051910'];
-            const data = {};
-            
-            for (const code of stocks) {
-                const response = await axios.get(
-                    `https://openapi.koreainvestment.com:9443/uapi/domestic-stock/v1/quotations/inquire-price`,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${accessToken}`,
-                            'appkey': this.config.kisApiKey,
-                            'appsecret': this.config.kisApiSecret,
-                            'tr_id': 'FHKST01010100'
-                        },
-                        params: {
-                            fid_cond_mrkt_div_code: 'J',
-                            fid_input_iscd: code
-                        }
-                    }
-                );
-                
-                const output = response.data.output;
-                const name = this.getKoreanStockName(code);
-                
-                data[name] = {
-                    symbol: code,
-                    price: parseInt(output.stck_prpr),
-                    change: parseInt(output.prdy_vrss),
-                    changePercent: parseFloat(output.prdy_ctrt),
-                    volume: parseInt(output.acml_vol),
-                    marketCap: parseInt(output.stck_prpr) * parseInt(output.lstg_stqt)
-                };
-                
-                await this.delay(100); // API 호출 제한 고려
+
+        const data = {};
+        result.quotes.forEach(item => {
+            if (item.status !== 'ok') {
+                console.warn(`${item.symbol} KIS 시세 조회 실패:`, item.error);
+                return;
             }
-            
-            return data;
-            
-        } catch (error) {
-            console.error('KIS API 오류:', error);
-            throw new Error('KIS API 연동에 실패했습니다.');
+
+            const quote = item.quote;
+            data[quote.koreanName || item.symbol] = {
+                symbol: quote.symbol,
+                price: quote.price,
+                change: quote.change,
+                changePercent: quote.changePercent,
+                volume: quote.volume,
+                marketCap: quote.marketCap,
+                dataQuality: quote.dataQuality
+            };
+        });
+
+        if (Object.keys(data).length === 0) {
+            throw new Error('조회된 KIS 시세가 없습니다.');
         }
+
+        return data;
     }
 
     async fetchSampleData() {
@@ -394,6 +516,7 @@ class MarketDataIntegrator {
                 </div>
                 <div class="stock-info">
                     <small>거래량: ${data.volume.toLocaleString()}</small>
+                    ${data.dataQuality ? `<small class="data-quality ${data.dataQuality}">${this.getDataQualityLabel(data)}</small>` : ''}
                 </div>
             `;
             
@@ -402,14 +525,23 @@ class MarketDataIntegrator {
     }
 
     updatePortfolioValues() {
-        // 포트폴리오 종목의 현재 가격 업데이트
+        // 포트폴리오 종목의 현재 가격 업데이트 (비중/금액 입력 종목은 현재가로 수량 계산)
+        let resolvedShares = false;
         Object.keys(this.portfolio.stocks).forEach(stockName => {
             if (this.marketData[stockName]) {
                 const stock = this.portfolio.stocks[stockName];
                 stock.currentPrice = this.marketData[stockName].price;
-                stock.value = stock.shares * stock.currentPrice;
+                if (stock.shares === null) {
+                    stock.shares = resolveHoldingShares(stock, stock.currentPrice, this.portfolio.totalAmount);
+                    resolvedShares = resolvedShares || stock.shares !== null;
+                }
+                stock.value = (stock.shares || 0) * stock.currentPrice;
             }
         });
+
+        if (resolvedShares && typeof PortfolioLedger !== 'undefined') {
+            this.portfolio.ledger = PortfolioLedger.fromHoldings(this.portfolio.stocks);
+        }
     }
 
     // 3단계: AI 리밸런싱 제안
@@ -423,6 +555,7 @@ class MarketDataIntegrator {
         try {
             // Gemini AI를 통한 리밸런싱 제안 생성
             const advice = await this.getAIRebalancingAdvice(riskLevel, targetReturn);
+            this.lastAdvice = advice; // PDF 제안서에 포함
             this.displayRebalancingAdvice(advice);
             
             // 차트 업데이트
@@ -438,13 +571,97 @@ class MarketDataIntegrator {
     }
 
     async getAIRebalancingAdvice(riskLevel, targetReturn) {
-        // 실제 구현에서는 Gemini API 호출
-        // 현재는 샘플 응답 반환
-        await this.delay(2000);
-        
         const portfolioSummary = this.createPortfolioSummary();
         const marketSummary = this.createMarketSummary();
         
+        let advice;
+        try {
+            // 서버를 통해 Gemini 구조화 리밸런싱 요청
+            const rebalancing = await this.requestStructuredRebalancing(riskLevel, targetReturn);
+            advice = this.createAdviceFromAI(rebalancing);
+        } catch (error) {
+            // 모델 응답이 없거나 스키마 검증에 실패하면 규칙 기반 제안으로 대체
+            console.warn('[App] AI 리밸런싱 응답 사용 불가, 규칙 기반 제안으로 대체:', error.message);
+            advice = this.createRuleBasedAdvice(riskLevel, targetReturn);
+        }
+        
+        advice.portfolioSummary = portfolioSummary;
+        advice.marketSummary = marketSummary;
+        
+        // 데이터베이스에 투자 조언 저장
+        await this.saveAdviceToDatabase(advice, riskLevel, targetReturn);
+        
+        return advice;
+    }
+
+    // 서버 /api/investment-advice 구조화(JSON) 리밸런싱 호출
+    async requestStructuredRebalancing(riskLevel, targetReturn) {
+        const holdings = Object.entries(this.portfolio.stocks || {}).map(([name, stock]) => ({
+            name: name,
+            quantity: stock.shares,
+            currentPrice: stock.currentPrice || this.marketData[name]?.price || 0,
+            totalValue: stock.value || 0
+        }));
+        
+        const response = await authFetch('/api/investment-advice', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                responseFormat: 'json',
+                portfolioContext: {
+                    holdings: holdings,
+                    riskTolerance: riskLevel,
+                    targetReturn: parseFloat(targetReturn),
+                    investmentAmount: this.portfolio.totalAmount
+                },
+                marketData: this.marketData
+            })
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        if (!result.rebalancing?.valid) {
+            throw new Error('스키마 검증 실패: ' + (result.rebalancing?.errors || []).join(', '));
+        }
+        
+        return {
+            ...result.rebalancing.data,
+            riskWarning: result.riskWarning,
+            apiUsage: result.apiUsage
+        };
+    }
+
+    // AI 구조화 응답을 화면/저장용 조언 형식으로 변환
+    createAdviceFromAI(rebalancing) {
+        const recommendations = rebalancing.actions.map(item => ({
+            action: item.action,
+            stock: item.stock,
+            reason: item.reason,
+            price: this.marketData[item.stock]?.price || this.portfolio.stocks[item.stock]?.currentPrice || 0,
+            quantity: item.shares,
+            currentShares: this.portfolio.stocks[item.stock]?.shares || 0
+        }));
+        
+        return {
+            source: 'ai',
+            summary: rebalancing.summary,
+            allocation: rebalancing.targetAllocation,
+            recommendations: recommendations,
+            rationale: rebalancing.rationale,
+            risks: rebalancing.risks || [],
+            riskWarning: rebalancing.riskWarning || '투자에는 원금 손실의 위험이 있으며, 과거 수익률이 미래 수익률을 보장하지 않습니다.',
+            apiUsage: rebalancing.apiUsage,
+            advice: rebalancing.rationale
+        };
+    }
+
+    // 규칙 기반 리밸런싱 제안 (AI 응답 실패 시 대체)
+    createRuleBasedAdvice(riskLevel, targetReturn) {
         // 리스크 수준별 포트폴리오 조정 로직
         const riskProfiles = {
             conservative: {
@@ -467,21 +684,16 @@ class MarketDataIntegrator {
             }
         };
         
-        const profile = riskProfiles[riskLevel];
-        const advice = {
+        const profile = riskProfiles[riskLevel] || riskProfiles.moderate;
+        return {
+            source: 'rule',
             summary: `${profile.description}하여 연 ${targetReturn}% 목표 수익률 달성을 위한 포트폴리오를 제안드립니다.`,
             allocation: profile,
             recommendations: this.generateStockRecommendations(riskLevel),
+            risks: [],
             riskWarning: '투자에는 원금 손실의 위험이 있으며, 과거 수익률이 미래 수익률을 보장하지 않습니다.',
-            portfolioSummary,
-            marketSummary,
             advice: `${profile.description} 전략을 바탕으로 한 상세 투자 조언입니다. 현재 시장 상황을 고려하여 ${profile.stocks}% 주식, ${profile.bonds}% 채권, ${profile.cash}% 현금 비중을 권장합니다.`
         };
-        
-        // 데이터베이스에 투자 조언 저장
-        await this.saveAdviceToDatabase(advice, riskLevel, targetReturn);
-        
-        return advice;
     }
 
     // 투자 조언 데이터베이스 저장
@@ -539,6 +751,7 @@ class MarketDataIntegrator {
         resultDiv.innerHTML = `
             <div class="advice-header">
                 <h3>🤖 AI 리밸런싱 제안</h3>
+                ${advice.source === 'rule' ? '<p class="advice-source">⚠️ AI 응답을 사용할 수 없어 위험 성향별 기본 제안을 표시합니다.</p>' : ''}
                 <p class="advice-summary">${advice.summary}</p>
             </div>
             
@@ -558,17 +771,32 @@ class MarketDataIntegrator {
             </div>
             
             <div class="recommendations">
-                <h4>📈 추천 종목</h4>
+                <h4>📈 종목별 제안</h4>
                 ${advice.recommendations.map(rec => `
                     <div class="recommendation-item">
                         <span class="action-type ${rec.action}">${rec.action.toUpperCase()}</span>
                         <span class="stock-name">${rec.stock}</span>
+                        ${rec.quantity !== undefined ? `<span class="shares">${rec.quantity.toLocaleString()}주</span>` : ''}
                         <span class="reason">${rec.reason}</span>
-                        <span class="price">${rec.price.toLocaleString()}원</span>
+                        <span class="price">${rec.price ? rec.price.toLocaleString() + '원' : '-'}</span>
                     </div>
                 `).join('')}
             </div>
             
+            ${advice.rationale ? `
+                <div class="advice-rationale">
+                    <h4>🧭 판단 근거</h4>
+                    <p>${advice.rationale}</p>
+                </div>
+            ` : ''}
+            
+            ${advice.risks && advice.risks.length > 0 ? `
+                <div class="advice-risks">
+                    <h4>⚡ 주요 위험 요인</h4>
+                    <ul>${advice.risks.map(risk => `<li>${risk}</li>`).join('')}</ul>
+                </div>
+            ` : ''}
+            
             <div class="risk-warning">
                 <p>⚠️ ${advice.riskWarning}</p>
             </div>
@@ -636,13 +864,27 @@ class MarketDataIntegrator {
         
         // 추천사항을 구체적인 액션으로 변환
         advice.recommendations.forEach(rec => {
-            if (rec.action === 'buy') {
+            if (rec.action === 'buy' && rec.quantity > 0) {
                 actions.push({
                     type: 'buy',
                     description: `${rec.stock} ${rec.quantity}주 매수`,
                     amount: rec.price * rec.quantity,
                     priority: 'high'
                 });
+            } else if (rec.action === 'sell' && rec.quantity > 0) {
+                actions.push({
+                    type: 'sell',
+                    description: `${rec.stock} ${rec.quantity}주 매도 (보유 ${rec.currentShares}주)`,
+                    amount: rec.price * rec.quantity,
+                    priority: 'high'
+                });
+            } else if (rec.action === 'hold') {
+                actions.push({
+                    type: 'hold',
+                    description: `${rec.stock} 보유 유지 (${rec.currentShares}주)`,
+                    amount: rec.price * rec.currentShares,
+                    priority: 'low'
+                });
             } else if (rec.action === 'review') {
                 actions.push({
                     type: 'review',
@@ -653,6 +895,7 @@ class MarketDataIntegrator {
             }
         });
         
+        this.lastActions = actions;
         actionPlan.innerHTML = `
             <h3>📋 실행 계획</h3>
             ${actions.map(action => `
@@ -675,20 +918,22 @@ class MarketDataIntegrator {
     }
 
     // 유틸리티 함수들
-    getKoreanStockName(symbol) {
-        const nameMap = {
-            '005930.KS': '삼성전자',
-            '005930': '삼성전자',
-            '035720.KS': '카카오',
-            '035720': '카카오',
-            '035420.KS': '네이버',
-            '035420': '네이버',
-            '000660.KS': 'SK하이닉스',
-            '000660': 'SK하이닉스',
-            '051910.KS': 'LG화학',
-            '051910': 'LG화학'
-        };
-        return nameMap[symbol] || symbol;
+    // 종목 코드 → 한글 종목명 (서버 종목 마스터 조회, 결과는 캐시)
+    async getKoreanStockName(symbol) {
+        if (this.stockNameCache.has(symbol)) {
+            return this.stockNameCache.get(symbol);
+        }
+
+        try {
+            const response = await fetch(`/api/securities/${encodeURIComponent(symbol)}`);
+            const data = await response.json();
+            const name = data.success ? data.security.name : symbol;
+            this.stockNameCache.set(symbol, name);
+            return name;
+        } catch (error) {
+            console.warn(`${symbol} 종목명 조회 실패:`, error);
+            return symbol;
+        }
     }
 
     createPortfolioSummary() {
@@ -766,9 +1011,32 @@ class MarketDataIntegrator {
     }
 
     // 내보내기 기능들
+    // 투자 제안서 PDF (portfolio-report.js, 한글 글꼴 포함)
     async exportToPDF() {
-        // PDF 생성 기능 (jsPDF 사용)
-        alert('PDF 다운로드 기능은 개발 중입니다. 실제 구현에서는 jsPDF 라이브러리를 사용합니다.');
+        if (!this.portfolio) {
+            this.showError('먼저 포트폴리오를 분석해주세요.');
+            return;
+        }
+
+        try {
+            const model = buildReportModel({
+                portfolio: this.portfolio,
+                marketData: this.marketData,
+                profile: {
+                    riskLevel: document.getElementById('risk-level')?.value,
+                    targetReturn: document.getElementById('target-return')?.value
+                },
+                advice: this.lastAdvice,
+                actionPlan: this.lastActions ? this.lastActions.map(action => action.description) : undefined
+            });
+            const chartImage = await PortfolioReport.captureChart(document.getElementById('portfolioChart'));
+
+            await new PortfolioReport().download(model, null, { chartImage });
+            this.showSuccess('투자 제안서 PDF를 다운로드했습니다.');
+        } catch (error) {
+            console.error('PDF 생성 오류:', error);
+            this.showError(`PDF 생성에 실패했습니다: ${error.message}`);
+        }
     }
 
     saveToLocalStorage() {
@@ -0,0 +1,207 @@
+// 마이데이터 투자 제안 시스템 - 네이버페이 결제 게이트웨이 어댑터
+// 실제 네이버페이 파트너 API와 오프라인 테스트용 모의 게이트웨이를 동일한 인터페이스로 제공
+
+const crypto = require('crypto');
+
+// 네이버페이 파트너 API 어댑터
+class NaverPayGateway {
+    constructor(config = {}) {
+        this.name = 'naverpay';
+        this.config = {
+            partnerId: config.partnerId || process.env.NAVERPAY_PARTNER_ID,
+            clientId: config.clientId || process.env.NAVERPAY_CLIENT_ID,
+            clientSecret: config.clientSecret || process.env.NAVERPAY_CLIENT_SECRET,
+            chainId: config.chainId || process.env.NAVERPAY_CHAIN_ID,
+            apiUrl: config.apiUrl || (process.env.NODE_ENV === 'production'
+                ? 'https://apis.naver.com'
+                : 'https://dev.apis.naver.com'),
+            timeout: config.timeout || 10000
+        };
+    }
+
+    // 결제 승인 (결제창 인증 완료 후 호출)
+    async approve({ paymentId, merchantPayKey }) {
+        const body = await this.post('/naverpay/payments/v2.2/apply/payment', { paymentId }, merchantPayKey);
+        const detail = body.detail || {};
+
+        return {
+            paymentId: body.paymentId || paymentId,
+            merchantPayKey: detail.merchantPayKey || merchantPayKey,
+            merchantUserKey: detail.merchantUserKey || null,
+            productName: detail.productName || '',
+            totalPayAmount: Number(detail.totalPayAmount) || 0,
+            primaryPayMeans: detail.primaryPayMeans || null,
+            admissionYmdt: detail.admissionYmdt || null,
+            raw: detail
+        };
+    }
+
+    // 결제 취소 (부분 취소 포함)
+    async cancel({ paymentId, cancelAmount, cancelReason, taxScopeAmount, taxExScopeAmount, expectedRestAmount }) {
+        const body = await this.post('/naverpay/payments/v1/cancel', {
+            paymentId,
+            cancelAmount,
+            cancelReason,
+            cancelRequester: 2, // 가맹점 관리자
+            taxScopeAmount,
+            taxExScopeAmount,
+            doCompareRest: 1,
+            expectedRestAmount
+        }, `${paymentId}_${expectedRestAmount}`);
+
+        return {
+            payHistId: body.payHistId || null,
+            cancelAmount: Number(body.totalCancelAmount ?? cancelAmount),
+            restAmount: Number(body.totalRestAmount ?? expectedRestAmount),
+            cancelYmdt: body.cancelYmdt || null,
+            raw: body
+        };
+    }
+
+    // 정기결제 등록 (예약 → 사용자 인증 → 승인의 2단계)
+    async registerRecurring(recurringData) {
+        if (recurringData.reserveId && recurringData.tempReceiptId) {
+            const body = await this.post('/naverpay/payments/recurrent/regist/v1/approval', {
+                reserveId: recurringData.reserveId,
+                tempReceiptId: recurringData.tempReceiptId
+            }, recurringData.reserveId);
+
+            return { recurrentId: body.recurrentId, status: 'ACTIVE', raw: body };
+        }
+
+        const body = await this.post('/naverpay/payments/recurrent/regist/v1/reserve', {
+            productCode: recurringData.productCode,
+            productName: recurringData.productName,
+            totalPayAmount: recurringData.totalPayAmount,
+            returnUrl: recurringData.returnUrl
+        }, recurringData.requestKey);
+
+        return { reserveId: body.reserveId, status: 'RESERVED', raw: body };
+    }
+
+    async post(apiPath, params, idempotencyKey) {
+        const axios = require('axios');
+
+        if (!this.config.partnerId || !this.config.clientId || !this.config.clientSecret) {
+            throw new Error('네이버페이 파트너 설정이 누락되었습니다.');
+        }
+
+        const form = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                form.append(key, String(value));
+            }
+        });
+
+        const response = await axios.post(
+            `${this.config.apiUrl}/${this.config.partnerId}${apiPath}`,
+            form.toString(),
+            {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'X-Naver-Client-Id': this.config.clientId,
+                    'X-Naver-Client-Secret': this.config.clientSecret,
+                    'X-NaverPay-Chain-Id': this.config.chainId || '',
+                    'X-NaverPay-Idempotency-Key': idempotencyKey || crypto.randomUUID()
+                },
+                timeout: this.config.timeout
+            }
+        );
+
+        if (response.data?.code !== 'Success') {
+            const error = new Error(response.data?.message || '네이버페이 API 호출에 실패했습니다.');
+            error.code = response.data?.code || 'NAVERPAY_ERROR';
+            throw error;
+        }
+
+        return response.data.body || {};
+    }
+}
+
+// 오프라인 개발/테스트용 모의 게이트웨이
+class MockNaverPayGateway {
+    constructor() {
+        this.name = 'mock';
+        this.payments = new Map(); // paymentId → { totalPayAmount, restAmount }
+    }
+
+    // 결제창 없이 서버 주문 금액 그대로 승인 (MOCK_APPROVE_AMOUNT로 금액 불일치 상황 재현)
+    async approve({ paymentId, merchantPayKey, order = {} }) {
+        const totalPayAmount = Number(process.env.MOCK_APPROVE_AMOUNT) || order.totalPayAmount || 10000;
+
+        this.payments.set(paymentId, { totalPayAmount, restAmount: totalPayAmount });
+
+        return {
+            paymentId,
+            merchantPayKey,
+            merchantUserKey: order.merchantUserKey || null,
+            productName: order.productName || '마이데이터 테스트 결제',
+            totalPayAmount,
+            primaryPayMeans: 'CARD',
+            admissionYmdt: this.formatYmdt(new Date()),
+            raw: { mock: true }
+        };
+    }
+
+    async cancel({ paymentId, cancelAmount, expectedRestAmount }) {
+        const payment = this.payments.get(paymentId);
+
+        if (payment && payment.restAmount !== expectedRestAmount) {
+            const error = new Error('취소 가능 금액이 일치하지 않습니다.');
+            error.code = 'RestAmountMismatch';
+            throw error;
+        }
+
+        const restAmount = expectedRestAmount - cancelAmount;
+        if (payment) {
+            payment.restAmount = restAmount;
+        }
+
+        return {
+            payHistId: 'mock_hist_' + crypto.randomBytes(6).toString('hex'),
+            cancelAmount,
+            restAmount,
+            cancelYmdt: this.formatYmdt(new Date()),
+            raw: { mock: true }
+        };
+    }
+
+    async registerRecurring(recurringData) {
+        return {
+            recurrentId: 'mock_recurrent_' + crypto.randomBytes(6).toString('hex'),
+            status: 'ACTIVE',
+            raw: { mock: true, productCode: recurringData.productCode }
+        };
+    }
+
+    // 네이버페이 일시 형식 (yyyyMMddHHmmss)
+    formatYmdt(date) {
+        return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    }
+}
+
+// 환경 설정에 따라 게이트웨이 선택 (키가 없으면 모의 게이트웨이)
+// 운영 환경은 실제 파트너 키가 있어야만 시작 (모의 게이트웨이는 결제 없이 승인하므로 사용 불가)
+function createPaymentGateway(type = process.env.NAVERPAY_GATEWAY) {
+    const gatewayType = type || (process.env.NAVERPAY_PARTNER_ID ? 'naverpay' : 'mock');
+
+    if (process.env.NODE_ENV === 'production') {
+        const gateway = new NaverPayGateway();
+        const { partnerId, clientId, clientSecret } = gateway.config;
+        if (gatewayType !== 'naverpay' || !partnerId || !clientId || !clientSecret) {
+            throw new Error('운영 환경에서는 NAVERPAY_PARTNER_ID, NAVERPAY_CLIENT_ID, NAVERPAY_CLIENT_SECRET 설정이 필요합니다 (모의 결제 사용 불가).');
+        }
+        return gateway;
+    }
+
+    switch (gatewayType) {
+        case 'naverpay':
+            return new NaverPayGateway();
+        case 'mock':
+            return new MockNaverPayGateway();
+        default:
+            throw new Error(`지원하지 않는 결제 게이트웨이입니다: ${gatewayType}`);
+    }
+}
+
+module.exports = { NaverPayGateway, MockNaverPayGateway, createPaymentGateway };
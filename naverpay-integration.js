@@ -4,6 +4,7 @@
 class NaverPayIntegration {
     constructor() {
         this.isInitialized = false;
+        this.pendingPayments = new Map(); // merchantPayKey → 결제 요청 데이터 (승인 후 서비스 활성화용)
         this.config = {
             // 실제 서비스에서는 환경변수에서 로드
             clientId: process.env.NAVERPAY_CLIENT_ID || 'demo_client_id',
@@ -116,8 +117,17 @@ class NaverPayIntegration {
             // 네이버페이 브랜드 가이드라인 준수 확인
             this.validateBrandGuidelines();
 
+            // 서버에 주문 생성 → 서버가 발급한 merchantPayKey와 확정 금액(구독은 요금표)으로 결제
+            const order = await this.createOrder(paymentData);
+            paymentData = {
+                ...paymentData,
+                merchantPayKey: order.merchantPayKey,
+                totalPayAmount: order.totalPayAmount
+            };
+
             // 결제 요청 데이터 생성
             const paymentRequest = this.createPaymentRequest(paymentData);
+            this.pendingPayments.set(paymentData.merchantPayKey, paymentData);
 
             // 결제창 호출
             const result = await this.openPaymentWindow(paymentRequest);
@@ -151,7 +161,6 @@ class NaverPayIntegration {
                 useCfmService: true
             },
             merchantUserKey: this.generateMerchantUserKey(),
-            merchantPayKey: this.generateMerchantPayKey(),
             productType: 'INVESTMENT' // 투자 상품 타입
         };
 
@@ -191,8 +200,9 @@ class NaverPayIntegration {
                 useCfmService: true
             },
             merchantUserKey: this.generateMerchantUserKey(),
-            merchantPayKey: this.generateMerchantPayKey(),
-            productType: 'SUBSCRIPTION' // 구독 서비스 타입
+            productType: 'SUBSCRIPTION', // 구독 서비스 타입
+            subscriptionPlan: adviceType, // 주문 생성 시 서버가 이 플랜/주기의 요금 확정, 승인 시 이용권 발급
+            subscriptionCycle: duration
         };
 
         return await this.requestInvestmentPayment(paymentData);
@@ -274,6 +284,31 @@ class NaverPayIntegration {
         });
     }
 
+    // 결제 주문 생성 (상품 유형/구독 플랜은 서버 주문에 기록되고 승인 시 금액 대조에 사용)
+    async createOrder(paymentData) {
+        const response = await fetch('/api/naverpay/orders', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.getAccessToken()}`
+            },
+            body: JSON.stringify({
+                productType: paymentData.productType,
+                productName: paymentData.productName,
+                merchantUserKey: paymentData.merchantUserKey,
+                totalPayAmount: paymentData.totalPayAmount,
+                subscriptionPlan: paymentData.subscriptionPlan,
+                subscriptionCycle: paymentData.subscriptionCycle
+            })
+        });
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.message || '결제 주문 생성에 실패했습니다.');
+        }
+        return result.order;
+    }
+
     // 결제 승인 처리
     async approvePayment(paymentId, merchantPayKey) {
         try {
@@ -310,7 +345,7 @@ class NaverPayIntegration {
         }
     }
 
-    // 결제 취소 처리
+    // 결제 취소 처리 (관리자 전용, 사용자 환불은 관리자 확인 후 처리)
     async cancelPayment(paymentId, cancelAmount, cancelReason) {
         try {
             const response = await fetch('/api/naverpay/cancel', {
@@ -387,7 +422,7 @@ class NaverPayIntegration {
         }
     }
 
-    // 정기 결제 등록
+    // 정기 결제 등록 (예약: { subscriptionPlan, subscriptionCycle, returnUrl } / 승인: { reserveId, tempReceiptId }, 금액은 서버 요금표 기준)
     async registerRecurringPayment(recurringData) {
         try {
             const response = await fetch('/api/naverpay/recurring/register', {
@@ -464,7 +499,11 @@ class NaverPayIntegration {
     }
 
     // 결제 성공 후 처리
-    async processSuccessfulPayment(paymentData) {
+    async processSuccessfulPayment(resultData) {
+        // 결제창 결과에 없는 요청 정보(상품 유형 등)는 요청 당시 데이터로 보완
+        const paymentData = { ...this.pendingPayments.get(resultData.merchantPayKey), ...resultData };
+        this.pendingPayments.delete(resultData.merchantPayKey);
+
         try {
             // 결제 승인 처리
             const approveResult = await this.approvePayment(
@@ -506,7 +545,7 @@ class NaverPayIntegration {
 
     // 유틸리티 메서드들
     validatePaymentData(paymentData) {
-        const required = ['productName', 'totalPayAmount', 'merchantUserKey', 'merchantPayKey'];
+        const required = ['productName', 'totalPayAmount', 'merchantUserKey', 'productType'];
         
         for (const field of required) {
             if (!paymentData[field]) {
@@ -565,11 +604,6 @@ class NaverPayIntegration {
         return 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
-    generateMerchantPayKey() {
-        // 결제 식별키 생성
-        return 'pay_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    }
-
     getServiceName(adviceType, duration) {
         const typeNames = {
             'basic': '기본 투자 조언',
@@ -596,8 +630,8 @@ class NaverPayIntegration {
     }
 
     getAccessToken() {
-        // 실제 구현에서는 인증 토큰 반환
-        return localStorage.getItem('access_token') || 'demo_token';
+        // auth.js의 로그인 세션 토큰 (결제 API는 로그인 사용자 본인 결제만 처리)
+        return typeof initializeAuth === 'function' ? initializeAuth().getAccessToken() : null;
     }
 
     // 알림 메서드들
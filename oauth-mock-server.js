@@ -0,0 +1,157 @@
+// 마이데이터 투자 제안 시스템 - 네이버/구글 OAuth 로컬 모의 서버
+// 사용법: npm run mock:oauth 실행 후 서버를 OAUTH_MOCK_URL=http://localhost:4990 으로 시작
+// (NAVER_LOGIN_CLIENT_ID/SECRET, GOOGLE_CLIENT_ID/SECRET은 아무 값)
+// 인가 화면에서 테스트 계정을 고르면 인가 코드 발급, 토큰 교환 시 redirect_uri와 PKCE(S256) 검증
+// MOCK_OAUTH_ACCOUNT=<계정 ID>를 지정하면 인가 화면 없이 바로 승인 (스크립트 테스트용)
+
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = parseInt(process.env.OAUTH_MOCK_PORT) || 4990;
+const CODE_TTL_MS = 60 * 1000;
+
+// 제공자별 테스트 계정 (이메일 미동의, 이메일 미인증 케이스 포함)
+const ACCOUNTS = {
+    naver: [
+        { id: 'naver-10001', email: 'naver.user@example.com', name: '네이버 테스트', profile_image: '' },
+        { id: 'naver-10002', email: null, name: '이메일 미동의 사용자', profile_image: '' }
+    ],
+    google: [
+        { sub: 'google-20001', email: 'google.user@example.com', email_verified: true, name: 'Google Tester', picture: '' },
+        { sub: 'google-20002', email: 'unverified@example.com', email_verified: false, name: 'Unverified Tester', picture: '' }
+    ]
+};
+
+const codes = new Map();   // 인가 코드 → { provider, account, clientId, redirectUri, codeChallenge, expiresAt }
+const tokens = new Map();  // 접근 토큰 → { provider, account }
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+
+const accountId = account => account.id || account.sub;
+const escapeHtml = text => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+function findProvider(req, res) {
+    const accounts = ACCOUNTS[req.params.provider];
+    if (!accounts) {
+        res.status(404).json({ error: 'unknown_provider' });
+    }
+    return accounts;
+}
+
+// 제공자별 오류 형식 (네이버는 200 + error, 구글은 400 + error)
+function tokenError(res, provider, error, description) {
+    res.status(provider === 'naver' ? 200 : 400).json({ error, error_description: description });
+}
+
+function issueCode(provider, account, query) {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+        provider,
+        account,
+        clientId: query.client_id,
+        redirectUri: query.redirect_uri,
+        codeChallenge: query.code_challenge,
+        expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const target = new URL(query.redirect_uri);
+    target.searchParams.set('code', code);
+    target.searchParams.set('state', query.state);
+    return target.toString();
+}
+
+app.get('/:provider/authorize', (req, res) => {
+    const accounts = findProvider(req, res);
+    if (!accounts) return;
+
+    const { client_id, redirect_uri, state, code_challenge, code_challenge_method } = req.query;
+    if (!client_id || !redirect_uri || !state || !code_challenge || code_challenge_method !== 'S256') {
+        return res.status(400).send('client_id, redirect_uri, state, code_challenge(S256)가 필요합니다.');
+    }
+
+    const autoAccount = accounts.find(account => accountId(account) === process.env.MOCK_OAUTH_ACCOUNT);
+    if (autoAccount) {
+        return res.redirect(issueCode(req.params.provider, autoAccount, req.query));
+    }
+
+    const denyUrl = new URL(redirect_uri);
+    denyUrl.searchParams.set('error', 'access_denied');
+    denyUrl.searchParams.set('state', state);
+
+    const links = accounts.map(account => {
+        const params = new URLSearchParams({ ...req.query, account: accountId(account) });
+        return `<li><a href="/${req.params.provider}/authorize/approve?${params}">${escapeHtml(account.name)} (${escapeHtml(account.email || '이메일 없음')})</a></li>`;
+    }).join('');
+
+    res.send(`<!DOCTYPE html><html lang="ko"><head><meta charset="UTF-8"><title>모의 ${escapeHtml(req.params.provider)} 로그인</title></head>
+<body><h1>🧪 모의 ${escapeHtml(req.params.provider)} 로그인</h1><p>로그인할 테스트 계정을 선택하세요.</p>
+<ul>${links}</ul><p><a href="${escapeHtml(denyUrl)}">동의 취소</a></p></body></html>`);
+});
+
+app.get('/:provider/authorize/approve', (req, res) => {
+    const accounts = findProvider(req, res);
+    if (!accounts) return;
+
+    const account = accounts.find(item => accountId(item) === req.query.account);
+    if (!account) {
+        return res.status(400).send('알 수 없는 테스트 계정입니다.');
+    }
+    res.redirect(issueCode(req.params.provider, account, req.query));
+});
+
+app.post('/:provider/token', (req, res) => {
+    const provider = req.params.provider;
+    if (!findProvider(req, res)) return;
+
+    const { grant_type, client_id, client_secret, code, code_verifier, redirect_uri } = req.body;
+    const issued = codes.get(code);
+    codes.delete(code); // 인가 코드는 1회용
+
+    if (grant_type !== 'authorization_code' || !client_id || !client_secret) {
+        return tokenError(res, provider, 'invalid_request', '클라이언트 인증 정보가 필요합니다.');
+    }
+    if (!issued || issued.provider !== provider || issued.expiresAt <= Date.now()) {
+        return tokenError(res, provider, 'invalid_grant', '유효하지 않거나 만료된 인가 코드입니다.');
+    }
+    if (issued.clientId !== client_id || issued.redirectUri !== redirect_uri) {
+        return tokenError(res, provider, 'invalid_grant', 'client_id 또는 redirect_uri가 일치하지 않습니다.');
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+    if (challenge !== issued.codeChallenge) {
+        return tokenError(res, provider, 'invalid_grant', 'PKCE code_verifier가 일치하지 않습니다.');
+    }
+
+    const accessToken = `mock-${provider}-${crypto.randomBytes(16).toString('hex')}`;
+    tokens.set(accessToken, { provider, account: issued.account });
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 3600 });
+});
+
+function requireMockToken(provider) {
+    return (req, res, next) => {
+        const token = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const record = tokens.get(token);
+        if (!record || record.provider !== provider) {
+            return res.status(401).json(provider === 'naver'
+                ? { resultcode: '024', message: 'Authentication failed' }
+                : { error: 'invalid_token' });
+        }
+        req.account = record.account;
+        next();
+    };
+}
+
+app.get('/naver/v1/nid/me', requireMockToken('naver'), (req, res) => {
+    const { id, email, name, profile_image } = req.account;
+    res.json({ resultcode: '00', message: 'success', response: { id, email: email || undefined, name, profile_image } });
+});
+
+app.get('/google/userinfo', requireMockToken('google'), (req, res) => {
+    res.json(req.account);
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 OAuth 모의 서버 실행: http://localhost:${PORT} (네이버/구글)`);
+});
@@ -0,0 +1,200 @@
+// 마이데이터 투자 제안 시스템 - 소셜 로그인(OAuth 2.0) 제공자 어댑터
+// 네이버/구글 인가 코드 교환과 사용자 정보 조회를 동일한 인터페이스로 제공
+// OAUTH_MOCK_URL을 설정하면 두 제공자 모두 로컬 모의 서버(oauth-mock-server.js)를 사용
+
+const axios = require('axios');
+const { AuthError } = require('./auth-service');
+
+const REQUEST_TIMEOUT = 10000;
+
+// 제공자 API 호출 실패를 AuthError로 변환 (응답 본문은 로그에만 남김)
+function providerError(providerName, error) {
+    const detail = error.response ? JSON.stringify(error.response.data) : error.message;
+    console.error(`[OAuth] ${providerName} 요청 실패:`, detail);
+    return new AuthError('소셜 로그인 제공자와 통신하지 못했습니다. 잠시 후 다시 시도해주세요.', 'OAUTH_PROVIDER_ERROR', 502);
+}
+
+// 네이버 로그인 (네이버는 PKCE를 지원하지 않으므로 state로 요청 위조를 막고, code_verifier는 모의 서버 검증용으로만 전달)
+class NaverOAuthProvider {
+    constructor(config = {}) {
+        const mockUrl = config.mockUrl || process.env.OAUTH_MOCK_URL;
+        this.name = 'naver';
+        this.label = '네이버';
+        this.config = {
+            clientId: config.clientId || process.env.NAVER_LOGIN_CLIENT_ID,
+            clientSecret: config.clientSecret || process.env.NAVER_LOGIN_CLIENT_SECRET,
+            authorizeUrl: mockUrl ? `${mockUrl}/naver/authorize` : 'https://nid.naver.com/oauth2.0/authorize',
+            tokenUrl: mockUrl ? `${mockUrl}/naver/token` : 'https://nid.naver.com/oauth2.0/token',
+            profileUrl: mockUrl ? `${mockUrl}/naver/v1/nid/me` : 'https://openapi.naver.com/v1/nid/me'
+        };
+    }
+
+    isConfigured() {
+        return Boolean(this.config.clientId && this.config.clientSecret);
+    }
+
+    getAuthorizationUrl({ state, codeChallenge, redirectUri }) {
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.config.clientId,
+            redirect_uri: redirectUri,
+            state,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+        return `${this.config.authorizeUrl}?${params}`;
+    }
+
+    async exchangeCode({ code, state, codeVerifier, redirectUri }) {
+        try {
+            const response = await axios.post(this.config.tokenUrl, new URLSearchParams({
+                grant_type: 'authorization_code',
+                client_id: this.config.clientId,
+                client_secret: this.config.clientSecret,
+                code,
+                state,
+                code_verifier: codeVerifier,
+                redirect_uri: redirectUri
+            }).toString(), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: REQUEST_TIMEOUT
+            });
+
+            // 네이버는 실패도 200 + error 필드로 응답
+            if (!response.data.access_token) {
+                throw Object.assign(new Error(response.data.error_description || response.data.error), { response });
+            }
+            return response.data.access_token;
+
+        } catch (error) {
+            throw providerError(this.name, error);
+        }
+    }
+
+    async getProfile(accessToken) {
+        let body;
+        try {
+            const response = await axios.get(this.config.profileUrl, {
+                headers: { Authorization: `Bearer ${accessToken}` },
+                timeout: REQUEST_TIMEOUT
+            });
+            body = response.data;
+        } catch (error) {
+            throw providerError(this.name, error);
+        }
+
+        if (body.resultcode !== '00' || !body.response || !body.response.id) {
+            throw providerError(this.name, new Error(body.message || '프로필 응답 형식 오류'));
+        }
+
+        // 네이버 계정 이메일은 가입 시 네이버가 확인한 주소
+        const profile = body.response;
+        return {
+            providerUserId: String(profile.id),
+            email: profile.email || null,
+            emailVerified: Boolean(profile.email),
+            name: profile.name || profile.nickname || '네이버 사용자',
+            profileImage: profile.profile_image || ''
+        };
+    }
+}
+
+// 구글 로그인 (OpenID Connect, PKCE S256)
+class GoogleOAuthProvider {
+    constructor(config = {}) {
+        const mockUrl = config.mockUrl || process.env.OAUTH_MOCK_URL;
+        this.name = 'google';
+        this.label = 'Google';
+        this.config = {
+            clientId: config.clientId || process.env.GOOGLE_CLIENT_ID,
+            clientSecret: config.clientSecret || process.env.GOOGLE_CLIENT_SECRET,
+            authorizeUrl: mockUrl ? `${mockUrl}/google/authorize` : 'https://accounts.google.com/o/oauth2/v2/auth',
+            tokenUrl: mockUrl ? `${mockUrl}/google/token` : 'https://oauth2.googleapis.com/token',
+            profileUrl: mockUrl ? `${mockUrl}/google/userinfo` : 'https://openidconnect.googleapis.com/v1/userinfo'
+        };
+    }
+
+    isConfigured() {
+        return Boolean(this.config.clientId && this.config.clientSecret);
+    }
+
+    getAuthorizationUrl({ state, codeChallenge, redirectUri }) {
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.config.clientId,
+            redirect_uri: redirectUri,
+            scope: 'openid email profile',
+            state,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256',
+            prompt: 'select_account'
+        });
+        return `${this.config.authorizeUrl}?${params}`;
+    }
+
+    async exchangeCode({ code, codeVerifier, redirectUri }) {
+        try {
+            const response = await axios.post(this.config.tokenUrl, new URLSearchParams({
+                grant_type: 'authorization_code',
+                client_id: this.config.clientId,
+                client_secret: this.config.clientSecret,
+                code,
+                code_verifier: codeVerifier,
+                redirect_uri: redirectUri
+            }).toString(), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: REQUEST_TIMEOUT
+            });
+            return response.data.access_token;
+
+        } catch (error) {
+            throw providerError(this.name, error);
+        }
+    }
+
+    async getProfile(accessToken) {
+        let profile;
+        try {
+            const response = await axios.get(this.config.profileUrl, {
+                headers: { Authorization: `Bearer ${accessToken}` },
+                timeout: REQUEST_TIMEOUT
+            });
+            profile = response.data;
+        } catch (error) {
+            throw providerError(this.name, error);
+        }
+
+        if (!profile.sub) {
+            throw providerError(this.name, new Error('프로필 응답에 sub가 없습니다.'));
+        }
+
+        return {
+            providerUserId: String(profile.sub),
+            email: profile.email || null,
+            emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+            name: profile.name || 'Google 사용자',
+            profileImage: profile.picture || ''
+        };
+    }
+}
+
+const OAUTH_PROVIDERS = {
+    naver: NaverOAuthProvider,
+    google: GoogleOAuthProvider
+};
+
+// 제공자 이름으로 어댑터 생성 (지원하지 않거나 키가 없으면 AuthError)
+function createOAuthProvider(name, config = {}) {
+    const Provider = OAUTH_PROVIDERS[name];
+    if (!Provider) {
+        throw new AuthError(`지원하지 않는 로그인 제공자입니다: ${name}`, 'OAUTH_PROVIDER_UNSUPPORTED', 404);
+    }
+
+    const provider = new Provider(config);
+    if (!provider.isConfigured()) {
+        throw new AuthError(`${provider.label} 로그인이 설정되지 않았습니다.`, 'OAUTH_PROVIDER_NOT_CONFIGURED', 503);
+    }
+    return provider;
+}
+
+module.exports = { NaverOAuthProvider, GoogleOAuthProvider, createOAuthProvider, OAUTH_PROVIDERS };
@@ -0,0 +1,463 @@
+// 마이데이터 투자 제안 시스템 - 결제 서비스
+// 결제 승인/취소/내역/정기결제를 게이트웨이와 결제 저장소 사이에서 처리
+// 구독(SUBSCRIPTION) 결제가 승인되면 사용자별 이용권(entitlement)을 발급하고 취소(부분 취소 포함) 시 회수
+// 결제창을 열기 전에 서버가 주문(상품/플랜/금액)을 만들고, 승인 시 게이트웨이 승인 금액을 주문 금액과 대조
+
+const crypto = require('crypto');
+const { JsonFileStore } = require('./json-file-store');
+const { createPaymentGateway } = require('./naverpay-gateway');
+
+// 결제 처리 오류 (HTTP 상태 코드 포함)
+class PaymentError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'PaymentError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const PAYMENT_STATUS = {
+    APPROVED: 'APPROVED',
+    PARTIAL_CANCELED: 'PARTIAL_CANCELED',
+    CANCELED: 'CANCELED'
+};
+
+// 구독 이용 기간
+const SUBSCRIPTION_CYCLES = { monthly: 1, yearly: 12 }; // 개월 수
+
+// 구독 요금표 (원, 부가세 포함) - 결제 금액은 항상 이 표에서 결정
+const PLAN_PRICES = {
+    basic: { monthly: 9900, yearly: 99000 },
+    premium: { monthly: 19900, yearly: 199000 },
+    professional: { monthly: 39900, yearly: 399000 }
+};
+const SUBSCRIPTION_PLANS = Object.keys(PLAN_PRICES);
+
+const ORDER_TTL_MS = 30 * 60 * 1000; // 결제창 인증까지 허용하는 시간
+const CANCEL_PENDING_TTL_MS = 5 * 60 * 1000; // 취소 진행 표시 유지 시간 (게이트웨이 응답 없이 중단된 요청 대비)
+const INVESTMENT_AMOUNT_RANGE = { min: 100, max: 10000000 };
+
+function addMonths(date, months) {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+}
+
+class PaymentService {
+    constructor(options = {}) {
+        this.gateway = options.gateway || createPaymentGateway();
+        this.store = options.store || new JsonFileStore('payments.json', {
+            payments: {},
+            merchantPayKeys: {},
+            recurring: {},
+            entitlements: {},
+            orders: {} // merchantPayKey → 결제 전 서버가 확정한 주문
+        });
+        this.pendingApprovals = new Map(); // 'userId:merchantPayKey' → 진행 중인 승인 { paymentId, approval }
+    }
+
+    // 주문 생성 (결제창 호출 전, 구독은 요금표 금액으로 확정하고 merchantPayKey는 서버가 발급)
+    async createOrder({ userId, productType, subscriptionPlan, subscriptionCycle, totalPayAmount, productName, merchantUserKey }) {
+        if (!userId) {
+            throw new PaymentError('로그인이 필요합니다.', 'INVALID_REQUEST');
+        }
+
+        let subscription = null;
+        let amount;
+
+        if (productType === 'SUBSCRIPTION') {
+            if (!PLAN_PRICES[subscriptionPlan] || !PLAN_PRICES[subscriptionPlan][subscriptionCycle]) {
+                throw new PaymentError('지원하지 않는 구독 플랜 또는 결제 주기입니다.', 'INVALID_SUBSCRIPTION_PLAN');
+            }
+            subscription = { plan: subscriptionPlan, cycle: subscriptionCycle };
+            amount = PLAN_PRICES[subscriptionPlan][subscriptionCycle];
+        } else if (productType === 'INVESTMENT') {
+            amount = Number(totalPayAmount);
+            if (!Number.isInteger(amount) || amount < INVESTMENT_AMOUNT_RANGE.min || amount > INVESTMENT_AMOUNT_RANGE.max) {
+                throw new PaymentError('결제 금액은 100원 이상 1,000만원 이하의 정수여야 합니다.', 'INVALID_AMOUNT');
+            }
+        } else {
+            throw new PaymentError('지원하지 않는 상품 유형입니다.', 'INVALID_PRODUCT_TYPE');
+        }
+
+        const now = Date.now();
+        const order = {
+            merchantPayKey: `order_${now}_${crypto.randomBytes(8).toString('hex')}`,
+            userId,
+            productType,
+            productName: String(productName || (subscription ? `AI 투자 조언 ${subscription.plan}` : '마이데이터 포트폴리오 투자')).slice(0, 128),
+            merchantUserKey: merchantUserKey || null,
+            subscription,
+            totalPayAmount: amount,
+            status: 'RESERVED',
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ORDER_TTL_MS).toISOString()
+        };
+
+        await this.store.update((data) => {
+            // 결제되지 않고 만료된 주문 정리
+            Object.entries(data.orders).forEach(([key, stored]) => {
+                if (stored.status === 'RESERVED' && new Date(stored.expiresAt).getTime() <= now) {
+                    delete data.orders[key];
+                }
+            });
+            data.orders[order.merchantPayKey] = order;
+        });
+
+        return order;
+    }
+
+    // 결제 승인 (merchantPayKey 기준 멱등성 보장, userId는 인증된 결제 요청자, 상품/금액은 서버 주문 기준)
+    async approvePayment({ paymentId, merchantPayKey, userId }) {
+        if (!paymentId || !merchantPayKey || !userId) {
+            throw new PaymentError('paymentId와 merchantPayKey가 필요합니다.', 'INVALID_REQUEST');
+        }
+
+        // 같은 사용자가 같은 결제로 동시에 보낸 요청만 하나의 승인 결과를 공유
+        // (다른 사용자의 요청은 따로 처리되어 주문 소유자 확인에서 거부됨)
+        const pendingKey = `${userId}:${merchantPayKey}`;
+        const pending = this.pendingApprovals.get(pendingKey);
+        if (pending) {
+            if (pending.paymentId !== paymentId) {
+                throw new PaymentError('이미 다른 결제에 사용된 merchantPayKey입니다.', 'DUPLICATE_MERCHANT_PAY_KEY', 409);
+            }
+            return pending.approval;
+        }
+
+        const approval = this.processApproval(paymentId, merchantPayKey, userId);
+        this.pendingApprovals.set(pendingKey, { paymentId, approval });
+
+        try {
+            return await approval;
+        } finally {
+            this.pendingApprovals.delete(pendingKey);
+        }
+    }
+
+    async processApproval(paymentId, merchantPayKey, userId) {
+        const data = await this.store.read();
+        const existingId = data.merchantPayKeys[merchantPayKey];
+
+        if (existingId) {
+            if (existingId !== paymentId || data.payments[existingId].userId !== userId) {
+                throw new PaymentError('이미 다른 결제에 사용된 merchantPayKey입니다.', 'DUPLICATE_MERCHANT_PAY_KEY', 409);
+            }
+            return { payment: data.payments[existingId], duplicated: true };
+        }
+
+        const order = data.orders[merchantPayKey];
+        if (!order || order.userId !== userId) {
+            throw new PaymentError('결제 주문을 찾을 수 없습니다.', 'ORDER_NOT_FOUND', 404);
+        }
+        if (order.status !== 'RESERVED' || new Date(order.expiresAt).getTime() <= Date.now()) {
+            throw new PaymentError('만료되었거나 이미 처리된 주문입니다. 다시 결제해주세요.', 'ORDER_EXPIRED', 409);
+        }
+
+        const detail = await this.gateway.approve({ paymentId, merchantPayKey, order });
+
+        if (detail.merchantPayKey !== merchantPayKey) {
+            throw new PaymentError('게이트웨이 응답의 merchantPayKey가 요청과 다릅니다.', 'MERCHANT_PAY_KEY_MISMATCH', 502);
+        }
+
+        // 승인 금액이 주문(구독은 요금표) 금액과 다르면 결제를 취소하고 이용권을 발급하지 않음
+        const expectedAmount = order.subscription
+            ? PLAN_PRICES[order.subscription.plan][order.subscription.cycle]
+            : order.totalPayAmount;
+        if (detail.totalPayAmount !== expectedAmount) {
+            await this.rejectApproval(paymentId, merchantPayKey, detail.totalPayAmount);
+            throw new PaymentError('결제 금액이 주문 금액과 일치하지 않아 결제를 취소했습니다.', 'PAYMENT_AMOUNT_MISMATCH', 409);
+        }
+
+        const payment = {
+            paymentId: detail.paymentId,
+            userId,
+            merchantPayKey,
+            merchantUserKey: detail.merchantUserKey || order.merchantUserKey,
+            productName: detail.productName || order.productName,
+            productType: order.productType,
+            subscription: order.subscription,
+            totalPayAmount: detail.totalPayAmount,
+            cancelledAmount: 0,
+            restAmount: detail.totalPayAmount,
+            status: PAYMENT_STATUS.APPROVED,
+            primaryPayMeans: detail.primaryPayMeans,
+            gateway: this.gateway.name,
+            cancellations: [],
+            approvedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.store.update((stored) => {
+            stored.payments[payment.paymentId] = payment;
+            stored.merchantPayKeys[merchantPayKey] = payment.paymentId;
+            stored.orders[merchantPayKey].status = 'PAID';
+            if (payment.subscription) {
+                this.grantEntitlement(stored, payment);
+            }
+        });
+
+        console.log(`[Payment] 결제 승인 완료: ${payment.paymentId} (${payment.totalPayAmount.toLocaleString()}원)`);
+        return { payment, duplicated: false };
+    }
+
+    // 금액이 맞지 않는 승인 건 전액 취소 후 주문 무효화 (취소 실패는 수동 확인을 위해 기록만)
+    async rejectApproval(paymentId, merchantPayKey, approvedAmount) {
+        console.error(`[Payment] 승인 금액 불일치: ${paymentId} (${approvedAmount}원)`);
+        try {
+            await this.gateway.cancel({
+                paymentId,
+                cancelAmount: approvedAmount,
+                cancelReason: '주문 금액 불일치',
+                taxScopeAmount: approvedAmount,
+                taxExScopeAmount: 0,
+                expectedRestAmount: approvedAmount
+            });
+        } catch (error) {
+            console.error(`[Payment] 금액 불일치 결제 취소 실패 (수동 확인 필요): ${paymentId}`, error.message);
+        }
+
+        await this.store.update((data) => {
+            data.orders[merchantPayKey].status = 'REJECTED';
+        });
+    }
+
+    // 결제 취소 (원 결제 금액 대비 잔액 한도 내 부분 취소 지원, userId가 있으면 본인 결제만)
+    // 게이트웨이 호출은 저장소 쓰기 대기열 밖에서 실행하고, 그동안 결제에 취소 진행 표시를 남겨 중복 취소를 막음
+    async cancelPayment({ paymentId, cancelAmount, cancelReason, taxScopeAmount, taxExScopeAmount, userId = null }) {
+        const amount = Number(cancelAmount);
+
+        if (!paymentId || !Number.isInteger(amount) || amount <= 0) {
+            throw new PaymentError('paymentId와 1원 이상의 정수 취소 금액이 필요합니다.', 'INVALID_REQUEST');
+        }
+        if (!cancelReason) {
+            throw new PaymentError('취소 사유가 필요합니다.', 'INVALID_REQUEST');
+        }
+
+        // 1. 검증 후 취소 진행 표시 (오래된 표시는 중단된 요청으로 보고 넘겨받음, 게이트웨이가 expectedRestAmount로 중복 환불을 거부)
+        const pendingCancel = { cancelAmount: amount, startedAt: new Date().toISOString() };
+        const expectedRestAmount = await this.store.update((data) => {
+            const payment = data.payments[paymentId];
+
+            if (!payment || (userId && payment.userId !== userId)) {
+                throw new PaymentError('결제 내역을 찾을 수 없습니다.', 'PAYMENT_NOT_FOUND', 404);
+            }
+            if (payment.pendingCancel && Date.now() - new Date(payment.pendingCancel.startedAt).getTime() < CANCEL_PENDING_TTL_MS) {
+                throw new PaymentError('이미 취소가 진행 중인 결제입니다. 잠시 후 다시 확인해주세요.', 'CANCEL_IN_PROGRESS', 409);
+            }
+            if (payment.status === PAYMENT_STATUS.CANCELED) {
+                throw new PaymentError('이미 전액 취소된 결제입니다.', 'ALREADY_CANCELED', 409);
+            }
+            if (amount > payment.restAmount) {
+                throw new PaymentError(
+                    `취소 금액이 취소 가능 잔액(${payment.restAmount.toLocaleString()}원)을 초과합니다.`,
+                    'CANCEL_AMOUNT_EXCEEDED'
+                );
+            }
+
+            payment.pendingCancel = pendingCancel;
+            return payment.restAmount;
+        });
+
+        // 2. 게이트웨이 취소 (실패하면 진행 표시만 지우고 오류 전달)
+        let result;
+        try {
+            result = await this.gateway.cancel({
+                paymentId,
+                cancelAmount: amount,
+                cancelReason,
+                taxScopeAmount: taxScopeAmount ?? amount,
+                taxExScopeAmount: taxExScopeAmount ?? 0,
+                expectedRestAmount
+            });
+        } catch (error) {
+            await this.store.update((data) => {
+                if (data.payments[paymentId].pendingCancel === pendingCancel) {
+                    delete data.payments[paymentId].pendingCancel;
+                }
+            });
+            throw error;
+        }
+
+        // 3. 취소 결과 반영
+        return this.store.update((data) => {
+            const payment = data.payments[paymentId];
+            const cancellation = {
+                payHistId: result.payHistId,
+                cancelAmount: amount,
+                cancelReason,
+                restAmount: payment.restAmount - amount,
+                cancelledAt: new Date().toISOString()
+            };
+
+            delete payment.pendingCancel;
+            payment.cancellations.push(cancellation);
+            payment.cancelledAmount += amount;
+            payment.restAmount -= amount;
+            payment.status = payment.restAmount === 0
+                ? PAYMENT_STATUS.CANCELED
+                : PAYMENT_STATUS.PARTIAL_CANCELED;
+            payment.updatedAt = cancellation.cancelledAt;
+
+            // 구독 결제는 일부만 환불해도 이용권 회수 (부분 환불 후 이용권이 남지 않도록)
+            if (payment.subscription) {
+                this.revokeEntitlement(data, payment);
+            }
+
+            console.log(`[Payment] 결제 취소 완료: ${paymentId} (${amount.toLocaleString()}원, 잔액 ${payment.restAmount.toLocaleString()}원)`);
+            return { payment, cancellation };
+        });
+    }
+
+    // 결제 내역 조회 (승인일 기준 기간 필터 및 페이지네이션)
+    async getPaymentHistory({ startDate, endDate, page = 1, size = 20, merchantUserKey, userId } = {}) {
+        const data = await this.store.read();
+        const start = startDate ? new Date(startDate) : null;
+        const end = endDate ? new Date(endDate) : null;
+
+        if ((start && isNaN(start)) || (end && isNaN(end))) {
+            throw new PaymentError('조회 기간 형식이 올바르지 않습니다.', 'INVALID_REQUEST');
+        }
+        if (end && /^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+            end.setDate(end.getDate() + 1); // 종료일 당일 포함
+        }
+
+        const pageNumber = Math.max(1, parseInt(page) || 1);
+        const pageSize = Math.min(100, Math.max(1, parseInt(size) || 20));
+
+        const payments = Object.values(data.payments)
+            .filter(payment => {
+                const approvedAt = new Date(payment.approvedAt);
+                return (!start || approvedAt >= start) &&
+                    (!end || approvedAt < end) &&
+                    (!merchantUserKey || payment.merchantUserKey === merchantUserKey) &&
+                    (!userId || payment.userId === userId);
+            })
+            .sort((a, b) => new Date(b.approvedAt) - new Date(a.approvedAt));
+
+        return {
+            payments: payments.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+            totalCount: payments.length,
+            page: pageNumber,
+            size: pageSize
+        };
+    }
+
+    // 정기결제 등록 (userId는 인증된 등록 요청자, 금액은 createOrder처럼 요금표에서 결정)
+    // 1단계(예약): 구독 플랜/주기로 상품과 금액을 정해 예약 / 2단계(승인): 예약 ID로 본인 예약을 찾아 같은 플랜으로 승인
+    async registerRecurringPayment(recurringData = {}, userId = null) {
+        if (!userId) {
+            throw new PaymentError('로그인이 필요합니다.', 'INVALID_REQUEST');
+        }
+
+        const isApproval = Boolean(recurringData.reserveId && recurringData.tempReceiptId);
+        let subscription;
+        let reservation = null;
+
+        if (isApproval) {
+            const data = await this.store.read();
+            reservation = data.recurring[recurringData.reserveId];
+            if (!reservation || reservation.userId !== userId || reservation.status !== 'RESERVED') {
+                throw new PaymentError('정기결제 예약을 찾을 수 없습니다.', 'RECURRING_NOT_FOUND', 404);
+            }
+            subscription = reservation.subscription;
+        } else {
+            const { subscriptionPlan, subscriptionCycle } = recurringData;
+            if (!PLAN_PRICES[subscriptionPlan] || !PLAN_PRICES[subscriptionPlan][subscriptionCycle]) {
+                throw new PaymentError('지원하지 않는 구독 플랜 또는 결제 주기입니다.', 'INVALID_SUBSCRIPTION_PLAN');
+            }
+            subscription = { plan: subscriptionPlan, cycle: subscriptionCycle };
+        }
+
+        const product = {
+            productCode: `subscription_${subscription.plan}_${subscription.cycle}`,
+            productName: `AI 투자 조언 ${subscription.plan}`,
+            totalPayAmount: PLAN_PRICES[subscription.plan][subscription.cycle]
+        };
+
+        const result = await this.gateway.registerRecurring({
+            ...product,
+            returnUrl: recurringData.returnUrl,
+            requestKey: `recurring_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`, // 예약 요청 멱등성 키 (상품 코드는 플랜마다 같으므로 요청마다 발급)
+            reserveId: isApproval ? recurringData.reserveId : undefined,
+            tempReceiptId: isApproval ? recurringData.tempReceiptId : undefined
+        });
+        const recurringId = result.recurrentId || result.reserveId;
+
+        const record = {
+            recurringId,
+            userId,
+            recurrentId: result.recurrentId || null,
+            reserveId: result.reserveId || (isApproval ? recurringData.reserveId : null),
+            merchantUserKey: reservation ? reservation.merchantUserKey : recurringData.merchantUserKey || null,
+            ...product,
+            subscription,
+            cycle: subscription.cycle,
+            status: result.status,
+            gateway: this.gateway.name,
+            registeredAt: reservation ? reservation.registeredAt : new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.store.update((data) => {
+            // 승인되면 예약 ID 항목을 정기결제 ID 항목으로 교체
+            if (reservation && reservation.recurringId !== recurringId) {
+                delete data.recurring[reservation.recurringId];
+            }
+            data.recurring[recurringId] = record;
+        });
+
+        console.log(`[Payment] 정기결제 등록: ${recurringId} (${record.status}, ${record.totalPayAmount.toLocaleString()}원)`);
+        return record;
+    }
+
+    async getPayment(paymentId) {
+        const data = await this.store.read();
+        return data.payments[paymentId] || null;
+    }
+
+    // 사용자의 유효한 구독 이용권 (없거나 만료/회수되었으면 null)
+    async getEntitlement(userId) {
+        const data = await this.store.read();
+        const entitlement = data.entitlements[userId];
+
+        if (!entitlement || entitlement.status !== 'active' || new Date(entitlement.expiresAt) <= new Date()) {
+            return null;
+        }
+        return entitlement;
+    }
+
+    // 이용권 발급 (유효한 이용권이 있으면 남은 기간 뒤로 연장)
+    grantEntitlement(data, payment) {
+        const { plan, cycle } = payment.subscription;
+        const current = data.entitlements[payment.userId];
+        const now = new Date();
+        const startsFrom = current && current.status === 'active' && new Date(current.expiresAt) > now
+            ? new Date(current.expiresAt)
+            : now;
+
+        data.entitlements[payment.userId] = {
+            userId: payment.userId,
+            plan,
+            status: 'active',
+            paymentId: payment.paymentId,
+            startsAt: current && startsFrom !== now ? current.startsAt : now.toISOString(),
+            expiresAt: addMonths(startsFrom, SUBSCRIPTION_CYCLES[cycle]).toISOString(),
+            updatedAt: now.toISOString()
+        };
+
+        console.log(`[Payment] 구독 이용권 발급: ${payment.userId} (${plan}, ~${data.entitlements[payment.userId].expiresAt})`);
+    }
+
+    revokeEntitlement(data, payment) {
+        const entitlement = data.entitlements[payment.userId];
+
+        if (entitlement && entitlement.paymentId === payment.paymentId) {
+            entitlement.status = 'revoked';
+            entitlement.updatedAt = new Date().toISOString();
+            console.log(`[Payment] 구독 이용권 회수: ${payment.userId}`);
+        }
+    }
+}
+
+module.exports = { PaymentService, PaymentError, PAYMENT_STATUS, SUBSCRIPTION_PLANS, PLAN_PRICES };
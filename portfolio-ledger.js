@@ -0,0 +1,314 @@
+// 마이데이터 투자 제안 시스템 - 포트폴리오 거래 원장
+// 매수/매도/배당/분할/입출금 거래로 종목별 평균 단가(이동평균법, 수수료 포함), 실현 손익, 평가 손익,
+// 특정 일자 기준 보유 현황, 시간가중수익률(TWR) 계산
+
+const LEDGER_TRANSACTION_TYPES = ['buy', 'sell', 'dividend', 'split', 'deposit', 'withdrawal'];
+const CASH_TRANSACTION_TYPES = ['deposit', 'withdrawal'];
+
+// 원장 처리 오류 (HTTP 상태 코드 포함)
+class LedgerError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'LedgerError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function toAmount(value) {
+    const number = parseFloat(String(value ?? '').replace(/,/g, ''));
+    return Number.isFinite(number) ? number : 0;
+}
+
+function toDateString(value) {
+    const date = value ? new Date(value) : new Date();
+    if (isNaN(date)) {
+        throw new LedgerError(`거래일이 올바르지 않습니다: ${value}`, 'INVALID_DATE');
+    }
+    return date.toISOString().split('T')[0];
+}
+
+class PortfolioLedger {
+    constructor(transactions = []) {
+        this.transactions = [];
+        transactions.forEach(transaction => this.add(transaction));
+    }
+
+    // 평균 단가가 있는 보유 종목 → 최초 매수 거래 (증권사 가져오기, 직접 입력한 매입가)
+    static fromHoldings(stocks = {}) {
+        const ledger = new PortfolioLedger();
+
+        Object.entries(stocks).forEach(([name, stock]) => {
+            if (stock.shares > 0 && stock.avgPrice > 0) {
+                ledger.add({
+                    type: 'buy',
+                    name: name,
+                    code: stock.code,
+                    date: stock.purchaseDate,
+                    shares: stock.shares,
+                    price: stock.avgPrice,
+                    fee: stock.fees || 0
+                });
+            }
+        });
+
+        return ledger;
+    }
+
+    // 거래 검증 후 추가 (보유 수량보다 많이 매도하면 오류)
+    add(transaction) {
+        const record = {
+            id: transaction.id || `tx_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            type: transaction.type,
+            name: String(transaction.name || '').trim(),
+            code: transaction.code || null,
+            date: toDateString(transaction.date),
+            shares: toAmount(transaction.shares),
+            price: toAmount(transaction.price),
+            fee: toAmount(transaction.fee),
+            tax: toAmount(transaction.tax),
+            amount: toAmount(transaction.amount),
+            ratio: toAmount(transaction.ratio),   // 분할 비율 (1주 → ratio주, 병합은 1 미만)
+            memo: transaction.memo || ''
+        };
+
+        if (!LEDGER_TRANSACTION_TYPES.includes(record.type)) {
+            throw new LedgerError(`지원하지 않는 거래 유형입니다: ${record.type}`, 'INVALID_TRANSACTION_TYPE');
+        }
+        if (!record.name && !CASH_TRANSACTION_TYPES.includes(record.type)) {
+            throw new LedgerError('종목명이 필요합니다.', 'INVALID_TRANSACTION');
+        }
+        if (record.type === 'split' && record.ratio <= 0) {
+            throw new LedgerError('분할 비율은 0보다 커야 합니다.', 'INVALID_TRANSACTION');
+        }
+        if (['dividend', ...CASH_TRANSACTION_TYPES].includes(record.type) && record.amount <= 0) {
+            throw new LedgerError('배당/입출금 금액은 0보다 커야 합니다.', 'INVALID_TRANSACTION');
+        }
+        if (['buy', 'sell'].includes(record.type) && (record.shares <= 0 || record.price <= 0)) {
+            throw new LedgerError('거래 수량과 단가는 0보다 커야 합니다.', 'INVALID_TRANSACTION');
+        }
+
+        // 거래일 순서로 다시 계산해 매도 시점의 보유 수량 확인 (이전 날짜 거래 추가 포함)
+        const candidate = [...this.transactions, record];
+        PortfolioLedger.replay(candidate);
+
+        this.transactions = candidate;
+        return record;
+    }
+
+    remove(transactionId) {
+        const remaining = this.transactions.filter(transaction => transaction.id !== transactionId);
+        PortfolioLedger.replay(remaining);
+        this.transactions = remaining;
+    }
+
+    // 외부 현금 흐름 (입금 +, 출금 -). 입출금 기록이 없는 원장은 매수 대금을 입금, 매도 대금을 출금으로 간주
+    static externalFlow(transaction, implicitFunding) {
+        switch (transaction.type) {
+            case 'deposit': return transaction.amount;
+            case 'withdrawal': return -transaction.amount;
+            case 'buy': return implicitFunding ? transaction.shares * transaction.price + transaction.fee : 0;
+            case 'sell': return implicitFunding ? -(transaction.shares * transaction.price - transaction.fee - transaction.tax) : 0;
+            default: return 0;
+        }
+    }
+
+    static tracksCash(transactions) {
+        return transactions.some(transaction => CASH_TRANSACTION_TYPES.includes(transaction.type));
+    }
+
+    // 거래일 순으로 재생하여 종목별 포지션, 매도별 실현 손익, 예수금 계산 (asOf: 'YYYY-MM-DD'까지의 거래만)
+    static replay(transactions, { asOf = null } = {}) {
+        const positions = new Map();
+        const realized = [];
+        const implicitFunding = !PortfolioLedger.tracksCash(transactions);
+        let cash = 0;
+
+        const ordered = transactions
+            .map((transaction, index) => ({ transaction, index }))
+            .filter(item => !asOf || item.transaction.date <= asOf)
+            .sort((a, b) => a.transaction.date.localeCompare(b.transaction.date) || a.index - b.index)
+            .map(item => item.transaction);
+
+        ordered.forEach(transaction => {
+            // 입출금은 종목과 무관하게 예수금만 변경
+            if (CASH_TRANSACTION_TYPES.includes(transaction.type)) {
+                cash += PortfolioLedger.externalFlow(transaction, implicitFunding);
+                return;
+            }
+
+            if (!positions.has(transaction.name)) {
+                positions.set(transaction.name, {
+                    name: transaction.name,
+                    code: transaction.code,
+                    shares: 0,
+                    costBasis: 0,
+                    avgCost: 0,
+                    fees: 0,
+                    realizedPnL: 0,
+                    dividends: 0,
+                    purchaseDate: null,
+                    lastTradeDate: null
+                });
+            }
+
+            const position = positions.get(transaction.name);
+            position.code = position.code || transaction.code;
+
+            if (transaction.type === 'buy') {
+                position.costBasis += transaction.shares * transaction.price + transaction.fee;
+                if (!implicitFunding) cash -= transaction.shares * transaction.price + transaction.fee;
+                position.shares += transaction.shares;
+                position.fees += transaction.fee;
+                position.purchaseDate = position.purchaseDate || transaction.date;
+            } else if (transaction.type === 'sell') {
+                if (transaction.shares > position.shares) {
+                    throw new LedgerError(
+                        `${transaction.name} 매도 수량(${transaction.shares}주)이 ${transaction.date} 기준 보유 수량(${position.shares}주)보다 많습니다.`,
+                        'INSUFFICIENT_SHARES'
+                    );
+                }
+
+                // 이동평균법: 매도분 원가 = 평균 단가 × 매도 수량
+                const costOfSold = position.avgCost * transaction.shares;
+                const proceeds = transaction.shares * transaction.price - transaction.fee - transaction.tax;
+                const pnl = proceeds - costOfSold;
+
+                position.realizedPnL += pnl;
+                position.costBasis -= costOfSold;
+                position.shares -= transaction.shares;
+                position.fees += transaction.fee + transaction.tax;
+                if (!implicitFunding) cash += proceeds;
+                realized.push({ transactionId: transaction.id, name: transaction.name, date: transaction.date, realizedPnL: pnl });
+
+                if (position.shares === 0) {
+                    position.costBasis = 0;
+                    position.purchaseDate = null;
+                }
+            } else if (transaction.type === 'dividend') {
+                position.dividends += transaction.amount - transaction.tax;
+                cash += transaction.amount - transaction.tax;
+            } else if (transaction.type === 'split') {
+                // 분할/병합: 매입 원가는 그대로, 수량과 평균 단가만 조정
+                position.shares = Math.round(position.shares * transaction.ratio * 1e6) / 1e6;
+            }
+
+            position.avgCost = position.shares > 0 ? position.costBasis / position.shares : 0;
+            position.lastTradeDate = transaction.date;
+        });
+
+        return { positions, realized, cash };
+    }
+
+    // 특정 일자 기준 보유 종목과 예수금 재구성
+    reconstruct(asOf) {
+        const date = toDateString(asOf);
+        const { positions, cash } = PortfolioLedger.replay(this.transactions, { asOf: date });
+        const all = [...positions.values()];
+
+        return {
+            asOf: date,
+            holdings: all.filter(position => position.shares > 0),
+            cash,
+            realizedPnL: all.reduce((sum, position) => sum + position.realizedPnL, 0),
+            dividends: all.reduce((sum, position) => sum + position.dividends, 0)
+        };
+    }
+
+    // 시간가중수익률: 평가일 사이 구간 수익률((기말 평가액 - 구간 외부 현금 흐름) / 기초 평가액 - 1)을 연결
+    // closesByName: 종목명 → { 'YYYY-MM-DD': 종가 }, dates: 평가일 목록 (종가가 없으면 직전 종가, 그것도 없으면 평균 단가로 평가)
+    timeWeightedReturn(closesByName, dates) {
+        const implicitFunding = !PortfolioLedger.tracksCash(this.transactions);
+        const sortedDates = [...new Set(dates)].sort();
+        const series = [];
+        let previous = null;
+        let growth = 1;
+
+        const closeOn = (name, date) => {
+            const closes = closesByName[name] || {};
+            const known = Object.keys(closes).filter(day => day <= date).sort();
+            return known.length > 0 ? closes[known[known.length - 1]] : null;
+        };
+
+        sortedDates.forEach(date => {
+            const { positions, cash } = PortfolioLedger.replay(this.transactions, { asOf: date });
+            let value = cash;
+            positions.forEach(position => {
+                if (position.shares > 0) {
+                    value += position.shares * (closeOn(position.name, date) ?? position.avgCost);
+                }
+            });
+
+            const flow = this.transactions
+                .filter(transaction => transaction.date <= date && (!previous || transaction.date > previous.date))
+                .reduce((sum, transaction) => sum + PortfolioLedger.externalFlow(transaction, implicitFunding), 0);
+
+            if (previous && previous.value > 0) {
+                growth *= (value - flow) / previous.value;
+            }
+
+            previous = { date, value };
+            series.push({ date, value, flow, twr: (growth - 1) * 100 });
+        });
+
+        return series;
+    }
+
+    // 현재가(종목명 → 가격) 기준 종목별 평가 손익과 전체 합계
+    summarize(prices = {}) {
+        const { positions, realized, cash } = PortfolioLedger.replay(this.transactions);
+        const holdings = [];
+        const totals = {
+            costBasis: 0,
+            marketValue: 0,
+            unrealizedPnL: 0,
+            unrealizedReturn: 0,
+            realizedPnL: 0,
+            dividends: 0,
+            fees: 0,
+            totalPnL: 0
+        };
+
+        positions.forEach(position => {
+            totals.realizedPnL += position.realizedPnL;
+            totals.dividends += position.dividends;
+            totals.fees += position.fees;
+
+            if (position.shares === 0) return;
+
+            const currentPrice = prices[position.name] > 0 ? prices[position.name] : null;
+            const marketValue = currentPrice !== null ? position.shares * currentPrice : null;
+            const unrealizedPnL = marketValue !== null ? marketValue - position.costBasis : null;
+
+            holdings.push({
+                ...position,
+                currentPrice,
+                marketValue,
+                unrealizedPnL,
+                unrealizedReturn: unrealizedPnL !== null && position.costBasis > 0
+                    ? (unrealizedPnL / position.costBasis) * 100
+                    : null
+            });
+
+            totals.costBasis += position.costBasis;
+            // 현재가가 없는 종목은 원가로 평가 (손익 0)
+            totals.marketValue += marketValue !== null ? marketValue : position.costBasis;
+        });
+
+        totals.unrealizedPnL = totals.marketValue - totals.costBasis;
+        totals.unrealizedReturn = totals.costBasis > 0 ? (totals.unrealizedPnL / totals.costBasis) * 100 : 0;
+        totals.totalPnL = totals.unrealizedPnL + totals.realizedPnL + totals.dividends;
+
+        return { holdings, realized, totals, cash };
+    }
+}
+
+// 전역 접근을 위한 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PortfolioLedger, LedgerError, LEDGER_TRANSACTION_TYPES, CASH_TRANSACTION_TYPES };
+} else {
+    window.PortfolioLedger = PortfolioLedger;
+    window.LedgerError = LedgerError;
+    window.LEDGER_TRANSACTION_TYPES = LEDGER_TRANSACTION_TYPES;
+    window.CASH_TRANSACTION_TYPES = CASH_TRANSACTION_TYPES;
+}
@@ -0,0 +1,264 @@
+// 마이데이터 투자 제안 시스템 - 보유 종목 텍스트 파서 (모든 화면 공통)
+// 지원 형식 (쉼표/줄바꿈/세미콜론 구분, 표에서 복사한 탭 구분 행 포함)
+//   삼성전자 10주 · 005930 10株 · 카카오 5 · 네이버3         → 수량
+//   삼성전자 30%                                               → 비중 (총 투자금액 기준 환산)
+//   삼성전자 500만원 · SK하이닉스 1억 2,000만원 · 카카오 300,000원 → 금액
+//   삼성전자 10주 @71,000 2024-01-15 수수료 1,500               → 평균 단가, 매입일, 수수료 (선택)
+//   삼성전자 10주 카카오 5주                                     → 단위(주/%/원)가 있으면 구분 기호 없이 이어 써도 종목별로 분리
+// 결과: { holdings, diagnostics } - 줄마다 'ok' | 'warning' | 'error' | 'skipped' 진단 포함
+
+const HEADER_KEYWORDS = {
+    name: /^(종목명|종목|상품명)$/,
+    code: /^(종목코드|코드|종목번호|상품번호)$/,
+    shares: /^(수량|보유수량|잔고수량|주식수)$/,
+    avgPrice: /^(평균단가|매입단가|매입가|평균매입가|매입평균가)$/,
+    weight: /^(비중|비율)$/,
+    amount: /^(금액|투자금액|평가금액|매입금액)$/
+};
+
+function toNumber(text) {
+    const number = parseFloat(String(text).replace(/,/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+// '500만원', '1억 2,000만원', '1.5억', '300,000원' → 원 단위 금액 (금액 표현이 아니면 null)
+function parseKoreanAmount(text) {
+    const compact = String(text).replace(/\s/g, '');
+    const match = compact.match(/^(?:([\d,.]+)억)?(?:([\d,.]+)천만)?(?:([\d,.]+)만)?(?:([\d,.]+))?원?$/);
+    if (!match || !/[억만원]/.test(compact) || !match.slice(1).some(Boolean)) return null;
+
+    const [, eok, cheonman, man, won] = match;
+    return Math.round(
+        (toNumber(eok) || 0) * 100000000 +
+        (toNumber(cheonman) || 0) * 10000000 +
+        (toNumber(man) || 0) * 10000 +
+        (toNumber(won) || 0)
+    );
+}
+
+// 'A005930', '005930' → '005930', 'a0126z0' → '0126Z0' (신규 상장 종목은 영문자가 섞인 코드, 숫자가 없는 종목명은 제외)
+function parseStockCode(text) {
+    const match = String(text).trim().toUpperCase().match(/^A?((?=[0-9A-Z]*\d)[0-9A-Z]{6})$/);
+    return match ? match[1] : null;
+}
+
+// 이어 쓴 종목 경계: 단위가 붙은 수량·비중·금액이나 선택 항목(평균 단가, 매입일, 수수료) 뒤에 다음 종목명/코드가 오는 공백
+// ('삼성전자 10주 카카오 5주' → 두 항목, '@71,000'·'수수료'·날짜처럼 같은 종목의 선택 항목 앞에서는 분리하지 않음)
+const SEGMENT_BOUNDARY = /(?<=\d\s*(?:주|株|%)|[\d억만]\s*원|@\s*[\d,.]+|수수료\s*[\d,]+|\d{4}[-./]\d{1,2}[-./]\d{1,2})\s+(?=[^\s\d@]|A?[0-9A-Z]{6}(?!\S))(?!수수료)/;
+
+// 종목명에 남은 수량·비중·금액 표현 (분리하지 못한 여러 종목)
+const QUANTITY_TOKEN = /\d\s*(?:주|株|%)|[\d억만]\s*원/;
+
+// 종목명 중간의 단위 없는 숫자 ('삼성전자 10 카카오', 'KODEX 200 IT'처럼 숫자가 든 종목명일 수도 있어 경고만)
+const BARE_NUMBER_TOKEN = /\s\d[\d,]*\s+\S/;
+
+// 항목 구분: 줄바꿈, 세미콜론, 쉼표 (단 '71,000'처럼 세 자리 숫자 앞의 쉼표는 천 단위 구분), 이어 쓴 종목 경계
+function splitEntries(line) {
+    return line.split(/;|,(?!\d{3}(?!\d))/)
+        .flatMap(entry => entry.split(SEGMENT_BOUNDARY))
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
+
+// 한 항목 파싱: 이름/코드 + 수량·비중·금액 + 선택 항목(@평균 단가, 매입일, 수수료)
+function parseEntry(entry) {
+    let rest = entry.trim();
+    const holding = { name: null, code: null, shares: null, weight: null, amount: null, avgPrice: null, purchaseDate: null, fees: 0 };
+
+    const feeMatch = rest.match(/\s*수수료\s*([\d,]+)\s*원?$/);
+    if (feeMatch) {
+        holding.fees = toNumber(feeMatch[1]);
+        rest = rest.slice(0, feeMatch.index);
+    }
+
+    const dateMatch = rest.match(/\s*(\d{4})[-./](\d{1,2})[-./](\d{1,2})$/);
+    if (dateMatch) {
+        holding.purchaseDate = `${dateMatch[1]}-${dateMatch[2].padStart(2, '0')}-${dateMatch[3].padStart(2, '0')}`;
+        rest = rest.slice(0, dateMatch.index);
+    }
+
+    const avgMatch = rest.match(/\s*@\s*([\d,]+(?:\.\d+)?)\s*원?$/);
+    if (avgMatch) {
+        holding.avgPrice = toNumber(avgMatch[1]);
+        rest = rest.slice(0, avgMatch.index);
+    }
+
+    rest = rest.trim();
+    if (rest.includes('@')) {
+        return { error: '평균 단가는 "@71,000"처럼 숫자로 입력해주세요.' };
+    }
+
+    // 금액: 이름 뒤의 '억/천만/만/원' 표현
+    const amountMatch = rest.match(/^(.*?)\s*((?:[\d,.]+\s*억\s*)?(?:[\d,.]+\s*천만\s*)?(?:[\d,.]+\s*만\s*)?(?:[\d,.]+\s*)?원?)$/);
+    const amount = amountMatch && amountMatch[1] ? parseKoreanAmount(amountMatch[2]) : null;
+
+    let name;
+    if (amount !== null) {
+        name = amountMatch[1];
+        holding.amount = amount;
+    } else {
+        // 수량(주/株/단위 없음) 또는 비중(%)
+        const quantityMatch = rest.match(/^(.*?)\s*(\d[\d,]*(?:\.\d+)?)\s*(주|株|%)?$/);
+        if (!quantityMatch || !quantityMatch[1].trim()) {
+            return { error: /\d/.test(rest) ? '종목명을 찾을 수 없습니다.' : '수량, 비중(%) 또는 금액이 없습니다.' };
+        }
+
+        name = quantityMatch[1];
+        const value = toNumber(quantityMatch[2]);
+        const unit = quantityMatch[3];
+
+        // '삼성전자10'처럼 붙여 쓴 경우 종목명이 한 글자거나 숫자만이면 잘못 분리된 것으로 판단
+        if (!unit && !/\s$/.test(rest.slice(0, rest.length - quantityMatch[2].length)) &&
+            (name.trim().length < 2 || /^\d+$/.test(name.trim()))) {
+            return { error: '종목명과 수량을 구분할 수 없습니다. "종목명 10주" 형식으로 입력해주세요.' };
+        }
+
+        if (unit === '%') {
+            if (!(value > 0 && value <= 100)) return { error: '비중은 0~100% 사이여야 합니다.' };
+            holding.weight = value;
+        } else {
+            if (!Number.isInteger(value) || value <= 0) return { error: '수량은 1주 이상의 정수여야 합니다.' };
+            holding.shares = value;
+        }
+    }
+
+    name = name.trim();
+    if (QUANTITY_TOKEN.test(name)) {
+        return { error: '한 항목에 여러 종목이 있습니다. 종목마다 "종목명 10주"처럼 수량을 붙이거나 쉼표로 구분해주세요.' };
+    }
+
+    const code = parseStockCode(name);
+    if (code) {
+        holding.code = code;
+    } else {
+        holding.name = name;
+    }
+
+    if (BARE_NUMBER_TOKEN.test(name)) {
+        return { holding, warning: `종목명 "${name}"에 숫자가 있습니다. 여러 종목이면 "삼성전자 10주 카카오 5주"처럼 수량에 "주"를 붙여주세요.` };
+    }
+    return { holding };
+}
+
+// 탭 구분 행: 머리글 행이 있으면 열 이름으로, 없으면 [종목, 수량, 평균 단가] 순서로 해석
+function parseTabRow(cells, columns) {
+    if (!columns) {
+        const [first, second, third] = cells;
+        return parseEntry([first, second, third ? `@${third}` : ''].filter(Boolean).join(' '));
+    }
+
+    const cell = field => columns[field] !== undefined ? String(cells[columns[field]] ?? '').trim() : '';
+    const nameCell = cell('name') || cell('code');
+    const quantity = cell('shares')
+        ? `${cell('shares').replace(/주$/, '')}주`
+        : cell('weight')
+            ? `${cell('weight').replace(/%$/, '')}%`
+            : cell('amount') ? `${cell('amount').replace(/원$/, '')}원` : '';
+    const avgPrice = cell('avgPrice') ? ` @${cell('avgPrice')}` : '';
+
+    const result = parseEntry(`${nameCell} ${quantity}${avgPrice}`);
+    if (result.holding && cell('code')) {
+        result.holding.code = parseStockCode(cell('code')) || result.holding.code;
+        result.holding.name = cell('name') || result.holding.name;
+    }
+    return result;
+}
+
+function detectTabHeader(cells) {
+    const columns = {};
+    cells.forEach((cell, index) => {
+        const label = String(cell).replace(/\s|\(.*?\)/g, '');
+        Object.entries(HEADER_KEYWORDS).forEach(([field, pattern]) => {
+            if (columns[field] === undefined && pattern.test(label)) columns[field] = index;
+        });
+    });
+    return (columns.name !== undefined || columns.code !== undefined) && Object.keys(columns).length >= 2 ? columns : null;
+}
+
+// 보유 종목 텍스트 파싱 (줄 번호는 1부터)
+function parsePortfolioText(text) {
+    const holdings = [];
+    const diagnostics = [];
+    const byKey = new Map();
+    let tabColumns = null;
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+        if (!line) return;
+
+        let entries;
+        if (rawLine.includes('\t')) {
+            const cells = rawLine.split('\t');
+            const header = detectTabHeader(cells);
+            if (header) {
+                tabColumns = header;
+                diagnostics.push({ line: lineNumber, text: line, status: 'skipped', message: '표 머리글' });
+                return;
+            }
+            entries = [{ text: line, result: parseTabRow(cells, tabColumns) }];
+        } else {
+            tabColumns = null; // 표가 끝나면 머리글 해제
+            entries = splitEntries(line).map(entry => ({ text: entry, result: parseEntry(entry) }));
+        }
+
+        entries.forEach(({ text: entryText, result }) => {
+            if (result.error) {
+                diagnostics.push({ line: lineNumber, text: entryText, status: 'error', message: result.error });
+                return;
+            }
+
+            const holding = { ...result.holding, line: lineNumber, source: entryText };
+            const key = holding.code || holding.name;
+
+            // 같은 종목이 여러 번 입력되면 수량/금액을 합산
+            if (byKey.has(key)) {
+                const existing = byKey.get(key);
+                if ((existing.shares === null) !== (holding.shares === null) || (existing.weight === null) !== (holding.weight === null)) {
+                    diagnostics.push({ line: lineNumber, text: entryText, status: 'error', message: `${key}이(가) 다른 단위로 중복 입력되었습니다.` });
+                    return;
+                }
+                existing.shares = existing.shares !== null ? existing.shares + holding.shares : null;
+                existing.weight = existing.weight !== null ? existing.weight + holding.weight : null;
+                existing.amount = existing.amount !== null ? existing.amount + holding.amount : null;
+                diagnostics.push({ line: lineNumber, text: entryText, status: 'warning', message: `${key} 중복 입력을 합산했습니다.` });
+                return;
+            }
+
+            byKey.set(key, holding);
+            holdings.push(holding);
+            diagnostics.push(result.warning
+                ? { line: lineNumber, text: entryText, status: 'warning', message: result.warning }
+                : { line: lineNumber, text: entryText, status: 'ok', message: null });
+        });
+    });
+
+    const totalWeight = holdings.reduce((sum, holding) => sum + (holding.weight || 0), 0);
+    if (totalWeight > 100) {
+        diagnostics.push({ line: null, text: '', status: 'warning', message: `비중 합계가 100%를 넘습니다 (${totalWeight}%).` });
+    }
+
+    return {
+        holdings,
+        diagnostics,
+        errorCount: diagnostics.filter(item => item.status === 'error').length
+    };
+}
+
+// 비중/금액으로 입력한 종목의 수량 계산 (현재가 기준 내림, 현재가가 없으면 null 유지)
+function resolveHoldingShares(holding, price, totalAmount) {
+    if (holding.shares !== null) return holding.shares;
+    const amount = holding.amount !== null
+        ? holding.amount
+        : (holding.weight !== null && totalAmount > 0 ? totalAmount * holding.weight / 100 : null);
+    return amount !== null && price > 0 ? Math.floor(amount / price) : null;
+}
+
+// 전역 접근을 위한 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parsePortfolioText, resolveHoldingShares, parseKoreanAmount, parseStockCode };
+} else {
+    window.parsePortfolioText = parsePortfolioText;
+    window.resolveHoldingShares = resolveHoldingShares;
+    window.parseKoreanAmount = parseKoreanAmount;
+}
@@ -0,0 +1,529 @@
+// 마이데이터 투자 제안 시스템 - 투자 제안서 PDF 생성 (브라우저/서버 공통)
+// 브라우저: 전역 jsPDF + html2canvas로 자산 배분 차트 캡처 후 다운로드
+// 서버: require('jspdf')로 생성, 차트는 막대 그래프로 직접 그림 (/api/report/:portfolioId.pdf)
+// 한글 글꼴(나눔고딕 TTF)을 PDF에 포함해 뷰어에 관계없이 한글이 깨지지 않도록 함
+
+// 글꼴 파일은 저장소의 fonts/에 포함 (npm @expo-google-fonts/nanum-gothic 0.4.0의 400Regular TTF, SIL OFL 1.1 - fonts/OFL.txt)
+const REPORT_FONT = {
+    name: 'NanumGothic',
+    file: 'NanumGothic-Regular.ttf',
+    browserUrl: '/api/report/font.ttf' // 브라우저는 서버가 읽은 글꼴을 같은 출처에서 받음
+};
+
+// 투자 제안서 필수 위험 고지
+const REPORT_DISCLOSURES = [
+    '모든 투자에는 원금 손실의 위험이 있습니다.',
+    '이 제안서는 참고용이며, 실제 투자 결정은 투자자 본인의 판단과 책임하에 이루어져야 합니다.',
+    '자본시장법상 투자 권유가 아닌 정보 제공 목적의 자료입니다.',
+    '과거 수익률이 미래 수익률을 보장하지 않습니다.',
+    '시세는 조회 시점 기준이며 지연되거나 실제와 다를 수 있습니다.',
+    '투자 전 반드시 전문가와 상담하시기 바랍니다.'
+];
+
+const RISK_LEVEL_LABELS = { conservative: '안정형', moderate: '중립형', aggressive: '공격형' };
+const DATA_QUALITY_LABELS = { realtime: '실시간', delayed: '지연', stale: '이전 시세', demo: '데모', estimated: '추정', unavailable: '조회 실패' };
+const CHART_COLORS = [[3, 199, 90], [0, 123, 255], [255, 193, 7], [220, 53, 69], [111, 66, 193], [23, 162, 184], [253, 126, 20], [108, 117, 125]];
+
+const PAGE = { width: 210, height: 297, margin: 15 };
+const BRAND_GREEN = [3, 199, 90];
+
+// 보고서 생성 오류 (HTTP 상태 코드 포함)
+class ReportError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'ReportError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const isNodeEnvironment = typeof window === 'undefined';
+
+// 글꼴 파일 바이트 (서버: REPORT_FONT_PATH 또는 fonts/ 폴더, 브라우저: 서버 경유)
+let fontDataPromise = null;
+function loadReportFontData() {
+    if (!fontDataPromise) {
+        fontDataPromise = fetchReportFontData().catch(error => {
+            fontDataPromise = null; // 다음 요청에서 다시 시도
+            throw new ReportError(`PDF용 한글 글꼴을 불러오지 못했습니다: ${error.message}`, 'FONT_UNAVAILABLE', 503);
+        });
+    }
+    return fontDataPromise;
+}
+
+async function fetchReportFontData() {
+    if (isNodeEnvironment) {
+        const fs = require('fs');
+        const path = require('path');
+        const localPath = process.env.REPORT_FONT_PATH || path.join(__dirname, 'fonts', REPORT_FONT.file);
+        return fs.promises.readFile(localPath);
+    }
+
+    const response = await fetch(REPORT_FONT.browserUrl);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+function toBase64(bytes) {
+    if (isNodeEnvironment) {
+        return Buffer.from(bytes).toString('base64');
+    }
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+// 전역(UMD) 또는 require로 jsPDF 생성자 찾기
+function resolveJsPDF() {
+    if (isNodeEnvironment) {
+        return require('jspdf').jsPDF;
+    }
+
+    const candidate = window.jspdf?.jsPDF || window.jsPDF?.jsPDF || window.jsPDF;
+    if (typeof candidate !== 'function') {
+        throw new ReportError('jsPDF 라이브러리가 로드되지 않았습니다.', 'JSPDF_UNAVAILABLE', 503);
+    }
+    return candidate;
+}
+
+const formatWon = value => value === null || value === undefined ? '-' : `${Math.round(value).toLocaleString('ko-KR')}원`;
+const formatSigned = (value, suffix) => value === null || value === undefined
+    ? '-'
+    : `${value >= 0 ? '+' : ''}${suffix === '%' ? value.toFixed(2) : Math.round(value).toLocaleString('ko-KR')}${suffix}`;
+
+// 화면/서버의 여러 포트폴리오 형식을 보고서 모델로 정규화
+// input: { title, portfolio: { stocks | holdings, totalAmount, cash }, marketData, profile: { riskLevel, targetReturn },
+//          advice: 문자열 | { summary, rationale, actions | recommendations, risks }, actionPlan: 문자열 | 문자열[], generatedAt }
+function buildReportModel(input = {}) {
+    const portfolio = input.portfolio || {};
+    const marketData = input.marketData || portfolio.marketData || {};
+    const entries = Array.isArray(portfolio.holdings)
+        ? portfolio.holdings.map(holding => [holding.name || holding.code, holding])
+        : Object.entries(portfolio.stocks || {});
+
+    const holdings = entries
+        .filter(([, stock]) => stock && Number(stock.shares) > 0)
+        .map(([name, stock]) => {
+            const shares = Number(stock.shares);
+            const avgPrice = Number(stock.avgPrice ?? stock.avgCost) || null;
+            const quote = marketData[name] || (stock.code && marketData[stock.code]) || stock.marketData || {};
+            const currentPrice = Number(quote.price ?? stock.currentPrice) || avgPrice;
+            const marketValue = currentPrice ? shares * currentPrice : null;
+            const costBasis = avgPrice ? shares * avgPrice : null;
+            const unrealizedPnL = marketValue !== null && costBasis !== null ? marketValue - costBasis : null;
+
+            return {
+                name,
+                code: stock.code || quote.symbol || null,
+                shares,
+                avgPrice,
+                currentPrice,
+                marketValue,
+                costBasis,
+                unrealizedPnL,
+                unrealizedReturn: unrealizedPnL !== null && costBasis ? unrealizedPnL / costBasis * 100 : null,
+                weight: 0
+            };
+        });
+
+    const totalMarketValue = holdings.reduce((sum, holding) => sum + (holding.marketValue || 0), 0);
+    holdings.forEach(holding => {
+        holding.weight = totalMarketValue > 0 ? (holding.marketValue || 0) / totalMarketValue * 100 : 0;
+    });
+    holdings.sort((a, b) => (b.marketValue || 0) - (a.marketValue || 0));
+
+    const pnlHoldings = holdings.filter(holding => holding.unrealizedPnL !== null);
+    const totalCost = pnlHoldings.reduce((sum, holding) => sum + holding.costBasis, 0);
+    const totalPnL = pnlHoldings.length > 0 ? pnlHoldings.reduce((sum, holding) => sum + holding.unrealizedPnL, 0) : null;
+
+    const market = Object.entries(marketData)
+        .filter(([, quote]) => quote && quote.price)
+        .map(([name, quote]) => ({
+            name,
+            price: quote.price,
+            change: quote.change ?? null,
+            changePercent: quote.changePercent ?? null,
+            dataQuality: quote.dataQuality || null
+        }));
+
+    return {
+        title: input.title || '마이데이터 투자 제안서',
+        generatedAt: input.generatedAt ? new Date(input.generatedAt) : new Date(),
+        profile: {
+            totalAmount: Number(portfolio.totalAmount) || null,
+            cash: Number(portfolio.cash) || 0,
+            riskLevel: input.profile?.riskLevel || null,
+            targetReturn: input.profile?.targetReturn ?? null
+        },
+        totals: {
+            marketValue: totalMarketValue,
+            costBasis: totalCost || null,
+            unrealizedPnL: totalPnL,
+            unrealizedReturn: totalPnL !== null && totalCost ? totalPnL / totalCost * 100 : null
+        },
+        holdings,
+        market,
+        advice: normalizeAdvice(input.advice),
+        actionPlan: normalizeActionPlan(input.actionPlan, input.advice)
+    };
+}
+
+function normalizeAdvice(advice) {
+    if (!advice) return [];
+    if (typeof advice === 'string') return splitLines(advice);
+
+    const allocation = advice.targetAllocation || advice.allocation; // 구조화 응답 | 화면 제안 형식
+    return [
+        advice.summary,
+        allocation && `목표 배분: 주식 ${allocation.stocks}% · 채권 ${allocation.bonds}% · 현금 ${allocation.cash}%`,
+        advice.rationale,
+        ...(advice.risks || []).map(risk => `위험 요인: ${risk}`)
+    ].filter(Boolean);
+}
+
+function normalizeActionPlan(actionPlan, advice) {
+    if (Array.isArray(actionPlan)) return actionPlan.map(String).filter(line => line.trim());
+    if (typeof actionPlan === 'string') return splitLines(actionPlan);
+
+    const actionLabels = { buy: '매수', sell: '매도', hold: '보유' };
+    return (advice?.actions || advice?.recommendations || []).map(item => {
+        const shares = item.shares ?? item.quantity;
+        return `${item.stock} ${shares ? `${shares}주 ` : ''}${actionLabels[item.action] || item.action}${item.reason ? ` - ${item.reason}` : ''}`;
+    });
+}
+
+function splitLines(text) {
+    return String(text).split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+class PortfolioReport {
+    constructor({ jsPDF = null, fontLoader = loadReportFontData } = {}) {
+        this.jsPDF = jsPDF;
+        this.fontLoader = fontLoader;
+    }
+
+    // 보고서 모델 → jsPDF 문서 (chartImage: 자산 배분 차트 PNG data URL, 없으면 막대 그래프)
+    async createDocument(model, { chartImage = null } = {}) {
+        const JsPDF = this.jsPDF || resolveJsPDF();
+        const doc = new JsPDF({ orientation: 'p', unit: 'mm', format: 'a4' });
+
+        const fontData = await this.fontLoader();
+        doc.addFileToVFS(REPORT_FONT.file, toBase64(fontData));
+        doc.addFont(REPORT_FONT.file, REPORT_FONT.name, 'normal');
+        doc.setFont(REPORT_FONT.name, 'normal');
+
+        this.doc = doc;
+        this.y = PAGE.margin;
+
+        this.drawHeader(model);
+        this.drawSummary(model);
+        this.drawAllocation(model, chartImage);
+        this.drawMarket(model);
+        this.drawParagraphs('AI 투자 조언', model.advice, '리밸런싱 제안을 받은 뒤 다시 생성하면 AI 조언이 포함됩니다.');
+        this.drawParagraphs('실행 계획', model.actionPlan.map((line, index) => `${index + 1}. ${line.replace(/^\d+[.)]\s*/, '')}`), '실행 계획이 없습니다.');
+        this.drawDisclosures();
+        this.drawFooters(model);
+
+        return doc;
+    }
+
+    async toArrayBuffer(model, options) {
+        const doc = await this.createDocument(model, options);
+        return doc.output('arraybuffer');
+    }
+
+    // 브라우저 다운로드
+    async download(model, fileName, options) {
+        const doc = await this.createDocument(model, options);
+        doc.save(fileName || PortfolioReport.fileName(model));
+    }
+
+    static fileName(model) {
+        return `마이데이터_투자제안서_${model.generatedAt.toISOString().slice(0, 10)}.pdf`;
+    }
+
+    // 화면의 차트(canvas 또는 요소)를 PNG data URL로 변환 (html2canvas 사용)
+    static async captureChart(element) {
+        if (!element) return null;
+        if (element.tagName === 'CANVAS') {
+            return element.toDataURL('image/png');
+        }
+        if (typeof html2canvas === 'undefined') return null;
+
+        const canvas = await html2canvas(element, { scale: 2, backgroundColor: '#ffffff', useCORS: true });
+        return canvas.toDataURL('image/png');
+    }
+
+    ensureSpace(height) {
+        if (this.y + height > PAGE.height - PAGE.margin - 8) {
+            this.doc.addPage();
+            this.y = PAGE.margin;
+        }
+    }
+
+    drawHeader(model) {
+        const doc = this.doc;
+        doc.setFontSize(20);
+        doc.setTextColor(...BRAND_GREEN);
+        doc.text(model.title, PAGE.width / 2, this.y + 6, { align: 'center' });
+
+        doc.setFontSize(11);
+        doc.setTextColor(102, 102, 102);
+        doc.text('네이버페이 AI 투자 분석 시스템', PAGE.width / 2, this.y + 13, { align: 'center' });
+        doc.setFontSize(9);
+        doc.text(`생성 일시: ${model.generatedAt.toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' })}`, PAGE.width / 2, this.y + 19, { align: 'center' });
+
+        doc.setDrawColor(...BRAND_GREEN);
+        doc.setLineWidth(0.8);
+        doc.line(PAGE.margin, this.y + 23, PAGE.width - PAGE.margin, this.y + 23);
+        this.y += 31;
+    }
+
+    drawSectionTitle(title, color = BRAND_GREEN) {
+        this.ensureSpace(16);
+        const doc = this.doc;
+        doc.setFontSize(13);
+        doc.setTextColor(...color);
+        doc.text(title, PAGE.margin, this.y);
+        doc.setDrawColor(...color);
+        doc.setLineWidth(0.3);
+        doc.line(PAGE.margin, this.y + 2, PAGE.width - PAGE.margin, this.y + 2);
+        this.y += 8;
+        doc.setTextColor(51, 51, 51);
+    }
+
+    drawSummary(model) {
+        const { profile, totals } = model;
+        this.drawSectionTitle('포트폴리오 요약');
+
+        const rows = [
+            ['총 투자금액', formatWon(profile.totalAmount)],
+            ['평가금액', formatWon(totals.marketValue)],
+            ['평가손익', totals.unrealizedPnL === null ? '-' : `${formatSigned(totals.unrealizedPnL, '원')} (${formatSigned(totals.unrealizedReturn, '%')})`],
+            ['예수금', formatWon(profile.cash)],
+            ['목표 수익률', profile.targetReturn !== null && profile.targetReturn !== '' ? `${profile.targetReturn}%` : '-'],
+            ['위험 성향', RISK_LEVEL_LABELS[profile.riskLevel] || profile.riskLevel || '-']
+        ];
+
+        const doc = this.doc;
+        doc.setFontSize(10);
+        for (let i = 0; i < rows.length; i += 2) {
+            this.ensureSpace(6);
+            rows.slice(i, i + 2).forEach(([label, value], column) => {
+                const x = PAGE.margin + column * 92;
+                doc.setTextColor(120, 120, 120);
+                doc.text(label, x, this.y);
+                doc.setTextColor(51, 51, 51);
+                doc.text(value, x + 28, this.y);
+            });
+            this.y += 6;
+        }
+        this.y += 3;
+
+        this.drawTable(
+            [
+                { label: '종목', width: 34 },
+                { label: '수량', width: 16, align: 'right' },
+                { label: '평균 단가', width: 22, align: 'right' },
+                { label: '현재가', width: 22, align: 'right' },
+                { label: '평가금액', width: 26, align: 'right' },
+                { label: '비중', width: 14, align: 'right' },
+                { label: '평가손익', width: 26, align: 'right' },
+                { label: '수익률', width: 20, align: 'right' }
+            ],
+            model.holdings.map(holding => [
+                holding.name,
+                `${holding.shares.toLocaleString('ko-KR')}주`,
+                formatWon(holding.avgPrice),
+                formatWon(holding.currentPrice),
+                formatWon(holding.marketValue),
+                `${holding.weight.toFixed(1)}%`,
+                { text: formatSigned(holding.unrealizedPnL, '원'), color: signColor(holding.unrealizedPnL) },
+                { text: formatSigned(holding.unrealizedReturn, '%'), color: signColor(holding.unrealizedReturn) }
+            ]),
+            '보유 종목이 없습니다.'
+        );
+    }
+
+    // 자산 배분: 화면 차트 이미지가 있으면 그대로, 없으면 종목별 비중 막대
+    drawAllocation(model, chartImage) {
+        this.drawSectionTitle('자산 배분');
+        const doc = this.doc;
+
+        if (chartImage) {
+            const properties = doc.getImageProperties(chartImage);
+            const width = PAGE.width - PAGE.margin * 2;
+            const height = Math.min(width * properties.height / properties.width, 100);
+            this.ensureSpace(height + 4);
+            doc.addImage(chartImage, 'PNG', PAGE.margin, this.y, height * properties.width / properties.height, height);
+            this.y += height + 6;
+            return;
+        }
+
+        const items = model.holdings.filter(holding => holding.weight > 0);
+        if (items.length === 0) {
+            this.drawNote('배분을 계산할 평가금액이 없습니다.');
+            return;
+        }
+
+        const barWidth = PAGE.width - PAGE.margin * 2 - 60;
+        doc.setFontSize(9);
+        items.forEach((holding, index) => {
+            this.ensureSpace(7);
+            const color = CHART_COLORS[index % CHART_COLORS.length];
+            doc.setTextColor(51, 51, 51);
+            doc.text(doc.splitTextToSize(holding.name, 36)[0], PAGE.margin, this.y + 3.5);
+            doc.setFillColor(238, 238, 238);
+            doc.rect(PAGE.margin + 40, this.y, barWidth, 5, 'F');
+            doc.setFillColor(...color);
+            doc.rect(PAGE.margin + 40, this.y, Math.max(barWidth * holding.weight / 100, 0.5), 5, 'F');
+            doc.text(`${holding.weight.toFixed(1)}%`, PAGE.width - PAGE.margin, this.y + 3.5, { align: 'right' });
+            this.y += 7;
+        });
+        this.y += 4;
+    }
+
+    drawMarket(model) {
+        this.drawSectionTitle('시장 현황', [0, 123, 255]);
+        this.drawTable(
+            [
+                { label: '종목', width: 50 },
+                { label: '현재가', width: 32, align: 'right' },
+                { label: '전일 대비', width: 32, align: 'right' },
+                { label: '등락률', width: 26, align: 'right' },
+                { label: '시세 구분', width: 40, align: 'right' }
+            ],
+            model.market.map(quote => [
+                quote.name,
+                formatWon(quote.price),
+                { text: formatSigned(quote.change, '원'), color: signColor(quote.change) },
+                { text: formatSigned(quote.changePercent, '%'), color: signColor(quote.changePercent) },
+                DATA_QUALITY_LABELS[quote.dataQuality] || quote.dataQuality || '-'
+            ]),
+            '시세 정보가 없습니다.'
+        );
+    }
+
+    drawParagraphs(title, lines, emptyMessage) {
+        this.drawSectionTitle(title, title === '실행 계획' ? [111, 66, 193] : [40, 167, 69]);
+        if (lines.length === 0) {
+            this.drawNote(emptyMessage);
+            return;
+        }
+
+        const doc = this.doc;
+        doc.setFontSize(10);
+        doc.setTextColor(51, 51, 51);
+        lines.forEach(line => {
+            doc.splitTextToSize(line, PAGE.width - PAGE.margin * 2).forEach(wrapped => {
+                this.ensureSpace(5.5);
+                doc.text(wrapped, PAGE.margin, this.y);
+                this.y += 5.5;
+            });
+            this.y += 1.5;
+        });
+        this.y += 3;
+    }
+
+    drawDisclosures() {
+        this.drawSectionTitle('투자 위험 고지', [220, 53, 69]);
+        const doc = this.doc;
+        doc.setFontSize(9);
+        doc.setTextColor(85, 85, 85);
+        REPORT_DISCLOSURES.forEach(line => {
+            doc.splitTextToSize(`• ${line}`, PAGE.width - PAGE.margin * 2).forEach(wrapped => {
+                this.ensureSpace(5);
+                doc.text(wrapped, PAGE.margin, this.y);
+                this.y += 5;
+            });
+        });
+    }
+
+    drawNote(message) {
+        this.ensureSpace(7);
+        this.doc.setFontSize(9);
+        this.doc.setTextColor(150, 150, 150);
+        this.doc.text(message, PAGE.margin, this.y);
+        this.y += 9;
+    }
+
+    // 표 (머리글은 페이지가 넘어가면 다시 그림, 셀은 문자열 또는 { text, color })
+    drawTable(columns, rows, emptyMessage) {
+        if (rows.length === 0) {
+            this.drawNote(emptyMessage);
+            return;
+        }
+
+        const doc = this.doc;
+        const rowHeight = 6.5;
+        const drawRow = (cells, { header = false } = {}) => {
+            this.ensureSpace(rowHeight);
+            if (header) {
+                doc.setFillColor(245, 246, 248);
+                doc.rect(PAGE.margin, this.y - 4.5, columns.reduce((sum, column) => sum + column.width, 0), rowHeight, 'F');
+            }
+
+            let x = PAGE.margin;
+            cells.forEach((cell, index) => {
+                const column = columns[index];
+                const { text, color } = typeof cell === 'object' && cell !== null ? cell : { text: String(cell), color: null };
+                const fitted = doc.splitTextToSize(text, column.width - 2)[0] || '';
+                doc.setTextColor(...(header ? [102, 102, 102] : color || [51, 51, 51]));
+                if (column.align === 'right') {
+                    doc.text(fitted, x + column.width - 1, this.y, { align: 'right' });
+                } else {
+                    doc.text(fitted, x + 1, this.y);
+                }
+                x += column.width;
+            });
+
+            doc.setDrawColor(230, 230, 230);
+            doc.setLineWidth(0.2);
+            doc.line(PAGE.margin, this.y + 2, x, this.y + 2);
+            this.y += rowHeight;
+        };
+
+        doc.setFontSize(8.5);
+        drawRow(columns.map(column => column.label), { header: true });
+        rows.forEach(row => {
+            if (this.y + rowHeight > PAGE.height - PAGE.margin - 8) {
+                this.ensureSpace(rowHeight * 2);
+                drawRow(columns.map(column => column.label), { header: true });
+            }
+            drawRow(row);
+        });
+        this.y += 6;
+    }
+
+    drawFooters(model) {
+        const doc = this.doc;
+        const pageCount = doc.getNumberOfPages();
+        for (let page = 1; page <= pageCount; page++) {
+            doc.setPage(page);
+            doc.setFontSize(8);
+            doc.setTextColor(150, 150, 150);
+            doc.text(`${model.title} · 투자 권유가 아닌 참고 자료입니다.`, PAGE.margin, PAGE.height - 8);
+            doc.text(`${page} / ${pageCount}`, PAGE.width - PAGE.margin, PAGE.height - 8, { align: 'right' });
+        }
+    }
+}
+
+// 한국식 색상 (상승 빨강, 하락 파랑)
+function signColor(value) {
+    if (value === null || value === undefined || value === 0) return null;
+    return value > 0 ? [220, 53, 69] : [0, 102, 204];
+}
+
+// 전역 접근을 위한 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PortfolioReport, ReportError, buildReportModel, loadReportFontData, REPORT_DISCLOSURES, REPORT_FONT };
+} else {
+    window.PortfolioReport = PortfolioReport;
+    window.buildReportModel = buildReportModel;
+    window.ReportError = ReportError;
+}
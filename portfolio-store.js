@@ -0,0 +1,216 @@
+// 마이데이터 투자 제안 시스템 - 서버 측 포트폴리오 저장소
+// 사용자별 다중 포트폴리오, 저장 버전 히스토리, 기대 버전(expectedVersion) 기반 낙관적 동시성 제어
+
+const crypto = require('crypto');
+const { JsonFileStore } = require('./json-file-store');
+
+const MAX_VERSION_HISTORY = 20; // 포트폴리오당 보관할 이전 버전 수
+const DEFAULT_PORTFOLIO_NAME = '기본 포트폴리오';
+
+// 포트폴리오 처리 오류 (HTTP 상태 코드 포함)
+class PortfolioError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'PortfolioError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// 메모리 백엔드 (테스트/임시 실행용, JsonFileStore와 동일한 read/update 인터페이스)
+class MemoryBackend {
+    constructor(defaults = {}) {
+        this.data = JSON.parse(JSON.stringify(defaults));
+    }
+
+    async read() {
+        return this.data;
+    }
+
+    async update(mutator) {
+        return mutator(this.data);
+    }
+}
+
+// 환경 설정에 따라 저장소 백엔드 선택
+function createPortfolioBackend(type = process.env.PORTFOLIO_STORE || 'file') {
+    const defaults = { portfolios: {} };
+
+    switch (type) {
+        case 'file':
+            return new JsonFileStore('portfolios.json', defaults);
+        case 'memory':
+            return new MemoryBackend(defaults);
+        default:
+            throw new Error(`지원하지 않는 포트폴리오 저장소입니다: ${type}`);
+    }
+}
+
+class PortfolioStore {
+    constructor(backend = createPortfolioBackend()) {
+        this.backend = backend;
+    }
+
+    // 사용자 포트폴리오 목록 (최근 수정순, 히스토리 제외)
+    async listPortfolios(userId) {
+        const data = await this.backend.read();
+
+        return Object.values(data.portfolios)
+            .filter(record => record.userId === userId)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .map(record => this.toSummary(record));
+    }
+
+    async getPortfolio(userId, portfolioId) {
+        const data = await this.backend.read();
+        const record = data.portfolios[portfolioId];
+
+        if (!record || record.userId !== userId) {
+            throw new PortfolioError('포트폴리오를 찾을 수 없습니다.', 'PORTFOLIO_NOT_FOUND', 404);
+        }
+
+        return this.toDetail(record);
+    }
+
+    // 가장 최근에 수정된 포트폴리오 (기존 단일 포트폴리오 API 호환용)
+    async getLatestPortfolio(userId) {
+        const [latest] = await this.listPortfolios(userId);
+
+        if (!latest) {
+            throw new PortfolioError('포트폴리오를 찾을 수 없습니다.', 'PORTFOLIO_NOT_FOUND', 404);
+        }
+
+        return this.getPortfolio(userId, latest.portfolioId);
+    }
+
+    async getVersionHistory(userId, portfolioId) {
+        const data = await this.backend.read();
+        const record = data.portfolios[portfolioId];
+
+        if (!record || record.userId !== userId) {
+            throw new PortfolioError('포트폴리오를 찾을 수 없습니다.', 'PORTFOLIO_NOT_FOUND', 404);
+        }
+
+        return record.history.slice().reverse();
+    }
+
+    // 포트폴리오 저장 (portfolioId 또는 같은 이름이 있으면 갱신, 없으면 생성)
+    // expectedVersion(0 이상의 정수, 새 포트폴리오는 0)이 주어지면 현재 버전과 일치할 때만 갱신
+    // 포트폴리오 데이터 안의 version 필드는 버전 확인에 쓰지 않음 (이전 클라이언트의 '1.0' 같은 값)
+    async savePortfolio(userId, portfolio, { portfolioId, name, expectedVersion } = {}) {
+        if (!userId || !portfolio || typeof portfolio !== 'object') {
+            throw new PortfolioError('사용자 ID와 포트폴리오 정보가 필요합니다.', 'INVALID_REQUEST');
+        }
+
+        [name, portfolio.name].forEach(value => {
+            if (value !== undefined && value !== null && typeof value !== 'string') {
+                throw new PortfolioError('포트폴리오 이름은 문자열이어야 합니다.', 'INVALID_NAME');
+            }
+        });
+
+        const checkVersion = expectedVersion !== undefined && expectedVersion !== null;
+        if (checkVersion && !/^\d+$/.test(String(expectedVersion))) {
+            throw new PortfolioError('기대 버전은 0 이상의 정수여야 합니다.', 'INVALID_VERSION');
+        }
+
+        const portfolioName = (name || portfolio.name || '').trim() || DEFAULT_PORTFOLIO_NAME;
+
+        return this.backend.update((data) => {
+            let record = portfolioId
+                ? data.portfolios[portfolioId]
+                : Object.values(data.portfolios).find(item => item.userId === userId && item.name === portfolioName);
+
+            if (portfolioId && (!record || record.userId !== userId)) {
+                throw new PortfolioError('포트폴리오를 찾을 수 없습니다.', 'PORTFOLIO_NOT_FOUND', 404);
+            }
+
+            const now = new Date().toISOString();
+            const { version, lastUpdated, ...content } = portfolio;
+
+            if (!record) {
+                if (checkVersion && Number(expectedVersion) !== 0) {
+                    throw new PortfolioError('존재하지 않는 포트폴리오의 버전을 지정했습니다.', 'VERSION_CONFLICT', 409);
+                }
+
+                record = {
+                    portfolioId: crypto.randomUUID(),
+                    userId,
+                    name: portfolioName,
+                    version: 0,
+                    data: null,
+                    createdAt: now,
+                    updatedAt: now,
+                    history: []
+                };
+                data.portfolios[record.portfolioId] = record;
+            } else if (checkVersion && Number(expectedVersion) !== record.version) {
+                const error = new PortfolioError(
+                    '다른 곳에서 포트폴리오가 먼저 수정되었습니다. 최신 버전을 불러온 뒤 다시 저장해주세요.',
+                    'VERSION_CONFLICT',
+                    409
+                );
+                error.currentVersion = record.version;
+                throw error;
+            } else if (name && portfolioName !== record.name) {
+                this.assertUniqueName(data, userId, portfolioName, record.portfolioId);
+                record.name = portfolioName;
+            }
+
+            if (record.data) {
+                record.history.push({ version: record.version, data: record.data, savedAt: record.updatedAt });
+                record.history = record.history.slice(-MAX_VERSION_HISTORY);
+            }
+
+            record.data = content;
+            record.version += 1;
+            record.updatedAt = now;
+
+            return this.toDetail(record);
+        });
+    }
+
+    async deletePortfolio(userId, portfolioId) {
+        return this.backend.update((data) => {
+            const record = data.portfolios[portfolioId];
+
+            if (!record || record.userId !== userId) {
+                throw new PortfolioError('포트폴리오를 찾을 수 없습니다.', 'PORTFOLIO_NOT_FOUND', 404);
+            }
+
+            delete data.portfolios[portfolioId];
+            return true;
+        });
+    }
+
+    assertUniqueName(data, userId, name, exceptId) {
+        const duplicate = Object.values(data.portfolios)
+            .some(item => item.userId === userId && item.name === name && item.portfolioId !== exceptId);
+
+        if (duplicate) {
+            throw new PortfolioError('같은 이름의 포트폴리오가 이미 있습니다.', 'DUPLICATE_NAME', 409);
+        }
+    }
+
+    toSummary(record) {
+        return {
+            portfolioId: record.portfolioId,
+            name: record.name,
+            version: record.version,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt
+        };
+    }
+
+    toDetail(record) {
+        return {
+            ...this.toSummary(record),
+            portfolio: {
+                ...record.data,
+                lastUpdated: record.updatedAt,
+                version: record.version
+            }
+        };
+    }
+}
+
+module.exports = { PortfolioStore, PortfolioError, MemoryBackend, createPortfolioBackend };
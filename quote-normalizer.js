@@ -0,0 +1,248 @@
+// 마이데이터 투자 제안 시스템 - 시세 응답 정규화
+// 네이버 응답 형식별 어댑터(datas 실시간 API, result.areas polling API, HTML 스크래핑)를 하나의 표준 시세 형식으로 변환
+//
+// 표준 시세 형식 (모든 금액은 원, 거래량은 주 단위)
+// { code, name, price, change, changePercent, previousClose, open, dayHigh, dayLow,
+//   volume, tradingValue, fiftyTwoWeekHigh, fiftyTwoWeekLow, eps, per,
+//   marketState, tradedAt, source, isRealTime }
+// change/changePercent는 하락 시 음수, 응답에 없는 값은 null
+
+const cheerio = require('cheerio');
+
+// 등락 구분 코드 (네이버 공통: 1 상한, 2 상승, 3 보합, 4 하한, 5 하락)
+const FALLING_DIRECTIONS = ['4', '5', 'FALLING', 'LOWER_LIMIT'];
+const RISING_DIRECTIONS = ['1', '2', 'RISING', 'UPPER_LIMIT'];
+const AMOUNT_UNITS = { '억': 100000000, '백만': 1000000, '천': 1000 };
+
+// '71,900', '+1.55%', 800 → 숫자 (값이 없으면 null)
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(String(value).replace(/[,\s+%원주]/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+// '1,105,919백만' → 1105919000000 (단위 표기가 없으면 원 단위로 간주)
+function toAmount(value) {
+    const unit = Object.keys(AMOUNT_UNITS).find(key => String(value || '').includes(key));
+    const number = toNumber(String(value || '').replace(/[가-힣]/g, ''));
+    return number === null ? null : number * (unit ? AMOUNT_UNITS[unit] : 1);
+}
+
+// 부호 없는 등락 값에 등락 구분을 반영 (구분이 없으면 응답 값의 부호 유지)
+function applyDirection(value, direction) {
+    if (value === null) return null;
+    const key = String(direction || '').toUpperCase();
+    if (FALLING_DIRECTIONS.includes(key)) return -Math.abs(value);
+    if (RISING_DIRECTIONS.includes(key)) return Math.abs(value);
+    if (key === '3' || key === 'EVEN') return 0;
+    return value;
+}
+
+function toIsoTime(value) {
+    if (!value) return null;
+    const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+    return isNaN(date) ? null : date.toISOString();
+}
+
+// 표준 시세 형식으로 채우기 (전일 종가/PER 등 계산 가능한 값 보완)
+function toCanonicalQuote(fields) {
+    const quote = {
+        code: fields.code || null,
+        name: fields.name || null,
+        price: fields.price ?? null,
+        change: fields.change ?? null,
+        changePercent: fields.changePercent ?? null,
+        previousClose: fields.previousClose ?? null,
+        open: fields.open ?? null,
+        dayHigh: fields.dayHigh ?? null,
+        dayLow: fields.dayLow ?? null,
+        volume: fields.volume ?? null,
+        tradingValue: fields.tradingValue ?? null,
+        fiftyTwoWeekHigh: fields.fiftyTwoWeekHigh ?? null,
+        fiftyTwoWeekLow: fields.fiftyTwoWeekLow ?? null,
+        eps: fields.eps ?? null,
+        per: fields.per ?? null,
+        marketState: fields.marketState || null,
+        tradedAt: fields.tradedAt || null,
+        source: fields.source,
+        isRealTime: !!fields.isRealTime
+    };
+
+    if (quote.previousClose === null && quote.price !== null && quote.change !== null) {
+        quote.previousClose = quote.price - quote.change;
+    }
+    if (quote.change === null && quote.price !== null && quote.previousClose !== null) {
+        quote.change = quote.price - quote.previousClose;
+    }
+    if (quote.per === null && quote.eps > 0 && quote.price !== null) {
+        quote.per = Math.round((quote.price / quote.eps) * 100) / 100;
+    }
+
+    return quote;
+}
+
+// 1. 네이버 증권 실시간 API (polling.finance.naver.com/api/realtime/domestic/stock/{code})
+// 가격 필드는 쉼표가 포함된 원 단위 문자열, 등락 방향은 compareToPreviousPrice.code
+const naverStockApiAdapter = {
+    name: 'naver-stock-api',
+    matches: payload => !!(payload && Array.isArray(payload.datas) && payload.datas.length > 0),
+    parse(payload) {
+        const data = payload.datas[0];
+        const direction = data.compareToPreviousPrice && (data.compareToPreviousPrice.code || data.compareToPreviousPrice.name);
+
+        return toCanonicalQuote({
+            code: data.itemCode,
+            name: data.stockName,
+            price: toNumber(data.closePrice),
+            change: applyDirection(toNumber(data.compareToPreviousClosePrice), direction),
+            changePercent: applyDirection(toNumber(data.fluctuationsRatio), direction),
+            open: toNumber(data.openPrice),
+            dayHigh: toNumber(data.highPrice),
+            dayLow: toNumber(data.lowPrice),
+            volume: toNumber(data.accumulatedTradingVolume),
+            tradingValue: toAmount(data.accumulatedTradingValue),
+            marketState: data.marketStatus,
+            tradedAt: toIsoTime(data.localTradedAt),
+            source: 'naver-realtime-api',
+            isRealTime: true
+        });
+    }
+};
+
+// 2. 네이버 polling API (polling.finance.naver.com/api/realtime?query=SERVICE_ITEM:{code})
+// 숫자 필드는 원 단위 정수, cv/cr은 부호 없는 값이고 방향은 rf, aq는 주 단위 누적 거래량, aa는 원 단위 거래대금
+const naverPollingApiAdapter = {
+    name: 'naver-polling-api',
+    matches: payload => !!(payload && payload.result && Array.isArray(payload.result.areas) &&
+        payload.result.areas.length > 0 && (payload.result.areas[0].datas || []).length > 0),
+    parse(payload) {
+        const data = payload.result.areas[0].datas[0];
+
+        return toCanonicalQuote({
+            code: data.cd,
+            name: data.nm,
+            price: toNumber(data.nv),
+            change: applyDirection(toNumber(data.cv), data.rf),
+            changePercent: applyDirection(toNumber(data.cr), data.rf),
+            previousClose: toNumber(data.pcv ?? data.sv),
+            open: toNumber(data.ov),
+            dayHigh: toNumber(data.hv),
+            dayLow: toNumber(data.lv),
+            volume: toNumber(data.aq),
+            tradingValue: toNumber(data.aa),
+            fiftyTwoWeekHigh: toNumber(data.hy52),
+            fiftyTwoWeekLow: toNumber(data.ly52),
+            eps: toNumber(data.eps),
+            marketState: data.ms,
+            tradedAt: toIsoTime(payload.result.time),
+            source: 'naver-realtime-api',
+            isRealTime: true
+        });
+    }
+};
+
+// 3. 네이버 금융 종목 페이지 HTML (finance.naver.com/item/main.naver?code={code})
+// 시세 표(table.no_info)는 항목명(.sptxt)과 값(.blind) 쌍, 거래대금은 백만 원 단위
+const naverHtmlAdapter = {
+    name: 'naver-html',
+    matches: payload => typeof payload === 'string' && payload.includes('<'),
+    parse(payload) {
+        const $ = cheerio.load(payload);
+        const blindNumber = element => toNumber($(element).find('.blind').first().text());
+
+        const summary = {};
+        $('table.no_info td').each((index, cell) => {
+            const label = $(cell).find('.sptxt').first().text().trim();
+            if (label) summary[label] = blindNumber(cell);
+        });
+
+        // 전일 대비: 첫 번째 값은 금액, 두 번째 값은 등락률, 하락 여부는 아이콘 클래스로 판단
+        const exdayNode = $('.rate_info .no_exday').length ? $('.rate_info .no_exday').first() : $('.no_exday').first();
+        const exdayValues = exdayNode.find('.blind');
+        const falling = exdayNode.find('.no_down, .ico.down, .ico.minus').length > 0;
+        const direction = falling ? '5' : (exdayNode.find('.no_up, .ico.up, .ico.plus').length > 0 ? '2' : null);
+
+        let fiftyTwoWeekHigh = null;
+        let fiftyTwoWeekLow = null;
+        $('tr').each((index, row) => {
+            if ($(row).find('th').text().replace(/\s/g, '').includes('52주최고')) {
+                const values = $(row).find('td em');
+                fiftyTwoWeekHigh = toNumber(values.eq(0).text());
+                fiftyTwoWeekLow = toNumber(values.eq(1).text());
+            }
+        });
+
+        const tradingValue = summary['거래대금'];
+
+        return toCanonicalQuote({
+            code: $('.description .code').first().text().trim() || null,
+            name: $('.wrap_company h2 a').first().text().trim() || null,
+            price: toNumber($('.no_today .blind').first().text()),
+            change: applyDirection(toNumber(exdayValues.eq(0).text()), direction),
+            changePercent: applyDirection(toNumber(exdayValues.eq(1).text()), direction),
+            previousClose: summary['전일'] ?? null,
+            open: summary['시가'] ?? null,
+            dayHigh: summary['고가'] ?? null,
+            dayLow: summary['저가'] ?? null,
+            volume: summary['거래량'] ?? null,
+            tradingValue: tradingValue != null ? tradingValue * AMOUNT_UNITS['백만'] : null,
+            fiftyTwoWeekHigh,
+            fiftyTwoWeekLow,
+            source: 'naver-scraping',
+            isRealTime: false
+        });
+    }
+};
+
+class QuoteNormalizer {
+    constructor(adapters = [naverStockApiAdapter, naverPollingApiAdapter, naverHtmlAdapter]) {
+        this.adapters = adapters;
+    }
+
+    // 응답 형식에 맞는 어댑터로 변환 (가격이 없으면 오류)
+    normalize(payload, { code } = {}) {
+        const adapter = this.adapters.find(candidate => candidate.matches(payload));
+        if (!adapter) {
+            throw new Error('지원하지 않는 시세 응답 형식입니다.');
+        }
+
+        const quote = adapter.parse(payload);
+        if (!(quote.price > 0)) {
+            throw new Error('시세 데이터를 찾을 수 없습니다.');
+        }
+
+        return { ...quote, code: quote.code || code || null };
+    }
+
+    // 조회 전략을 순서대로 실행해 처음으로 변환에 성공한 시세 반환
+    // 요청 실패뿐 아니라 응답은 왔지만 변환할 수 없는 경우(빈 datas 등)도 다음 전략으로 넘어감
+    async normalizeFirst(strategies, { code, onFailure } = {}) {
+        let lastError = new Error('시세 조회 전략이 없습니다.');
+
+        for (const strategy of strategies) {
+            try {
+                const payload = await strategy.fetch();
+                return { quote: this.normalize(payload, { code }), strategy: strategy.name };
+            } catch (error) {
+                lastError = error;
+                if (onFailure) onFailure(strategy.name, error);
+            }
+        }
+
+        throw lastError;
+    }
+}
+
+const quoteNormalizer = new QuoteNormalizer();
+
+module.exports = {
+    QuoteNormalizer,
+    quoteNormalizer,
+    naverStockApiAdapter,
+    naverPollingApiAdapter,
+    naverHtmlAdapter,
+    toCanonicalQuote,
+    toNumber,
+    toAmount,
+    applyDirection
+};
@@ -0,0 +1,224 @@
+// 마이데이터 투자 제안 시스템 - 시세 조회 서비스
+// 짧은 TTL 시세 캐시, 동일 종목 동시 요청 병합, 동시 실행 수를 제한한 일괄 조회
+// 조회 실패 시 마지막 정상 시세(영속 저장)를 경과 시간과 함께 제공, 데모 시세는 데모 모드에서만 사용
+
+const { JsonFileStore } = require('./json-file-store');
+const { MemoryBackend } = require('./portfolio-store');
+
+const QUOTE_CACHE_TTL = parseInt(process.env.QUOTE_CACHE_TTL_MS) || 10 * 1000; // 시세 캐시 유지 시간
+const QUOTE_CONCURRENCY = parseInt(process.env.QUOTE_CONCURRENCY) || 4;        // 일괄 조회 시 동시 외부 호출 수
+const MAX_BATCH_SYMBOLS = 50;
+const MAX_LAST_GOOD_QUOTES = 500; // 마지막 정상 시세 보관 종목 수 (초과 시 오래된 항목부터 삭제)
+
+// 응답 데이터 품질 구분 (UI 표시용)
+const DATA_QUALITY = {
+    REALTIME: 'realtime', // 실시간 API
+    DELAYED: 'delayed',   // 스크래핑 등 지연 가능 데이터
+    STALE: 'stale',       // 조회 실패로 마지막 정상 시세 대체
+    DEMO: 'demo'          // 데모 모드 전용 고정 데이터
+};
+
+// 시세 조회 오류 (HTTP 상태 코드 포함)
+class QuoteError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'QuoteError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// 작업 목록을 최대 limit개씩 동시에 실행 (결과 순서는 입력 순서 유지)
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
+// 경과 시간 표시 (초 → '3분', '2시간', '1일')
+function formatAge(seconds) {
+    if (seconds < 60) return `${seconds}초`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}분`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}시간`;
+    return `${Math.floor(seconds / 86400)}일`;
+}
+
+// 쉼표 구분 문자열 또는 배열 → 중복 제거된 종목 목록
+function parseSymbols(symbols) {
+    const list = Array.isArray(symbols) ? symbols : String(symbols || '').split(',');
+    return [...new Set(list.map(symbol => String(symbol).trim()).filter(Boolean))];
+}
+
+// 환경 설정에 따라 마지막 정상 시세 저장소 선택
+function createLastQuoteBackend(type = process.env.QUOTE_STORE || 'file') {
+    const defaults = { quotes: {} };
+
+    switch (type) {
+        case 'file':
+            return new JsonFileStore('last-quotes.json', defaults);
+        case 'memory':
+            return new MemoryBackend(defaults);
+        default:
+            throw new Error(`지원하지 않는 시세 저장소입니다: ${type}`);
+    }
+}
+
+class QuoteService {
+    // cacheKey: 같은 종목의 다른 표기(종목명/코드)를 하나의 캐시 항목으로 묶는 함수
+    // demoQuote: 데모 모드에서만 지정하는 고정 시세 함수 (없는 종목은 null)
+    constructor({
+        fetchQuote,
+        cacheKey = symbol => symbol,
+        ttl = QUOTE_CACHE_TTL,
+        concurrency = QUOTE_CONCURRENCY,
+        lastGoodStore = createLastQuoteBackend(),
+        demoQuote = null
+    }) {
+        this.fetchQuote = fetchQuote;
+        this.cacheKey = cacheKey;
+        this.ttl = ttl;
+        this.concurrency = concurrency;
+        this.lastGoodStore = lastGoodStore;
+        this.demoQuote = demoQuote;
+        this.cache = new Map();    // 캐시 키 → { quote, fetchedAt }
+        this.inflight = new Map(); // 캐시 키 → 진행 중인 조회 Promise
+    }
+
+    // 단일 종목 시세 (캐시 → 진행 중인 요청 → 외부 조회 순서)
+    async getQuote(symbol) {
+        return (await this.getQuoteEntry(symbol)).quote;
+    }
+
+    async getQuoteEntry(symbol) {
+        const key = this.cacheKey(symbol);
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < this.ttl) {
+            return { quote: cached.quote, cached: true };
+        }
+
+        if (!this.inflight.has(key)) {
+            const request = this.fetchQuote(symbol)
+                .then(fetched => {
+                    const quote = {
+                        ...fetched,
+                        dataQuality: fetched.isRealTime ? DATA_QUALITY.REALTIME : DATA_QUALITY.DELAYED
+                    };
+                    this.cache.set(key, { quote, fetchedAt: Date.now() });
+                    this.pruneCache();
+                    this.saveLastGood(key, quote);
+                    return quote;
+                })
+                .catch(error => this.getFallbackQuote(key, symbol, error))
+                .finally(() => this.inflight.delete(key));
+
+            this.inflight.set(key, request);
+        }
+
+        return { quote: await this.inflight.get(key), cached: false };
+    }
+
+    // 조회 실패 시 대체 시세 (마지막 정상 시세 → 데모 모드 고정 시세 → 오류)
+    async getFallbackQuote(key, symbol, error) {
+        console.warn(`⚠️ ${symbol} 실시간 시세 조회 실패:`, error.message);
+
+        const lastGood = await this.getLastGood(key);
+        if (lastGood) {
+            const ageSeconds = Math.max(0, Math.round((Date.now() - new Date(lastGood.savedAt)) / 1000));
+            return {
+                ...lastGood.quote,
+                isRealTime: false,
+                dataQuality: DATA_QUALITY.STALE,
+                asOf: lastGood.savedAt,
+                ageSeconds: ageSeconds,
+                message: `시세 조회에 실패하여 ${formatAge(ageSeconds)} 전 시세를 표시합니다.`
+            };
+        }
+
+        const demo = this.demoQuote ? this.demoQuote(symbol) : null;
+        if (demo) {
+            return {
+                ...demo,
+                isRealTime: false,
+                dataQuality: DATA_QUALITY.DEMO,
+                message: '데모 모드: 실제 시세가 아닌 예시 데이터입니다.'
+            };
+        }
+
+        throw new QuoteError(`${symbol} 시세를 조회할 수 없습니다: ${error.message}`, 'QUOTE_UNAVAILABLE', 503);
+    }
+
+    // 마지막 정상 시세 기록 (저장 실패는 시세 응답에 영향을 주지 않음)
+    saveLastGood(key, quote) {
+        this.lastGoodStore.update((data) => {
+            data.quotes[key] = { quote, savedAt: new Date().toISOString() };
+
+            const keys = Object.keys(data.quotes);
+            if (keys.length > MAX_LAST_GOOD_QUOTES) {
+                keys
+                    .sort((a, b) => new Date(data.quotes[a].savedAt) - new Date(data.quotes[b].savedAt))
+                    .slice(0, keys.length - MAX_LAST_GOOD_QUOTES)
+                    .forEach(oldKey => delete data.quotes[oldKey]);
+            }
+        }).catch(error => {
+            console.error('마지막 정상 시세 저장 실패:', error.message);
+        });
+    }
+
+    async getLastGood(key) {
+        try {
+            const data = await this.lastGoodStore.read();
+            return data.quotes[key] || null;
+        } catch (error) {
+            console.error('마지막 정상 시세 조회 실패:', error.message);
+            return null;
+        }
+    }
+
+    // 여러 종목 시세 일괄 조회 (종목별 성공/실패 상태를 함께 반환, 일부 실패해도 전체는 성공)
+    async getQuotes(symbols) {
+        const list = parseSymbols(symbols);
+
+        if (list.length === 0) {
+            throw new QuoteError('조회할 종목(symbols)이 필요합니다.', 'SYMBOLS_REQUIRED');
+        }
+        if (list.length > MAX_BATCH_SYMBOLS) {
+            throw new QuoteError(`한 번에 최대 ${MAX_BATCH_SYMBOLS}개 종목까지 조회할 수 있습니다.`, 'TOO_MANY_SYMBOLS');
+        }
+
+        return mapWithConcurrency(list, this.concurrency, async (symbol) => {
+            try {
+                const { quote, cached } = await this.getQuoteEntry(symbol);
+                return { symbol, status: 'ok', cached, dataQuality: quote.dataQuality, quote };
+            } catch (error) {
+                return {
+                    symbol,
+                    status: 'error',
+                    dataQuality: 'unavailable',
+                    error: error.message,
+                    errorCode: error.code || 'QUOTE_FETCH_FAILED'
+                };
+            }
+        });
+    }
+
+    // 만료된 캐시 정리
+    pruneCache() {
+        const now = Date.now();
+        for (const [key, entry] of this.cache) {
+            if (now - entry.fetchedAt >= this.ttl) {
+                this.cache.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = { QuoteService, QuoteError, DATA_QUALITY, createLastQuoteBackend, mapWithConcurrency, parseSymbols };
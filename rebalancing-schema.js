@@ -0,0 +1,138 @@
+// 마이데이터 투자 제안 시스템 - AI 리밸런싱 구조화 응답 스키마
+// Gemini responseSchema 정의와 모델 출력 검증
+
+const REBALANCING_ACTIONS = ['buy', 'sell', 'hold'];
+
+// Gemini generationConfig.responseSchema 형식 (OpenAPI 부분집합)
+const REBALANCING_RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        summary: { type: 'STRING' },
+        targetAllocation: {
+            type: 'OBJECT',
+            properties: {
+                stocks: { type: 'NUMBER' },
+                bonds: { type: 'NUMBER' },
+                cash: { type: 'NUMBER' },
+                description: { type: 'STRING' }
+            },
+            required: ['stocks', 'bonds', 'cash']
+        },
+        actions: {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    stock: { type: 'STRING' },
+                    action: { type: 'STRING', enum: REBALANCING_ACTIONS },
+                    shares: { type: 'INTEGER' },
+                    reason: { type: 'STRING' }
+                },
+                required: ['stock', 'action', 'shares', 'reason']
+            }
+        },
+        rationale: { type: 'STRING' },
+        risks: {
+            type: 'ARRAY',
+            items: { type: 'STRING' }
+        }
+    },
+    required: ['summary', 'targetAllocation', 'actions', 'rationale']
+};
+
+// 구조화 리밸런싱 프롬프트 (응답은 스키마에 맞는 JSON만 허용)
+function createStructuredRebalancingPrompt(portfolioContext, marketData) {
+    const holdings = portfolioContext.holdings || [];
+    const stockDetails = holdings.map(h =>
+        `- ${h.name}: ${h.quantity}주, 현재가 ${h.currentPrice ? Number(h.currentPrice).toLocaleString() + '원' : 'N/A'}`
+    ).join('\n');
+
+    return `당신은 한국 주식시장 전문 포트폴리오 매니저입니다. 아래 포트폴리오의 리밸런싱안을 JSON으로만 응답하세요.
+
+투자자 정보:
+- 위험성향: ${portfolioContext.riskTolerance || 'moderate'}
+- 목표수익률: ${portfolioContext.targetReturn || 5}%
+- 총 투자금액: ${portfolioContext.investmentAmount ? Number(portfolioContext.investmentAmount).toLocaleString() + '원' : '미입력'}
+
+보유 종목:
+${stockDetails || '- 보유종목 없음'}
+
+시장 데이터:
+${JSON.stringify(marketData || {}, null, 2)}
+
+작성 규칙:
+- targetAllocation의 stocks, bonds, cash는 합계 100인 퍼센트 값
+- actions에는 보유 종목마다 buy/sell/hold 중 하나와 주식 수(shares, 정수)를 포함하고, 신규 매수 종목도 추가 가능
+- sell의 shares는 보유 수량을 넘을 수 없고, hold의 shares는 0
+- rationale에 판단 근거를 한국어로 설명하고, risks에 주요 위험 요인을 나열`;
+}
+
+// 모델 출력 파싱 및 검증 → { valid, data, errors }
+function parseRebalancingResponse(text, holdings = []) {
+    const errors = [];
+    let data;
+
+    try {
+        // 코드 블록으로 감싼 응답도 허용
+        const jsonText = String(text || '').replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+        data = JSON.parse(jsonText);
+    } catch (error) {
+        return { valid: false, data: null, errors: ['JSON 파싱 실패: ' + error.message] };
+    }
+
+    if (!data || typeof data !== 'object') {
+        return { valid: false, data: null, errors: ['응답이 객체가 아닙니다.'] };
+    }
+
+    ['summary', 'rationale'].forEach(field => {
+        if (typeof data[field] !== 'string' || !data[field].trim()) {
+            errors.push(`${field} 필드가 비어 있습니다.`);
+        }
+    });
+
+    const allocation = data.targetAllocation;
+    if (!allocation || typeof allocation !== 'object') {
+        errors.push('targetAllocation 필드가 없습니다.');
+    } else {
+        const weights = ['stocks', 'bonds', 'cash'].map(key => allocation[key]);
+        if (weights.some(weight => typeof weight !== 'number' || weight < 0 || weight > 100)) {
+            errors.push('targetAllocation 비중은 0~100 사이 숫자여야 합니다.');
+        } else if (Math.abs(weights.reduce((sum, weight) => sum + weight, 0) - 100) > 1) {
+            errors.push('targetAllocation 비중의 합계가 100이 아닙니다.');
+        }
+    }
+
+    if (!Array.isArray(data.actions)) {
+        errors.push('actions 필드가 배열이 아닙니다.');
+    } else {
+        const heldShares = new Map(holdings.map(h => [h.name, Number(h.quantity) || 0]));
+
+        data.actions.forEach((item, index) => {
+            if (!item || typeof item.stock !== 'string' || !item.stock.trim()) {
+                errors.push(`actions[${index}] 종목명이 없습니다.`);
+                return;
+            }
+            if (!REBALANCING_ACTIONS.includes(item.action)) {
+                errors.push(`actions[${index}] 알 수 없는 action: ${item.action}`);
+            }
+            if (!Number.isInteger(item.shares) || item.shares < 0) {
+                errors.push(`actions[${index}] shares는 0 이상의 정수여야 합니다.`);
+            } else if (item.action === 'sell' && heldShares.has(item.stock) && item.shares > heldShares.get(item.stock)) {
+                errors.push(`actions[${index}] ${item.stock} 매도 수량이 보유 수량을 초과합니다.`);
+            }
+        });
+    }
+
+    if (data.risks !== undefined && !Array.isArray(data.risks)) {
+        errors.push('risks 필드가 배열이 아닙니다.');
+    }
+
+    return { valid: errors.length === 0, data: errors.length === 0 ? data : null, errors };
+}
+
+module.exports = {
+    REBALANCING_ACTIONS,
+    REBALANCING_RESPONSE_SCHEMA,
+    createStructuredRebalancingPrompt,
+    parseRebalancingResponse
+};
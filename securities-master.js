@@ -0,0 +1,282 @@
+// 마이데이터 투자 제안 시스템 - KRX 상장 종목 마스터
+// 번들된 종목 목록(CSV/JSON) 로드, 초성/영문명/별칭 검색, 유사도 순위 및 페이지 처리
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MASTER_FILE = path.join(__dirname, 'krx-securities.csv');
+const RELOAD_CHECK_INTERVAL = 60 * 1000; // 파일 변경 확인 주기 (갱신된 목록 자동 반영)
+const MARKETS = ['KOSPI', 'KOSDAQ', 'KONEX', 'ETF'];
+
+const CHOSUNG = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+const HANGUL_START = 0xAC00;
+const HANGUL_END = 0xD7A3;
+
+// 한글 음절을 초성으로 변환 (그 외 문자는 그대로)
+function toChosung(text) {
+    return Array.from(String(text || '')).map(char => {
+        const code = char.charCodeAt(0);
+        if (code < HANGUL_START || code > HANGUL_END) return char;
+        return CHOSUNG[Math.floor((code - HANGUL_START) / 588)];
+    }).join('');
+}
+
+function isChosungQuery(text) {
+    return text.length > 0 && Array.from(text).every(char => CHOSUNG.includes(char));
+}
+
+// 비교용 정규화 (대소문자, 공백, 구분 기호 무시)
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[\s\-_.·()&]/g, '');
+}
+
+// 종목코드 정규화 ('005930.KS', 'A005930', '005930' → '005930', 영문자가 섞인 신규 코드 '0126Z0' 포함)
+function normalizeCode(symbol) {
+    const match = String(symbol || '').trim().toUpperCase().match(/^A?([0-9A-Z]{6})(?:\.(?:KS|KQ))?$/);
+    return match ? match[1] : null;
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 따옴표로 감싼 필드를 지원하는 최소 CSV 파서
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+    return records.map(cells => Object.fromEntries(header.map((key, index) => [key.trim(), (cells[index] || '').trim()])));
+}
+
+// 종목 목록 파일 로드 (.csv 또는 .json, 별칭은 '|' 구분 문자열 또는 배열)
+// 파일 순서는 시가총액 순 (update-securities.js로 갱신, 번들 파일은 대형주부터) → 검색 점수가 같을 때 순위로 사용
+function loadSecuritiesFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    const records = filePath.endsWith('.json') ? JSON.parse(text) : parseCsv(text);
+
+    return records
+        .map(record => ({
+            code: normalizeCode(record.code),
+            name: String(record.name || '').trim(),
+            market: String(record.market || '').trim().toUpperCase(),
+            englishName: String(record.englishName || '').trim(),
+            aliases: Array.isArray(record.aliases)
+                ? record.aliases
+                : String(record.aliases || '').split('|').map(alias => alias.trim()).filter(Boolean)
+        }))
+        .filter(security => security.code && security.name && MARKETS.includes(security.market));
+}
+
+class SecuritiesMaster {
+    constructor(filePath = process.env.SECURITIES_MASTER_FILE || DEFAULT_MASTER_FILE) {
+        this.filePath = filePath;
+        this.securities = [];
+        this.byCode = new Map();
+        this.loadedMtime = 0;
+        this.lastCheckedAt = 0;
+    }
+
+    // 파일이 갱신되었으면 다시 로드
+    ensureLoaded() {
+        const now = Date.now();
+        if (this.securities.length && now - this.lastCheckedAt < RELOAD_CHECK_INTERVAL) {
+            return;
+        }
+        this.lastCheckedAt = now;
+
+        const mtime = fs.statSync(this.filePath).mtimeMs;
+        if (mtime !== this.loadedMtime) {
+            this.reload();
+            this.loadedMtime = mtime;
+        }
+    }
+
+    reload() {
+        const securities = loadSecuritiesFile(this.filePath);
+
+        // 검색용 정규화 값을 미리 계산
+        this.securities = securities.map((security, order) => ({
+            ...security,
+            order,
+            searchName: normalize(security.name),
+            searchEnglish: normalize(security.englishName),
+            searchAliases: security.aliases.map(normalize),
+            chosung: toChosung(security.name.replace(/\s/g, ''))
+        }));
+        this.byCode = new Map(this.securities.map(security => [security.code, security]));
+
+        console.log(`📚 종목 마스터 로드: ${this.securities.length}개 (${path.basename(this.filePath)})`);
+    }
+
+    findByCode(symbol) {
+        this.ensureLoaded();
+        const code = normalizeCode(symbol);
+        const security = code ? this.byCode.get(code) : null;
+        return security ? this.toResult(security) : null;
+    }
+
+    // 코드 또는 종목명 → 종목 코드 (정확/별칭 일치를 우선하고 없으면 최상위 검색 결과)
+    resolveCode(nameOrCode) {
+        const byCode = this.findByCode(nameOrCode);
+        if (byCode) return byCode.code;
+
+        const [best] = this.rank(nameOrCode);
+        return best && best.score >= 500 ? best.security.code : null;
+    }
+
+    // 종목 코드 → 한글 종목명 (없으면 입력값 그대로)
+    getName(symbol) {
+        const security = this.findByCode(symbol);
+        return security ? security.name : symbol;
+    }
+
+    // 종목 검색 (유사도 순, 페이지 단위)
+    search(query, { page = 1, size = 20, market } = {}) {
+        const pageNumber = Math.max(1, parseInt(page) || 1);
+        const pageSize = Math.min(100, Math.max(1, parseInt(size) || 20));
+        const marketFilter = market ? String(market).toUpperCase() : null;
+
+        const ranked = this.rank(query)
+            .filter(item => !marketFilter || item.security.market === marketFilter);
+
+        return {
+            results: ranked
+                .slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+                .map(item => ({ ...this.toResult(item.security), score: item.score, matchedBy: item.matchedBy })),
+            totalCount: ranked.length,
+            page: pageNumber,
+            size: pageSize
+        };
+    }
+
+    rank(query) {
+        this.ensureLoaded();
+        const raw = String(query || '').trim();
+        const term = normalize(raw);
+
+        if (!term) return [];
+
+        const chosungQuery = isChosungQuery(raw.replace(/\s/g, ''));
+        const ranked = [];
+
+        this.securities.forEach(security => {
+            const match = this.scoreSecurity(security, term, chosungQuery);
+            if (match) {
+                ranked.push({ security, ...match });
+            }
+        });
+
+        // 같은 점수면 시가총액 순 ('samsung' → 삼성화재보다 삼성전자)
+        return ranked.sort((a, b) => b.score - a.score || a.security.order - b.security.order);
+    }
+
+    // 일치 유형별 점수 (코드 > 종목명 > 별칭 > 영문명 > 초성 > 부분 일치 > 유사 철자)
+    scoreSecurity(security, term, chosungQuery) {
+        if (security.code === term.toUpperCase()) return { score: 1000, matchedBy: 'code' };
+        if (/^\d+$/.test(term)) {
+            if (security.code.startsWith(term)) return { score: 550, matchedBy: 'code' };
+            return null;
+        }
+
+        if (chosungQuery) {
+            if (security.chosung === term) return { score: 800, matchedBy: 'chosung' };
+            if (security.chosung.startsWith(term)) return { score: 600, matchedBy: 'chosung' };
+            if (security.chosung.includes(term)) return { score: 450, matchedBy: 'chosung' };
+            return null;
+        }
+
+        if (security.searchName === term) return { score: 950, matchedBy: 'name' };
+        if (security.searchAliases.includes(term)) return { score: 900, matchedBy: 'alias' };
+        if (security.searchEnglish === term) return { score: 850, matchedBy: 'englishName' };
+        if (security.searchName.startsWith(term)) return { score: 700, matchedBy: 'name' };
+        if (security.searchAliases.some(alias => alias.startsWith(term))) return { score: 650, matchedBy: 'alias' };
+        if (security.searchEnglish.startsWith(term)) return { score: 600, matchedBy: 'englishName' };
+        if (security.searchName.includes(term)) return { score: 500, matchedBy: 'name' };
+        if (security.searchAliases.some(alias => alias.includes(term))) return { score: 450, matchedBy: 'alias' };
+        if (term.length >= 3 && security.searchEnglish.includes(term)) return { score: 400, matchedBy: 'englishName' };
+
+        // 오타 허용 (1글자 차이, 8자 이상 검색어는 2글자 차이까지)
+        if (term.length >= 3) {
+            const tolerance = term.length >= 8 ? 2 : 1;
+            const candidates = [security.searchName, ...security.searchAliases, security.searchEnglish].filter(Boolean);
+            const distance = Math.min(...candidates.map(candidate => levenshtein(term, candidate)));
+
+            if (distance <= tolerance) {
+                return { score: 300 - distance * 50, matchedBy: 'fuzzy' };
+            }
+        }
+
+        return null;
+    }
+
+    toResult(security) {
+        return {
+            code: security.code,
+            name: security.name,
+            market: security.market,
+            englishName: security.englishName,
+            aliases: security.aliases
+        };
+    }
+}
+
+// 서버 전역에서 공유하는 기본 인스턴스
+const securitiesMaster = new SecuritiesMaster();
+
+module.exports = {
+    SecuritiesMaster,
+    securitiesMaster,
+    toChosung,
+    normalizeCode,
+    parseCsv,
+    MARKETS
+};
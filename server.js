@@ -7,14 +7,34 @@ const helmet = require('helmet');
 const path = require('path');
 const crypto = require('crypto');
 require('dotenv').config();
+const {
+    REBALANCING_RESPONSE_SCHEMA,
+    createStructuredRebalancingPrompt,
+    parseRebalancingResponse
+} = require('./rebalancing-schema');
+const { createLLMProvider, getDefaultProviderName } = require('./llm-providers');
+const { ChatSessionStore } = require('./chat-session-store');
+const { securitiesMaster } = require('./securities-master');
+const { QuoteService, parseSymbols } = require('./quote-service');
+const { quoteNormalizer } = require('./quote-normalizer');
 
 // 응답 캐싱을 위한 Map
 const responseCache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5분 캐시
 
+// AI 응답에 함께 전달하는 투자 위험 고지
+const RISK_WARNING = '투자에는 원금 손실의 위험이 있습니다. 이 제안은 참고용이며, 실제 투자 결정은 신중히 하시기 바랍니다.';
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// 프록시 뒤에서는 X-Forwarded-For로 실제 클라이언트 IP 사용 (로그인 시도 제한이 IP별로 동작하도록)
+// TRUST_PROXY=1 처럼 홉 수 또는 'loopback' 등 Express 설정값, Vercel에서는 기본 1
+const trustProxy = process.env.TRUST_PROXY || (process.env.VERCEL ? '1' : '');
+if (trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // 보안 미들웨어 (개발 환경용 - 관대한 설정)
 if (process.env.NODE_ENV === 'production') {
     app.use(helmet({
@@ -50,14 +70,43 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// 정적 파일 제공 (개발 환경 캐시 방지)
+// 정적 파일 제공: 화면에서 쓰는 파일만 허용 목록으로 제공
+// (프로젝트 폴더에는 서버 코드, .env, data/ 등이 함께 있으므로 폴더 전체를 공개하지 않음)
+const PUBLIC_FILES = new Set([
+    'market-data-integration.html', 'advanced-charts.html', 'history-dashboard.html', 'login.html', 'payment.html',
+    'api-test.html', 'quick-test.html', 'debug.html', 'button-debug.html', 'simple-portfolio-test.html',
+    'style.css', 'manifest.json', 'sw.js',
+    'auth.js', 'client-crypto.js', 'database.js', 'market-integration.js', 'naverpay-integration.js', 'optimize.js',
+    'portfolio-parser.js', 'portfolio-ledger.js', 'portfolio-report.js', 'broker-file-import.js'
+]);
+const PUBLIC_DIRS = ['assets/', 'fonts/', 'vendor/'];
+
+function isPublicPath(requestPath) {
+    let filePath;
+    try {
+        filePath = decodeURIComponent(requestPath).replace(/^\/+/, '');
+    } catch (error) {
+        return false;
+    }
+    if (filePath.split(/[\\/]/).some(segment => segment.startsWith('.'))) {
+        return false;
+    }
+    return PUBLIC_FILES.has(filePath) || PUBLIC_DIRS.some(dir => filePath.startsWith(dir));
+}
+
+function servePublicFiles(options) {
+    const serveStatic = express.static(path.join(__dirname), { ...options, dotfiles: 'deny', index: false });
+    return (req, res, next) => (isPublicPath(req.path) ? serveStatic(req, res, next) : next());
+}
+
+// 개발 환경 캐시 방지
 if (process.env.NODE_ENV === 'production') {
-    app.use(express.static(path.join(__dirname), {
+    app.use(servePublicFiles({
         maxAge: '1d' // 프로덕션에서는 1일 캐시
     }));
 } else {
     // 개발 환경에서는 캐시 비활성화
-    app.use(express.static(path.join(__dirname), {
+    app.use(servePublicFiles({
         maxAge: 0,
         etag: false,
         lastModified: false,
@@ -86,76 +135,38 @@ app.get('/api/health', (req, res) => {
         port: process.env.PORT || 3001,
         apis: {
             gemini: !!process.env.GEMINI_API_KEY,
-            kis: !!process.env.KIS_API_KEY
-        }
+            kis: !!(process.env.KIS_API_KEY && process.env.KIS_API_SECRET)
+        },
+        llmProvider: getDefaultProviderName(),
+        quoteDemoMode: process.env.QUOTE_DEMO_MODE === 'true'
     });
 });
 
 
-// 2. Gemini AI 연동 (투자 제안 생성)
-app.post('/api/investment-advice', async (req, res) => {
+// 1. 인증/권한 미들웨어 (토큰 검증은 7. 사용자 인증 API, 구독 이용권은 6. 결제 API와 공유)
+const { PaymentService } = require('./payment-service');
+const { AuthService, ROLES } = require('./auth-service');
+const { createAuthMiddleware, hasSubscription, sendAccessError } = require('./auth-middleware');
+const paymentService = new PaymentService();
+const authService = new AuthService();
+const { authenticate, requireRole, requireOwner } = createAuthMiddleware({ authService, paymentService });
+
+// 챗봇 대화 세션 저장소 (투자 제안 라우트와 2-2 대화 관리 API에서 공유)
+const chatSessionStore = new ChatSessionStore();
+
+// 2. AI 연동 (투자 제안 생성, 제공자는 llm-providers.js에서 선택)
+// AI 제안은 요청 형태와 관계없이 구독 이용권 필요 (캐시된 응답도 동일하게 제한)
+app.post('/api/investment-advice', authenticate, requireSubscription, async (req, res) => {
     try {
-        console.log('🤖 Gemini AI API 요청 받음:', req.body);
+        console.log(`🤖 AI 투자 제안 요청 받음 (${req.user.id}):`, req.body);
         
-        // 캐시 키 생성 (요청 내용 기반)
-        const requestString = JSON.stringify(req.body);
-        const hash = crypto.createHash('md5');
-        hash.update(requestString);
-        const cacheKey = hash.digest('hex');
+        // AI 제공자 선택 (요청 → 환경변수 → 기본값, 키가 없으면 401)
+        const provider = resolveLLMProvider(req);
         
-        // 캐시 확인
-        if (responseCache.has(cacheKey)) {
-            const cached = responseCache.get(cacheKey);
-            if (Date.now() - cached.timestamp < CACHE_DURATION) {
-                console.log('📦 캐시된 응답 반환');
-                return res.json(cached.data);
-            } else {
-                responseCache.delete(cacheKey);
-            }
-        }
+        // 요청 유형별 프롬프트 구성
+        const resolved = resolveAdvicePrompt(req.body, { allowTestPrompt: req.user.role === ROLES.ADMIN });
         
-        // 클라이언트에서 보내는 다양한 파라미터 이름 지원
-        const { 
-            portfolio, 
-            riskLevel, 
-            targetReturn, 
-            marketData, 
-            testPrompt,
-            // 클라이언트에서 실제로 보내는 파라미터들
-            currentPortfolio,
-            riskTolerance,
-            investmentAmount,
-            portfolioData,
-            userMessage,
-            chatHistory,
-            userProfile,
-            prompt
-        } = req.body;
-        
-        // API 키 확인 (헤더 또는 환경변수에서)
-        const apiKey = req.headers['x-api-key'] || process.env.GEMINI_API_KEY;
-        
-        if (!apiKey || apiKey === 'demo_key') {
-            console.log('❌ Gemini API 키 누락');
-            return res.status(401).json({
-                error: 'Gemini API 키가 필요합니다.',
-                message: 'X-API-Key 헤더로 실제 API 키를 전송하거나 환경변수를 설정해주세요.'
-            });
-        }
-        
-        // 파라미터 정규화 (클라이언트에서 보내는 다양한 이름 지원)
-        const normalizedPortfolio = portfolio || currentPortfolio || '';
-        const normalizedRiskLevel = riskLevel || riskTolerance || 'moderate';
-        const normalizedTargetReturn = targetReturn || 5;
-        
-        console.log('📊 정규화된 파라미터:', {
-            portfolio: normalizedPortfolio,
-            riskLevel: normalizedRiskLevel,
-            targetReturn: normalizedTargetReturn
-        });
-        
-        // 입력값 검증 (더 유연하게)
-        if (!normalizedPortfolio && !userMessage) {
+        if (!resolved) {
             console.log('❌ 필수 파라미터 누락');
             return res.status(400).json({
                 error: '필수 파라미터가 누락되었습니다.',
@@ -164,93 +175,84 @@ app.post('/api/investment-advice', async (req, res) => {
             });
         }
         
-        // Gemini AI API 직접 호출
-        const axios = require('axios');
-        console.log('📊 Gemini AI API 호출 시작...');
+        const { investmentPrompt, isStructuredRebalancing, isChat } = resolved;
         
-        // 챗봇 요청인지 투자 제안 요청인지 구분
-        let investmentPrompt;
+        // 캐시 키 생성 (실제로 보낼 제공자/모델/프롬프트 기준)
+        const cacheKey = crypto.createHash('md5')
+            .update(JSON.stringify([provider.name, provider.model, isStructuredRebalancing, investmentPrompt]))
+            .digest('hex');
         
-        if (userMessage && req.body.portfolioContext) {
-            // 리밸런싱 요청인지 확인
-            if (userMessage.includes('리밸런싱') || userMessage.includes('포트폴리오 리밸런싱')) {
-                // 리밸런싱 요청: 전문적인 포트폴리오 리밸런싱 조언
-                investmentPrompt = createRebalancingPrompt(userMessage, req.body.portfolioContext);
+        // 캐시 확인 (챗봇 대화는 이전 대화에 따라 답이 달라지므로 제외,
+        // 호출자가 X-API-Key로 자기 키를 쓰면 그 키로 생성한 응답을 주고받지 않도록 제외)
+        const isCacheable = !isChat && !req.headers['x-api-key'];
+        if (isCacheable && responseCache.has(cacheKey)) {
+            const cached = responseCache.get(cacheKey);
+            if (Date.now() - cached.timestamp < CACHE_DURATION) {
+                console.log('📦 캐시된 응답 반환');
+                return res.json(cached.data);
             } else {
-                // 챗봇 요청: 포트폴리오 컨텍스트를 활용한 개인화된 응답
-                investmentPrompt = createChatbotPrompt(userMessage, req.body.portfolioContext, chatHistory);
+                responseCache.delete(cacheKey);
             }
-        } else {
-            // 투자 제안 요청: 기존 로직
-            investmentPrompt = testPrompt || createInvestmentPrompt(normalizedPortfolio, normalizedRiskLevel, normalizedTargetReturn, marketData);
         }
         
-        // Gemini API 요청 데이터 (성능 최적화)
-        const requestData = {
-            contents: [{
-                parts: [{
-                    text: investmentPrompt
-                }]
-            }],
-            generationConfig: {
-                temperature: 0.5,  // 더 일관된 응답을 위해 낮춤
-                topP: 0.9,         // 더 빠른 응답을 위해 높임
-                topK: 20,          // 더 빠른 응답을 위해 낮춤
-                maxOutputTokens: 1024,  // 응답 길이 제한으로 속도 향상
-                candidateCount: 1
-            },
-            safetySettings: [
-                {
-                    category: "HARM_CATEGORY_HARASSMENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_HATE_SPEECH",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                },
-                {
-                    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                    threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                }
-            ]
-        };
+        const { portfolioContext, userMessage } = req.body;
         
-        // Gemini API 호출 (최적화된 설정)
-        const geminiResponse = await axios.post(
-            `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`,
-            requestData,
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                timeout: 30000
-            }
-        );
+        // 챗봇 요청은 대화 세션의 이전 턴을 함께 전송
+        const session = isChat ? await resolveChatSession(req.user.id, req.body.sessionId) : null;
+        
+        console.log(`📊 AI 호출 시작... (${provider.name}/${provider.model})`);
+        
+        const generated = await provider.generate({
+            messages: session
+                ? chatSessionStore.buildMessages(session, investmentPrompt)
+                : [{ role: 'user', text: investmentPrompt }],
+            responseSchema: isStructuredRebalancing ? REBALANCING_RESPONSE_SCHEMA : null,
+            maxOutputTokens: isStructuredRebalancing ? 2048 : 1024,
+            context: { portfolioContext }
+        });
+        
+        const advice = generated.text || '투자 제안을 생성할 수 없습니다. 다시 시도해 주세요.';
         
-        const advice = geminiResponse.data?.candidates?.[0]?.content?.parts?.[0]?.text || 
-                      '투자 제안을 생성할 수 없습니다. 다시 시도해 주세요.';
+        if (session && generated.text) {
+            await chatSessionStore.appendExchange(session.userId, session.sessionId, { userMessage, reply: advice });
+        }
+        
+        // 구조화 응답 검증 (실패 시 클라이언트가 규칙 기반 제안으로 대체)
+        let rebalancing;
+        if (isStructuredRebalancing) {
+            const parsed = parseRebalancingResponse(advice, portfolioContext.holdings);
+            rebalancing = {
+                valid: parsed.valid,
+                data: parsed.data,
+                errors: parsed.errors
+            };
+            if (!parsed.valid) {
+                console.warn('⚠️ 리밸런싱 응답 스키마 검증 실패:', parsed.errors);
+            }
+        }
         
         const responseData = {
             success: true,
             advice: advice,
+            rebalancing: rebalancing,
+            sessionId: session ? session.sessionId : undefined,
             timestamp: new Date().toISOString(),
-            riskWarning: '투자에는 원금 손실의 위험이 있습니다. 이 제안은 참고용이며, 실제 투자 결정은 신중히 하시기 바랍니다.',
+            riskWarning: RISK_WARNING,
             apiUsage: {
-                model: 'gemini-2.0-flash',
+                provider: provider.name,
+                model: provider.model,
                 promptLength: investmentPrompt ? investmentPrompt.length : 0,
                 responseLength: advice.length
             }
         };
         
-        // 응답을 캐시에 저장
-        responseCache.set(cacheKey, {
-            data: responseData,
-            timestamp: Date.now()
-        });
+        // 응답을 캐시에 저장 (검증 실패한 구조화 응답은 재시도할 수 있도록 제외)
+        if (isCacheable && (!rebalancing || rebalancing.valid)) {
+            responseCache.set(cacheKey, {
+                data: responseData,
+                timestamp: Date.now()
+            });
+        }
         
         // 캐시 크기 제한 (메모리 관리)
         if (responseCache.size > 100) {
@@ -263,617 +265,1332 @@ app.post('/api/investment-advice', async (req, res) => {
     } catch (error) {
         console.error('투자 제안 생성 오류:', error);
         
-        // 구체적인 에러 메시지 제공
-        let errorMessage = '투자 제안 생성 중 오류가 발생했습니다.';
-        if (error.message.includes('API_KEY_INVALID')) {
-            errorMessage = '유효하지 않은 Gemini API 키입니다.';
-        } else if (error.message.includes('QUOTA_EXCEEDED')) {
-            errorMessage = 'API 할당량이 초과되었습니다.';
-        } else if (error.message.includes('RATE_LIMIT_EXCEEDED')) {
-            errorMessage = 'API 호출 제한에 걸렸습니다. 잠시 후 다시 시도해주세요.';
-        }
-        
-        res.status(500).json({
-            error: errorMessage,
-            message: process.env.NODE_ENV === 'development' ? error.message : '서버 오류',
+        res.status(error.status || 500).json({
+            error: getAdviceErrorMessage(error),
+            message: error.code === 'API_KEY_MISSING'
+                ? 'X-API-Key 헤더로 실제 API 키를 전송하거나 환경변수를 설정해주세요.'
+                : (process.env.NODE_ENV === 'development' ? error.message : '서버 오류'),
             errorCode: error.code || 'UNKNOWN_ERROR'
         });
     }
 });
 
-// 3-1. 종목 검색 API (오프라인 데이터베이스)
-app.get('/api/naver-search/:query', async (req, res) => {
-    const { query } = req.params;
+// 2-1. 투자 제안 스트리밍 (Server-Sent Events)
+app.post('/api/investment-advice/stream', authenticate, requireSubscription, async (req, res) => {
+    let provider;
+    try {
+        provider = resolveLLMProvider(req);
+    } catch (error) {
+        return res.status(error.status || 500).json({
+            error: getAdviceErrorMessage(error),
+            errorCode: error.code || 'UNKNOWN_ERROR'
+        });
+    }
     
-    console.log(`🔍 종목 검색: ${query}`);
+    const resolved = resolveAdvicePrompt(req.body, { allowTestPrompt: req.user.role === ROLES.ADMIN });
     
-    // 확장된 종목 데이터베이스
-    const stockDatabase = [
-        { code: '005930', name: '삼성전자', market: 'KOSPI' },
-        { code: '035420', name: 'NAVER', market: 'KOSPI' },
-        { code: '035720', name: '카카오', market: 'KOSPI' },
-        { code: '000660', name: 'SK하이닉스', market: 'KOSPI' },
-        { code: '051910', name: 'LG화학', market: 'KOSPI' },
-        { code: '005380', name: '현대자동차', market: 'KOSPI' },
-        { code: '005490', name: 'POSCO홀딩스', market: 'KOSPI' },
-        { code: '373220', name: 'LG에너지솔루션', market: 'KOSPI' },
-        { code: '207940', name: '삼성바이오로직스', market: 'KOSPI' },
-        { code: '003550', name: 'LG', market: 'KOSPI' },
-        { code: '000270', name: '기아', market: 'KOSPI' },
-        { code: '068270', name: '셀트리온', market: 'KOSPI' },
-        { code: '015760', name: '한국전력', market: 'KOSPI' },
-        { code: '323410', name: '카카오뱅크', market: 'KOSPI' },
-        { code: '034730', name: 'SK', market: 'KOSPI' },
-        { code: '030200', name: 'KT', market: 'KOSPI' },
-        { code: '055550', name: '신한지주', market: 'KOSPI' },
-        { code: '105560', name: 'KB금융', market: 'KOSPI' },
-        { code: '086790', name: '하나금융지주', market: 'KOSPI' },
-        { code: '051900', name: 'LG생활건강', market: 'KOSPI' },
-        { code: '090430', name: '아모레퍼시픽', market: 'KOSPI' },
-        { code: '066570', name: 'LG전자', market: 'KOSPI' },
-        { code: '096770', name: 'SK이노베이션', market: 'KOSPI' },
-        { code: '017670', name: 'SK텔레콤', market: 'KOSPI' },
-        { code: '009150', name: '삼성전기', market: 'KOSPI' },
-        { code: '010950', name: 'S-Oil', market: 'KOSPI' },
-        { code: '032830', name: '삼성생명', market: 'KOSPI' },
-        { code: '012330', name: '현대모비스', market: 'KOSPI' },
-        { code: '028260', name: '삼성물산', market: 'KOSPI' },
-        { code: '018260', name: '삼성에스디에스', market: 'KOSPI' },
-        { code: '032640', name: 'LG유플러스', market: 'KOSPI' },
-        { code: '011170', name: '롯데케미칼', market: 'KOSPI' },
-        { code: '004020', name: '현대제철', market: 'KOSPI' },
-        { code: '010130', name: '고려아연', market: 'KOSPI' },
-        { code: '009540', name: 'HD한국조선해양', market: 'KOSPI' },
-        { code: '000810', name: '삼성화재', market: 'KOSPI' },
-        { code: '036570', name: '엔씨소프트', market: 'KOSPI' },
-        { code: '051915', name: 'LG화학우', market: 'KOSPI' },
-        { code: '139480', name: '이마트', market: 'KOSPI' }
-    ];
+    if (!resolved || resolved.isStructuredRebalancing) {
+        return res.status(400).json({
+            error: '스트리밍은 투자 제안 및 챗봇 요청만 지원합니다.',
+            received: Object.keys(req.body)
+        });
+    }
     
-    // 검색 수행 (이름, 코드, 부분 일치)
-    const searchResults = stockDatabase.filter(stock => 
-        stock.name.toLowerCase().includes(query.toLowerCase()) ||
-        stock.code.includes(query) ||
-        query.toLowerCase().includes(stock.name.toLowerCase())
-    );
+    const { investmentPrompt, isChat } = resolved;
     
-    const results = searchResults.map(item => ({
-        code: item.code,
-        name: item.name,
-        fullName: item.name,
-        market: item.market,
-        url: `https://finance.naver.com/item/main.naver?code=${item.code}`
-    }));
+    let session = null;
+    if (isChat) {
+        try {
+            session = await resolveChatSession(req.user.id, req.body.sessionId);
+        } catch (error) {
+            return res.status(error.status || 500).json({
+                error: error.status ? error.message : '대화 세션을 불러오지 못했습니다.',
+                errorCode: error.code || 'CHAT_STORE_ERROR'
+            });
+        }
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
     
-    console.log(`✅ 검색 결과 ${results.length}개: ${query}`);
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
     
-    res.json({
-        success: true,
-        query: query,
-        results: results,
-        count: results.length,
-        source: 'offline-database'
+    // 클라이언트가 연결을 끊으면 AI 스트림도 중단
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.log('⏹️ 클라이언트가 스트리밍을 취소했습니다.');
+            controller.abort();
+        }
     });
-});
-
-// 3-2. 네이버 금융 API 연동 (실시간 데이터) - 개선된 종목 코드 처리
-app.get('/api/naver-finance/:symbol', async (req, res) => {
+    
     try {
-        const { symbol } = req.params;
-        const axios = require('axios');
-        const cheerio = require('cheerio'); // HTML 파싱용
-        
-        // 한국 주식 코드 변환 및 동적 검색
-        let stockCode = symbol;
-        
-        // 기본 주요 종목 매핑 (빠른 접근용)
-        const koreanStocks = {
-            '삼성전자': '005930',
-            '카카오': '035720',
-            '네이버': '035420',
-            'LG화학': '051910',
-            'SK하이닉스': '000660',
-            '현대차': '005380',
-            'POSCO홀딩스': '005490',
-            'LG에너지솔루션': '373220',
-            '삼성바이오로직스': '207940',
-            '크래프톤': '259960',
-            'LG': '003550',
-            '기아': '000270',
-            '셀트리온': '068270',
-            'NAVER': '035420',
-            '한국전력': '015760',
-            '카카오뱅크': '323410',
-            'SK': '034730',
-            '포스코': '005490',
-            'KT': '030200',
-            '신한지주': '055550',
-            'KB금융': '105560',
-            '하나금융지주': '086790',
-            'LG생활건강': '051900',
-            '아모레퍼시픽': '090430',
-            'NAVER': '035420'
-        };
-        
-        if (koreanStocks[symbol]) {
-            stockCode = koreanStocks[symbol];
-        } else if (symbol.match(/^\d{6}$/)) {
-            // 6자리 숫자인 경우 그대로 사용
-            stockCode = symbol;
-        } else {
-            // 종목명으로 검색하여 코드 찾기
-            try {
-                const searchResponse = await axios.get(`http://localhost:3000/api/naver-search/${encodeURIComponent(symbol)}`);
-                if (searchResponse.data.success && searchResponse.data.results.length > 0) {
-                    stockCode = searchResponse.data.results[0].code;
-                    console.log(`🔍 ${symbol} 검색 결과: ${stockCode}`);
-                } else {
-                    console.log(`⚠️ ${symbol} 검색 결과 없음, 원본 유지`);
-                }
-            } catch (searchError) {
-                console.log(`⚠️ ${symbol} 검색 실패, 원본 유지:`, searchError.message);
-            }
-        }
+        console.log(`📡 AI 스트리밍 호출 시작... (${provider.name}/${provider.model})`);
         
-        console.log(`📊 네이버 금융 API 호출: ${symbol} → ${stockCode}`);
+        let advice = '';
         
-        // 네이버 증권 실시간 API 사용 (블로그 참고)
-        let response;
-        let isRealTimeData = false;
-        
-        try {
-            // 1차: 네이버 증권 sise.json API (블로그 참고 - 가장 안정적)
-            const siseApiUrl = `https://polling.finance.naver.com/api/realtime/domestic/stock/${stockCode}`;
-            
-            response = await axios.get(siseApiUrl, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                    'Accept': 'application/json, text/plain, */*',
-                    'Accept-Language': 'ko-KR,ko;q=0.9,en;q=0.8',
-                    'Referer': `https://finance.naver.com/item/main.naver?code=${stockCode}`,
-                    'X-Requested-With': 'XMLHttpRequest',
-                    'Cache-Control': 'no-cache',
-                    'Pragma': 'no-cache'
-                },
-                timeout: 5000
-            });
-            
-            if (response.data && (response.data.datas || response.data.result)) {
-                console.log(`✅ 네이버 sise API 성공: ${symbol}`);
-                isRealTimeData = true;
-            } else {
-                throw new Error('sise API 데이터 없음');
-            }
-            
-        } catch (realtimeError) {
-            console.log(`⚠️ 실시간 증권 API 실패: ${realtimeError.message}`);
-            
-            try {
-                // 2차: 네이버 금융 일반 API 시도
-                const generalApiUrl = `https://polling.finance.naver.com/api/realtime?query=SERVICE_ITEM:${stockCode}`;
-                
-                response = await axios.get(generalApiUrl, {
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                        'Accept': 'application/json, text/plain, */*',
-                        'Accept-Language': 'ko-KR,ko;q=0.9,en;q=0.8',
-                        'Referer': `https://finance.naver.com/item/main.naver?code=${stockCode}`,
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    timeout: 10000
-                });
-                
-                if (response.data && response.data.result && response.data.result.areas && response.data.result.areas.length > 0) {
-                    console.log(`✅ 네이버 일반 API 성공: ${symbol}`);
-                    isRealTimeData = true;
-                } else {
-                    throw new Error('일반 API 데이터 없음');
-                }
-                
-            } catch (generalError) {
-                console.log(`⚠️ 일반 API도 실패, 웹 스크래핑으로 대체: ${generalError.message}`);
-                
-                // 3차: 웹 스크래핑 방식으로 최종 대체
-                const naverFinanceUrl = `https://finance.naver.com/item/main.naver?code=${stockCode}`;
-                response = await axios.get(naverFinanceUrl, {
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                        'Accept-Language': 'ko-KR,ko;q=0.9,en;q=0.8',
-                        'Accept-Encoding': 'gzip, deflate, br',
-                        'Connection': 'keep-alive',
-                        'Upgrade-Insecure-Requests': '1'
-                    },
-                    timeout: 15000
-                });
-                isRealTimeData = false;
-            }
+        for await (const text of provider.stream({
+            messages: session
+                ? chatSessionStore.buildMessages(session, investmentPrompt)
+                : [{ role: 'user', text: investmentPrompt }],
+            signal: controller.signal
+        })) {
+            advice += text;
+            sendEvent('chunk', { text: text });
         }
         
-        let result;
+        if (controller.signal.aborted) {
+            return;
+        }
         
-        // 실시간 API 데이터 처리 (다양한 응답 형식 지원)
-        if (isRealTimeData && response.data) {
-            let stockData = null;
-            
-            // 1. 네이버 증권 실시간 API 응답 형식
-            if (response.data.datas && response.data.datas.length > 0) {
-                stockData = response.data.datas[0];
-                console.log(`📊 증권 실시간 API 데이터 형식 사용: ${symbol}`);
-            }
-            // 2. 일반 polling API 응답 형식
-            else if (response.data.result && response.data.result.areas && response.data.result.areas.length > 0) {
-                stockData = response.data.result.areas[0].datas[0];
-                console.log(`📊 일반 polling API 데이터 형식 사용: ${symbol}`);
-            }
-            
-            if (stockData) {
-                // 데이터 필드 정규화 (다양한 API 응답 형식 대응)
-                // 가격 데이터 처리 (문자열에서 숫자 추출)
-                let priceStr = stockData.nv || stockData.closePrice || stockData.nowPrice || '0';
-                let changeStr = stockData.cv || stockData.compareToPreviousClosePrice || '0';
-                let changePercentStr = stockData.cr || stockData.fluctuationsRatio || '0';
-                
-                // 쉼표 제거 및 숫자 변환
-                let price = parseInt(String(priceStr).replace(/[,\s]/g, '')) || 0;
-                let change = parseInt(String(changeStr).replace(/[,\s+]/g, '')) || 0;
-                let changePercent = parseFloat(String(changePercentStr).replace(/[%\s+]/g, '')) || 0;
-                
-                // 네이버 API 가격 스케일 조정 (API가 천원 단위로 반환하는 경우 대응)
-                if (price > 0 && price < 1000) {
-                    // 한국 주식 시장에서 주요 종목이 1000원 미만일 가능성은 매우 낮음
-                    // 네이버 API가 천원 단위로 데이터를 제공하는 것으로 추정
-                    const knownLargeStocks = [
-                        '삼성전자', '005930', 'SAMSUNG',
-                        '네이버', '035420', 'NAVER',
-                        '카카오', '035720', 'KAKAO',
-                        'SK하이닉스', '000660',
-                        'LG화학', '051910',
-                        '현대차', '005380'
-                    ];
-                    
-                    const isLargeStock = knownLargeStocks.some(stock => 
-                        symbol.includes(stock) || 
-                        (stockData.nm && stockData.nm.includes(stock)) ||
-                        stock.includes(symbol)
-                    );
-                    
-                    if (isLargeStock || price < 500) {
-                        // 천원 단위로 조정
-                        price *= 1000;
-                        change *= 1000;
-                        console.log(`💰 ${symbol} 가격 조정: ${price.toLocaleString()}원`);
-                    }
-                }
-                
-                // 거래량 데이터 정규화 (과도한 값 방지)
-                let volume = parseInt(stockData.aq || stockData.accumulatedTradingVolume) || 0;
-                if (volume > 1000000000) { // 10억 이상이면 천 단위로 나누기
-                    volume = Math.floor(volume / 1000);
-                }
-                if (volume > 100000000) { // 1억 이상이면 백 단위로 나누기  
-                    volume = Math.floor(volume / 100);
-                }
-                
-                result = {
-                    success: true,
-                    symbol: stockCode,
-                    originalSymbol: symbol,
-                    koreanName: stockData.nm || stockData.itemName || symbol,
-                    price: price,
-                    change: change,
-                    changePercent: changePercent,
-                    volume: volume,
-                    marketCap: price * 50000000, // 추정값
-                    previousClose: price - change,
-                    dayHigh: parseInt(stockData.hv || stockData.highPrice) || price,
-                    dayLow: parseInt(stockData.lv || stockData.lowPrice) || price,
-                    fiftyTwoWeekHigh: parseInt(stockData.hy52 || stockData.weekHigh52) || 0,
-                    fiftyTwoWeekLow: parseInt(stockData.ly52 || stockData.weekLow52) || 0,
-                    beta: 1.0,
-                    pe: parseFloat(stockData.per || stockData.eps) || 0,
-                    currency: 'KRW',
-                    exchangeName: 'KRX',
-                    marketState: 'REGULAR',
-                    timestamp: new Date().toISOString(),
-                    lastUpdateTime: new Date().toISOString(),
-                    source: 'naver-realtime-api',
-                    isRealTime: true
-                };
-                
-                console.log(`✅ 네이버 실시간 API ${symbol} 데이터:`, {
-                    name: result.koreanName,
-                    price: result.price,
-                    change: result.change,
-                    volume: result.volume,
-                    realtime: true
-                });
-            } else {
-                throw new Error('실시간 API 데이터 파싱 실패');
-            }
-            
-        } else {
-            // HTML 파싱으로 주식 데이터 추출 (백업)
-            const $ = cheerio.load(response.data);
-            
-            // 종목명 추출
-            const stockName = $('.wrap_company h2 a').text().trim() || symbol;
-            
-            // 현재가 추출 (여러 선택자 시도)
-            let currentPrice = 0;
-            const priceSelectors = [
-                '.no_today .blind',
-                '.today .no_today .blind',
-                'td.td_now .blind',
-                '.no_today',
-                '.today .no_today'
-            ];
-            
-            for (const selector of priceSelectors) {
-                const priceText = $(selector).first().text().trim();
-                if (priceText && priceText !== '') {
-                    currentPrice = parseInt(priceText.replace(/[,\s]/g, ''));
-                    if (!isNaN(currentPrice) && currentPrice > 0) {
-                        break;
-                    }
-                }
-            }
-            
-            // 전일 대비 추출
-            let change = 0;
-            let changePercent = 0;
-            const changeSelectors = [
-                '.no_exday .blind',
-                '.today .no_exday .blind',
-                '.no_exday',
-                '.today .no_exday'
-            ];
-            
-            for (const selector of changeSelectors) {
-                const changeElements = $(selector);
-                if (changeElements.length >= 2) {
-                    const changeText = changeElements.eq(0).text().trim();
-                    const percentText = changeElements.eq(1).text().trim();
-                    
-                    change = parseInt(changeText.replace(/[,\s+]/g, ''));
-                    changePercent = parseFloat(percentText.replace(/[%\s+]/g, ''));
-                    
-                    if (!isNaN(change) && !isNaN(changePercent)) {
-                        break;
-                    }
-                }
-            }
-            
-            // 거래량 추출
-            let volume = 0;
-            const volumeSelectors = [
-                'td.trading_volume .blind',
-                '.trading_volume .blind',
-                'tr:contains("거래량") td .blind'
-            ];
-            
-            for (const selector of volumeSelectors) {
-                const volumeText = $(selector).text().trim();
-                if (volumeText && volumeText !== '') {
-                    volume = parseInt(volumeText.replace(/[,\s]/g, ''));
-                    if (!isNaN(volume) && volume > 0) {
-                        break;
-                    }
-                }
-            }
-            
-            // 52주 최고/최저 추출
-            let fiftyTwoWeekHigh = 0;
-            let fiftyTwoWeekLow = 0;
-            
-            $('tr').each((index, element) => {
-                const rowText = $(element).text();
-                if (rowText.includes('52주')) {
-                    const cells = $(element).find('td');
-                    if (cells.length >= 2) {
-                        const highText = cells.eq(0).text().trim();
-                        const lowText = cells.eq(1).text().trim();
-                        
-                        fiftyTwoWeekHigh = parseInt(highText.replace(/[,\s]/g, '')) || fiftyTwoWeekHigh;
-                        fiftyTwoWeekLow = parseInt(lowText.replace(/[,\s]/g, '')) || fiftyTwoWeekLow;
-                    }
-                }
-            });
-            
-            result = {
-                success: true,
-                symbol: stockCode,
-                originalSymbol: symbol,
-                koreanName: stockName,
-                price: currentPrice,
-                change: change,
-                changePercent: changePercent,
-                volume: volume,
-                marketCap: currentPrice * 50000000, // 추정값 (실제로는 발행주식수 필요)
-                previousClose: currentPrice - change,
-                dayHigh: currentPrice + Math.abs(change),
-                dayLow: currentPrice - Math.abs(change),
-                fiftyTwoWeekHigh: fiftyTwoWeekHigh,
-                fiftyTwoWeekLow: fiftyTwoWeekLow,
-                beta: 1.0, // 기본값
-                pe: 15.0, // 기본값
-                currency: 'KRW',
-                exchangeName: 'KRX',
-                marketState: 'REGULAR',
-                timestamp: new Date().toISOString(),
-                lastUpdateTime: new Date().toISOString(),
-                source: 'naver-scraping',
-                isRealTime: false
-            };
-            
-            console.log(`✅ 네이버 스크래핑 ${symbol} 데이터:`, {
-                name: result.koreanName,
-                price: result.price,
-                change: result.change,
-                volume: result.volume,
-                realtime: false
+        // 완료된 응답만 대화 세션에 기록 (중단된 응답은 제외)
+        if (session && advice) {
+            await chatSessionStore.appendExchange(session.userId, session.sessionId, {
+                userMessage: req.body.userMessage,
+                reply: advice
             });
         }
         
-        res.json(result);
+        sendEvent('done', {
+            success: true,
+            sessionId: session ? session.sessionId : undefined,
+            timestamp: new Date().toISOString(),
+            riskWarning: RISK_WARNING,
+            apiUsage: {
+                provider: provider.name,
+                model: provider.model,
+                promptLength: investmentPrompt.length,
+                responseLength: advice.length,
+                streamed: true
+            }
+        });
+        res.end();
         
     } catch (error) {
-        console.error(`❌ 네이버 금융 API 오류 (${req.params.symbol}):`, error.message);
-        
-        // 에러 시 현실적인 데모 데이터 반환 (서비스 중단 방지)
-        const demoStockData = {
-            '삼성전자': { price: 71900, change: -800, changePercent: -1.1, volume: 12456789 },
-            '005930.KS': { price: 71900, change: -800, changePercent: -1.1, volume: 12456789 },
-            '카카오': { price: 54200, change: 600, changePercent: 1.12, volume: 8765432 },
-            '035720.KS': { price: 54200, change: 600, changePercent: 1.12, volume: 8765432 },
-            '네이버': { price: 195000, change: -2000, changePercent: -1.02, volume: 3456789 },
-            '035420.KS': { price: 195000, change: -2000, changePercent: -1.02, volume: 3456789 },
-            'LG화학': { price: 378000, change: 5000, changePercent: 1.34, volume: 234567 },
-            'SK하이닉스': { price: 128500, change: -1500, changePercent: -1.15, volume: 9876543 }
-        };
+        if (controller.signal.aborted) {
+            return;
+        }
         
-        const symbol = req.params.symbol;
-        const stockData = demoStockData[symbol] || { 
-            price: 50000 + Math.floor(Math.random() * 100000), 
-            change: Math.floor(Math.random() * 4000) - 2000,
-            changePercent: (Math.random() * 6) - 3,
-            volume: Math.floor(Math.random() * 10000000) + 1000000
-        };
+        console.error('투자 제안 스트리밍 오류:', error.message);
+        sendEvent('error', {
+            error: getAdviceErrorMessage(error),
+            errorCode: error.code || 'UNKNOWN_ERROR'
+        });
+        res.end();
+    }
+});
+
+// AI 제공자 결정 (요청 본문/헤더 → 환경변수 → 기본값), X-API-Key 헤더는 선택된 제공자의 키로 사용
+function resolveLLMProvider(req) {
+    return createLLMProvider({
+        provider: req.body.provider || req.headers['x-llm-provider'],
+        model: req.body.model,
+        apiKey: req.headers['x-api-key']
+    });
+}
+
+// 챗봇 요청의 대화 세션 (인증된 사용자 본인의 대화만, sessionId가 없으면 새 대화 시작)
+async function resolveChatSession(userId, sessionId) {
+    const session = await chatSessionStore.resolveSession(userId, sessionId);
+    return { ...session, userId };
+}
+
+// 구독 전용 AI 기능: 투자 제안, 포트폴리오 맥락 챗봇, 구조화(JSON) 리밸런싱 모두 라우트 단위로 제한
+function requireSubscription(req, res, next) {
+    if (hasSubscription(req.user)) {
+        return next();
+    }
+    sendAccessError(res, {
+        status: 403,
+        code: 'SUBSCRIPTION_REQUIRED',
+        message: 'AI 투자 제안과 챗봇은 투자 조언 구독 회원 전용 기능입니다.'
+    });
+}
+
+// 요청 본문으로부터 프롬프트 구성 (필수 파라미터 누락 시 null)
+// testPrompt(임의 프롬프트 그대로 전달)는 관리자 진단용으로만 허용
+function resolveAdvicePrompt(body, { allowTestPrompt = false } = {}) {
+    // 클라이언트에서 보내는 다양한 파라미터 이름 지원
+    const { 
+        portfolio, 
+        riskLevel, 
+        targetReturn, 
+        marketData, 
+        testPrompt,
+        currentPortfolio,
+        riskTolerance,
+        userMessage,
+        portfolioContext,
+        responseFormat
+    } = body;
+    
+    // 구조화(JSON) 리밸런싱 요청 여부
+    const isStructuredRebalancing = responseFormat === 'json' && !!portfolioContext;
+    
+    // 파라미터 정규화 (클라이언트에서 보내는 다양한 이름 지원)
+    const normalizedPortfolio = portfolio || currentPortfolio || '';
+    const normalizedRiskLevel = riskLevel || riskTolerance || 'moderate';
+    const normalizedTargetReturn = targetReturn || 5;
+    
+    // 입력값 검증 (더 유연하게)
+    if (!normalizedPortfolio && !userMessage && !isStructuredRebalancing) {
+        return null;
+    }
+    
+    // 챗봇 요청인지 투자 제안 요청인지 구분
+    let investmentPrompt;
+    const isChat = !isStructuredRebalancing && !!userMessage && !!portfolioContext;
+    
+    if (isStructuredRebalancing) {
+        // 구조화 리밸런싱 요청: 스키마에 맞는 JSON 응답 요청
+        investmentPrompt = createStructuredRebalancingPrompt(portfolioContext, marketData);
+    } else if (userMessage && portfolioContext) {
+        // 리밸런싱 요청인지 확인
+        if (userMessage.includes('리밸런싱') || userMessage.includes('포트폴리오 리밸런싱')) {
+            // 리밸런싱 요청: 전문적인 포트폴리오 리밸런싱 조언
+            investmentPrompt = createRebalancingPrompt(userMessage, portfolioContext);
+        } else {
+            // 챗봇 요청: 포트폴리오 컨텍스트를 활용한 개인화된 응답
+            investmentPrompt = createChatbotPrompt(userMessage, portfolioContext);
+        }
+    } else {
+        // 투자 제안 요청: 기존 로직
+        investmentPrompt = (allowTestPrompt && testPrompt) || createInvestmentPrompt(normalizedPortfolio, normalizedRiskLevel, normalizedTargetReturn, marketData);
+    }
+    
+    return { investmentPrompt, isStructuredRebalancing, isChat };
+}
+
+// 구체적인 에러 메시지 제공
+function getAdviceErrorMessage(error) {
+    const message = error.message || '';
+    
+    if (error.status) {
+        // 제공자 선택 단계의 오류 (키 누락, 미지원 제공자/모델)
+        return error.message;
+    } else if (message.includes('API_KEY_INVALID')) {
+        return '유효하지 않은 AI API 키입니다.';
+    } else if (message.includes('QUOTA_EXCEEDED')) {
+        return 'API 할당량이 초과되었습니다.';
+    } else if (message.includes('RATE_LIMIT_EXCEEDED')) {
+        return 'API 호출 제한에 걸렸습니다. 잠시 후 다시 시도해주세요.';
+    }
+    return '투자 제안 생성 중 오류가 발생했습니다.';
+}
+
+// 2-2. 챗봇 대화 세션 관리 (목록/재개/삭제, 경로의 userId는 본인 ID 또는 'me')
+function sendChatSessionError(res, error, fallbackMessage) {
+    console.error(`${fallbackMessage}:`, error.message);
+    res.status(error.status || 500).json({
+        error: error.status ? error.message : fallbackMessage,
+        errorCode: error.code || 'CHAT_STORE_ERROR'
+    });
+}
+
+app.get('/api/chat/sessions/:userId', authenticate, requireOwner(), async (req, res) => {
+    try {
+        const sessions = await chatSessionStore.listSessions(req.params.userId);
         
         res.json({
-            success: true, // 데모 모드에서는 success: true로 반환
-            symbol: symbol,
-            originalSymbol: symbol,
-            koreanName: symbol,
-            price: stockData.price,
-            change: stockData.change,
-            changePercent: stockData.changePercent,
-            volume: stockData.volume,
-            marketCap: stockData.price * 50000000, // 추정 시가총액
-            previousClose: stockData.price - stockData.change,
-            dayHigh: stockData.price + Math.floor(Math.random() * 2000),
-            dayLow: stockData.price - Math.floor(Math.random() * 2000),
-            currency: 'KRW',
-            exchangeName: 'KRX',
-            marketState: 'REGULAR',
-            timestamp: new Date().toISOString(),
-            lastUpdateTime: new Date().toISOString(),
-            demoMode: true,
-            message: '실시간 API 연결 문제로 데모 데이터를 표시합니다'
+            success: true,
+            sessions: sessions
         });
+    } catch (error) {
+        sendChatSessionError(res, error, '대화 목록 조회 실패');
     }
 });
 
-// 4. KIS API 연동
-app.post('/api/kis-token', async (req, res) => {
+app.post('/api/chat/sessions/:userId', authenticate, requireOwner(), async (req, res) => {
     try {
-        const axios = require('axios');
+        const session = await chatSessionStore.createSession(req.params.userId, { title: req.body.title });
         
-        const response = await axios.post('https://openapi.koreainvestment.com:9443/oauth2/tokenP', {
-            grant_type: 'client_credentials',
-            appkey: process.env.KIS_API_KEY,
-            appsecret: process.env.KIS_API_SECRET
+        res.status(201).json({
+            success: true,
+            session: session
         });
+    } catch (error) {
+        sendChatSessionError(res, error, '대화 생성 실패');
+    }
+});
+
+// 대화 재개용 상세 조회 (전체 턴과 요약 포함)
+app.get('/api/chat/sessions/:userId/:sessionId', authenticate, requireOwner(), async (req, res) => {
+    try {
+        const { userId, sessionId } = req.params;
+        const session = await chatSessionStore.getSession(userId, sessionId);
         
         res.json({
             success: true,
-            token: response.data.access_token,
-            expires_in: response.data.expires_in
+            session: session
         });
-        
     } catch (error) {
-        console.error('KIS 토큰 발급 오류:', error);
-        res.status(500).json({
-            error: 'KIS API 인증 실패'
-        });
+        sendChatSessionError(res, error, '대화 조회 실패');
     }
 });
 
-app.get('/api/kis-stock/:code', async (req, res) => {
+app.delete('/api/chat/sessions/:userId/:sessionId', authenticate, requireOwner(), async (req, res) => {
     try {
-        const { code } = req.params;
-        const { authorization } = req.headers;
-        const axios = require('axios');
+        const { userId, sessionId } = req.params;
+        await chatSessionStore.deleteSession(userId, sessionId);
         
-        if (!authorization) {
-            return res.status(401).json({ error: '인증 토큰이 필요합니다.' });
-        }
+        res.json({
+            success: true,
+            message: '대화가 삭제되었습니다.'
+        });
+    } catch (error) {
+        sendChatSessionError(res, error, '대화 삭제 실패');
+    }
+});
+
+// 3-1. 종목 검색 API (KRX 종목 마스터: 초성/영문명/별칭/유사 검색, 페이지 처리)
+app.get('/api/naver-search/:query', async (req, res) => {
+    const { query } = req.params;
+    const { page, size, market } = req.query;
+    
+    console.log(`🔍 종목 검색: ${query}`);
+    
+    try {
+        const searchResult = securitiesMaster.search(query, { page, size, market });
         
-        const response = await axios.get(
-            'https://openapi.koreainvestment.com:9443/uapi/domestic-stock/v1/quotations/inquire-price',
-            {
-                headers: {
-                    'Authorization': authorization,
-                    'appkey': process.env.KIS_API_KEY,
-                    'appsecret': process.env.KIS_API_SECRET,
-                    'tr_id': 'FHKST01010100'
-                },
-                params: {
-                    fid_cond_mrkt_div_code: 'J',
-                    fid_input_iscd: code
-                }
-            }
-        );
+        const results = searchResult.results.map(item => ({
+            code: item.code,
+            name: item.name,
+            fullName: item.name,
+            englishName: item.englishName,
+            market: item.market,
+            matchedBy: item.matchedBy,
+            url: `https://finance.naver.com/item/main.naver?code=${item.code}`
+        }));
         
-        res.json(response.data);
+        console.log(`✅ 검색 결과 ${results.length}/${searchResult.totalCount}개: ${query}`);
         
+        res.json({
+            success: true,
+            query: query,
+            results: results,
+            count: results.length,
+            totalCount: searchResult.totalCount,
+            page: searchResult.page,
+            size: searchResult.size,
+            source: 'krx-securities-master'
+        });
     } catch (error) {
-        console.error('KIS 주식 조회 오류:', error);
+        console.error('종목 검색 오류:', error.message);
         res.status(500).json({
-            error: '주식 정보 조회 실패',
-            code: req.params.code
+            success: false,
+            error: '종목 목록을 불러오지 못했습니다.',
+            errorCode: 'SECURITIES_MASTER_ERROR'
+        });
+    }
+});
+
+// 종목 코드 → 종목 정보 (클라이언트 종목명 표시용)
+app.get('/api/securities/:code', (req, res) => {
+    const security = securitiesMaster.findByCode(req.params.code);
+    
+    if (!security) {
+        return res.status(404).json({
+            success: false,
+            error: '종목을 찾을 수 없습니다.',
+            errorCode: 'SECURITY_NOT_FOUND'
         });
     }
+    
+    res.json({
+        success: true,
+        security: security
+    });
 });
 
-// 5. 포트폴리오 저장/불러오기 (로컬 스토리지 대안)
-const portfolios = new Map(); // 실제 서비스에서는 데이터베이스 사용
+// 데모 모드 (QUOTE_DEMO_MODE=true일 때만 시세 조회 실패 시 고정 예시 데이터 제공)
+const QUOTE_DEMO_MODE = process.env.QUOTE_DEMO_MODE === 'true';
+
+const DEMO_STOCK_DATA = {
+    '005930': { price: 71900, change: -800, changePercent: -1.1, volume: 12456789 },
+    '035720': { price: 54200, change: 600, changePercent: 1.12, volume: 8765432 },
+    '035420': { price: 195000, change: -2000, changePercent: -1.02, volume: 3456789 },
+    '051910': { price: 378000, change: 5000, changePercent: 1.34, volume: 234567 },
+    '000660': { price: 128500, change: -1500, changePercent: -1.15, volume: 9876543 }
+};
+
+function createDemoQuote(symbol) {
+    const code = securitiesMaster.resolveCode(symbol);
+    const stockData = code && DEMO_STOCK_DATA[code];
+    if (!stockData) {
+        return null;
+    }
+
+    return {
+        success: true,
+        symbol: code,
+        originalSymbol: symbol,
+        koreanName: securitiesMaster.getName(code),
+        price: stockData.price,
+        change: stockData.change,
+        changePercent: stockData.changePercent,
+        volume: stockData.volume,
+        previousClose: stockData.price - stockData.change,
+        currency: 'KRW',
+        exchangeName: 'KRX',
+        marketState: 'REGULAR',
+        timestamp: new Date().toISOString(),
+        lastUpdateTime: new Date().toISOString(),
+        source: 'demo',
+        demoMode: true
+    };
+}
+
+// 시세 조회 서비스 (3-2 단일 조회와 3-3 일괄 조회가 같은 캐시를 사용)
+const quoteService = new QuoteService({
+    fetchQuote: fetchNaverFinanceQuote,
+    cacheKey: symbol => securitiesMaster.resolveCode(symbol) || symbol,
+    demoQuote: QUOTE_DEMO_MODE ? createDemoQuote : null
+});
 
-app.post('/api/portfolio/save', (req, res) => {
+// 3-2. 네이버 금융 API 연동 (실시간 데이터) - 개선된 종목 코드 처리
+// 실패 시 마지막 정상 시세(dataQuality: 'stale')를 제공하고, 없으면 503 오류 반환
+app.get('/api/naver-finance/:symbol', async (req, res) => {
     try {
-        const { userId, portfolio } = req.body;
-        
-        if (!userId || !portfolio) {
-            return res.status(400).json({ error: '사용자 ID와 포트폴리오 정보가 필요합니다.' });
-        }
+        const { symbol } = req.params;
+        const result = await quoteService.getQuote(symbol);
         
-        const portfolioData = {
-            ...portfolio,
-            lastUpdated: new Date().toISOString(),
-            version: '1.0'
-        };
+        res.json(result);
         
-        portfolios.set(userId, portfolioData);
+    } catch (error) {
+        console.error(`❌ 네이버 금융 API 오류 (${req.params.symbol}):`, error.message);
         
-        res.json({
-            success: true,
-            message: '포트폴리오가 저장되었습니다.',
-            portfolioId: userId
+        res.status(error.status || 500).json({
+            success: false,
+            symbol: req.params.symbol,
+            dataQuality: 'unavailable',
+            error: error.status ? error.message : '시세 조회 실패',
+            errorCode: error.code || 'QUOTE_FETCH_FAILED'
         });
-        
-    } catch (error) {
-        console.error('포트폴리오 저장 오류:', error);
-        res.status(500).json({ error: '포트폴리오 저장 실패' });
     }
 });
 
-app.get('/api/portfolio/:userId', (req, res) => {
+// 3-3. 다종목 시세 일괄 조회 (종목별 상태 포함, 일부 실패해도 전체 응답은 성공)
+async function handleQuotesRequest(req, res) {
     try {
-        const { userId } = req.params;
-        const portfolio = portfolios.get(userId);
+        const symbols = req.method === 'POST' ? req.body.symbols : req.query.symbols;
+        const quotes = await quoteService.getQuotes(symbols);
+        const failedCount = quotes.filter(item => item.status !== 'ok').length;
         
-        if (!portfolio) {
-            return res.status(404).json({ error: '포트폴리오를 찾을 수 없습니다.' });
-        }
+        console.log(`📊 시세 일괄 조회: ${quotes.length}개 (실패 ${failedCount}개)`);
         
         res.json({
             success: true,
-            portfolio: portfolio
+            quotes: quotes,
+            count: quotes.length,
+            failedCount: failedCount,
+            timestamp: new Date().toISOString()
         });
-        
     } catch (error) {
-        console.error('포트폴리오 조회 오류:', error);
-        res.status(500).json({ error: '포트폴리오 조회 실패' });
+        console.error('시세 일괄 조회 오류:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : '시세 일괄 조회 실패',
+            errorCode: error.code || 'QUOTE_BATCH_ERROR'
+        });
+    }
+}
+
+app.get('/api/quotes', handleQuotesRequest);
+app.post('/api/quotes', handleQuotesRequest);
+
+// 네이버 금융 시세 조회 (실시간 API → polling API → 웹 스크래핑 순서로 시도)
+async function fetchNaverFinanceQuote(symbol) {
+    const axios = require('axios');
+    
+    // 한국 주식 코드 변환 및 동적 검색
+    let stockCode = symbol;
+    
+    // 종목명/별칭/코드 → 종목 코드 (종목 마스터에 없으면 원본 유지)
+    const resolvedCode = securitiesMaster.resolveCode(symbol);
+    if (resolvedCode) {
+        stockCode = resolvedCode;
+        console.log(`🔍 ${symbol} 종목 코드: ${stockCode}`);
+    } else {
+        console.log(`⚠️ ${symbol} 종목 마스터 검색 결과 없음, 원본 유지`);
+    }
+    
+    console.log(`📊 네이버 금융 API 호출: ${symbol} → ${stockCode}`);
+    
+    const headers = {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept-Language': 'ko-KR,ko;q=0.9,en;q=0.8',
+        'Referer': `https://finance.naver.com/item/main.naver?code=${stockCode}`
+    };
+    const apiHeaders = { ...headers, 'Accept': 'application/json, text/plain, */*', 'X-Requested-With': 'XMLHttpRequest' };
+    
+    // 전략마다 요청과 표준 시세 변환을 함께 시도 (빈 응답이나 변환 실패도 다음 전략으로 넘어감)
+    const strategies = [
+        {
+            // 1차: 네이버 증권 실시간 API (datas)
+            name: '실시간 증권 API',
+            fetch: async () => (await axios.get(`https://polling.finance.naver.com/api/realtime/domestic/stock/${stockCode}`, {
+                headers: { ...apiHeaders, 'Cache-Control': 'no-cache', 'Pragma': 'no-cache' },
+                timeout: 5000
+            })).data
+        },
+        {
+            // 2차: 네이버 금융 polling API (result.areas)
+            name: '일반 API',
+            fetch: async () => (await axios.get(`https://polling.finance.naver.com/api/realtime?query=SERVICE_ITEM:${stockCode}`, {
+                headers: apiHeaders,
+                timeout: 10000
+            })).data
+        },
+        {
+            // 3차: 종목 페이지 웹 스크래핑
+            name: '웹 스크래핑',
+            fetch: async () => (await axios.get(`https://finance.naver.com/item/main.naver?code=${stockCode}`, {
+                headers: {
+                    'User-Agent': headers['User-Agent'],
+                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+                    'Accept-Language': headers['Accept-Language'],
+                    'Accept-Encoding': 'gzip, deflate, br',
+                    'Connection': 'keep-alive',
+                    'Upgrade-Insecure-Requests': '1'
+                },
+                timeout: 15000
+            })).data
+        }
+    ];
+    
+    const { quote, strategy } = await quoteNormalizer.normalizeFirst(strategies, {
+        code: stockCode,
+        onFailure: (name, error) => console.log(`⚠️ ${name} 실패: ${error.message}`)
+    });
+    console.log(`✅ 네이버 ${strategy} 성공: ${symbol}`);
+    
+    const result = {
+        success: true,
+        symbol: quote.code,
+        originalSymbol: symbol,
+        koreanName: quote.name || securitiesMaster.getName(quote.code),
+        price: quote.price,
+        change: quote.change,
+        changePercent: quote.changePercent,
+        volume: quote.volume,
+        tradingValue: quote.tradingValue,
+        marketCap: null, // 발행주식수 정보가 없어 제공하지 않음
+        previousClose: quote.previousClose,
+        open: quote.open,
+        dayHigh: quote.dayHigh,
+        dayLow: quote.dayLow,
+        fiftyTwoWeekHigh: quote.fiftyTwoWeekHigh,
+        fiftyTwoWeekLow: quote.fiftyTwoWeekLow,
+        pe: quote.per,
+        currency: 'KRW',
+        exchangeName: 'KRX',
+        marketState: quote.marketState || 'UNKNOWN',
+        timestamp: new Date().toISOString(),
+        lastUpdateTime: quote.tradedAt || new Date().toISOString(),
+        source: quote.source,
+        isRealTime: quote.isRealTime
+    };
+    
+    console.log(`✅ 네이버 ${result.isRealTime ? '실시간 API' : '스크래핑'} ${symbol} 데이터:`, {
+        name: result.koreanName,
+        price: result.price,
+        change: result.change,
+        volume: result.volume
+    });
+    
+    return result;
+}
+
+// 4. KIS API 연동 (토큰과 API 키는 서버에서만 관리, 클라이언트에는 시세만 전달)
+const { kisClient, AccountClientCache } = require('./kis-client');
+
+// KIS 오류 응답 (KISError는 지정된 상태 코드, 그 외는 500)
+function sendKISError(res, error, fallbackMessage) {
+    console.error(`${fallbackMessage}:`, error.message);
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : fallbackMessage,
+        errorCode: error.code || 'KIS_API_ERROR'
+    });
+}
+
+// 토큰 발급 상태 확인 (토큰 값은 반환하지 않음)
+app.post('/api/kis-token', async (req, res) => {
+    try {
+        const status = await kisClient.getTokenStatus();
+        
+        res.json({
+            success: true,
+            tokenIssued: status.issued,
+            expiresAt: status.expiresAt
+        });
+        
+    } catch (error) {
+        sendKISError(res, error, 'KIS API 인증 실패');
+    }
+});
+
+app.get('/api/kis-stock/:code', async (req, res) => {
+    try {
+        const code = securitiesMaster.resolveCode(req.params.code) || req.params.code;
+        const quote = await kisClient.getStockQuote(code);
+        
+        res.json({
+            ...quote,
+            originalSymbol: req.params.code,
+            koreanName: securitiesMaster.getName(code)
+        });
+        
+    } catch (error) {
+        sendKISError(res, error, '주식 정보 조회 실패');
+    }
+});
+
+// 4-1. KIS 다종목 시세 일괄 조회 (초당 TR 제한은 클라이언트 모듈의 대기열이 조절)
+async function handleKISQuotesRequest(req, res) {
+    try {
+        const symbols = parseSymbols(req.method === 'POST' ? req.body.symbols : req.query.symbols);
+        const codes = [...new Set(symbols.map(symbol => securitiesMaster.resolveCode(symbol) || symbol))];
+        const quotes = await kisClient.getStockQuotes(codes);
+        
+        quotes.forEach(item => {
+            if (item.status === 'ok') {
+                item.quote.koreanName = securitiesMaster.getName(item.symbol);
+            }
+        });
+        
+        const failedCount = quotes.filter(item => item.status !== 'ok').length;
+        console.log(`📊 KIS 시세 일괄 조회: ${quotes.length}개 (실패 ${failedCount}개)`);
+        
+        res.json({
+            success: true,
+            quotes: quotes,
+            count: quotes.length,
+            failedCount: failedCount,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        sendKISError(res, error, 'KIS 시세 일괄 조회 실패');
+    }
+}
+
+app.get('/api/kis-quotes', handleKISQuotesRequest);
+app.post('/api/kis-quotes', handleKISQuotesRequest);
+
+// 4-2. 과거 시세 (OHLCV 봉 데이터, KIS 기간별 시세 → 네이버 차트 순서로 조회)
+const { HistoryService } = require('./history-service');
+const historyService = new HistoryService({ kisClient });
+
+app.get('/api/history/:code', async (req, res) => {
+    try {
+        const code = securitiesMaster.resolveCode(req.params.code);
+        if (!code) {
+            return res.status(404).json({
+                success: false,
+                error: '종목을 찾을 수 없습니다.',
+                errorCode: 'SECURITY_NOT_FOUND'
+            });
+        }
+        
+        const history = await historyService.getHistory(code, {
+            period: req.query.period,
+            interval: req.query.interval
+        });
+        
+        res.json({
+            success: true,
+            ...history,
+            name: securitiesMaster.getName(code),
+            count: history.candles.length,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error(`과거 시세 조회 오류 (${req.params.code}):`, error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : '과거 시세 조회 실패',
+            errorCode: error.code || 'HISTORY_ERROR'
+        });
+    }
+});
+
+// 4-3. 증권 계좌 연결 (사용자 본인이 발급받은 KIS 앱 키/시크릿과 계좌번호, 서버에 암호화 저장)
+const { BrokerLinkStore } = require('./broker-link-store');
+const brokerLinkStore = new BrokerLinkStore();
+
+// 사용자별 KIS 클라이언트 (유휴 시간/최대 개수 초과 시 제거되어 복호화된 키와 토큰을 계속 들고 있지 않음)
+const accountClients = new AccountClientCache();
+
+async function getAccountClient(userId) {
+    const credentials = await brokerLinkStore.getCredentials(userId, 'kis');
+    return accountClients.get(userId, credentials);
+}
+
+app.get('/api/broker-links/kis', authenticate, async (req, res) => {
+    try {
+        res.json({ success: true, link: await brokerLinkStore.getLink(req.user.id, 'kis') });
+    } catch (error) {
+        sendKISError(res, error, '증권 계좌 연결 조회 실패');
+    }
+});
+
+app.put('/api/broker-links/kis', authenticate, async (req, res) => {
+    try {
+        const { appKey, appSecret, accountNo, virtual } = req.body;
+        const link = await brokerLinkStore.linkKIS(req.user.id, { appKey, appSecret, accountNo, virtual });
+        accountClients.delete(req.user.id);
+
+        res.json({ success: true, message: '증권 계좌가 연결되었습니다.', link });
+    } catch (error) {
+        sendKISError(res, error, '증권 계좌 연결 실패');
+    }
+});
+
+app.delete('/api/broker-links/kis', authenticate, async (req, res) => {
+    try {
+        await brokerLinkStore.unlink(req.user.id, 'kis');
+        accountClients.delete(req.user.id);
+
+        res.json({ success: true, message: '증권 계좌 연결이 해제되었습니다.' });
+    } catch (error) {
+        sendKISError(res, error, '증권 계좌 연결 해제 실패');
+    }
+});
+
+// 4-4. 증권 계좌 잔고 가져오기 (KIS 국내주식 잔고 → 보유 종목, 매입 평균가, 예수금)
+// 로그인 사용자가 연결한 본인 계좌만 조회 (연결 전이면 404 BROKER_NOT_LINKED)
+app.post('/api/broker-import/kis', authenticate, async (req, res) => {
+    try {
+        const client = await getAccountClient(req.user.id);
+        const balance = await client.getBalance();
+        
+        console.log(`🏦 KIS 잔고 가져오기: ${balance.holdings.length}개 종목 (${balance.accountNo})`);
+        
+        res.json({
+            success: true,
+            ...balance
+        });
+        
+    } catch (error) {
+        sendKISError(res, error, 'KIS 잔고 조회 실패');
+    }
+});
+
+// 5. 포트폴리오 저장/불러오기 (서버 측 영속 저장소, 로그인 사용자 본인 것만)
+const { PortfolioStore } = require('./portfolio-store');
+const portfolioStore = new PortfolioStore();
+
+// 포트폴리오 오류 응답 (PortfolioError는 지정된 상태 코드, 그 외는 500)
+function sendPortfolioError(res, error, fallbackMessage) {
+    console.error(`${fallbackMessage}:`, error.message);
+    res.status(error.status || 500).json({
+        error: error.status ? error.message : fallbackMessage,
+        errorCode: error.code || 'PORTFOLIO_STORE_ERROR',
+        currentVersion: error.currentVersion
+    });
+}
+
+// 저장 시 기대 버전: If-Match 헤더("3" 또는 W/"3") 우선, 없으면 요청 본문의 버전 필드
+// 포트폴리오 데이터 안의 version은 쓰지 않음 (없으면 버전 확인 없이 저장)
+function resolveExpectedVersion(req, bodyVersion) {
+    const ifMatch = (req.get('If-Match') || '').trim();
+    if (ifMatch && ifMatch !== '*') {
+        return ifMatch.replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+    }
+    return bodyVersion;
+}
+
+app.post('/api/portfolio/save', authenticate, async (req, res) => {
+    try {
+        const { portfolio, portfolioId, name, expectedVersion } = req.body;
+        
+        const saved = await portfolioStore.savePortfolio(req.user.id, portfolio, {
+            portfolioId,
+            name,
+            expectedVersion: resolveExpectedVersion(req, expectedVersion)
+        });
+        
+        res.set('ETag', `"${saved.version}"`).json({
+            success: true,
+            message: '포트폴리오가 저장되었습니다.',
+            portfolioId: saved.portfolioId,
+            version: saved.version
+        });
+        
+    } catch (error) {
+        sendPortfolioError(res, error, '포트폴리오 저장 실패');
+    }
+});
+
+app.get('/api/portfolio/:userId', authenticate, requireOwner(), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const latest = await portfolioStore.getLatestPortfolio(userId);
+        
+        res.set('ETag', `"${latest.version}"`).json({
+            success: true,
+            portfolioId: latest.portfolioId,
+            name: latest.name,
+            portfolio: latest.portfolio
+        });
+        
+    } catch (error) {
+        sendPortfolioError(res, error, '포트폴리오 조회 실패');
+    }
+});
+
+// 사용자별 다중 포트폴리오 관리
+app.get('/api/portfolios/:userId', authenticate, requireOwner(), async (req, res) => {
+    try {
+        const portfolios = await portfolioStore.listPortfolios(req.params.userId);
+        
+        res.json({
+            success: true,
+            portfolios: portfolios,
+            count: portfolios.length
+        });
+        
+    } catch (error) {
+        sendPortfolioError(res, error, '포트폴리오 목록 조회 실패');
+    }
+});
+
+app.get('/api/portfolios/:userId/:portfolioId', authenticate, requireOwner(), async (req, res) => {
+    try {
+        const { userId, portfolioId } = req.params;
+        const detail = await portfolioStore.getPortfolio(userId, portfolioId);
+        
+        res.set('ETag', `"${detail.version}"`).json({
+            success: true,
+            ...detail
+        });
+        
+    } catch (error) {
+        sendPortfolioError(res, error, '포트폴리오 조회 실패');
+    }
+});
+
+app.get('/api/portfolios/:userId/:portfolioId/versions', authenticate, requireOwner(), async (req, res) => {
+    try {
+        const { userId, portfolioId } = req.params;
+        const versions = await portfolioStore.getVersionHistory(userId, portfolioId);
+        
+        res.json({
+            success: true,
+            portfolioId: portfolioId,
+            versions: versions
+        });
+        
+    } catch (error) {
+        sendPortfolioError(res, error, '포트폴리오 버전 조회 실패');
+    }
+});
+
+app.put('/api/portfolios/:userId/:portfolioId', authenticate, requireOwner(), async (req, res) => {
+    try {
+        const { userId, portfolioId } = req.params;
+        const { portfolio, name } = req.body;
+        const version = resolveExpectedVersion(req, req.body.version);
+        
+        if (version === undefined || version === null) {
+            return res.status(400).json({
+                error: '수정할 포트폴리오의 현재 버전(If-Match 헤더 또는 version)이 필요합니다.',
+                errorCode: 'VERSION_REQUIRED'
+            });
+        }
+        
+        const saved = await portfolioStore.savePortfolio(userId, portfolio, {
+            portfolioId,
+            name,
+            expectedVersion: version
+        });
+        
+        res.set('ETag', `"${saved.version}"`).json({
+            success: true,
+            message: '포트폴리오가 수정되었습니다.',
+            ...saved
+        });
+        
+    } catch (error) {
+        sendPortfolioError(res, error, '포트폴리오 수정 실패');
+    }
+});
+
+app.delete('/api/portfolios/:userId/:portfolioId', authenticate, requireOwner(), async (req, res) => {
+    try {
+        const { userId, portfolioId } = req.params;
+        await portfolioStore.deletePortfolio(userId, portfolioId);
+        
+        res.json({
+            success: true,
+            message: '포트폴리오가 삭제되었습니다.',
+            portfolioId: portfolioId
+        });
+        
+    } catch (error) {
+        sendPortfolioError(res, error, '포트폴리오 삭제 실패');
+    }
+});
+
+// 5-1. 투자 제안서 PDF (저장된 포트폴리오 + 현재 시세, 한글 글꼴 포함)
+const { PortfolioReport, buildReportModel, loadReportFontData } = require('./portfolio-report');
+const portfolioReport = new PortfolioReport();
+
+// 브라우저 PDF 생성용 한글 글꼴 (서버에서 한 번 받아 캐시)
+app.get('/api/report/font.ttf', async (req, res) => {
+    try {
+        const fontData = await loadReportFontData();
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.type('font/ttf').send(Buffer.from(fontData));
+    } catch (error) {
+        console.error('PDF 글꼴 제공 실패:', error.message);
+        res.status(error.status || 500).json({ success: false, error: error.message, errorCode: error.code || 'FONT_UNAVAILABLE' });
+    }
+});
+
+app.get('/api/report/:portfolioId.pdf', authenticate, async (req, res) => {
+    try {
+        // 관리자는 ?userId=로 다른 사용자의 제안서 생성 가능
+        const userId = req.user.role === ROLES.ADMIN && req.query.userId ? req.query.userId : req.user.id;
+        const detail = await portfolioStore.getPortfolio(userId, req.params.portfolioId);
+        const portfolio = detail.portfolio;
+
+        // 보유 종목 현재 시세 (실패한 종목은 저장된 가격으로 대체)
+        const symbols = Object.keys(portfolio.stocks || {});
+        const marketData = { ...(portfolio.marketData || {}) };
+        if (symbols.length > 0) {
+            try {
+                const quotes = await quoteService.getQuotes(symbols);
+                quotes.filter(item => item.status === 'ok').forEach(item => {
+                    marketData[item.symbol] = item.quote;
+                });
+            } catch (quoteError) {
+                console.warn('⚠️ 보고서 시세 조회 실패, 저장된 가격 사용:', quoteError.message);
+            }
+        }
+
+        const model = buildReportModel({
+            title: `${detail.name} 투자 제안서`,
+            portfolio,
+            marketData,
+            profile: { riskLevel: portfolio.riskLevel, targetReturn: portfolio.targetReturn },
+            advice: portfolio.advice,
+            actionPlan: portfolio.actionPlan
+        });
+        const pdf = await portfolioReport.toArrayBuffer(model);
+
+        console.log(`📄 투자 제안서 PDF 생성: ${detail.portfolioId} (${model.holdings.length}개 종목)`);
+
+        res.set('Content-Disposition', `attachment; filename="report.pdf"; filename*=UTF-8''${encodeURIComponent(PortfolioReport.fileName(model))}`);
+        res.type('application/pdf').send(Buffer.from(pdf));
+
+    } catch (error) {
+        sendPortfolioError(res, error, '투자 제안서 생성 실패');
+    }
+});
+
+// 6. 네이버페이 결제 API (승인/취소/내역/정기결제, 로그인 사용자 본인 결제만)
+
+// 결제 오류 응답 (PaymentError는 지정된 상태 코드, 그 외는 게이트웨이 오류로 처리)
+function sendPaymentError(res, error, fallbackMessage) {
+    console.error(`${fallbackMessage}:`, error.message);
+    res.status(error.status || 502).json({
+        success: false,
+        message: error.status ? error.message : fallbackMessage,
+        errorCode: error.code || 'PAYMENT_GATEWAY_ERROR'
+    });
+}
+
+// 결제 주문 생성 (구독은 플랜/주기로 서버 요금표 금액 확정, 응답의 merchantPayKey와 금액으로 결제창 호출)
+app.post('/api/naverpay/orders', authenticate, async (req, res) => {
+    try {
+        const { productType, subscriptionPlan, subscriptionCycle, totalPayAmount, productName, merchantUserKey } = req.body;
+
+        const order = await paymentService.createOrder({
+            userId: req.user.id,
+            productType,
+            subscriptionPlan,
+            subscriptionCycle,
+            totalPayAmount,
+            productName,
+            merchantUserKey
+        });
+
+        res.status(201).json({ success: true, order });
+
+    } catch (error) {
+        sendPaymentError(res, error, '결제 주문 생성에 실패했습니다.');
+    }
+});
+
+app.post('/api/naverpay/approve', authenticate, async (req, res) => {
+    try {
+        const { paymentId, merchantPayKey } = req.body;
+
+        const { payment, duplicated } = await paymentService.approvePayment({
+            paymentId,
+            merchantPayKey,
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            paymentDetail: payment,
+            duplicated: duplicated
+        });
+
+    } catch (error) {
+        sendPaymentError(res, error, '결제 승인에 실패했습니다.');
+    }
+});
+
+// 결제 취소 (가맹점 환불 API이므로 관리자 전용, 사용자 환불 요청은 관리자가 확인 후 처리)
+app.post('/api/naverpay/cancel', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const { payment, cancellation } = await paymentService.cancelPayment({
+            ...req.body,
+            userId: null
+        });
+
+        res.json({
+            success: true,
+            cancelDetail: {
+                ...cancellation,
+                paymentId: payment.paymentId,
+                totalPayAmount: payment.totalPayAmount,
+                cancelledAmount: payment.cancelledAmount,
+                status: payment.status
+            }
+        });
+
+    } catch (error) {
+        sendPaymentError(res, error, '결제 취소에 실패했습니다.');
+    }
+});
+
+app.get('/api/naverpay/payments', authenticate, async (req, res) => {
+    try {
+        // 관리자는 전체(또는 ?userId=) 내역, 그 외는 본인 내역만
+        const history = await paymentService.getPaymentHistory({
+            ...req.query,
+            userId: req.user.role === ROLES.ADMIN ? req.query.userId : req.user.id
+        });
+
+        res.json({
+            success: true,
+            ...history
+        });
+
+    } catch (error) {
+        sendPaymentError(res, error, '결제 내역 조회에 실패했습니다.');
+    }
+});
+
+app.post('/api/naverpay/recurring/register', authenticate, async (req, res) => {
+    try {
+        const recurring = await paymentService.registerRecurringPayment(req.body, req.user.id);
+
+        res.json({
+            success: true,
+            recurringId: recurring.recurringId,
+            status: recurring.status,
+            recurring: recurring
+        });
+
+    } catch (error) {
+        sendPaymentError(res, error, '정기 결제 등록에 실패했습니다.');
+    }
+});
+
+// 7. 사용자 인증 (회원가입/로그인/토큰 갱신/로그아웃/프로필/비밀번호 재설정/잠금 해제)
+
+// 인증 오류 응답 (AuthError는 지정된 상태 코드, 그 외는 500 / 로그인 시도 제한은 Retry-After 포함)
+function sendAuthError(res, error, fallbackMessage) {
+    console.error(`${fallbackMessage}:`, error.message);
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : fallbackMessage,
+        errorCode: error.code || 'AUTH_ERROR',
+        ...(error.retryAfter ? { retryAfter: error.retryAfter } : {})
+    });
+}
+
+const clientMeta = req => ({ userAgent: req.get('user-agent') || null, ip: req.ip });
+
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const user = await authService.register(req.body);
+
+        res.status(201).json({
+            success: true,
+            message: '회원가입이 완료되었습니다.',
+            userId: user.id,
+            user: user
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, '회원가입에 실패했습니다.');
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const session = await authService.login(email, password, clientMeta(req));
+
+        res.json({ success: true, ...session });
+
+    } catch (error) {
+        sendAuthError(res, error, '로그인에 실패했습니다.');
+    }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const session = await authService.refresh(req.body.refreshToken, clientMeta(req));
+
+        res.json({ success: true, ...session });
+
+    } catch (error) {
+        sendAuthError(res, error, '토큰 갱신에 실패했습니다.');
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const { refreshToken, allDevices } = req.body;
+
+        await authService.logout(refreshToken, { allDevices: Boolean(allDevices) });
+
+        res.json({ success: true, message: '로그아웃되었습니다.' });
+
+    } catch (error) {
+        sendAuthError(res, error, '로그아웃에 실패했습니다.');
+    }
+});
+
+// 프로필 (역할은 구독 이용권을 반영한 현재 역할)
+app.get('/api/auth/profile', authenticate, async (req, res) => {
+    try {
+        const user = await authService.getProfile(req.user.id);
+
+        res.json({
+            success: true,
+            user: { ...user, role: req.user.role, subscription: req.user.entitlement }
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, '프로필 조회에 실패했습니다.');
+    }
+});
+
+app.put('/api/auth/profile', authenticate, async (req, res) => {
+    try {
+        const user = await authService.updateProfile(req.user.id, req.body);
+
+        res.json({
+            success: true,
+            user: { ...user, role: req.user.role, subscription: req.user.entitlement }
+        });
+
+    } catch (error) {
+        sendAuthError(res, error, '프로필 수정에 실패했습니다.');
+    }
+});
+
+app.post('/api/auth/password-reset/request', async (req, res) => {
+    try {
+        await authService.requestPasswordReset(req.body.email, clientMeta(req));
+
+        res.json({ success: true, message: '가입된 이메일이라면 비밀번호 재설정 안내가 발송됩니다.' });
+
+    } catch (error) {
+        sendAuthError(res, error, '비밀번호 재설정 요청에 실패했습니다.');
+    }
+});
+
+app.post('/api/auth/password-reset/confirm', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        await authService.resetPassword(token, password);
+
+        res.json({ success: true, message: '비밀번호가 변경되었습니다. 다시 로그인해주세요.' });
+
+    } catch (error) {
+        sendAuthError(res, error, '비밀번호 재설정에 실패했습니다.');
+    }
+});
+
+// 로그인 잠금 해제 (잠금 시 자동 발송되는 메일 링크, 메일을 다시 받을 때는 request)
+app.post('/api/auth/unlock/request', async (req, res) => {
+    try {
+        await authService.requestAccountUnlock(req.body.email, clientMeta(req));
+
+        res.json({ success: true, message: '가입된 이메일이라면 잠금 해제 안내가 발송됩니다.' });
+
+    } catch (error) {
+        sendAuthError(res, error, '잠금 해제 요청에 실패했습니다.');
+    }
+});
+
+app.post('/api/auth/unlock', async (req, res) => {
+    try {
+        const user = await authService.unlockAccount(req.body.token, clientMeta(req));
+
+        res.json({ success: true, message: '계정 잠금이 해제되었습니다. 다시 로그인해주세요.', email: user.email });
+
+    } catch (error) {
+        sendAuthError(res, error, '계정 잠금 해제에 실패했습니다.');
+    }
+});
+
+// 가입 이메일 인증 (가입 시 자동 발송, 메일을 다시 받을 때는 request)
+app.post('/api/auth/verify-email/request', authenticate, async (req, res) => {
+    try {
+        const sent = await authService.requestEmailVerification(req.user.id);
+
+        res.json({ success: true, message: sent ? '인증 메일이 발송되었습니다.' : '이미 인증된 이메일입니다.' });
+
+    } catch (error) {
+        sendAuthError(res, error, '인증 메일 발송에 실패했습니다.');
+    }
+});
+
+app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+        const user = await authService.verifyEmail(req.body.token);
+
+        res.json({ success: true, message: '이메일 인증이 완료되었습니다. 다시 로그인해주세요.', email: user.email });
+
+    } catch (error) {
+        sendAuthError(res, error, '이메일 인증에 실패했습니다.');
+    }
+});
+
+// 로그인 잠금/해제 감사 기록 (관리자 전용, ?account=&type=&limit=)
+app.get('/api/auth/audit-events', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+    try {
+        const events = await authService.throttle.getAuditEvents({
+            account: req.query.account ? String(req.query.account).trim().toLowerCase() : undefined,
+            type: req.query.type,
+            limit: req.query.limit
+        });
+
+        res.json({ success: true, events });
+
+    } catch (error) {
+        sendAuthError(res, error, '감사 기록 조회에 실패했습니다.');
+    }
+});
+
+// 7-1. 소셜 로그인 (네이버/구글 OAuth 2.0 인가 코드 + state + PKCE)
+// start → 제공자 로그인 → callback → login.html?oauthTicket= → POST exchange로 세션 토큰 수령
+const { createOAuthProvider } = require('./oauth-providers');
+const OAUTH_STATE_COOKIE = 'mydata_oauth_state';
+
+function readCookie(req, name) {
+    const match = String(req.headers.cookie || '').split(';')
+        .map(part => part.trim().split('='))
+        .find(([key]) => key === name);
+    return match ? decodeURIComponent(match.slice(1).join('=')) : null;
+}
+
+// 로그인 후 돌아갈 경로 (같은 출처의 경로만 허용)
+// 브라우저는 URL의 탭/줄바꿈을 지우고 '\'를 '/'로 읽으므로('/\t/evil.com' → '//evil.com') 제어·공백 문자와 '\'는 거부하고,
+// 앱 주소 기준으로 해석한 결과가 같은 출처일 때만 경로 부분을 돌려줌
+function safeReturnPath(value) {
+    if (typeof value !== 'string' || !value.startsWith('/') || /[\u0000-\u0020\u007f\\]/.test(value)) {
+        return null;
+    }
+
+    const base = new URL(authService.appUrl);
+    let url;
+    try {
+        url = new URL(value, base);
+    } catch (error) {
+        return null;
+    }
+    return url.origin === base.origin ? `${url.pathname}${url.search}${url.hash}` : null;
+}
+
+function oauthRedirectUri(providerName) {
+    return `${authService.appUrl}/api/auth/oauth/${providerName}/callback`;
+}
+
+// 콜백 오류는 JSON 대신 로그인 화면으로 돌려보내 메시지 표시
+function redirectOAuthError(res, error, fallbackMessage) {
+    console.error(`${fallbackMessage}:`, error.message);
+    const message = error.status ? error.message : fallbackMessage;
+    res.redirect(`/login.html?error=oauth&message=${encodeURIComponent(message)}`);
+}
+
+app.get('/api/auth/oauth/:provider/start', async (req, res) => {
+    try {
+        const provider = createOAuthProvider(req.params.provider);
+        const { state, authorizationUrl } = await authService.beginOAuth(provider, {
+            redirectUri: oauthRedirectUri(provider.name),
+            returnTo: safeReturnPath(req.query.returnTo)
+        });
+
+        // 제공자에서 돌아오는 최상위 이동에도 전송되도록 SameSite=Lax
+        res.cookie(OAUTH_STATE_COOKIE, state, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: process.env.NODE_ENV === 'production',
+            path: '/api/auth/oauth',
+            maxAge: 10 * 60 * 1000
+        });
+        res.redirect(authorizationUrl);
+
+    } catch (error) {
+        redirectOAuthError(res, error, '소셜 로그인을 시작하지 못했습니다.');
+    }
+});
+
+app.get('/api/auth/oauth/:provider/callback', async (req, res) => {
+    res.clearCookie(OAUTH_STATE_COOKIE, { path: '/api/auth/oauth' });
+
+    try {
+        const { code, state, error } = req.query;
+        if (error) {
+            return res.redirect(`/login.html?error=oauth&message=${encodeURIComponent('소셜 로그인이 취소되었습니다.')}`);
+        }
+
+        const provider = createOAuthProvider(req.params.provider);
+        const result = await authService.completeOAuth(provider, {
+            code,
+            state,
+            browserState: readCookie(req, OAUTH_STATE_COOKIE)
+        });
+
+        const params = new URLSearchParams({ oauthTicket: result.ticket });
+        if (result.returnTo) params.set('returnTo', result.returnTo);
+        res.redirect(`/login.html?${params}`);
+
+    } catch (error) {
+        redirectOAuthError(res, error, '소셜 로그인에 실패했습니다.');
+    }
+});
+
+app.post('/api/auth/oauth/exchange', async (req, res) => {
+    try {
+        const session = await authService.redeemLoginTicket(req.body.ticket, clientMeta(req));
+
+        res.json({ success: true, ...session });
+
+    } catch (error) {
+        sendAuthError(res, error, '소셜 로그인에 실패했습니다.');
     }
 });
 
@@ -985,7 +1702,8 @@ function createRebalancingPrompt(userMessage, portfolioContext) {
 마크다운 형식으로 작성하고, 모든 금액은 원화 기준으로 표시하세요. 투자 위험 고지사항을 포함하세요.`;
 }
 
-function createChatbotPrompt(userMessage, portfolioContext, chatHistory) {
+// 이전 대화는 다중 턴 메시지로 별도 전송되므로 이번 질문과 포트폴리오 정보만 포함
+function createChatbotPrompt(userMessage, portfolioContext) {
     const holdings = portfolioContext.holdings || [];
     const stockNames = holdings.map(h => h.name).join(', ');
     
@@ -1,8 +1,9 @@
 // 마이데이터 투자 제안 시스템 - Service Worker
 // PWA 기능 및 오프라인 지원
 
-const CACHE_NAME = 'mydata-investment-v1.0.0';
-const CACHE_VERSION = '1.0.0';
+// 버전을 올리면 activate 단계에서 이전 캐시(인증 응답이 섞였을 수 있는 v1.0.0 포함)를 삭제
+const CACHE_NAME = 'mydata-investment-v1.1.0';
+const CACHE_VERSION = '1.1.0';
 
 // 캐시할 리소스 목록
 const STATIC_RESOURCES = [
@@ -10,6 +11,13 @@ const STATIC_RESOURCES = [
     '/market-data-integration.html',
     '/style.css',
     '/market-integration.js',
+    '/database.js',
+    '/client-crypto.js',
+    '/auth.js',
+    '/portfolio-parser.js',
+    '/portfolio-ledger.js',
+    '/portfolio-report.js',
+    '/broker-file-import.js',
     '/api-test.html',
     '/manifest.json',
     // CDN 리소스
@@ -21,8 +29,19 @@ const STATIC_RESOURCES = [
 const API_CACHE_PATTERNS = [
     /^https:\/\/api\.allorigins\.win\/raw/,
     /^https:\/\/query1\.finance\.yahoo\.com/,
-    /\/api\/health$/,
-    /\/api\/investment-advice$/
+    /\/api\/health$/
+];
+
+// 캐시해도 되는 서버 API (사용자와 무관한 공개 시세/종목 데이터만)
+// 포트폴리오, 대화, 결제, 인증 등 나머지 /api/ 응답은 사용자별 데이터라 캐시하지 않음
+const MARKET_DATA_API_PATTERNS = [
+    /^\/api\/quotes$/,
+    /^\/api\/kis-quotes$/,
+    /^\/api\/kis-stock\/[^/]+$/,
+    /^\/api\/naver-finance\/[^/]+$/,
+    /^\/api\/naver-search\/[^/]+$/,
+    /^\/api\/securities\/[^/]+$/,
+    /^\/api\/history\/[^/]+$/
 ];
 
 // Service Worker 설치
@@ -73,6 +92,12 @@ self.addEventListener('fetch', event => {
     const { request } = event;
     const url = new URL(request.url);
     
+    // Cache API는 GET만 저장할 수 있으므로 POST/PUT/DELETE는 가로채지 않고 브라우저가 직접 처리
+    // (포트폴리오 저장/삭제 실패가 가짜 오프라인 응답으로 바뀌지 않도록)
+    if (request.method !== 'GET') {
+        return;
+    }
+    
     // API 요청 처리
     if (isApiRequest(url)) {
         event.respondWith(handleApiRequest(request));
@@ -96,19 +121,13 @@ self.addEventListener('fetch', event => {
     );
 });
 
-// API 요청 처리 (캐시 우선, 네트워크 폴백)
+// API 요청 처리 (시세 데이터는 캐시 우선, 나머지는 네트워크만)
 async function handleApiRequest(request) {
     const url = new URL(request.url);
     
     try {
-        // 헬스체크는 항상 최신 데이터
-        if (url.pathname.includes('/health')) {
-            const response = await fetch(request);
-            return response;
-        }
-        
-        // 투자 제안은 POST 요청이므로 캐시하지 않음
-        if (request.method === 'POST') {
+        // 인증 헤더가 붙은 요청과 시세 외 API는 캐시를 거치지 않음 (URL만으로 키를 잡으면 다른 사용자에게 응답이 섞임)
+        if (!isCacheableApiRequest(request, url)) {
             return await fetch(request);
         }
         
@@ -183,6 +202,17 @@ function isApiRequest(url) {
            API_CACHE_PATTERNS.some(pattern => pattern.test(url.href));
 }
 
+// 캐시 가능한 API 요청 판별 (외부 시세 API 또는 인증 없는 서버 시세 API)
+function isCacheableApiRequest(request, url) {
+    if (request.headers.has('Authorization')) {
+        return false;
+    }
+    if (url.origin !== self.location.origin) {
+        return API_CACHE_PATTERNS.some(pattern => pattern.test(url.href));
+    }
+    return MARKET_DATA_API_PATTERNS.some(pattern => pattern.test(url.pathname));
+}
+
 // 정적 리소스 판별
 function isStaticResource(url) {
     return url.pathname.endsWith('.html') ||
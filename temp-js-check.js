@@ -1,3 +1,5 @@
+const { parsePortfolioText, resolveHoldingShares } = require('./portfolio-parser');
+
 // 메인 함수들 정의 테스트
 async function analyzePortfolioSimple() {
     console.log('🔍 실시간 포트폴리오 분석 시작');
@@ -19,8 +21,8 @@ async function analyzePortfolioSimple() {
         showQuickNotification('실시간 주가 정보를 조회하고 있습니다...', 'info');
         
         // 실시간 포트폴리오 파싱
-        const portfolio = await parsePortfolioQuick(portfolioText);
         const amount = parseInt(investmentAmount);
+        const portfolio = await parsePortfolioQuick(portfolioText, amount);
         
         console.log('📊 실시간 포트폴리오 데이터:', portfolio);
         
@@ -53,8 +55,17 @@ function showQuickNotification(message, type = 'success') {
     console.log('알림:', message, type);
 }
 
-function parsePortfolioQuick(text) {
-    return { '삼성전자': { shares: 10, currentPrice: 71900 } };
+// 공통 파서 사용 (시세 조회 대신 고정 가격)
+function parsePortfolioQuick(text, totalAmount) {
+    const portfolio = {};
+    parsePortfolioText(text).holdings.forEach(holding => {
+        const currentPrice = 71900;
+        const shares = resolveHoldingShares(holding, currentPrice, totalAmount);
+        if (shares) {
+            portfolio[holding.name || holding.code] = { shares, currentPrice };
+        }
+    });
+    return portfolio;
 }
 
 function displayAnalysisResult(portfolio, amount) {
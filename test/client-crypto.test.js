@@ -0,0 +1,63 @@
+// 마이데이터 투자 제안 시스템 - 클라이언트 암호화 키 잠금 해제 테스트
+// 패스프레이즈 보호 중 새로고침(새 키 관리자)하면 암호화/복호화 요청이 잠금 해제 입력을 기다렸다가 처리되는지 확인
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ClientKeyManager, MemoryKeyStore } = require('../client-crypto');
+
+const PASSPHRASE = 'correct horse battery';
+const ITERATIONS = 1000;
+
+// 패스프레이즈를 설정한 키 저장소와 그 키로 만든 암호문
+async function protectedStore() {
+    const keyStore = new MemoryKeyStore();
+    const manager = new ClientKeyManager({ keyStore, iterations: ITERATIONS });
+    await manager.setPassphrase(PASSPHRASE);
+    return { keyStore, ciphertext: await manager.encrypt('저장된 토큰') };
+}
+
+// 입력 순서대로 응답하고 받은 인자를 기록하는 잠금 해제 입력
+function scriptedPrompt(answers) {
+    const calls = [];
+    const prompt = async (options) => {
+        calls.push(options);
+        return answers.shift();
+    };
+    return { prompt, calls };
+}
+
+test('잠긴 상태의 동시 요청은 잠금 해제 입력을 한 번만 받고 모두 처리', async () => {
+    const { keyStore, ciphertext } = await protectedStore();
+    const { prompt, calls } = scriptedPrompt([PASSPHRASE]);
+    const manager = new ClientKeyManager({ keyStore, iterations: ITERATIONS, unlockPrompt: prompt });
+
+    const [plaintext, encrypted] = await Promise.all([manager.decrypt(ciphertext), manager.encrypt('새 포트폴리오')]);
+
+    assert.equal(plaintext, '저장된 토큰');
+    assert.equal(await manager.decrypt(encrypted), '새 포트폴리오');
+    assert.equal(calls.length, 1);
+    assert.equal(manager.isLocked(), false);
+});
+
+test('패스프레이즈가 틀리면 오류 메시지와 함께 다시 입력받음', async () => {
+    const { keyStore, ciphertext } = await protectedStore();
+    const { prompt, calls } = scriptedPrompt(['wrong passphrase', PASSPHRASE]);
+    const manager = new ClientKeyManager({ keyStore, iterations: ITERATIONS, unlockPrompt: prompt });
+
+    assert.equal(await manager.decrypt(ciphertext), '저장된 토큰');
+    assert.deepEqual(calls, [{ error: null }, { error: '패스프레이즈가 올바르지 않습니다.' }]);
+});
+
+test('잠금 해제를 취소하거나 입력 수단이 없으면 KEY_LOCKED, 이후 요청은 다시 입력받음', async () => {
+    const { keyStore, ciphertext } = await protectedStore();
+    const { prompt, calls } = scriptedPrompt([null, PASSPHRASE]);
+    const manager = new ClientKeyManager({ keyStore, iterations: ITERATIONS, unlockPrompt: prompt });
+
+    await assert.rejects(manager.decrypt(ciphertext), { code: 'KEY_LOCKED' });
+    assert.equal(await manager.decrypt(ciphertext), '저장된 토큰');
+    assert.equal(calls.length, 2);
+
+    const headless = new ClientKeyManager({ keyStore, iterations: ITERATIONS });
+    await assert.rejects(headless.encrypt('평문'), { code: 'KEY_LOCKED' });
+});
@@ -0,0 +1,224 @@
+// 마이데이터 투자 제안 시스템 - 데이터 가져오기(importData) 테스트
+// 병합 시 포트폴리오 ID 매핑과 중복 건너뛰기, 교체 시 비우기와 쓰기가 한 트랜잭션으로 처리되는지 확인
+
+require('fake-indexeddb/auto');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MyDataDatabase } = require('../database');
+
+const DB_NAME = 'MyDataInvestmentDB';
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function exportFile(stores) {
+    return { format: 'mydata-investment-export', version: '2.0.0', schemaVersion: 4, stores };
+}
+
+function portfolio(id, name, amount, userId = 'default') {
+    return {
+        id,
+        userId,
+        timestamp: `2024-03-0${id}T09:00:00.000Z`,
+        type: 'user_input',
+        totalAmount: amount,
+        stocks: [{ name, amount }],
+        cash: 0,
+        source: null,
+        performance: { totalValue: amount, returnRate: 0 }
+    };
+}
+
+// 자동 증가 키로 저장할 레코드 (id 필드 자체를 빼야 함)
+function withoutId({ id, ...record }) {
+    return record;
+}
+
+let database = null;
+
+test.beforeEach(async () => {
+    await promisify(indexedDB.deleteDatabase(DB_NAME));
+    database = new MyDataDatabase();
+    await database.initDatabase();
+});
+
+test.afterEach(() => {
+    database.close();
+});
+
+test('병합 가져오기는 새 포트폴리오 ID로 성과 기록을 연결하고 같은 내용은 건너뜀', async () => {
+    const existingId = await database.addRecord('portfolios', withoutId(portfolio(1, '삼성전자', 1000000)));
+
+    const report = await database.importData(exportFile({
+        portfolios: [portfolio(1, '삼성전자', 1000000), portfolio(2, '카카오', 500000)],
+        performanceHistory: [
+            { portfolioId: 2, date: '2024-03-02', timestamp: '2024-03-02T09:00:00.000Z', returnRate: 1.5 },
+            { portfolioId: 2, date: '2024-03-02', timestamp: '2024-03-02T09:00:00.000Z', returnRate: 1.5 }
+        ]
+    }), { mode: 'merge' });
+
+    assert.deepEqual(report.added, { portfolios: 1, performanceHistory: 1 });
+    assert.deepEqual(report.skipped, { portfolios: 1, performanceHistory: 1 });
+
+    const portfolios = await database.getAllRecords('portfolios');
+    const kakao = portfolios.find(record => record.stocks[0].name === '카카오');
+    assert.equal(portfolios.length, 2);
+    assert.notEqual(kakao.id, existingId);
+
+    const [history] = await database.getAllRecords('performanceHistory');
+    assert.equal(history.portfolioId, kakao.id);
+});
+
+test('교체 가져오기는 파일에 있는 스토어를 비우고 파일 내용으로 바꿈', async () => {
+    await database.addRecord('portfolios', withoutId(portfolio(1, '삼성전자', 1000000)));
+    await database.addRecord('portfolios', withoutId(portfolio(2, 'NAVER', 2000000)));
+    await database.updateRecord('userPreferences', { userId: 'default', riskLevel: 'moderate' });
+
+    const report = await database.importData(exportFile({
+        portfolios: [portfolio(7, '카카오', 500000)]
+    }), { mode: 'replace' });
+
+    assert.deepEqual(report.added, { portfolios: 1 });
+    const portfolios = await database.getAllRecords('portfolios');
+    assert.deepEqual(portfolios.map(record => [record.id, record.stocks[0].name]), [[7, '카카오']]);
+    assert.equal((await database.getAllRecords('userPreferences')).length, 1, '파일에 없는 스토어는 유지');
+});
+
+test('교체 가져오기 중 쓰기가 실패하면 비우기까지 취소되어 기존 데이터 유지', async () => {
+    await database.addRecord('portfolios', withoutId(portfolio(1, '삼성전자', 1000000)));
+    await database.addRecord('performanceHistory', { portfolioId: 1, date: '2024-03-01', timestamp: '2024-03-01T09:00:00.000Z', returnRate: 0 });
+
+    // 구조화 복제가 불가능한 값은 put에서 DataCloneError
+    const broken = { ...portfolio(3, 'SK하이닉스', 700000), callback: () => {} };
+
+    await assert.rejects(database.importData(exportFile({
+        portfolios: [portfolio(2, '카카오', 500000), broken],
+        performanceHistory: [{ portfolioId: 2, date: '2024-03-02', timestamp: '2024-03-02T09:00:00.000Z', returnRate: 1 }]
+    }), { mode: 'replace' }));
+
+    const portfolios = await database.getAllRecords('portfolios');
+    assert.deepEqual(portfolios.map(record => record.stocks[0].name), ['삼성전자']);
+    assert.equal((await database.getAllRecords('performanceHistory')).length, 1);
+});
+
+test('가져온 거래는 같은 사용자의 기존 거래 기록으로만 검증', async () => {
+    await database.addTransaction({ type: 'buy', name: '삼성전자', date: '2024-03-01', shares: 10, price: 70000 }, 'user-a');
+
+    const report = await database.importData(exportFile({
+        transactions: [
+            { id: 'tx_b_sell', userId: 'user-b', type: 'sell', name: '삼성전자', date: '2024-03-02', shares: 5, price: 72000, createdAt: '2024-03-02T09:00:00.000Z' },
+            { id: 'tx_a_sell', userId: 'user-a', type: 'sell', name: '삼성전자', date: '2024-03-02', shares: 5, price: 72000, createdAt: '2024-03-02T09:00:00.000Z' }
+        ]
+    }), { mode: 'merge' });
+
+    assert.equal(report.added.transactions, 1);
+    assert.deepEqual(report.rejected.map(({ store, index }) => [store, index]), [['transactions', 0]], '다른 사용자의 매수로 매도를 허용하지 않음');
+    assert.deepEqual((await database.getTransactions('user-a')).map(record => record.type), ['buy', 'sell']);
+    assert.deepEqual(await database.getTransactions('user-b'), []);
+});
+
+test('userId나 createdAt이 없는 거래는 거부하고 나머지만 가져옴', async () => {
+    const buy = { id: 'tx_buy', userId: 'user-a', type: 'buy', name: '삼성전자', date: '2024-03-01', shares: 10, price: 70000, createdAt: '2024-03-01T09:00:00.000Z' };
+    const { userId, ...withoutUser } = { ...buy, id: 'tx_no_user' };
+    const { createdAt, ...withoutCreatedAt } = { ...buy, id: 'tx_no_created_at', date: '2024-03-02' };
+
+    const report = await database.importData(exportFile({ transactions: [withoutUser, buy, withoutCreatedAt] }), { mode: 'merge' });
+
+    assert.equal(report.added.transactions, 1);
+    assert.deepEqual(report.rejected.map(({ index, reason }) => [index, reason]), [
+        [0, '필수 필드 userId(string) 누락 또는 형식 오류'],
+        [2, '필수 필드 createdAt(string) 누락 또는 형식 오류']
+    ]);
+    assert.deepEqual((await database.getTransactions('user-a')).map(record => record.id), ['tx_buy']);
+});
+
+test('v4 이전 파일의 포트폴리오 내장 원장은 거래 기록으로 가져옴', async () => {
+    const buy = { id: 'tx_buy', type: 'buy', name: '카카오', date: '2024-03-01', shares: 10, price: 50000, fee: 0, tax: 0 };
+
+    const report = await database.importData({
+        ...exportFile({ portfolios: [{ ...portfolio(1, '카카오', 500000), ledger: [buy] }] }),
+        schemaVersion: 4
+    }, { mode: 'merge' });
+
+    assert.deepEqual(report.added, { portfolios: 1, transactions: 1 });
+    const [stored] = await database.getAllRecords('portfolios');
+    assert.equal(stored.ledger, undefined);
+    assert.deepEqual((await database.getPortfolioLedger(stored)).map(record => [record.id, record.portfolioId]), [['tx_buy', stored.id]]);
+    assert.deepEqual(await database.getTransactions('default'), [], '계좌 거래 기록에는 추가하지 않음');
+});
+
+test('병합 가져오기는 포트폴리오 원장 거래의 portfolioId를 새 포트폴리오 ID로 바꾸고 그 원장으로 검증', async () => {
+    const existingId = await database.addRecord('portfolios', withoutId(portfolio(1, '삼성전자', 1000000)));
+    await database.addLedgerTransaction(existingId, { type: 'buy', name: '삼성전자', date: '2024-03-01', shares: 10, price: 70000 });
+
+    const report = await database.importData(exportFile({
+        portfolios: [portfolio(5, '카카오', 500000)],
+        transactions: [
+            { id: 'tx_kakao_buy', userId: 'default', portfolioId: 5, type: 'buy', name: '카카오', date: '2024-03-02', shares: 10, price: 50000, createdAt: '2024-03-02T09:00:00.000Z' },
+            { id: 'tx_samsung_sell', userId: 'default', portfolioId: 5, type: 'sell', name: '삼성전자', date: '2024-03-03', shares: 5, price: 72000, createdAt: '2024-03-03T09:00:00.000Z' }
+        ]
+    }), { mode: 'merge' });
+
+    assert.equal(report.added.transactions, 1);
+    assert.deepEqual(report.rejected.map(({ index }) => index), [1], '다른 포트폴리오 원장의 매수로 매도를 허용하지 않음');
+
+    const kakao = (await database.getAllRecords('portfolios')).find(record => record.stocks[0].name === '카카오');
+    assert.notEqual(kakao.id, 5);
+    assert.deepEqual((await database.getPortfolioLedger(kakao)).map(record => record.id), ['tx_kakao_buy']);
+});
+
+test('포트폴리오 거래 추가는 그 포트폴리오의 원장에만 저장되고 보유 종목을 합치지 않음', async () => {
+    const portfolioId = await database.savePortfolio({
+        totalAmount: 700000,
+        stocks: { 삼성전자: { shares: 10, avgPrice: 70000, purchaseDate: '2024-03-01' } }
+    }, 'user-a');
+    const otherId = await database.savePortfolio({
+        totalAmount: 500000,
+        stocks: { 카카오: { shares: 10, avgPrice: 50000, purchaseDate: '2024-03-01' } }
+    }, 'user-a');
+
+    await database.addLedgerTransaction(portfolioId, { type: 'sell', name: '삼성전자', date: '2024-03-05', shares: 4, price: 75000 });
+    await database.addLedgerTransaction(otherId, { type: 'buy', name: '카카오', date: '2024-03-06', shares: 2, price: 48000 });
+
+    // 최초 매수(보유 종목)와 매도가 이 포트폴리오의 원장 거래로 저장됨
+    const updated = await database.getRecord('portfolios', portfolioId);
+    const ledger = await database.getPortfolioLedger(updated);
+    assert.deepEqual(ledger.map(record => [record.type, record.name, record.shares, record.portfolioId]),
+        [['buy', '삼성전자', 10, portfolioId], ['sell', '삼성전자', 4, portfolioId]]);
+    assert.equal(updated.ledger, undefined);
+    assert.deepEqual(Object.keys(updated.stocks), ['삼성전자']);
+    assert.equal(updated.stocks.삼성전자.shares, 6);
+
+    const other = await database.getRecord('portfolios', otherId);
+    assert.deepEqual(Object.keys(other.stocks), ['카카오']);
+    assert.equal(other.stocks.카카오.shares, 12);
+
+    // 계좌 거래 기록과도 분리 (계좌 거래는 포트폴리오 원장에 보이지 않고 포트폴리오 원장 거래는 계좌 거래에 보이지 않음)
+    await database.addTransaction({ type: 'dividend', name: '삼성전자', date: '2024-03-10', amount: 2000 }, 'user-a');
+    assert.equal((await database.getPortfolioLedger(updated)).length, 2);
+    assert.deepEqual((await database.getTransactions('user-a')).map(record => record.type), ['dividend']);
+
+    const snapshots = (await database.getAllRecords('performanceHistory')).filter(record => record.portfolioId === portfolioId);
+    assert.equal(snapshots.length, 2, '저장 시 스냅샷과 거래 추가 스냅샷');
+});
+
+test('포트폴리오 거래 추가가 실패하면 거래, 포트폴리오, 성과 스냅샷 모두 저장하지 않음', async () => {
+    const portfolioId = await database.savePortfolio({
+        totalAmount: 700000,
+        stocks: { 삼성전자: { shares: 10, avgPrice: 70000, purchaseDate: '2024-03-01' } }
+    }, 'user-a');
+    const before = await database.getRecord('portfolios', portfolioId);
+
+    await assert.rejects(database.addLedgerTransaction(portfolioId, { type: 'sell', name: '삼성전자', date: '2024-03-11', shares: 11, price: 75000 }));
+    await assert.rejects(database.addLedgerTransaction(9999, { type: 'buy', name: '삼성전자', date: '2024-03-11', shares: 1, price: 75000 }), /포트폴리오를 찾을 수 없습니다/);
+
+    assert.deepEqual(await database.getAllRecords('transactions'), []);
+    assert.deepEqual(await database.getRecord('portfolios', portfolioId), before);
+    assert.equal((await database.getAllRecords('performanceHistory')).length, 1);
+});
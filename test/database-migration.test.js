@@ -0,0 +1,267 @@
+// 마이데이터 투자 제안 시스템 - IndexedDB 스키마 마이그레이션 테스트
+// fake-indexeddb 위에서 최초 버전(v1) 데이터베이스를 만들고 데이터가 있는 상태로 최신 버전까지 업그레이드
+
+require('fake-indexeddb/auto');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// 마이그레이션 전 백업이 쓰는 localStorage (브라우저 API 대체)
+class MemoryLocalStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+globalThis.localStorage = new MemoryLocalStorage();
+
+const { MyDataDatabase } = require('../database');
+
+const DB_NAME = 'MyDataInvestmentDB';
+const LATEST_VERSION = 6;
+
+// 최초 배포 버전의 스키마 (database.js v1: 스토어 5개, portfolios에는 type 인덱스까지 포함)
+const BASELINE_STORES = {
+    portfolios: { keyPath: 'id', autoIncrement: true, indexes: ['userId', 'timestamp', 'type'] },
+    marketData: { keyPath: 'id', autoIncrement: true, indexes: ['symbol', 'timestamp', 'source'] },
+    investmentAdvice: { keyPath: 'id', autoIncrement: true, indexes: ['portfolioId', 'timestamp', 'riskLevel'] },
+    userPreferences: { keyPath: 'userId', indexes: ['lastUpdated'] },
+    performanceHistory: { keyPath: 'id', autoIncrement: true, indexes: ['portfolioId', 'date', 'returnRate'] }
+};
+
+const BASELINE_RECORDS = {
+    portfolios: [
+        {
+            userId: 'default',
+            timestamp: '2024-03-02T09:00:00.000Z',
+            totalAmount: 10000000,
+            stocks: [{ name: '삼성전자', amount: 6000000 }, { name: 'SK하이닉스', amount: 4000000 }],
+            marketData: {},
+            performance: { totalValue: 10000000, returnRate: 0 },
+            version: '1.0.0'
+        },
+        {
+            userId: 'user-b',
+            timestamp: '2024-03-05T09:00:00.000Z',
+            totalAmount: 3000000,
+            stocks: [{ name: '카카오', amount: 3000000 }],
+            marketData: {},
+            performance: { totalValue: 3000000, returnRate: 0 },
+            version: '1.0.0'
+        }
+    ],
+    performanceHistory: [
+        { portfolioId: 1, date: '2024-03-02', timestamp: '2024-03-02T09:00:00.000Z', returnRate: 0, totalValue: 10000000 },
+        { portfolioId: 1, date: '2024-03-03', timestamp: '2024-03-03T09:00:00.000Z', returnRate: 1.2, totalValue: 10120000 }
+    ],
+    userPreferences: [
+        { userId: 'default', riskLevel: 'moderate', lastUpdated: '2024-03-02T09:00:00.000Z' }
+    ]
+};
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// v1 데이터베이스 생성 후 레코드 저장
+async function createBaselineDatabase(records = BASELINE_RECORDS) {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+        Object.entries(BASELINE_STORES).forEach(([storeName, config]) => {
+            const store = request.result.createObjectStore(storeName, {
+                keyPath: config.keyPath,
+                autoIncrement: config.autoIncrement || false
+            });
+            config.indexes.forEach(indexName => store.createIndex(indexName, indexName, { unique: false }));
+        });
+    };
+    const db = await promisify(request);
+
+    const transaction = db.transaction(Object.keys(records), 'readwrite');
+    Object.entries(records).forEach(([storeName, storeRecords]) => {
+        storeRecords.forEach(record => transaction.objectStore(storeName).add(record));
+    });
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+
+    db.close();
+}
+
+function readAll(db, storeName, indexName = null, query = undefined) {
+    const store = db.transaction([storeName], 'readonly').objectStore(storeName);
+    return promisify((indexName ? store.index(indexName) : store).getAll(query));
+}
+
+async function openDatabase() {
+    const database = new MyDataDatabase();
+    await database.initDatabase();
+    return database;
+}
+
+let database = null;
+
+test.beforeEach(async () => {
+    localStorage.clear();
+    await promisify(indexedDB.deleteDatabase(DB_NAME));
+});
+
+test.afterEach(() => {
+    if (database) {
+        database.close();
+        database = null;
+    }
+});
+
+test('새로 설치하면 최신 버전 스키마로 생성하고 백업은 만들지 않음', async () => {
+    database = await openDatabase();
+
+    assert.equal(database.db.version, LATEST_VERSION);
+    assert.deepEqual([...database.db.objectStoreNames].sort(), [
+        'chatSessions', 'investmentAdvice', 'marketData', 'performanceHistory',
+        'portfolios', 'transactions', 'userPreferences'
+    ]);
+    assert.equal(localStorage.items.size, 0);
+});
+
+test('v1 데이터베이스를 기존 데이터와 함께 최신 버전으로 업그레이드', async () => {
+    await createBaselineDatabase();
+
+    database = await openDatabase();
+    const db = database.db;
+
+    assert.equal(db.version, LATEST_VERSION);
+    assert.ok(db.objectStoreNames.contains('chatSessions'));
+    assert.ok(db.objectStoreNames.contains('transactions'));
+    assert.deepEqual(await readAll(db, 'transactions'), []);
+
+    // v4: 포트폴리오 유형/예수금/출처 기본값, 기존 ID와 내용은 유지
+    const portfolios = await readAll(db, 'portfolios');
+    assert.equal(portfolios.length, 2);
+    portfolios.forEach((portfolio, index) => {
+        const original = BASELINE_RECORDS.portfolios[index];
+        assert.deepEqual(portfolio, { ...original, id: index + 1, type: 'user_input', cash: 0, source: null });
+    });
+    assert.equal((await readAll(db, 'portfolios', 'type', 'user_input')).length, 2);
+
+    // v4: 성과 스냅샷 실현손익 기본값
+    const history = await readAll(db, 'performanceHistory');
+    assert.deepEqual(history.map(record => record.realizedPnL), [0, 0]);
+    assert.deepEqual(history.map(record => record.returnRate), [0, 1.2]);
+
+    // 변환 대상이 아닌 스토어는 그대로
+    assert.deepEqual(await readAll(db, 'userPreferences'), BASELINE_RECORDS.userPreferences);
+});
+
+test('업그레이드 전 v1 데이터를 localStorage에 백업', async () => {
+    await createBaselineDatabase();
+
+    database = await openDatabase();
+    const backup = database.getMigrationBackup(1);
+
+    assert.ok(backup, 'v1 백업이 있어야 함');
+    assert.equal(backup.schemaVersion, 1);
+    assert.deepEqual(Object.keys(backup.stores).sort(), Object.keys(BASELINE_STORES).sort());
+    assert.deepEqual(backup.stores.portfolios.map(portfolio => portfolio.userId), ['default', 'user-b'], '모든 사용자 백업');
+    assert.equal(backup.stores.portfolios[0].totalAmount, 10000000);
+    assert.equal(backup.stores.portfolios[0].type, undefined, '백업은 변환 전 원본');
+    assert.equal(database.getMigrationBackup(LATEST_VERSION), null);
+});
+
+test('이미 새 필드가 있는 레코드는 변환하지 않음', async () => {
+    const brokerPortfolio = {
+        ...BASELINE_RECORDS.portfolios[0],
+        type: 'broker_import',
+        cash: 250000,
+        source: { broker: 'kis', importedAt: '2024-03-02T09:00:00.000Z' }
+    };
+    await createBaselineDatabase({ portfolios: [brokerPortfolio] });
+
+    database = await openDatabase();
+    const [portfolio] = await readAll(database.db, 'portfolios');
+
+    assert.deepEqual(portfolio, { ...brokerPortfolio, id: 1 });
+});
+
+test('최신 버전을 다시 열면 마이그레이션과 백업을 반복하지 않음', async () => {
+    await createBaselineDatabase();
+    database = await openDatabase();
+    database.close();
+    localStorage.clear();
+
+    database = await openDatabase();
+
+    assert.equal(database.db.version, LATEST_VERSION);
+    assert.equal(localStorage.items.size, 0);
+    assert.equal((await readAll(database.db, 'portfolios')).length, 2);
+});
+
+test('포트폴리오에 내장된 원장은 사용자별 최근 원장을 그 포트폴리오의 원장 거래로 옮기고 포트폴리오에서 제거', async () => {
+    const buy = { id: 'tx_buy', type: 'buy', name: '삼성전자', date: '2024-03-01', shares: 10, price: 70000, fee: 0, tax: 0 };
+    const sell = { id: 'tx_sell', type: 'sell', name: '삼성전자', date: '2024-03-04', shares: 4, price: 72000, fee: 0, tax: 0 };
+    const [older, userB] = BASELINE_RECORDS.portfolios;
+    await createBaselineDatabase({
+        portfolios: [
+            { ...older, ledger: [buy] },
+            { ...older, timestamp: '2024-03-04T09:00:00.000Z', ledger: [buy, sell] },
+            { ...userB, ledger: [] }
+        ]
+    });
+
+    database = await openDatabase();
+
+    const portfolios = await readAll(database.db, 'portfolios');
+    assert.ok(portfolios.every(portfolio => !('ledger' in portfolio)), '포트폴리오에는 원장을 저장하지 않음');
+
+    const latest = portfolios.find(portfolio => portfolio.id === 2);
+    const transactions = await database.getPortfolioLedger(latest);
+    assert.deepEqual(transactions.map(record => record.id), ['tx_buy', 'tx_sell'], '가장 최근 스냅샷의 원장');
+    assert.deepEqual(transactions.map(record => record.portfolioId), [2, 2]);
+    assert.equal(transactions[0].createdAt, '2024-03-04T09:00:00.000Z');
+    assert.deepEqual(await readAll(database.db, 'transactions', 'portfolioId', 2), transactions, 'v6 portfolioId 인덱스');
+
+    // 계좌 거래 기록과는 분리되고, 이전 스냅샷은 보유 종목으로 만든 원장 사용
+    assert.deepEqual(await database.getTransactions('default'), []);
+    assert.deepEqual(await database.getTransactions('user-b'), []);
+    assert.equal((await database.getPortfolioLedger(portfolios[0])).length, 0);
+});
+
+test('업그레이드 후 저장한 포트폴리오는 출처를 암호화해 저장하고 읽을 때 복호화', async () => {
+    await createBaselineDatabase();
+    database = await openDatabase();
+
+    const source = { broker: 'kis', accountNo: '50123456-01', importedAt: '2024-03-06T09:00:00.000Z' };
+    const id = await database.savePortfolio({
+        type: 'broker_import',
+        totalAmount: 5000000,
+        stocks: [{ name: '삼성전자', amount: 5000000 }],
+        source
+    });
+
+    const [stored] = (await readAll(database.db, 'portfolios')).filter(record => record.id === id);
+    assert.match(stored.source, /^enc:v1:/);
+
+    const [latest] = await database.getPortfolios('default', 1);
+    assert.deepEqual(latest.source, source);
+    assert.equal((await database.getPortfolios('user-b')).length, 1);
+});
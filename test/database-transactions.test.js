@@ -0,0 +1,47 @@
+// 마이데이터 투자 제안 시스템 - 거래 기록(transactions) 테스트
+// 거래 삭제의 소유자 확인과 원장 검증이 한 트랜잭션에서 처리되는지 확인
+
+require('fake-indexeddb/auto');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MyDataDatabase } = require('../database');
+
+const DB_NAME = 'MyDataInvestmentDB';
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+let database = null;
+
+test.beforeEach(async () => {
+    await promisify(indexedDB.deleteDatabase(DB_NAME));
+    database = new MyDataDatabase();
+    await database.initDatabase();
+});
+
+test.afterEach(() => {
+    database.close();
+});
+
+test('다른 사용자의 거래는 삭제하지 않음', async () => {
+    await database.addTransaction({ type: 'buy', name: '삼성전자', date: '2024-03-01', shares: 10, price: 70000 }, 'user-b');
+    const sell = await database.addTransaction({ type: 'sell', name: '삼성전자', date: '2024-03-02', shares: 10, price: 72000 }, 'user-b');
+    const [buy] = await database.getTransactions('user-b');
+
+    await assert.rejects(database.deleteTransaction(buy.id, 'user-a'), /거래 기록을 찾을 수 없습니다/);
+    await assert.rejects(database.deleteTransaction('tx_missing', 'user-b'), /거래 기록을 찾을 수 없습니다/);
+    assert.equal((await database.getTransactions('user-b')).length, 2);
+
+    // 본인 거래라도 이후 매도 수량이 보유 수량을 넘게 되면 거부하고 그대로 유지
+    await assert.rejects(database.deleteTransaction(buy.id, 'user-b'));
+    assert.equal((await database.getTransactions('user-b')).length, 2);
+
+    assert.equal(await database.deleteTransaction(sell.id, 'user-b'), true);
+    assert.deepEqual((await database.getTransactions('user-b')).map(record => record.id), [buy.id]);
+});
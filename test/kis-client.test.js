@@ -0,0 +1,63 @@
+// 마이데이터 투자 제안 시스템 - KIS 계좌 클라이언트 캐시 테스트
+// 사용자별 클라이언트 재사용, 연결 정보 변경 시 재생성, 유휴 시간/최대 개수 초과 시 제거 확인
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AccountClientCache } = require('../kis-client');
+
+// 생성한 클라이언트를 기록하는 캐시
+function createCache(options = {}) {
+    const created = [];
+    const cache = new AccountClientCache({
+        idleTtl: 1000,
+        maxSize: 2,
+        createClient: (credentials) => {
+            const client = { appKey: credentials.appKey };
+            created.push(client);
+            return client;
+        },
+        ...options
+    });
+    return { cache, created };
+}
+
+const credentials = (appKey, updatedAt = '2024-03-01T00:00:00.000Z') => ({ appKey, appSecret: 'secret', accountNo: '12345678-01', updatedAt });
+
+test('연결 정보가 같으면 클라이언트를 재사용하고 바뀌면 새로 생성', () => {
+    const { cache, created } = createCache();
+
+    const first = cache.get('user-a', credentials('key-a'), 0);
+    assert.equal(cache.get('user-a', credentials('key-a'), 500), first);
+
+    const relinked = cache.get('user-a', credentials('key-a2', '2024-03-02T00:00:00.000Z'), 600);
+    assert.notEqual(relinked, first);
+    assert.equal(created.length, 2);
+    assert.equal(cache.size, 1);
+});
+
+test('유휴 시간이 지난 클라이언트는 제거하고 다음 요청에서 새로 생성', () => {
+    const { cache, created } = createCache();
+
+    cache.get('user-a', credentials('key-a'), 0);
+    cache.get('user-b', credentials('key-b'), 900);
+    cache.get('user-b', credentials('key-b'), 1500);
+
+    assert.deepEqual([...cache.entries.keys()], ['user-b'], 'user-a는 1000ms 동안 쓰지 않아 제거');
+    cache.get('user-a', credentials('key-a'), 1600);
+    assert.equal(created.length, 3);
+});
+
+test('최대 개수를 넘으면 가장 오래 쓰지 않은 사용자부터 제거', () => {
+    const { cache } = createCache();
+
+    cache.get('user-a', credentials('key-a'), 0);
+    cache.get('user-b', credentials('key-b'), 10);
+    cache.get('user-a', credentials('key-a'), 20);
+    cache.get('user-c', credentials('key-c'), 30);
+
+    assert.deepEqual([...cache.entries.keys()], ['user-a', 'user-c']);
+
+    cache.delete('user-a');
+    assert.equal(cache.size, 1);
+});
@@ -0,0 +1,156 @@
+// 마이데이터 투자 제안 시스템 - 로그인 시도 제한/계정 잠금 테스트
+// 실패 누적 시 지수 백오프, 잠금 임계치, Retry-After 값, 이메일 링크 잠금 해제와 메일 요청 횟수 제한 확인
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LoginThrottle, THROTTLE_POLICY, createThrottleBackend } = require('../login-throttle');
+const { AuthService, createAuthBackend } = require('../auth-service');
+
+const ACCOUNT = 'user@example.com';
+const PASSWORD = 'Passw0rd!23';
+const IP = '203.0.113.7';
+
+function createThrottle(policy = {}) {
+    return new LoginThrottle({ store: createThrottleBackend('memory'), policy });
+}
+
+// 발송한 메일을 기록하는 인증 서비스 (로그인 백오프 없이 잠금 임계치만 확인하도록 policy 조정 가능)
+async function createAuth(policy = {}) {
+    const mails = [];
+    const auth = new AuthService({
+        store: createAuthBackend('memory'),
+        secret: 'test-secret',
+        throttle: createThrottle(policy),
+        mailer: { async send(to, subject, body) { mails.push({ to, subject, body }); } }
+    });
+    await auth.register({ email: ACCOUNT, password: PASSWORD, name: '사용자', agreeToTerms: true });
+    return { auth, mails };
+}
+
+// 예약 후 실패 확정 (로그인 실패 한 번)
+async function fail(throttle, now, ip = IP) {
+    const decision = await throttle.reserve(ACCOUNT, ip, now);
+    assert.equal(decision.allowed, true);
+    return throttle.recordFailure(ACCOUNT, ip, {}, now);
+}
+
+test('무료 시도 이후에는 실패할 때마다 대기 시간이 두 배로 늘어남', async () => {
+    const throttle = createThrottle();
+    const start = 1_700_000_000_000;
+
+    for (let i = 0; i < THROTTLE_POLICY.accountFreeAttempts; i++) {
+        await fail(throttle, start);
+    }
+
+    let now = start;
+    for (const expectedDelay of [1000, 2000, 4000]) {
+        const blocked = await throttle.reserve(ACCOUNT, IP, now);
+        assert.deepEqual(blocked, { allowed: false, retryAfterMs: expectedDelay, reason: 'ACCOUNT_BACKOFF' });
+
+        now += expectedDelay;
+        await fail(throttle, now);
+    }
+});
+
+test('구간 내 실패가 임계치에 이르면 계정을 잠그고 감사 기록을 남김', async () => {
+    const throttle = createThrottle({ baseDelayMs: 0 });
+    const now = 1_700_000_000_000;
+
+    let failure;
+    for (let i = 0; i < THROTTLE_POLICY.accountLockThreshold; i++) {
+        failure = await fail(throttle, now + i);
+        assert.equal(failure.locked, i === THROTTLE_POLICY.accountLockThreshold - 1);
+    }
+
+    const lockedAt = now + THROTTLE_POLICY.accountLockThreshold - 1;
+    assert.equal(failure.lockedUntil, lockedAt + THROTTLE_POLICY.lockDurationMs);
+
+    const decision = await throttle.reserve(ACCOUNT, '198.51.100.1', lockedAt + 1000);
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.reason, 'ACCOUNT_LOCKED', '다른 IP에서도 잠금 유지');
+    assert.equal(decision.retryAfterMs, THROTTLE_POLICY.lockDurationMs - 1000);
+
+    const [event] = await throttle.getAuditEvents({ type: 'account_locked' });
+    assert.equal(event.account, ACCOUNT);
+    assert.equal(event.failureCount, THROTTLE_POLICY.accountLockThreshold);
+
+    // 잠금 시간이 지나면 카운터도 초기화
+    assert.equal((await throttle.reserve(ACCOUNT, IP, failure.lockedUntil)).allowed, true);
+});
+
+test('로그인 제한 오류는 Retry-After로 보낼 초 단위 retryAfter를 포함', async () => {
+    const { auth } = await createAuth();
+
+    for (let i = 0; i < THROTTLE_POLICY.accountFreeAttempts; i++) {
+        await assert.rejects(auth.login(ACCOUNT, 'wrong', { ip: IP }), { code: 'INVALID_CREDENTIALS', status: 401 });
+    }
+
+    await assert.rejects(auth.login(ACCOUNT, PASSWORD, { ip: IP }), (error) => {
+        assert.equal(error.code, 'LOGIN_THROTTLED');
+        assert.equal(error.status, 429);
+        assert.equal(error.retryAfter, 1);
+        return true;
+    });
+});
+
+test('잠긴 계정은 자동 발송된 메일 링크로 잠금 해제 후 로그인', async () => {
+    const { auth, mails } = await createAuth({ baseDelayMs: 0 });
+
+    for (let i = 0; i < THROTTLE_POLICY.accountLockThreshold - 1; i++) {
+        await assert.rejects(auth.login(ACCOUNT, 'wrong', { ip: IP }), { code: 'INVALID_CREDENTIALS' });
+    }
+    await assert.rejects(auth.login(ACCOUNT, 'wrong', { ip: IP }), (error) => {
+        assert.equal(error.code, 'ACCOUNT_LOCKED');
+        assert.equal(error.retryAfter, THROTTLE_POLICY.lockDurationMs / 1000);
+        return true;
+    });
+    await assert.rejects(auth.login(ACCOUNT, PASSWORD, { ip: IP }), { code: 'ACCOUNT_LOCKED' });
+
+    const unlockMail = mails.find(mail => mail.subject.includes('잠금 해제'));
+    const token = unlockMail.body.match(/unlockToken=([^&\s]+)/)[1];
+
+    const profile = await auth.unlockAccount(token, { ip: IP });
+    assert.equal(profile.emailVerified, true, '잠금 해제 링크로 이메일 소유도 확인');
+    assert.ok((await auth.login(ACCOUNT, PASSWORD, { ip: IP })).accessToken);
+    await assert.rejects(auth.unlockAccount(token), { code: 'UNLOCK_TOKEN_INVALID' }, '토큰은 1회용');
+
+    const [event] = await auth.throttle.getAuditEvents({ type: 'account_unlocked' });
+    assert.deepEqual([event.method, event.wasLocked], ['email_verification', true]);
+});
+
+test('비밀번호 재설정/잠금 해제 메일 요청은 이메일별, IP별로 제한', async () => {
+    const { auth, mails } = await createAuth();
+    const sentBefore = mails.length;
+
+    for (let i = 0; i < THROTTLE_POLICY.mailAccountLimit; i++) {
+        await auth.requestPasswordReset(ACCOUNT, { ip: IP });
+    }
+    await assert.rejects(auth.requestPasswordReset(ACCOUNT, { ip: '198.51.100.1' }), (error) => {
+        assert.equal(error.code, 'MAIL_REQUEST_THROTTLED');
+        assert.equal(error.status, 429);
+        assert.equal(error.retryAfter, THROTTLE_POLICY.mailWindowMs / 1000);
+        return true;
+    });
+    assert.equal(mails.length - sentBefore, THROTTLE_POLICY.mailAccountLimit);
+
+    // 용도가 다르면 이메일별 한도는 따로 집계, 없는 이메일도 같은 기준으로 제한 (가입 여부 비노출)
+    await auth.requestAccountUnlock(ACCOUNT, { ip: IP });
+    for (let i = 0; i < THROTTLE_POLICY.mailIpLimit - THROTTLE_POLICY.mailAccountLimit - 1; i++) {
+        await auth.requestPasswordReset(`nobody${i}@example.com`, { ip: IP });
+    }
+    await assert.rejects(auth.requestAccountUnlock('someone@example.com', { ip: IP }), { code: 'MAIL_REQUEST_THROTTLED' });
+});
+
+test('메일 요청 한도는 구간이 지나면 다시 허용', async () => {
+    const throttle = createThrottle();
+    const now = 1_700_000_000_000;
+
+    for (let i = 0; i < THROTTLE_POLICY.mailAccountLimit; i++) {
+        assert.equal((await throttle.reserveMailRequest('unlock', ACCOUNT, IP, now + i)).allowed, true);
+    }
+    const blocked = await throttle.reserveMailRequest('unlock', ACCOUNT, IP, now + 10);
+    assert.deepEqual(blocked, { allowed: false, retryAfterMs: THROTTLE_POLICY.mailWindowMs - 10, reason: 'MAIL_ACCOUNT_LIMIT' });
+
+    assert.equal((await throttle.reserveMailRequest('unlock', ACCOUNT, IP, now + THROTTLE_POLICY.mailWindowMs)).allowed, true);
+});
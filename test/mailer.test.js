@@ -0,0 +1,102 @@
+// 마이데이터 투자 제안 시스템 - 메일 발송 어댑터 테스트
+// 운영 환경의 콘솔 메일 거부와 메일 본문 토큰이 로그에 남지 않는지 확인
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMailer, ConsoleMailer, SmtpMailer } = require('../mailer');
+const { AuthService, createAuthBackend } = require('../auth-service');
+const { LoginThrottle, createThrottleBackend } = require('../login-throttle');
+
+// 테스트 동안 환경 변수 덮어쓰기 (끝나면 원래 값 복원)
+function withEnv(values, fn) {
+    const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+    Object.entries(values).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    });
+    try {
+        return fn();
+    } finally {
+        Object.entries(previous).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+    }
+}
+
+// console.log 출력 수집
+async function captureLogs(fn) {
+    const lines = [];
+    const original = console.log;
+    console.log = (...args) => lines.push(args.join(' '));
+    try {
+        await fn();
+    } finally {
+        console.log = original;
+    }
+    return lines.join('\n');
+}
+
+function createAuth(mailer) {
+    return new AuthService({
+        store: createAuthBackend('memory'),
+        throttle: new LoginThrottle({ store: createThrottleBackend('memory') }),
+        secret: 'test-secret',
+        mailer
+    });
+}
+
+test('운영 환경은 SMTP 설정이 없거나 콘솔 메일을 지정하면 시작하지 않음', () => {
+    withEnv({ NODE_ENV: 'production', SMTP_HOST: undefined, MAIL_FROM: undefined, SMTP_USER: undefined, MAIL_TRANSPORT: undefined }, () => {
+        assert.throws(() => createMailer(), /SMTP_HOST/);
+        assert.throws(() => createMailer('console'), /콘솔 메일 사용 불가/);
+    });
+
+    withEnv({ NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com', MAIL_FROM: 'no-reply@example.com' }, () => {
+        assert.ok(createMailer() instanceof SmtpMailer);
+        assert.throws(() => createMailer('console'), /콘솔 메일 사용 불가/);
+    });
+
+    withEnv({ NODE_ENV: 'development', SMTP_HOST: undefined, MAIL_TRANSPORT: undefined }, () => {
+        assert.ok(createMailer() instanceof ConsoleMailer);
+    });
+});
+
+test('콘솔 메일은 비밀번호 재설정/잠금 해제/이메일 인증 토큰을 출력하지 않음', async () => {
+    const sent = [];
+    const consoleMailer = new ConsoleMailer();
+    const mailer = {
+        async send(to, subject, body) {
+            sent.push(body);
+            await consoleMailer.send(to, subject, body);
+        }
+    };
+    const auth = createAuth(mailer);
+
+    const output = await captureLogs(async () => {
+        await auth.register({ email: 'user@example.com', password: 'Passw0rd!23', name: '사용자', agreeToTerms: true });
+        await auth.requestPasswordReset('user@example.com');
+        await auth.requestAccountUnlock('user@example.com');
+    });
+
+    const tokens = sent.map(body => body.match(/Token=([^&\s]+)/)[1]);
+    assert.equal(tokens.length, 3);
+    tokens.forEach(token => assert.ok(!output.includes(token), '로그에 토큰이 없어야 함'));
+    assert.match(output, /verifyToken=\[가림\]/);
+});
+
+test('메일 발송이 실패해도 가입과 재설정 요청은 처리', async () => {
+    const mailer = { async send() { throw new Error('SMTP 연결 실패'); } };
+    const auth = createAuth(mailer);
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const profile = await auth.register({ email: 'user@example.com', password: 'Passw0rd!23', name: '사용자', agreeToTerms: true });
+        assert.equal(profile.email, 'user@example.com');
+        assert.equal(await auth.requestPasswordReset('user@example.com'), true);
+    } finally {
+        console.error = originalError;
+    }
+});
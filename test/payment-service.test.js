@@ -0,0 +1,251 @@
+// 마이데이터 투자 제안 시스템 - 결제 서비스 테스트
+// 모의 게이트웨이로 주문 → 승인 → 취소 흐름과 구독 이용권 발급/회수를 오프라인에서 확인
+// (승인 멱등성, 승인 금액 대조, 부분 취소 잔액, 정기결제 요금, 취소 중 저장소 대기열)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { PaymentService, PAYMENT_STATUS } = require('../payment-service');
+const { MockNaverPayGateway } = require('../naverpay-gateway');
+const { MemoryBackend } = require('../portfolio-store');
+const { JsonFileStore } = require('../json-file-store');
+
+const USER_ID = 'user-a';
+
+function createService() {
+    return new PaymentService({
+        gateway: new MockNaverPayGateway(),
+        store: new MemoryBackend({ payments: {}, merchantPayKeys: {}, recurring: {}, entitlements: {}, orders: {} })
+    });
+}
+
+// 구독 주문 생성 후 모의 결제 승인
+async function subscribe(service, userId = USER_ID, { plan = 'premium', cycle = 'monthly' } = {}) {
+    const order = await service.createOrder({ userId, productType: 'SUBSCRIPTION', subscriptionPlan: plan, subscriptionCycle: cycle });
+    const { payment } = await service.approvePayment({ paymentId: `pay_${order.merchantPayKey}`, merchantPayKey: order.merchantPayKey, userId });
+    return payment;
+}
+
+test('같은 결제 승인을 다시 요청하면 저장된 결과를 돌려주고 이용권을 다시 연장하지 않음', async () => {
+    const service = createService();
+    const payment = await subscribe(service);
+    const { expiresAt } = await service.getEntitlement(USER_ID);
+
+    const retried = await service.approvePayment({ paymentId: payment.paymentId, merchantPayKey: payment.merchantPayKey, userId: USER_ID });
+
+    assert.equal(retried.duplicated, true);
+    assert.deepEqual(retried.payment, payment);
+    assert.equal((await service.getEntitlement(USER_ID)).expiresAt, expiresAt);
+    assert.equal((await service.getPaymentHistory({ userId: USER_ID })).totalCount, 1);
+
+    await assert.rejects(
+        service.approvePayment({ paymentId: 'pay_other', merchantPayKey: payment.merchantPayKey, userId: USER_ID }),
+        { code: 'DUPLICATE_MERCHANT_PAY_KEY', status: 409 }
+    );
+    await assert.rejects(
+        service.approvePayment({ paymentId: payment.paymentId, merchantPayKey: payment.merchantPayKey, userId: 'user-b' }),
+        { code: 'DUPLICATE_MERCHANT_PAY_KEY', status: 409 }
+    );
+});
+
+test('승인 금액이 주문 금액과 다르면 게이트웨이 결제를 취소하고 이용권을 발급하지 않음', async () => {
+    const service = createService();
+    const cancels = [];
+    service.gateway.approve = async ({ paymentId, merchantPayKey }) => ({ paymentId, merchantPayKey, totalPayAmount: 100, primaryPayMeans: 'CARD' });
+    service.gateway.cancel = async (request) => {
+        cancels.push(request);
+        return { payHistId: 'hist_1' };
+    };
+
+    const order = await service.createOrder({ userId: USER_ID, productType: 'SUBSCRIPTION', subscriptionPlan: 'premium', subscriptionCycle: 'monthly', totalPayAmount: 100 });
+    assert.equal(order.totalPayAmount, 19900, '구독 금액은 요청 값이 아니라 요금표');
+
+    await assert.rejects(
+        service.approvePayment({ paymentId: 'pay_1', merchantPayKey: order.merchantPayKey, userId: USER_ID }),
+        { code: 'PAYMENT_AMOUNT_MISMATCH', status: 409 }
+    );
+
+    assert.deepEqual(cancels.map(({ paymentId, cancelAmount }) => [paymentId, cancelAmount]), [['pay_1', 100]]);
+    const data = await service.store.read();
+    assert.equal(data.orders[order.merchantPayKey].status, 'REJECTED');
+    assert.deepEqual(data.payments, {});
+    assert.equal(await service.getEntitlement(USER_ID), null);
+
+    await assert.rejects(
+        service.approvePayment({ paymentId: 'pay_1', merchantPayKey: order.merchantPayKey, userId: USER_ID }),
+        { code: 'ORDER_EXPIRED' },
+        '거부된 주문은 다시 승인할 수 없음'
+    );
+});
+
+test('부분 취소는 잔액 한도 안에서 여러 번 가능하고 잔액이 0이 되면 전액 취소', async () => {
+    const service = createService();
+    const order = await service.createOrder({ userId: USER_ID, productType: 'INVESTMENT', totalPayAmount: 10000 });
+    const { payment } = await service.approvePayment({ paymentId: 'pay_investment', merchantPayKey: order.merchantPayKey, userId: USER_ID });
+
+    const first = await service.cancelPayment({ paymentId: payment.paymentId, cancelAmount: 3000, cancelReason: '일부 환불' });
+    assert.deepEqual([first.payment.status, first.payment.restAmount, first.payment.cancelledAmount], [PAYMENT_STATUS.PARTIAL_CANCELED, 7000, 3000]);
+
+    await assert.rejects(
+        service.cancelPayment({ paymentId: payment.paymentId, cancelAmount: 7001, cancelReason: '초과 환불' }),
+        { code: 'CANCEL_AMOUNT_EXCEEDED' }
+    );
+    await assert.rejects(
+        service.cancelPayment({ paymentId: payment.paymentId, cancelAmount: 1000, cancelReason: '고객 요청', userId: 'user-b' }),
+        { code: 'PAYMENT_NOT_FOUND', status: 404 },
+        '다른 사용자의 결제는 취소 불가'
+    );
+
+    const last = await service.cancelPayment({ paymentId: payment.paymentId, cancelAmount: 7000, cancelReason: '나머지 환불' });
+    assert.deepEqual([last.payment.status, last.payment.restAmount], [PAYMENT_STATUS.CANCELED, 0]);
+    assert.deepEqual(last.payment.cancellations.map(item => [item.cancelAmount, item.restAmount]), [[3000, 7000], [7000, 0]]);
+
+    await assert.rejects(
+        service.cancelPayment({ paymentId: payment.paymentId, cancelAmount: 1, cancelReason: '추가 환불' }),
+        { code: 'ALREADY_CANCELED', status: 409 }
+    );
+});
+
+test('구독 결제를 부분 취소해도 이용권 회수', async () => {
+    const service = createService();
+    const payment = await subscribe(service);
+    assert.equal((await service.getEntitlement(USER_ID)).plan, 'premium');
+
+    const { payment: cancelled } = await service.cancelPayment({
+        paymentId: payment.paymentId,
+        cancelAmount: payment.totalPayAmount - 1,
+        cancelReason: '고객 요청'
+    });
+
+    assert.equal(cancelled.status, PAYMENT_STATUS.PARTIAL_CANCELED);
+    assert.equal(cancelled.restAmount, 1);
+    assert.equal(await service.getEntitlement(USER_ID), null);
+});
+
+test('구독 결제를 전액 취소하면 이용권 회수', async () => {
+    const service = createService();
+    const payment = await subscribe(service);
+
+    const { payment: cancelled } = await service.cancelPayment({
+        paymentId: payment.paymentId,
+        cancelAmount: payment.totalPayAmount,
+        cancelReason: '고객 요청'
+    });
+
+    assert.equal(cancelled.status, PAYMENT_STATUS.CANCELED);
+    assert.equal(await service.getEntitlement(USER_ID), null);
+});
+
+test('다른 사용자가 같은 merchantPayKey로 동시에 승인하면 첫 사용자의 결과를 받지 못함', async () => {
+    const service = createService();
+    const order = await service.createOrder({ userId: USER_ID, productType: 'SUBSCRIPTION', subscriptionPlan: 'premium', subscriptionCycle: 'monthly' });
+    const request = { paymentId: `pay_${order.merchantPayKey}`, merchantPayKey: order.merchantPayKey };
+
+    const [owner, other, again] = await Promise.allSettled([
+        service.approvePayment({ ...request, userId: USER_ID }),
+        service.approvePayment({ ...request, userId: 'user-b' }),
+        service.approvePayment({ ...request, userId: USER_ID })
+    ]);
+
+    assert.equal(owner.value.payment.userId, USER_ID);
+    assert.equal(other.status, 'rejected');
+    assert.equal(other.reason.code, 'ORDER_NOT_FOUND');
+    assert.equal(again.value, owner.value, '같은 사용자의 동시 요청은 결과 공유');
+    assert.equal(await service.getEntitlement('user-b'), null);
+});
+
+test('정기결제 금액은 클라이언트 값이 아니라 요금표로 정하고 예약은 본인만 승인', async () => {
+    const service = createService();
+    const requests = [];
+    const register = service.gateway.registerRecurring.bind(service.gateway);
+    service.gateway.registerRecurring = async (recurringData) => {
+        requests.push(recurringData);
+        return recurringData.tempReceiptId
+            ? register(recurringData)
+            : { reserveId: 'reserve_1', status: 'RESERVED' };
+    };
+
+    const reserved = await service.registerRecurringPayment({
+        subscriptionPlan: 'premium',
+        subscriptionCycle: 'yearly',
+        productCode: 'custom',
+        totalPayAmount: 100
+    }, USER_ID);
+
+    assert.equal(reserved.totalPayAmount, 199000);
+    assert.deepEqual([requests[0].productCode, requests[0].totalPayAmount], ['subscription_premium_yearly', 199000]);
+    await assert.rejects(
+        service.registerRecurringPayment({ productCode: 'custom', productName: '임의 상품', totalPayAmount: 100 }, USER_ID),
+        { code: 'INVALID_SUBSCRIPTION_PLAN' }
+    );
+
+    const approval = { reserveId: 'reserve_1', tempReceiptId: 'temp_1', subscriptionPlan: 'basic', subscriptionCycle: 'monthly' };
+    await assert.rejects(service.registerRecurringPayment(approval, 'user-b'), { code: 'RECURRING_NOT_FOUND', status: 404 });
+
+    const active = await service.registerRecurringPayment(approval, USER_ID);
+    assert.equal(active.status, 'ACTIVE');
+    assert.deepEqual([active.subscription.plan, active.totalPayAmount], ['premium', 199000], '승인 단계의 플랜 변경 무시');
+    assert.deepEqual(Object.keys((await service.store.read()).recurring), [active.recurringId]);
+});
+
+test('게이트웨이 취소 응답을 기다리는 동안 저장소 쓰기를 막지 않고 같은 결제의 중복 취소는 거부', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payments-'));
+    const previousDataDir = process.env.DATA_DIR;
+    process.env.DATA_DIR = dataDir;
+
+    try {
+        const service = new PaymentService({
+            gateway: new MockNaverPayGateway(),
+            store: new JsonFileStore('payments.json', { payments: {}, merchantPayKeys: {}, recurring: {}, entitlements: {}, orders: {} })
+        });
+        const payment = await subscribe(service);
+
+        let releaseCancel;
+        const cancel = service.gateway.cancel.bind(service.gateway);
+        service.gateway.cancel = async (request) => {
+            await new Promise(resolve => { releaseCancel = resolve; });
+            return cancel(request);
+        };
+
+        const cancelling = service.cancelPayment({ paymentId: payment.paymentId, cancelAmount: 1000, cancelReason: '고객 요청' });
+        while (!releaseCancel) await new Promise(resolve => setImmediate(resolve));
+
+        // 취소 응답 대기 중에도 다른 주문 생성(저장소 쓰기)은 끝나고, 같은 결제 취소는 진행 중으로 거부
+        const order = await service.createOrder({ userId: 'user-b', productType: 'INVESTMENT', totalPayAmount: 5000 });
+        assert.equal(order.status, 'RESERVED');
+        await assert.rejects(
+            service.cancelPayment({ paymentId: payment.paymentId, cancelAmount: 1000, cancelReason: '중복 요청' }),
+            { code: 'CANCEL_IN_PROGRESS', status: 409 }
+        );
+
+        releaseCancel();
+        const { payment: cancelled } = await cancelling;
+        assert.equal(cancelled.restAmount, payment.totalPayAmount - 1000);
+        assert.equal(cancelled.pendingCancel, undefined);
+        assert.equal(cancelled.cancellations.length, 1);
+    } finally {
+        if (previousDataDir === undefined) delete process.env.DATA_DIR;
+        else process.env.DATA_DIR = previousDataDir;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('게이트웨이 취소가 실패하면 취소 진행 표시를 지워 다시 취소할 수 있음', async () => {
+    const service = createService();
+    const payment = await subscribe(service);
+
+    const cancel = service.gateway.cancel.bind(service.gateway);
+    service.gateway.cancel = async () => { throw new Error('네이버페이 API 호출에 실패했습니다.'); };
+    await assert.rejects(service.cancelPayment({ paymentId: payment.paymentId, cancelAmount: 1000, cancelReason: '고객 요청' }), /네이버페이 API/);
+
+    const stored = await service.getPayment(payment.paymentId);
+    assert.equal(stored.pendingCancel, undefined);
+    assert.equal(stored.restAmount, payment.totalPayAmount);
+
+    service.gateway.cancel = cancel;
+    const { payment: cancelled } = await service.cancelPayment({ paymentId: payment.paymentId, cancelAmount: 1000, cancelReason: '고객 요청' });
+    assert.equal(cancelled.status, PAYMENT_STATUS.PARTIAL_CANCELED);
+});
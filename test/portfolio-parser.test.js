@@ -0,0 +1,55 @@
+// 마이데이터 투자 제안 시스템 - 보유 종목 텍스트 파서 테스트
+// 한 줄에 이어 쓴 여러 종목 분리와 분리할 수 없는 입력의 진단 확인
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePortfolioText } = require('../portfolio-parser');
+
+function summarize(text) {
+    const { holdings, errorCount } = parsePortfolioText(text);
+    return {
+        holdings: holdings.map(({ name, code, shares, weight, amount }) => ({ name: name || code, shares, weight, amount })),
+        errorCount
+    };
+}
+
+test('한 줄에 "종목명 수량주"를 이어 쓰면 종목별로 분리', () => {
+    assert.deepEqual(summarize('삼성전자 10주 카카오 5주'), {
+        holdings: [
+            { name: '삼성전자', shares: 10, weight: null, amount: null },
+            { name: '카카오', shares: 5, weight: null, amount: null }
+        ],
+        errorCount: 0
+    });
+
+    assert.deepEqual(summarize('KODEX 200 30% TIGER 200 20%').holdings.map(holding => [holding.name, holding.weight]),
+        [['KODEX 200', 30], ['TIGER 200', 20]], '숫자가 든 종목명은 유지');
+    assert.deepEqual(summarize('삼성전자 500만원 카카오 1억 2,000만원').holdings.map(holding => [holding.name, holding.amount]),
+        [['삼성전자', 5000000], ['카카오', 120000000]]);
+    assert.deepEqual(summarize('삼성전자 10주 005930 5주').holdings.map(holding => holding.name), ['삼성전자', '005930']);
+});
+
+test('선택 항목(평균 단가, 매입일, 수수료) 뒤에 이어 쓴 종목도 분리', () => {
+    const { holdings, errorCount } = parsePortfolioText('삼성전자 10주 @71,000 2024-01-15 수수료 1,500 카카오 5주 @48,000');
+
+    assert.equal(errorCount, 0);
+    assert.deepEqual(holdings.map(({ name, shares, avgPrice, purchaseDate, fees }) => [name, shares, avgPrice, purchaseDate, fees]), [
+        ['삼성전자', 10, 71000, '2024-01-15', 1500],
+        ['카카오', 5, 48000, null, 0]
+    ]);
+    assert.deepEqual(holdings.map(holding => holding.source), ['삼성전자 10주 @71,000 2024-01-15 수수료 1,500', '카카오 5주 @48,000']);
+});
+
+test('분리할 수 없는 여러 종목은 종목명에 수량을 남기지 않고 진단', () => {
+    const attached = parsePortfolioText('삼성전자 10주카카오 5주');
+    assert.deepEqual(attached.holdings, []);
+    assert.equal(attached.errorCount, 1);
+    assert.match(attached.diagnostics[0].message, /한 항목에 여러 종목/);
+
+    // 단위 없는 수량은 숫자가 든 종목명과 구분할 수 없어 경고
+    const bare = parsePortfolioText('삼성전자 10 카카오 5');
+    assert.equal(bare.errorCount, 0);
+    assert.equal(bare.diagnostics[0].status, 'warning');
+    assert.match(bare.diagnostics[0].message, /삼성전자 10 카카오/);
+});
@@ -0,0 +1,176 @@
+// 마이데이터 투자 제안 시스템 - 시세 응답 정규화 테스트
+// test/fixtures/quotes의 네이버 응답(실시간 API, polling API, 종목 페이지 HTML)을 표준 시세 형식으로 변환하는지 확인
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    QuoteNormalizer,
+    quoteNormalizer,
+    naverStockApiAdapter,
+    naverPollingApiAdapter,
+    naverHtmlAdapter,
+    toAmount,
+    applyDirection
+} = require('../quote-normalizer');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'quotes');
+
+function readFixture(name) {
+    const content = fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+    return name.endsWith('.json') ? JSON.parse(content) : content;
+}
+
+test('실시간 API 응답(datas)을 표준 시세로 변환', () => {
+    const quote = quoteNormalizer.normalize(readFixture('naver-realtime-005930.json'));
+
+    assert.deepEqual(quote, {
+        code: '005930',
+        name: '삼성전자',
+        price: 71900,
+        change: 1100,
+        changePercent: 1.55,
+        previousClose: 70800,
+        open: 70900,
+        dayHigh: 72100,
+        dayLow: 70700,
+        volume: 13204367,
+        tradingValue: 945034000000,
+        fiftyTwoWeekHigh: null,
+        fiftyTwoWeekLow: null,
+        eps: null,
+        per: null,
+        marketState: 'CLOSE',
+        tradedAt: '2024-05-10T07:10:03.000Z',
+        source: 'naver-realtime-api',
+        isRealTime: true
+    });
+});
+
+test('polling API 응답(result.areas)은 rf 하락 코드로 등락 부호를 정함', () => {
+    const quote = quoteNormalizer.normalize(readFixture('naver-polling-000660.json'));
+
+    assert.deepEqual(quote, {
+        code: '000660',
+        name: 'SK하이닉스',
+        price: 177300,
+        change: -2700,
+        changePercent: -1.5,
+        previousClose: 180000,
+        open: 179500,
+        dayHigh: 180400,
+        dayLow: 176500,
+        volume: 2543210,
+        tradingValue: 452123000000,
+        fiftyTwoWeekHigh: 200500,
+        fiftyTwoWeekLow: 118100,
+        eps: -12517,
+        per: null, // 적자(EPS 음수)면 PER을 계산하지 않음
+        marketState: 'CLOSE',
+        tradedAt: '2024-05-10T07:10:03.000Z',
+        source: 'naver-realtime-api',
+        isRealTime: true
+    });
+});
+
+test('종목 페이지 HTML은 시세 표와 52주 최고/최저를 읽고 거래대금은 백만 원 단위를 환산', () => {
+    const quote = quoteNormalizer.normalize(readFixture('naver-item-main-035720.html'));
+
+    assert.deepEqual(quote, {
+        code: '035720',
+        name: '카카오',
+        price: 48150,
+        change: -850,
+        changePercent: -1.73,
+        previousClose: 49000,
+        open: 48950,
+        dayHigh: 49100,
+        dayLow: 47900,
+        volume: 1523487,
+        tradingValue: 73587000000,
+        fiftyTwoWeekHigh: 60700,
+        fiftyTwoWeekLow: 37300,
+        eps: null,
+        per: null,
+        marketState: null,
+        tradedAt: null,
+        source: 'naver-scraping',
+        isRealTime: false
+    });
+});
+
+test('응답 형식별로 하나의 어댑터만 선택', () => {
+    const fixtures = {
+        'naver-realtime-005930.json': naverStockApiAdapter,
+        'naver-polling-000660.json': naverPollingApiAdapter,
+        'naver-item-main-035720.html': naverHtmlAdapter
+    };
+
+    Object.entries(fixtures).forEach(([name, expected]) => {
+        const payload = readFixture(name);
+        const matched = [naverStockApiAdapter, naverPollingApiAdapter, naverHtmlAdapter]
+            .filter(adapter => adapter.matches(payload));
+        assert.deepEqual(matched.map(adapter => adapter.name), [expected.name], name);
+    });
+});
+
+test('응답에 종목코드가 없으면 요청한 코드를 사용', () => {
+    const html = readFixture('naver-item-main-035720.html').replace('<span class="code">035720</span>', '');
+    const quote = quoteNormalizer.normalize(html, { code: '035720' });
+
+    assert.equal(quote.code, '035720');
+});
+
+test('지원하지 않는 형식이나 가격이 없는 응답은 오류', () => {
+    assert.throws(() => quoteNormalizer.normalize({ resultCode: 'success' }), /지원하지 않는 시세 응답 형식/);
+    assert.throws(() => quoteNormalizer.normalize({ datas: [] }), /지원하지 않는 시세 응답 형식/);
+
+    const halted = readFixture('naver-realtime-005930.json');
+    halted.datas[0].closePrice = '0';
+    assert.throws(() => quoteNormalizer.normalize(halted), /시세 데이터를 찾을 수 없습니다/);
+
+    const emptyPage = '<html><body><p>서비스 점검 중입니다.</p></body></html>';
+    assert.throws(() => quoteNormalizer.normalize(emptyPage), /시세 데이터를 찾을 수 없습니다/);
+});
+
+test('어댑터 목록을 지정하면 그 순서대로만 변환', () => {
+    const normalizer = new QuoteNormalizer([naverPollingApiAdapter]);
+
+    assert.equal(normalizer.normalize(readFixture('naver-polling-000660.json')).code, '000660');
+    assert.throws(() => normalizer.normalize(readFixture('naver-realtime-005930.json')), /지원하지 않는 시세 응답 형식/);
+});
+
+test('조회 전략의 응답을 변환할 수 없으면 다음 전략으로 넘어감', async () => {
+    const failures = [];
+    const { quote, strategy } = await quoteNormalizer.normalizeFirst([
+        { name: '실시간 API', fetch: async () => ({ datas: [] }) },
+        { name: '일반 API', fetch: async () => { throw new Error('timeout of 10000ms exceeded'); } },
+        { name: '웹 스크래핑', fetch: async () => readFixture('naver-item-main-035720.html') }
+    ], { code: '035720', onFailure: (name, error) => failures.push([name, error.message]) });
+
+    assert.equal(strategy, '웹 스크래핑');
+    assert.equal(quote.code, '035720');
+    assert.deepEqual(failures, [
+        ['실시간 API', '지원하지 않는 시세 응답 형식입니다.'],
+        ['일반 API', 'timeout of 10000ms exceeded']
+    ]);
+
+    await assert.rejects(quoteNormalizer.normalizeFirst([
+        { name: '실시간 API', fetch: async () => ({ datas: [] }) },
+        { name: '웹 스크래핑', fetch: async () => '<html><body></body></html>' }
+    ]), /시세 데이터를 찾을 수 없습니다/, '모두 실패하면 마지막 오류');
+});
+
+test('금액 단위와 등락 구분 보조 함수', () => {
+    assert.equal(toAmount('1,105,919백만'), 1105919000000);
+    assert.equal(toAmount('3억'), 300000000);
+    assert.equal(toAmount('12,500'), 12500);
+    assert.equal(toAmount(''), null);
+
+    assert.equal(applyDirection(2700, '5'), -2700);
+    assert.equal(applyDirection(-2700, 'RISING'), 2700);
+    assert.equal(applyDirection(150, 'EVEN'), 0);
+    assert.equal(applyDirection(-150, null), -150);
+});
@@ -0,0 +1,47 @@
+// 마이데이터 투자 제안 시스템 - 종목 마스터 검색 테스트
+// 번들된 krx-securities.csv 검색 순위와 영문자가 섞인 신규 종목코드 처리 확인
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SecuritiesMaster, normalizeCode } = require('../securities-master');
+
+const master = new SecuritiesMaster(path.join(__dirname, '..', 'krx-securities.csv'));
+
+function topNames(query, size = 3) {
+    return master.search(query, { size }).results.map(result => result.name);
+}
+
+test('영문명 검색은 점수가 같으면 시가총액 큰 종목부터', () => {
+    assert.deepEqual(topNames('samsung'), ['삼성전자', '삼성전자우', '삼성바이오로직스']);
+    assert.equal(master.resolveCode('samsung electronics'), '005930');
+});
+
+test('종목명 정확 일치와 별칭은 부분 일치보다 먼저', () => {
+    assert.equal(topNames('삼성', 1)[0], '삼성전자');
+    assert.equal(topNames('하닉', 1)[0], 'SK하이닉스');
+    assert.equal(topNames('LG', 1)[0], 'LG');
+});
+
+test('영문자가 섞인 신규 종목코드를 읽고 코드로 검색', () => {
+    assert.equal(normalizeCode('A0126Z0'), '0126Z0');
+    assert.equal(normalizeCode('0126z0.KS'), '0126Z0');
+    assert.equal(normalizeCode('005930'), '005930');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'securities-'));
+    const file = path.join(dir, 'securities.csv');
+    fs.writeFileSync(file, [
+        'code,name,market,englishName,aliases',
+        '005930,삼성전자,KOSPI,Samsung Electronics,삼전',
+        '0126Z0,테스트신규상장,KOSDAQ,Test New Listing,'
+    ].join('\n'));
+
+    const custom = new SecuritiesMaster(file);
+    assert.equal(custom.findByCode('0126z0').name, '테스트신규상장');
+    assert.deepEqual(custom.search('0126z0').results.map(result => result.code), ['0126Z0']);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,141 @@
+// 마이데이터 투자 제안 시스템 - KRX 종목 마스터 갱신 스크립트
+// 사용법: npm run update:securities (KRX 정보데이터시스템에서 KOSPI/KOSDAQ/KONEX 전 종목과 ETF 목록을 받아 krx-securities.csv 갱신)
+// 파일은 시가총액 큰 순서로 기록 (검색 점수가 같으면 파일 앞쪽 종목이 먼저 나옴)
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { parseCsv } = require('./securities-master');
+
+const KRX_JSON_URL = 'http://data.krx.co.kr/comm/bldAttendant/getJsonData.cmd';
+const OUTPUT_FILE = process.argv[2] || path.join(__dirname, 'krx-securities.csv');
+const STOCK_CODE_PATTERN = /^[0-9A-Z]{6}$/; // 2024년부터 신규 상장 종목은 영문자가 섞인 코드 (예: 0126Z0)
+const MARKET_CAP_LOOKBACK_DAYS = 7; // 휴장일이면 직전 거래일 시세 사용
+
+// KRX 시장 구분 코드 → 종목 마스터 시장 (시장별로 따로 조회해 한 시장이 빠진 채 기록되지 않도록 확인)
+const KRX_MARKETS = [
+    { mktId: 'STK', market: 'KOSPI' },
+    { mktId: 'KSQ', market: 'KOSDAQ' },
+    { mktId: 'KNX', market: 'KONEX' }
+];
+
+async function fetchKrx(bld, params) {
+    const response = await axios.post(KRX_JSON_URL, new URLSearchParams({ bld, locale: 'ko_KR', ...params }).toString(), {
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+            'Referer': 'http://data.krx.co.kr/contents/MDC/MDI/mdiLoader/index.cmd',
+            'User-Agent': 'Mozilla/5.0'
+        },
+        timeout: 30000
+    });
+
+    return response.data.OutBlock_1 || response.data.output || [];
+}
+
+function toNumber(value) {
+    const number = Number(String(value ?? '').replace(/,/g, ''));
+    return Number.isFinite(number) ? number : 0;
+}
+
+// 'YYYYMMDD' (한국 시간 기준, daysAgo일 전)
+function krxDate(daysAgo) {
+    const date = new Date(Date.now() + 9 * 60 * 60 * 1000 - daysAgo * 24 * 60 * 60 * 1000);
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// 종목코드 → 시가총액 (최근 거래일 전 종목 시세 + ETF 시세, 조회 실패 시 빈 Map)
+async function fetchMarketCaps() {
+    for (let daysAgo = 0; daysAgo < MARKET_CAP_LOOKBACK_DAYS; daysAgo++) {
+        const trdDd = krxDate(daysAgo);
+        const responses = await Promise.all([
+            ...KRX_MARKETS.map(({ mktId }) =>
+                fetchKrx('dbms/MDC/STAT/standard/MDCSTAT01501', { mktId, trdDd, share: '1', money: '1', csvxls_isNo: 'false' })),
+            fetchKrx('dbms/MDC/STAT/standard/MDCSTAT04301', { trdDd, share: '1', money: '1', csvxls_isNo: 'false' })
+        ]);
+
+        const marketCaps = new Map(responses.flat()
+            .map(item => [item.ISU_SRT_CD, toNumber(item.MKTCAP)])
+            .filter(([, marketCap]) => marketCap > 0));
+        if (marketCaps.size > 0) {
+            console.log(`📈 시가총액 기준일: ${trdDd}`);
+            return marketCaps;
+        }
+    }
+    return new Map();
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function main() {
+    // 기존 파일의 별칭은 수동 관리 항목이므로 코드 기준으로 유지
+    const existingAliases = new Map();
+    if (fs.existsSync(OUTPUT_FILE)) {
+        parseCsv(fs.readFileSync(OUTPUT_FILE, 'utf8')).forEach(record => {
+            if (record.aliases) existingAliases.set(record.code, record.aliases);
+        });
+    }
+
+    const listings = [];
+    for (const { mktId, market } of KRX_MARKETS) {
+        console.log(`📥 KRX ${market} 종목 기본정보 조회 중...`);
+        const items = await fetchKrx('dbms/MDC/STAT/standard/MDCSTAT01901', { mktId, share: '1', csvxls_isNo: 'false' });
+        listings.push({ market, items });
+    }
+
+    console.log('📥 KRX ETF 목록 조회 중...');
+    listings.push({ market: 'ETF', items: await fetchKrx('dbms/MDC/STAT/standard/MDCSTAT04601', { share: '1', csvxls_isNo: 'false' }) });
+
+    // 한 시장이라도 비어 있으면 일부 시장만 남은 파일이 되므로 기존 파일 유지
+    const emptyMarkets = listings.filter(({ items }) => items.length === 0).map(({ market }) => market);
+    if (emptyMarkets.length > 0) {
+        throw new Error(`KRX 응답에 ${emptyMarkets.join(', ')} 종목이 없습니다. 기존 파일을 유지합니다.`);
+    }
+
+    const securities = listings
+        .flatMap(({ market, items }) => items.map(item => ({
+            code: item.ISU_SRT_CD,
+            name: item.ISU_ABBRV,
+            market,
+            englishName: item.ISU_ENG_NM
+        })))
+        .filter(security => STOCK_CODE_PATTERN.test(security.code));
+
+    console.log('📥 KRX 시가총액 조회 중...');
+    const marketCaps = await fetchMarketCaps().catch(error => {
+        console.warn('⚠️ 시가총액 조회 실패, 시장/코드 순으로 기록합니다:', error.message);
+        return new Map();
+    });
+
+    const lines = ['code,name,market,englishName,aliases'];
+    securities
+        .sort((a, b) =>
+            (marketCaps.get(b.code) || 0) - (marketCaps.get(a.code) || 0) ||
+            a.market.localeCompare(b.market) ||
+            a.code.localeCompare(b.code)
+        )
+        .forEach(security => {
+            lines.push([
+                security.code,
+                security.name,
+                security.market,
+                security.englishName,
+                existingAliases.get(security.code) || ''
+            ].map(csvField).join(','));
+        });
+
+    // 중간 실패 시 기존 파일이 손상되지 않도록 임시 파일에 쓴 뒤 교체
+    const tempFile = `${OUTPUT_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, lines.join('\n') + '\n', 'utf8');
+    fs.renameSync(tempFile, OUTPUT_FILE);
+
+    const counts = listings.map(({ market }) => `${market} ${securities.filter(security => security.market === market).length}`);
+    console.log(`✅ 종목 마스터 갱신 완료: ${securities.length}개 (${counts.join(', ')}) → ${OUTPUT_FILE}`);
+}
+
+main().catch(error => {
+    console.error('❌ 종목 마스터 갱신 실패:', error.message);
+    process.exit(1);
+});